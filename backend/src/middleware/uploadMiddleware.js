@@ -108,4 +108,43 @@ export const uploadMultiple = (fieldName, maxCount = 10) => {
   };
 };
 
+// CSV uploads are parsed straight from memory rather than stored
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const allowedMimeTypes = ['text/csv', 'application/vnd.ms-excel', 'text/plain'];
+
+    if (allowedMimeTypes.includes(file.mimetype) || path.extname(file.originalname).toLowerCase() === '.csv') {
+      cb(null, true);
+    } else {
+      cb(new ValidationError('Invalid file type. Only CSV files are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB max file size
+  }
+});
+
+/**
+ * Middleware for a single CSV file upload kept in memory
+ * @param {string} fieldName - The name of the form field
+ */
+export const uploadCsv = (fieldName) => {
+  return (req, res, next) => {
+    const singleUpload = csvUpload.single(fieldName);
+
+    singleUpload(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return next(new ValidationError('File size exceeds 2MB limit'));
+        }
+        return next(new ValidationError(`Upload error: ${err.message}`));
+      } else if (err) {
+        return next(err);
+      }
+      next();
+    });
+  };
+};
+
 export default upload;
@@ -0,0 +1,135 @@
+import express from 'express';
+import {
+  getBusinessOwnerId,
+  getBusinessMetrics,
+  getProductPerformance,
+  getCustomerDemographics,
+  getSalesTrends
+} from '../services/analyticsService.js';
+import { prepareExport } from '../services/exportService.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { requireBusinessOwnership } from '../middleware/rbacMiddleware.js';
+
+const router = express.Router();
+
+// Only the owner of the business in :id may see its analytics
+const requireAnalyticsAccess = requireBusinessOwnership((req) => getBusinessOwnerId(req.params.id));
+
+/**
+ * Read the shared date range query params
+ */
+const getDateRange = (query) => ({
+  startDate: query.start_date,
+  endDate: query.end_date
+});
+
+/**
+ * GET /api/v1/analytics/business/:id
+ * Get headline metrics for a business
+ * Query params: start_date, end_date (default: last 30 days)
+ */
+router.get('/business/:id', authenticate, requireAnalyticsAccess, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const metrics = await getBusinessMetrics(id, getDateRange(req.query));
+
+    res.status(200).json(metrics);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/analytics/business/:id/products
+ * Get sales performance per product
+ * Query params: start_date, end_date, sort_by (revenue, units, orders), limit
+ */
+router.get('/business/:id/products', authenticate, requireAnalyticsAccess, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const filters = {
+      ...getDateRange(req.query),
+      sortBy: req.query.sort_by,
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined
+    };
+
+    const performance = await getProductPerformance(id, filters);
+
+    res.status(200).json(performance);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/analytics/business/:id/demographics
+ * Get customer breakdown for a business
+ * Query params: start_date, end_date
+ */
+router.get('/business/:id/demographics', authenticate, requireAnalyticsAccess, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const demographics = await getCustomerDemographics(id, getDateRange(req.query));
+
+    res.status(200).json(demographics);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/analytics/business/:id/trends
+ * Get sales trends per day, week or month
+ * Query params: period (daily, weekly, monthly), start_date, end_date
+ */
+router.get('/business/:id/trends', authenticate, requireAnalyticsAccess, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const trends = await getSalesTrends(id, {
+      ...getDateRange(req.query),
+      period: req.query.period
+    });
+
+    res.status(200).json(trends);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/analytics/business/:id/export
+ * Download business data as a spreadsheet
+ * Query params: dataset (orders, products, ratings, analytics), format (csv, xlsx),
+ * start_date, end_date, status (comma-separated)
+ */
+router.get('/business/:id/export', authenticate, requireAnalyticsAccess, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const file = await prepareExport(id, {
+      ...getDateRange(req.query),
+      dataset: req.query.dataset,
+      format: req.query.format,
+      status: req.query.status
+    });
+
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    await file.writeTo(res);
+    res.end();
+  } catch (error) {
+    // Once streaming has started the only option left is to abort the download
+    if (res.headersSent) {
+      console.error('Export failed while streaming:', error);
+      res.destroy();
+      return;
+    }
+    next(error);
+  }
+});
+
+export default router;
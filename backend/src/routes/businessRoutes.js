@@ -7,6 +7,20 @@ import {
   getBusinessesByOwner
 } from '../services/businessService.js';
 import { getProductsByBusiness } from '../services/productService.js';
+import {
+  getDeliveryZones,
+  createDeliveryZone,
+  updateDeliveryZone,
+  deleteDeliveryZone,
+  updateDeliveryPolicy
+} from '../services/deliveryZoneService.js';
+import { getPickupSlots } from '../services/pickupSlotService.js';
+import {
+  getBusinessPromotions,
+  createPromotion,
+  updatePromotion,
+  deletePromotion
+} from '../services/promotionService.js';
 import { authenticate } from '../middleware/authMiddleware.js';
 import { requireRole } from '../middleware/rbacMiddleware.js';
 
@@ -124,6 +138,204 @@ router.get('/:id/products', async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/v1/businesses/:id/delivery-zones
+ * Get delivery zones and free-delivery threshold for a business (public)
+ */
+router.get('/:id/delivery-zones', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const deliveryZones = await getDeliveryZones(id);
+
+    res.status(200).json({
+      businessId: id,
+      ...deliveryZones
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/businesses/:id/pickup-slots
+ * Get upcoming pickup slots with the places left in each (public)
+ * Query params: from (YYYY-MM-DD in the business's timezone), days (max 14)
+ */
+router.get('/:id/pickup-slots', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const pickupSlots = await getPickupSlots(id, {
+      from: req.query.from,
+      days: req.query.days
+    });
+
+    res.status(200).json({
+      businessId: id,
+      ...pickupSlots
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/businesses/:id/delivery-zones
+ * Add a radius tier or polygon delivery zone (owner only)
+ */
+router.post('/:id/delivery-zones', authenticate, requireRole('sme'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const ownerId = req.user.id;
+
+    const zone = await createDeliveryZone(id, ownerId, req.body);
+
+    res.status(201).json({
+      message: 'Delivery zone created successfully',
+      zone
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/v1/businesses/:id/delivery-zones/:zoneId
+ * Update a delivery zone (owner only)
+ */
+router.put('/:id/delivery-zones/:zoneId', authenticate, requireRole('sme'), async (req, res, next) => {
+  try {
+    const { id, zoneId } = req.params;
+    const ownerId = req.user.id;
+
+    const zone = await updateDeliveryZone(id, zoneId, ownerId, req.body);
+
+    res.status(200).json({
+      message: 'Delivery zone updated successfully',
+      zone
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/v1/businesses/:id/delivery-zones/:zoneId
+ * Delete a delivery zone (owner only)
+ */
+router.delete('/:id/delivery-zones/:zoneId', authenticate, requireRole('sme'), async (req, res, next) => {
+  try {
+    const { id, zoneId } = req.params;
+    const ownerId = req.user.id;
+
+    const result = await deleteDeliveryZone(id, zoneId, ownerId);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/v1/businesses/:id/delivery-policy
+ * Set the free-delivery threshold (owner only)
+ */
+router.put('/:id/delivery-policy', authenticate, requireRole('sme'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const ownerId = req.user.id;
+
+    const deliveryZones = await updateDeliveryPolicy(id, ownerId, req.body);
+
+    res.status(200).json({
+      message: 'Delivery policy updated successfully',
+      businessId: id,
+      ...deliveryZones
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/businesses/:id/promotions
+ * Get a business's promotions with their usage (owner only)
+ */
+router.get('/:id/promotions', authenticate, requireRole('sme'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const ownerId = req.user.id;
+
+    const promotions = await getBusinessPromotions(id, ownerId);
+
+    res.status(200).json({
+      businessId: id,
+      promotions,
+      count: promotions.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/businesses/:id/promotions
+ * Create a discount code or automatic promotion (owner only)
+ */
+router.post('/:id/promotions', authenticate, requireRole('sme'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const ownerId = req.user.id;
+
+    const promotion = await createPromotion(id, ownerId, req.body);
+
+    res.status(201).json({
+      message: 'Promotion created successfully',
+      promotion
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/v1/businesses/:id/promotions/:promotionId
+ * Update a promotion (owner only)
+ */
+router.put('/:id/promotions/:promotionId', authenticate, requireRole('sme'), async (req, res, next) => {
+  try {
+    const { id, promotionId } = req.params;
+    const ownerId = req.user.id;
+
+    const promotion = await updatePromotion(id, promotionId, ownerId, req.body);
+
+    res.status(200).json({
+      message: 'Promotion updated successfully',
+      promotion
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/v1/businesses/:id/promotions/:promotionId
+ * Delete a promotion that was never used (owner only)
+ */
+router.delete('/:id/promotions/:promotionId', authenticate, requireRole('sme'), async (req, res, next) => {
+  try {
+    const { id, promotionId } = req.params;
+    const ownerId = req.user.id;
+
+    const result = await deletePromotion(id, promotionId, ownerId);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/v1/businesses/owner/:ownerId
  * Get all businesses owned by a specific user (authenticated)
@@ -0,0 +1,99 @@
+import express from 'express';
+import {
+  getCart,
+  setCartItem,
+  mergeCart,
+  removeCartItem,
+  clearCart
+} from '../services/cartService.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { requireRole } from '../middleware/rbacMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/cart
+ * Get the authenticated consumer's cart with current prices, stock and what changed (consumers only)
+ */
+router.get('/', authenticate, requireRole('consumer'), async (req, res, next) => {
+  try {
+    const cart = await getCart(req.user.id);
+
+    res.status(200).json({
+      cart
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/v1/cart/items
+ * Set the quantity of a product or variant in the cart; quantity 0 removes it (consumers only)
+ */
+router.put('/items', authenticate, requireRole('consumer'), async (req, res, next) => {
+  try {
+    const cart = await setCartItem(req.user.id, req.body);
+
+    res.status(200).json({
+      message: 'Cart updated',
+      cart
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/cart/merge
+ * Merge a cart built while signed out into the saved cart (consumers only)
+ */
+router.post('/merge', authenticate, requireRole('consumer'), async (req, res, next) => {
+  try {
+    const { cart, skipped } = await mergeCart(req.user.id, req.body);
+
+    res.status(200).json({
+      message: 'Cart merged',
+      cart,
+      skipped
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/v1/cart/items/:itemId
+ * Remove a line from the cart (consumers only)
+ */
+router.delete('/items/:itemId', authenticate, requireRole('consumer'), async (req, res, next) => {
+  try {
+    const cart = await removeCartItem(req.user.id, req.params.itemId);
+
+    res.status(200).json({
+      message: 'Item removed from cart',
+      cart
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/v1/cart
+ * Empty the cart (consumers only)
+ */
+router.delete('/', authenticate, requireRole('consumer'), async (req, res, next) => {
+  try {
+    const cart = await clearCart(req.user.id);
+
+    res.status(200).json({
+      message: 'Cart cleared',
+      cart
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
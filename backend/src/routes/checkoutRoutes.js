@@ -0,0 +1,27 @@
+import express from 'express';
+import { getCheckoutById } from '../services/checkoutService.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { requireRole } from '../middleware/rbacMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/checkouts/:id
+ * Get a checkout with its orders, combined payment status and per-business settlements (consumers only)
+ */
+router.get('/:id', authenticate, requireRole('consumer'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const consumerId = req.user.id;
+
+    const checkout = await getCheckoutById(id, consumerId);
+
+    res.status(200).json({
+      checkout
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,161 @@
+import express from 'express';
+import {
+  getDeliveryOptions,
+  bookDelivery,
+  trackDelivery,
+  cancelDelivery,
+  updateDeliveryStatus,
+  handleCourierCallback,
+  getDeliveryHistory
+} from '../services/deliveryService.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { requireRole } from '../middleware/rbacMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/delivery/options
+ * Get delivery services available for an order
+ * Query params: orderId
+ */
+router.get('/options', authenticate, async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+
+    const options = await getDeliveryOptions(req.query.orderId, userId);
+
+    res.status(200).json({
+      options
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/delivery/book
+ * Book a delivery for a ready order (SME only)
+ */
+router.post('/book', authenticate, requireRole('sme'), async (req, res, next) => {
+  try {
+    const businessOwnerId = req.user.id;
+
+    const delivery = await bookDelivery(businessOwnerId, req.body);
+
+    res.status(201).json({
+      message: 'Delivery booked successfully',
+      delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/delivery/track/:id
+ * Track a delivery (consumer or business owner)
+ */
+router.get('/track/:id', authenticate, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const delivery = await trackDelivery(id, userId);
+
+    res.status(200).json({
+      delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/delivery/history
+ * Get delivery history for the authenticated user
+ * Query params: status, orderId, limit, offset
+ */
+router.get('/history', authenticate, async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const userType = req.user.userType;
+
+    const filters = {
+      status: req.query.status,
+      orderId: req.query.orderId,
+      limit: req.query.limit ? parseInt(req.query.limit) : 50,
+      offset: req.query.offset ? parseInt(req.query.offset) : 0
+    };
+
+    const deliveries = await getDeliveryHistory(userId, userType, filters);
+
+    res.status(200).json({
+      deliveries,
+      count: deliveries.length,
+      filters
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/delivery/callback/:courier
+ * Status callback from a courier (verified by the courier adapter)
+ */
+router.post('/callback/:courier', async (req, res, next) => {
+  try {
+    const { courier } = req.params;
+
+    const delivery = await handleCourierCallback(courier, req.headers, req.body);
+
+    res.status(200).json({
+      received: true,
+      status: delivery.status
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/delivery/:id/cancel
+ * Cancel an active delivery (SME only)
+ */
+router.post('/:id/cancel', authenticate, requireRole('sme'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const businessOwnerId = req.user.id;
+
+    const delivery = await cancelDelivery(id, businessOwnerId, req.body);
+
+    res.status(200).json({
+      message: 'Delivery cancelled successfully',
+      delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/v1/delivery/:id/status
+ * Report progress on a self-delivery (SME only)
+ */
+router.patch('/:id/status', authenticate, requireRole('sme'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const businessOwnerId = req.user.id;
+
+    const delivery = await updateDeliveryStatus(id, businessOwnerId, req.body);
+
+    res.status(200).json({
+      message: 'Delivery status updated successfully',
+      delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,78 @@
+import express from 'express';
+import { getFavourites, addFavourite, removeFavourite } from '../services/favouriteService.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { requireRole } from '../middleware/rbacMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/favourites
+ * Get the authenticated consumer's saved products and businesses (consumers only)
+ */
+router.get('/', authenticate, requireRole('consumer'), async (req, res, next) => {
+  try {
+    const favourites = await getFavourites(req.user.id);
+
+    res.status(200).json(favourites);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/v1/favourites/products/:productId
+ * Save a product (consumers only)
+ */
+router.put('/products/:productId', authenticate, requireRole('consumer'), async (req, res, next) => {
+  try {
+    const result = await addFavourite(req.user.id, 'product', req.params.productId);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/v1/favourites/products/:productId
+ * Remove a saved product (consumers only)
+ */
+router.delete('/products/:productId', authenticate, requireRole('consumer'), async (req, res, next) => {
+  try {
+    const result = await removeFavourite(req.user.id, 'product', req.params.productId);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/v1/favourites/businesses/:businessId
+ * Save a business (consumers only)
+ */
+router.put('/businesses/:businessId', authenticate, requireRole('consumer'), async (req, res, next) => {
+  try {
+    const result = await addFavourite(req.user.id, 'business', req.params.businessId);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/v1/favourites/businesses/:businessId
+ * Remove a saved business (consumers only)
+ */
+router.delete('/businesses/:businessId', authenticate, requireRole('consumer'), async (req, res, next) => {
+  try {
+    const result = await removeFavourite(req.user.id, 'business', req.params.businessId);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -11,7 +11,7 @@ const router = express.Router();
 /**
  * GET /api/v1/businesses/nearby
  * Find businesses near a specific location
- * Query params: latitude, longitude, radius (km), businessType, verified, minRating, limit, offset
+ * Query params: latitude, longitude, radius (km), businessType, verified, minRating, openNow, openAt, limit, offset
  */
 router.get('/nearby', async (req, res, next) => {
   try {
@@ -22,6 +22,8 @@ router.get('/nearby', async (req, res, next) => {
       businessType,
       verified,
       minRating,
+      openNow,
+      openAt,
       limit,
       offset
     } = req.query;
@@ -34,6 +36,8 @@ router.get('/nearby', async (req, res, next) => {
       businessType,
       verified: verified !== undefined ? verified === 'true' : undefined,
       minRating: minRating ? parseFloat(minRating) : undefined,
+      openNow: openNow !== undefined ? openNow === 'true' : undefined,
+      openAt,
       limit: limit ? parseInt(limit) : undefined,
       offset: offset ? parseInt(offset) : undefined
     };
@@ -81,7 +85,7 @@ router.get('/distance', async (req, res, next) => {
 /**
  * GET /api/v1/businesses/in-bounds
  * Get businesses within map bounds
- * Query params: neLat, neLon, swLat, swLon, businessType, verified, minRating, limit
+ * Query params: neLat, neLon, swLat, swLon, businessType, verified, minRating, openNow, openAt, limit
  */
 router.get('/in-bounds', async (req, res, next) => {
   try {
@@ -93,6 +97,8 @@ router.get('/in-bounds', async (req, res, next) => {
       businessType,
       verified,
       minRating,
+      openNow,
+      openAt,
       limit
     } = req.query;
 
@@ -110,6 +116,8 @@ router.get('/in-bounds', async (req, res, next) => {
       businessType,
       verified: verified !== undefined ? verified === 'true' : undefined,
       minRating: minRating ? parseFloat(minRating) : undefined,
+      openNow: openNow === 'true',
+      openAt,
       limit: limit ? parseInt(limit) : undefined
     };
 
@@ -0,0 +1,139 @@
+import express from 'express';
+import {
+  sendMessage,
+  getConversations,
+  getConversation,
+  markMessageAsRead,
+  markConversationAsRead,
+  getUnreadMessageCount
+} from '../services/messageService.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/v1/messages
+ * Send a message to a user, or about a product or order
+ */
+router.post('/', authenticate, async (req, res, next) => {
+  try {
+    const senderId = req.user.id;
+
+    const message = await sendMessage(senderId, req.body);
+
+    res.status(201).json({
+      message: 'Message sent successfully',
+      data: message
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/messages/conversations
+ * Get conversations for the authenticated user
+ * Query params: limit, offset
+ */
+router.get('/conversations', authenticate, async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+
+    const filters = {
+      limit: req.query.limit ? parseInt(req.query.limit) : 20,
+      offset: req.query.offset ? parseInt(req.query.offset) : 0
+    };
+
+    const conversations = await getConversations(userId, filters);
+
+    res.status(200).json({
+      conversations,
+      count: conversations.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/messages/conversation/:userId
+ * Get the message thread with another user
+ * Query params: limit, before (createdAt of the oldest loaded message)
+ */
+router.get('/conversation/:userId', authenticate, async (req, res, next) => {
+  try {
+    const { userId: otherUserId } = req.params;
+    const userId = req.user.id;
+
+    const filters = {
+      limit: req.query.limit ? parseInt(req.query.limit) : 50,
+      before: req.query.before
+    };
+
+    const conversation = await getConversation(userId, otherUserId, filters);
+
+    res.status(200).json(conversation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/v1/messages/conversation/:userId/read
+ * Mark all messages from another user as read
+ */
+router.patch('/conversation/:userId/read', authenticate, async (req, res, next) => {
+  try {
+    const { userId: otherUserId } = req.params;
+    const userId = req.user.id;
+
+    const result = await markConversationAsRead(userId, otherUserId);
+
+    res.status(200).json({
+      message: 'Conversation marked as read',
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/messages/unread/count
+ * Get unread message count for the authenticated user
+ */
+router.get('/unread/count', authenticate, async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+
+    const count = await getUnreadMessageCount(userId);
+
+    res.status(200).json({
+      count
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/v1/messages/:id/read
+ * Mark a message as read (receiver only)
+ */
+router.patch('/:id/read', authenticate, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const message = await markMessageAsRead(id, userId);
+
+    res.status(200).json({
+      message: 'Message marked as read',
+      data: message
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
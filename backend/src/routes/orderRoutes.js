@@ -1,10 +1,15 @@
 import express from 'express';
 import {
   createOrder,
+  quoteOrder,
   getOrderById,
   getOrdersByUser,
-  updateOrderStatus
+  updateOrderStatus,
+  cancelOrderByConsumer
 } from '../services/orderService.js';
+import { getOrderEvents } from '../services/orderEventService.js';
+import { getReorderCart } from '../services/cartService.js';
+import { getPickupSchedule } from '../services/pickupSlotService.js';
 import { authenticate } from '../middleware/authMiddleware.js';
 import { requireRole } from '../middleware/rbacMiddleware.js';
 
@@ -19,10 +24,11 @@ router.post('/', authenticate, requireRole('consumer'), async (req, res, next) =
     const orderData = req.body;
     const consumerId = req.user.id;
 
-    const orders = await createOrder(consumerId, orderData);
+    const { checkout, orders } = await createOrder(consumerId, orderData);
     
     res.status(201).json({
       message: 'Order(s) created successfully',
+      checkout,
       orders,
       count: orders.length
     });
@@ -31,6 +37,44 @@ router.post('/', authenticate, requireRole('consumer'), async (req, res, next) =
   }
 });
 
+/**
+ * POST /api/v1/orders/quote
+ * Price a cart before ordering, including promotions and each business's delivery fee (consumers only)
+ */
+router.post('/quote', authenticate, requireRole('consumer'), async (req, res, next) => {
+  try {
+    const quote = await quoteOrder(req.user.id, req.body);
+
+    res.status(200).json({
+      quote
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/orders/pickups
+ * Get a day's pickup orders grouped by pickup slot (business owners only)
+ * Query params: date (YYYY-MM-DD, defaults to today in each business's timezone), businessId
+ */
+router.get('/pickups', authenticate, requireRole('sme'), async (req, res, next) => {
+  try {
+    const ownerId = req.user.id;
+
+    const schedule = await getPickupSchedule(ownerId, {
+      date: req.query.date,
+      businessId: req.query.businessId
+    });
+
+    res.status(200).json({
+      schedule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/v1/orders/:id
  * Get order details by ID (consumer or business owner)
@@ -50,10 +94,46 @@ router.get('/:id', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/v1/orders/:id/events
+ * Get the order's lifecycle events, oldest first (consumer or business owner)
+ */
+router.get('/:id/events', authenticate, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const events = await getOrderEvents(id, userId);
+    
+    res.status(200).json({
+      events
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/orders/:id/reorder
+ * Get a past order's items as cart lines to buy again, with current prices, and the items
+ * that can't be bought or changed price (consumers only)
+ */
+router.get('/:id/reorder', authenticate, requireRole('consumer'), async (req, res, next) => {
+  try {
+    const reorder = await getReorderCart(req.params.id, req.user.id);
+
+    res.status(200).json({
+      reorder
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/v1/orders
  * Get order history filtered by user (consumer or SME)
- * Query params: status, limit, offset
+ * Query params: status, checkoutId, limit, offset
  */
 router.get('/', authenticate, async (req, res, next) => {
   try {
@@ -62,6 +142,7 @@ router.get('/', authenticate, async (req, res, next) => {
     
     const filters = {
       status: req.query.status,
+      checkoutId: req.query.checkoutId,
       limit: req.query.limit ? parseInt(req.query.limit) : 50,
       offset: req.query.offset ? parseInt(req.query.offset) : 0
     };
@@ -99,5 +180,26 @@ router.patch('/:id/status', authenticate, requireRole('sme'), async (req, res, n
   }
 });
 
+/**
+ * PATCH /api/v1/orders/:id/cancel
+ * Cancel an order as the customer who placed it (consumers only)
+ * Body: reason (reason code), note (required when reason is 'other')
+ */
+router.patch('/:id/cancel', authenticate, requireRole('consumer'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const consumerId = req.user.id;
+
+    const order = await cancelOrderByConsumer(id, consumerId, req.body);
+    
+    res.status(200).json({
+      message: 'Order cancelled successfully',
+      order
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
 
@@ -0,0 +1,122 @@
+import express from 'express';
+import {
+  createPaymentIntent,
+  confirmPayment,
+  getPaymentById,
+  getPaymentHistory
+} from '../services/paymentService.js';
+import { createRefund } from '../services/refundService.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { requireRole } from '../middleware/rbacMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/v1/payments/create-intent
+ * Create a payment intent for an order, or one combined intent for a checkout (consumers only)
+ * Body: orderId or checkoutId, paymentMethod
+ */
+router.post('/create-intent', authenticate, requireRole('consumer'), async (req, res, next) => {
+  try {
+    const consumerId = req.user.id;
+
+    const result = await createPaymentIntent(consumerId, req.body);
+
+    res.status(201).json({
+      message: 'Payment intent created successfully',
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/payments/confirm
+ * Confirm a payment intent (consumers only)
+ * Body: paymentIntentId, paymentMethodId (the provider's payment method id, e.g. a Stripe pm_ id)
+ */
+router.post('/confirm', authenticate, requireRole('consumer'), async (req, res, next) => {
+  try {
+    const consumerId = req.user.id;
+
+    const payment = await confirmPayment(consumerId, req.body);
+
+    res.status(200).json({
+      message: payment.status === 'completed' ? 'Payment completed successfully' : `Payment ${payment.status}`,
+      payment
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/payments/history
+ * Get payment history for the authenticated user
+ * Query params: status, orderId, limit, offset
+ */
+router.get('/history', authenticate, async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const userType = req.user.userType;
+
+    const filters = {
+      status: req.query.status,
+      orderId: req.query.orderId,
+      limit: req.query.limit ? parseInt(req.query.limit) : 50,
+      offset: req.query.offset ? parseInt(req.query.offset) : 0
+    };
+
+    const payments = await getPaymentHistory(userId, userType, filters);
+
+    res.status(200).json({
+      payments,
+      count: payments.length,
+      filters
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/payments/:id
+ * Get payment details (paying consumer or business owner)
+ */
+router.get('/:id', authenticate, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    const payment = await getPaymentById(id, userId);
+
+    res.status(200).json({
+      payment
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/payments/:id/refund
+ * Refund a payment, fully or per line item
+ * Business owners issue the refund directly; consumers submit a request for approval
+ */
+router.post('/:id/refund', authenticate, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const refund = await createRefund(id, req.user, req.body);
+
+    res.status(201).json({
+      message: refund.status === 'requested' ? 'Refund requested successfully' : `Refund ${refund.status}`,
+      refund
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
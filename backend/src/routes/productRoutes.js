@@ -8,8 +8,12 @@ import {
   getProductsByBusiness,
   searchProducts
 } from '../services/productService.js';
+import { importProducts } from '../services/productImportService.js';
+import { getInventoryHistory } from '../services/inventoryService.js';
+import { getPriceChanges, schedulePriceChange, cancelPriceChange } from '../services/pricingService.js';
 import { authenticate } from '../middleware/authMiddleware.js';
 import { requireRole } from '../middleware/rbacMiddleware.js';
+import { uploadCsv } from '../middleware/uploadMiddleware.js';
 
 const router = express.Router();
 
@@ -58,7 +62,7 @@ router.post('/', authenticate, requireRole('sme'), async (req, res, next) => {
       });
     }
 
-    const product = await createProduct(businessId, productData);
+    const product = await createProduct(businessId, productData, req.user.id);
     
     res.status(201).json({
       message: 'Product created successfully',
@@ -69,10 +73,53 @@ router.post('/', authenticate, requireRole('sme'), async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/v1/products/import
+ * Bulk-import products from a CSV file (SME only)
+ * Multipart fields: file, businessId, dryRun, upsert
+ */
+router.post('/import', authenticate, requireRole('sme'), uploadCsv('file'), async (req, res, next) => {
+  try {
+    const { businessId } = req.body;
+
+    if (!businessId) {
+      return res.status(400).json({
+        error: {
+          code: 'MISSING_BUSINESS_ID',
+          message: 'Business ID is required',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: {
+          code: 'NO_FILE',
+          message: 'No CSV file uploaded',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const result = await importProducts(businessId, req.user.id, req.file.buffer.toString('utf8'), {
+      dryRun: req.body.dryRun === 'true',
+      upsert: req.body.upsert === 'true'
+    });
+
+    res.status(result.dryRun ? 200 : 201).json({
+      message: result.dryRun ? 'Import validated' : 'Import completed',
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/v1/products/search
  * Search products with filters (public)
- * Query params: keyword, category, minPrice, maxPrice, latitude, longitude, radius, sortBy, sortOrder, limit, offset
+ * Query params: keyword, category, minPrice, maxPrice, latitude, longitude, radius, openNow, openAt, sortBy, sortOrder, limit, offset
  */
 router.get('/search', async (req, res, next) => {
   try {
@@ -84,6 +131,8 @@ router.get('/search', async (req, res, next) => {
       latitude: req.query.latitude ? parseFloat(req.query.latitude) : undefined,
       longitude: req.query.longitude ? parseFloat(req.query.longitude) : undefined,
       radius: req.query.radius ? parseFloat(req.query.radius) : undefined,
+      openNow: req.query.openNow === 'true',
+      openAt: req.query.openAt,
       sortBy: req.query.sortBy || 'created_at',
       sortOrder: req.query.sortOrder || 'DESC',
       limit: req.query.limit ? parseInt(req.query.limit) : 50,
@@ -160,7 +209,7 @@ router.put('/:id', authenticate, requireRole('sme'), async (req, res, next) => {
       });
     }
 
-    const product = await updateProduct(id, business_id, updateData);
+    const product = await updateProduct(id, business_id, updateData, req.user.id);
     
     res.status(200).json({
       message: 'Product updated successfully',
@@ -221,6 +270,7 @@ router.delete('/:id', authenticate, requireRole('sme'), async (req, res, next) =
 /**
  * PATCH /api/v1/products/:id/inventory
  * Update product inventory quantity (business owner only)
+ * Products with variants take a variantId and set that variant's quantity.
  */
 router.patch('/:id/inventory', authenticate, requireRole('sme'), async (req, res, next) => {
   try {
@@ -258,7 +308,7 @@ router.patch('/:id/inventory', authenticate, requireRole('sme'), async (req, res
       });
     }
 
-    const product = await updateInventory(id, business_id, quantityData);
+    const product = await updateInventory(id, business_id, quantityData, req.user.id);
     
     res.status(200).json({
       message: 'Inventory updated successfully',
@@ -269,4 +319,71 @@ router.patch('/:id/inventory', authenticate, requireRole('sme'), async (req, res
   }
 });
 
+/**
+ * GET /api/v1/products/:id/inventory/history
+ * Get the product's inventory movements, newest first (business owner only)
+ * Query params: limit, before (createdAt of the oldest loaded movement)
+ */
+router.get('/:id/inventory/history', authenticate, requireRole('sme'), async (req, res, next) => {
+  try {
+    const filters = {
+      limit: req.query.limit,
+      before: req.query.before
+    };
+
+    const history = await getInventoryHistory(req.params.id, req.user.id, filters);
+
+    res.status(200).json(history);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/products/:id/price-changes
+ * Get the product's scheduled price changes, then the ones already applied (business owner only)
+ */
+router.get('/:id/price-changes', authenticate, requireRole('sme'), async (req, res, next) => {
+  try {
+    const priceChanges = await getPriceChanges(req.params.id, req.user.id);
+
+    res.status(200).json({
+      priceChanges
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/products/:id/price-changes
+ * Schedule the product's price to change at a future time (business owner only)
+ */
+router.post('/:id/price-changes', authenticate, requireRole('sme'), async (req, res, next) => {
+  try {
+    const priceChange = await schedulePriceChange(req.params.id, req.user.id, req.body);
+
+    res.status(201).json({
+      message: 'Price change scheduled',
+      priceChange
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/v1/products/:id/price-changes/:changeId
+ * Cancel a price change that has not taken effect yet (business owner only)
+ */
+router.delete('/:id/price-changes/:changeId', authenticate, requireRole('sme'), async (req, res, next) => {
+  try {
+    const result = await cancelPriceChange(req.params.id, req.user.id, req.params.changeId);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
@@ -0,0 +1,72 @@
+import express from 'express';
+import {
+  approveRefund,
+  rejectRefund,
+  getRefundsByOrder
+} from '../services/refundService.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { requireRole } from '../middleware/rbacMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/v1/refunds/order/:orderId
+ * Get refunds for an order (consumer or business owner)
+ */
+router.get('/order/:orderId', authenticate, async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const userId = req.user.id;
+
+    const refunds = await getRefundsByOrder(orderId, userId);
+
+    res.status(200).json({
+      refunds,
+      count: refunds.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/v1/refunds/:id/approve
+ * Approve and process a consumer refund request (business owners only)
+ */
+router.patch('/:id/approve', authenticate, requireRole('sme'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const businessOwnerId = req.user.id;
+
+    const refund = await approveRefund(id, businessOwnerId);
+
+    res.status(200).json({
+      message: `Refund ${refund.status}`,
+      refund
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/v1/refunds/:id/reject
+ * Reject a consumer refund request (business owners only)
+ */
+router.patch('/:id/reject', authenticate, requireRole('sme'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const businessOwnerId = req.user.id;
+
+    const refund = await rejectRefund(id, businessOwnerId, req.body);
+
+    res.status(200).json({
+      message: 'Refund request rejected',
+      refund
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
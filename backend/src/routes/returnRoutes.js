@@ -0,0 +1,137 @@
+import express from 'express';
+import {
+  requestReturn,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  resolveReturn,
+  getReturnsByOrder
+} from '../services/returnService.js';
+import { authenticate } from '../middleware/authMiddleware.js';
+import { requireRole } from '../middleware/rbacMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/v1/returns
+ * Request a return or exchange on a delivered order (consumers only)
+ * Body: orderId, items [{ orderItemId, quantity }], reason, details, photos (uploaded URLs), resolution
+ */
+router.post('/', authenticate, requireRole('consumer'), async (req, res, next) => {
+  try {
+    const consumerId = req.user.id;
+
+    const ret = await requestReturn(consumerId, req.body);
+
+    res.status(201).json({
+      message: 'Return requested successfully',
+      return: ret
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/returns/order/:orderId
+ * Get returns for an order (consumer or business owner)
+ */
+router.get('/order/:orderId', authenticate, async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const userId = req.user.id;
+
+    const returns = await getReturnsByOrder(orderId, userId);
+
+    res.status(200).json({
+      returns,
+      count: returns.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/v1/returns/:id/approve
+ * Approve a return request (business owners only)
+ */
+router.patch('/:id/approve', authenticate, requireRole('sme'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const businessOwnerId = req.user.id;
+
+    const ret = await approveReturn(id, businessOwnerId, req.body);
+
+    res.status(200).json({
+      message: 'Return approved',
+      return: ret
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/v1/returns/:id/reject
+ * Reject a return request (business owners only)
+ */
+router.patch('/:id/reject', authenticate, requireRole('sme'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const businessOwnerId = req.user.id;
+
+    const ret = await rejectReturn(id, businessOwnerId, req.body);
+
+    res.status(200).json({
+      message: 'Return request rejected',
+      return: ret
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/v1/returns/:id/receive
+ * Confirm the returned items arrived (business owners only)
+ * Body: restock (default true), note
+ */
+router.patch('/:id/receive', authenticate, requireRole('sme'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const businessOwnerId = req.user.id;
+
+    const ret = await receiveReturn(id, businessOwnerId, req.body);
+
+    res.status(200).json({
+      message: 'Return received',
+      return: ret
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/v1/returns/:id/resolve
+ * Refund the returned items or send a replacement (business owners only)
+ * Body: resolution ('refund' | 'exchange', defaults to the customer's choice), note
+ */
+router.patch('/:id/resolve', authenticate, requireRole('sme'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const businessOwnerId = req.user.id;
+
+    const ret = await resolveReturn(id, businessOwnerId, req.body);
+
+    res.status(200).json({
+      message: `Return resolved with ${ret.resolution === 'exchange' ? 'an exchange' : 'a refund'}`,
+      return: ret
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
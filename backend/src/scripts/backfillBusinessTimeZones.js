@@ -0,0 +1,16 @@
+import { backfillBusinessTimeZones } from '../services/businessService.js';
+
+/**
+ * Backfill business timezones
+ * One-off for businesses registered before their timezone was taken from their location.
+ * Usage: npm run backfill:timezones
+ */
+
+try {
+  const updated = await backfillBusinessTimeZones();
+  console.log(`Set the timezone of ${updated} business(es) from their location`);
+  process.exit(0);
+} catch (error) {
+  console.error('Failed to backfill business timezones:', error);
+  process.exit(1);
+}
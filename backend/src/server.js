@@ -8,10 +8,24 @@ import authRoutes from './routes/authRoutes.js';
 import businessRoutes from './routes/businessRoutes.js';
 import productRoutes from './routes/productRoutes.js';
 import geolocationRoutes from './routes/geolocationRoutes.js';
+import cartRoutes from './routes/cartRoutes.js';
+import favouriteRoutes from './routes/favouriteRoutes.js';
 import orderRoutes from './routes/orderRoutes.js';
+import checkoutRoutes from './routes/checkoutRoutes.js';
 import ratingRoutes from './routes/ratingRoutes.js';
 import notificationRoutes from './routes/notificationRoutes.js';
 import uploadRoutes from './routes/uploadRoutes.js';
+import paymentRoutes from './routes/paymentRoutes.js';
+import refundRoutes from './routes/refundRoutes.js';
+import returnRoutes from './routes/returnRoutes.js';
+import deliveryRoutes from './routes/deliveryRoutes.js';
+import messageRoutes from './routes/messageRoutes.js';
+import analyticsRoutes from './routes/analyticsRoutes.js';
+import { attachRealtimeServer } from './services/realtimeService.js';
+import { startReservationExpiry, startLowStockDigest } from './services/inventoryService.js';
+import { startPriceChangeSweep } from './services/pricingService.js';
+import { startSaleAlerts } from './services/favouriteService.js';
+import { startRefundSettlement } from './services/refundService.js';
 import { requestLogger } from './utils/logger.js';
 import { 
   enhancedErrorHandler, 
@@ -72,9 +86,18 @@ app.use(`/api/${API_VERSION}/products`, productRoutes);
 // Geolocation routes
 app.use(`/api/${API_VERSION}/geolocation`, geolocationRoutes);
 
+// Cart routes
+app.use(`/api/${API_VERSION}/cart`, cartRoutes);
+
+// Favourite routes
+app.use(`/api/${API_VERSION}/favourites`, favouriteRoutes);
+
 // Order routes
 app.use(`/api/${API_VERSION}/orders`, orderRoutes);
 
+// Checkout routes
+app.use(`/api/${API_VERSION}/checkouts`, checkoutRoutes);
+
 // Rating routes
 app.use(`/api/${API_VERSION}/ratings`, ratingRoutes);
 
@@ -84,15 +107,51 @@ app.use(`/api/${API_VERSION}/notifications`, notificationRoutes);
 // Upload routes
 app.use(`/api/${API_VERSION}/upload`, uploadRoutes);
 
+// Payment routes
+app.use(`/api/${API_VERSION}/payments`, paymentRoutes);
+
+// Refund routes
+app.use(`/api/${API_VERSION}/refunds`, refundRoutes);
+
+// Return routes
+app.use(`/api/${API_VERSION}/returns`, returnRoutes);
+
+// Delivery routes
+app.use(`/api/${API_VERSION}/delivery`, deliveryRoutes);
+
+// Message routes
+app.use(`/api/${API_VERSION}/messages`, messageRoutes);
+
+// Analytics routes
+app.use(`/api/${API_VERSION}/analytics`, analyticsRoutes);
+
 // 404 handler for undefined routes
 app.use(notFoundHandler);
 
 // Enhanced error handling middleware
 app.use(enhancedErrorHandler);
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`CoShop Backend API running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV}`);
 });
 
+// Realtime push channel for notifications, messages and order status
+await attachRealtimeServer(server);
+
+// Release stock held by orders the SME has not confirmed in time
+startReservationExpiry();
+
+// Daily digest of products below their reorder threshold
+startLowStockDigest();
+
+// Apply scheduled product price changes once they are due
+startPriceChangeSweep();
+
+// Tell consumers when products they saved go on sale
+startSaleAlerts();
+
+// Settle refunds the payment provider finishes after accepting them
+startRefundSettlement();
+
 export default app;
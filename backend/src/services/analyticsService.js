@@ -0,0 +1,453 @@
+import Joi from 'joi';
+import pool from '../config/database.js';
+import { getCached, setCached, deleteCachedPattern } from '../utils/cacheUtils.js';
+
+/**
+ * Analytics Service
+ * Aggregates orders, order items, ratings and products into business metrics
+ */
+
+// Aggregates are cached briefly and dropped whenever an order or rating changes
+const ANALYTICS_CACHE_TTL = 300;
+const DEFAULT_RANGE_DAYS = 30;
+
+// Buckets and default look-back per trend period
+const TREND_PERIODS = {
+  daily: { unit: 'day', interval: '1 day', defaultBuckets: 30 },
+  weekly: { unit: 'week', interval: '1 week', defaultBuckets: 12 },
+  monthly: { unit: 'month', interval: '1 month', defaultBuckets: 12 }
+};
+
+// Orders that count towards revenue, and whose refunds come off it
+const COUNTED_ORDER = `o.status <> 'cancelled'`;
+
+// Validation schemas
+const dateRangeSchema = Joi.object({
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso()
+});
+
+const productPerformanceSchema = dateRangeSchema.keys({
+  sortBy: Joi.string().valid('revenue', 'units', 'orders').default('revenue'),
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+const trendsSchema = dateRangeSchema.keys({
+  period: Joi.string().valid(...Object.keys(TREND_PERIODS)).default('monthly')
+});
+
+/**
+ * Validate filters and fill in the default date range
+ * Dates are whole days; the end date is inclusive.
+ */
+const validateFilters = (schema, filters, defaultDays = DEFAULT_RANGE_DAYS) => {
+  const { error, value } = schema.validate(filters, { abortEarly: false });
+  if (error) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid analytics filters',
+      details: error.details.map(d => d.message)
+    };
+  }
+
+  const endDate = value.endDate || new Date();
+  const startDate = value.startDate || new Date(endDate.getTime() - (defaultDays - 1) * 86400000);
+
+  if (startDate > endDate) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid analytics filters',
+      details: ['"startDate" must be before "endDate"']
+    };
+  }
+
+  return {
+    ...value,
+    startDate: startDate.toISOString().slice(0, 10),
+    endDate: endDate.toISOString().slice(0, 10)
+  };
+};
+
+/**
+ * Return a cached aggregate or compute and cache it
+ */
+const withCache = async (key, compute) => {
+  const cached = await getCached(key);
+  if (cached) {
+    return cached;
+  }
+
+  const result = await compute();
+  await setCached(key, result, ANALYTICS_CACHE_TTL);
+
+  return result;
+};
+
+const toNumber = (value) => (value !== null && value !== undefined ? parseFloat(value) : 0);
+const toMoney = (value) => Math.round(toNumber(value) * 100) / 100;
+
+/**
+ * Look up the owner of a business, for requireBusinessOwnership
+ */
+export const getBusinessOwnerId = async (businessId) => {
+  const result = await pool.query(
+    'SELECT owner_id FROM businesses WHERE id = $1',
+    [businessId]
+  );
+
+  if (result.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'BUSINESS_NOT_FOUND',
+      message: 'Business not found'
+    };
+  }
+
+  return result.rows[0].owner_id;
+};
+
+/**
+ * Drop cached analytics for a business after its orders or ratings change
+ */
+export const invalidateBusinessAnalytics = async (businessId) => {
+  await deleteCachedPattern(`analytics:${businessId}:*`);
+};
+
+/**
+ * Get headline metrics for a business over a date range
+ */
+export const getBusinessMetrics = async (businessId, filters = {}) => {
+  const { startDate, endDate } = validateFilters(dateRangeSchema, filters);
+
+  return withCache(`analytics:${businessId}:metrics:${startDate}:${endDate}`, async () => {
+    const values = [businessId, startDate, endDate];
+    const inRange = `o.business_id = $1 AND o.created_at >= $2::date AND o.created_at < $3::date + 1`;
+
+    const [ordersResult, itemsResult, refundsResult, ratingsResult, productsResult] = await Promise.all([
+      pool.query(
+        `SELECT COUNT(*) as total_orders,
+                COUNT(*) FILTER (WHERE o.status = 'delivered') as completed_orders,
+                COUNT(*) FILTER (WHERE o.status = 'cancelled') as cancelled_orders,
+                COUNT(*) FILTER (WHERE o.status IN ('pending', 'confirmed', 'ready', 'out_for_delivery')) as open_orders,
+                COALESCE(SUM(o.total_amount) FILTER (WHERE ${COUNTED_ORDER}), 0) as gross_revenue,
+                COALESCE(SUM(o.delivery_fee) FILTER (WHERE ${COUNTED_ORDER}), 0) as delivery_fees,
+                COUNT(DISTINCT o.consumer_id) FILTER (WHERE ${COUNTED_ORDER}) as unique_customers
+         FROM orders o
+         WHERE ${inRange}`,
+        values
+      ),
+      pool.query(
+        `SELECT COALESCE(SUM(oi.quantity), 0) as items_sold
+         FROM order_items oi
+         JOIN orders o ON oi.order_id = o.id
+         WHERE ${inRange} AND ${COUNTED_ORDER}`,
+        values
+      ),
+      pool.query(
+        `SELECT COALESCE(SUM(r.amount), 0) as refunded
+         FROM refunds r
+         JOIN orders o ON r.order_id = o.id
+         WHERE ${inRange} AND ${COUNTED_ORDER} AND r.status = 'completed'`,
+        values
+      ),
+      pool.query(
+        `SELECT AVG(r.stars) as average_rating, COUNT(*) as rating_count
+         FROM ratings r
+         JOIN orders o ON r.order_id = o.id
+         WHERE ${inRange} AND r.rating_type = 'consumer_to_sme'`,
+        values
+      ),
+      pool.query(
+        `SELECT COUNT(*) as total_products,
+                COUNT(*) FILTER (
+                  WHERE p.quantity > 0 AND p.quantity < COALESCE(p.low_stock_threshold, b.low_stock_threshold)
+                ) as low_stock_products,
+                COUNT(*) FILTER (WHERE p.quantity = 0) as out_of_stock_products
+         FROM products p
+         JOIN businesses b ON p.business_id = b.id
+         WHERE p.business_id = $1`,
+        [businessId]
+      )
+    ]);
+
+    // Customers in range who had also ordered before it
+    const returningResult = await pool.query(
+      `SELECT COUNT(DISTINCT o.consumer_id) as returning_customers
+       FROM orders o
+       WHERE ${inRange} AND ${COUNTED_ORDER}
+         AND EXISTS (
+           SELECT 1 FROM orders earlier
+           WHERE earlier.business_id = o.business_id
+             AND earlier.consumer_id = o.consumer_id
+             AND earlier.status <> 'cancelled'
+             AND earlier.created_at < $2::date
+         )`,
+      values
+    );
+
+    const orders = ordersResult.rows[0];
+    const countedOrders = parseInt(orders.total_orders, 10) - parseInt(orders.cancelled_orders, 10);
+    const grossRevenue = toMoney(orders.gross_revenue);
+    const refunded = toMoney(refundsResult.rows[0].refunded);
+    const ratings = ratingsResult.rows[0];
+    const products = productsResult.rows[0];
+
+    return {
+      businessId,
+      startDate,
+      endDate,
+      orders: {
+        total: parseInt(orders.total_orders, 10),
+        completed: parseInt(orders.completed_orders, 10),
+        cancelled: parseInt(orders.cancelled_orders, 10),
+        open: parseInt(orders.open_orders, 10)
+      },
+      revenue: {
+        gross: grossRevenue,
+        refunded,
+        net: toMoney(grossRevenue - refunded),
+        deliveryFees: toMoney(orders.delivery_fees),
+        averageOrderValue: countedOrders > 0 ? toMoney(grossRevenue / countedOrders) : 0
+      },
+      itemsSold: parseInt(itemsResult.rows[0].items_sold, 10),
+      customers: {
+        unique: parseInt(orders.unique_customers, 10),
+        returning: parseInt(returningResult.rows[0].returning_customers, 10)
+      },
+      ratings: {
+        average: ratings.average_rating !== null ? toMoney(ratings.average_rating) : null,
+        count: parseInt(ratings.rating_count, 10)
+      },
+      products: {
+        total: parseInt(products.total_products, 10),
+        lowStock: parseInt(products.low_stock_products, 10),
+        outOfStock: parseInt(products.out_of_stock_products, 10)
+      }
+    };
+  });
+};
+
+/**
+ * Get sales performance per product over a date range
+ * Products with no sales in the range are included so slow movers show up. Revenue is net of
+ * promotion discounts, as in the order export.
+ */
+export const getProductPerformance = async (businessId, filters = {}) => {
+  const { startDate, endDate, sortBy, limit } = validateFilters(productPerformanceSchema, filters);
+
+  const orderBy = {
+    revenue: 'revenue DESC',
+    units: 'units_sold DESC',
+    orders: 'order_count DESC'
+  }[sortBy];
+
+  return withCache(`analytics:${businessId}:products:${startDate}:${endDate}:${sortBy}:${limit}`, async () => {
+    const result = await pool.query(
+      `SELECT p.id, p.name, p.category, p.price, p.quantity,
+              COALESCE(SUM(sales.quantity), 0) as units_sold,
+              COALESCE(SUM(sales.quantity * sales.price_at_purchase - sales.discount_amount), 0) as revenue,
+              COUNT(DISTINCT sales.order_id) as order_count,
+              MAX(sales.created_at) as last_sold_at
+       FROM products p
+       LEFT JOIN (
+         SELECT oi.product_id, oi.order_id, oi.quantity, oi.price_at_purchase, oi.discount_amount, o.created_at
+         FROM order_items oi
+         JOIN orders o ON oi.order_id = o.id
+         WHERE o.business_id = $1 AND ${COUNTED_ORDER}
+           AND o.created_at >= $2::date AND o.created_at < $3::date + 1
+       ) sales ON sales.product_id = p.id
+       WHERE p.business_id = $1
+       GROUP BY p.id
+       ORDER BY ${orderBy}, p.name ASC
+       LIMIT $4`,
+      [businessId, startDate, endDate, limit]
+    );
+
+    const totalRevenue = result.rows.reduce((sum, row) => sum + toNumber(row.revenue), 0);
+
+    return {
+      businessId,
+      startDate,
+      endDate,
+      products: result.rows.map(row => ({
+        productId: row.id,
+        name: row.name,
+        category: row.category,
+        price: toMoney(row.price),
+        quantity: row.quantity,
+        unitsSold: parseInt(row.units_sold, 10),
+        revenue: toMoney(row.revenue),
+        revenueShare: totalRevenue > 0 ? toMoney((toNumber(row.revenue) / totalRevenue) * 100) : 0,
+        orderCount: parseInt(row.order_count, 10),
+        lastSoldAt: row.last_sold_at
+      }))
+    };
+  });
+};
+
+/**
+ * Get a breakdown of who buys from a business and how
+ * Covers new vs returning customers, delivery method, delivery cities,
+ * delivery distance and when orders are placed.
+ */
+export const getCustomerDemographics = async (businessId, filters = {}) => {
+  const { startDate, endDate } = validateFilters(dateRangeSchema, filters);
+
+  return withCache(`analytics:${businessId}:demographics:${startDate}:${endDate}`, async () => {
+    const values = [businessId, startDate, endDate];
+    const inRange = `o.business_id = $1 AND ${COUNTED_ORDER}
+      AND o.created_at >= $2::date AND o.created_at < $3::date + 1`;
+
+    const [customerResult, methodResult, cityResult, distanceResult, timingResult] = await Promise.all([
+      pool.query(
+        `SELECT COUNT(*) FILTER (WHERE first_order_at >= $2::date) as new_customers,
+                COUNT(*) FILTER (WHERE first_order_at < $2::date) as returning_customers,
+                COALESCE(AVG(order_count), 0) as orders_per_customer
+         FROM (
+           SELECT o.consumer_id, COUNT(*) as order_count,
+                  (SELECT MIN(first.created_at) FROM orders first
+                   WHERE first.business_id = $1 AND first.consumer_id = o.consumer_id
+                     AND first.status <> 'cancelled') as first_order_at
+           FROM orders o
+           WHERE ${inRange}
+           GROUP BY o.consumer_id
+         ) customers`,
+        values
+      ),
+      pool.query(
+        `SELECT o.delivery_method, COUNT(*) as order_count, COALESCE(SUM(o.total_amount), 0) as revenue
+         FROM orders o
+         WHERE ${inRange}
+         GROUP BY o.delivery_method`,
+        values
+      ),
+      pool.query(
+        `SELECT o.delivery_city as city, COUNT(*) as order_count, COUNT(DISTINCT o.consumer_id) as customers
+         FROM orders o
+         WHERE ${inRange} AND o.delivery_city IS NOT NULL
+         GROUP BY o.delivery_city
+         ORDER BY order_count DESC
+         LIMIT 10`,
+        values
+      ),
+      pool.query(
+        `SELECT CASE
+                  WHEN distance_km < 2 THEN '0-2 km'
+                  WHEN distance_km < 5 THEN '2-5 km'
+                  WHEN distance_km < 10 THEN '5-10 km'
+                  ELSE '10+ km'
+                END as bucket,
+                COUNT(*) as order_count
+         FROM (
+           SELECT ST_Distance(o.delivery_location, b.location) / 1000 as distance_km
+           FROM orders o
+           JOIN businesses b ON o.business_id = b.id
+           WHERE ${inRange} AND o.delivery_location IS NOT NULL AND b.location IS NOT NULL
+         ) distances
+         GROUP BY bucket
+         ORDER BY MIN(distance_km)`,
+        values
+      ),
+      pool.query(
+        `SELECT EXTRACT(DOW FROM o.created_at)::int as day_of_week,
+                EXTRACT(HOUR FROM o.created_at)::int as hour,
+                COUNT(*) as order_count
+         FROM orders o
+         WHERE ${inRange}
+         GROUP BY day_of_week, hour`,
+        values
+      )
+    ]);
+
+    const customers = customerResult.rows[0];
+    const byDayOfWeek = Array(7).fill(0);
+    const byHour = Array(24).fill(0);
+    timingResult.rows.forEach(row => {
+      byDayOfWeek[row.day_of_week] += parseInt(row.order_count, 10);
+      byHour[row.hour] += parseInt(row.order_count, 10);
+    });
+
+    return {
+      businessId,
+      startDate,
+      endDate,
+      customers: {
+        new: parseInt(customers.new_customers, 10),
+        returning: parseInt(customers.returning_customers, 10),
+        averageOrdersPerCustomer: toMoney(customers.orders_per_customer)
+      },
+      deliveryMethods: methodResult.rows.map(row => ({
+        method: row.delivery_method,
+        orderCount: parseInt(row.order_count, 10),
+        revenue: toMoney(row.revenue)
+      })),
+      topCities: cityResult.rows.map(row => ({
+        city: row.city,
+        orderCount: parseInt(row.order_count, 10),
+        customers: parseInt(row.customers, 10)
+      })),
+      deliveryDistances: distanceResult.rows.map(row => ({
+        range: row.bucket,
+        orderCount: parseInt(row.order_count, 10)
+      })),
+      // Sunday first, as returned by EXTRACT(DOW)
+      ordersByDayOfWeek: byDayOfWeek,
+      ordersByHour: byHour
+    };
+  });
+};
+
+/**
+ * Get order and revenue totals per day, week or month
+ * Every bucket in the range is returned, including those without orders.
+ */
+export const getSalesTrends = async (businessId, filters = {}) => {
+  const period = TREND_PERIODS[filters.period] || TREND_PERIODS.monthly;
+  const defaultDays = {
+    day: period.defaultBuckets,
+    week: period.defaultBuckets * 7,
+    month: period.defaultBuckets * 31
+  }[period.unit];
+  const { startDate, endDate, period: periodName } = validateFilters(trendsSchema, filters, defaultDays);
+
+  return withCache(`analytics:${businessId}:trends:${periodName}:${startDate}:${endDate}`, async () => {
+    const result = await pool.query(
+      `SELECT buckets.bucket,
+              COUNT(o.id) as order_count,
+              COALESCE(SUM(o.total_amount), 0) as revenue,
+              COUNT(DISTINCT o.consumer_id) as customers,
+              COALESCE(SUM(items.units), 0) as items_sold
+       FROM generate_series(
+              date_trunc($4, $2::timestamp),
+              date_trunc($4, $3::timestamp),
+              $5::interval
+            ) as buckets(bucket)
+       LEFT JOIN orders o
+         ON o.business_id = $1 AND ${COUNTED_ORDER}
+        AND date_trunc($4, o.created_at) = buckets.bucket
+        AND o.created_at >= $2::date AND o.created_at < $3::date + 1
+       LEFT JOIN (
+         SELECT order_id, SUM(quantity) as units FROM order_items GROUP BY order_id
+       ) items ON items.order_id = o.id
+       GROUP BY buckets.bucket
+       ORDER BY buckets.bucket ASC`,
+      [businessId, startDate, endDate, period.unit, period.interval]
+    );
+
+    return {
+      businessId,
+      period: periodName,
+      startDate,
+      endDate,
+      trends: result.rows.map(row => ({
+        periodStart: row.bucket,
+        orderCount: parseInt(row.order_count, 10),
+        revenue: toMoney(row.revenue),
+        customers: parseInt(row.customers, 10),
+        itemsSold: parseInt(row.items_sold, 10)
+      }))
+    };
+  });
+};
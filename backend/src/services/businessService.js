@@ -1,6 +1,7 @@
 import Joi from 'joi';
 import pool from '../config/database.js';
 import { geocodeAddress, validateCoordinates } from '../utils/geocodingUtils.js';
+import { isValidTimeZone, getOpeningStatus, getTimeZoneAt } from '../utils/businessHoursUtils.js';
 
 /**
  * Business Service
@@ -8,6 +9,27 @@ import { geocodeAddress, validateCoordinates } from '../utils/geocodingUtils.js'
  */
 
 // Validation schemas
+// A close time at or before the open time means closing after midnight
+const operatingHoursSchema = Joi.array().items(
+  Joi.object({
+    day: Joi.string().valid('monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday').required(),
+    open: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).required(),
+    close: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).required(),
+    closed: Joi.boolean()
+  })
+).unique('day');
+
+const holidayClosuresSchema = Joi.array().items(
+  Joi.object({
+    date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required(),
+    note: Joi.string().max(255).allow('')
+  })
+).unique('date').max(366);
+
+const timezoneSchema = Joi.string().max(64).custom((value, helpers) =>
+  isValidTimeZone(value) ? value : helpers.message('timezone must be a valid IANA timezone, e.g. Europe/London')
+);
+
 const businessRegistrationSchema = Joi.object({
   name: Joi.string().min(2).max(255).required(),
   description: Joi.string().allow('').max(5000),
@@ -17,14 +39,9 @@ const businessRegistrationSchema = Joi.object({
   country: Joi.string().required(),
   contactEmail: Joi.string().email().required(),
   contactPhone: Joi.string().required(),
-  operatingHours: Joi.array().items(
-    Joi.object({
-      day: Joi.string().valid('monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday').required(),
-      open: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).required(),
-      close: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).required(),
-      closed: Joi.boolean()
-    })
-  ).optional()
+  timezone: timezoneSchema,
+  operatingHours: operatingHoursSchema.optional(),
+  holidayClosures: holidayClosuresSchema.optional()
 });
 
 const businessUpdateSchema = Joi.object({
@@ -36,16 +53,32 @@ const businessUpdateSchema = Joi.object({
   country: Joi.string(),
   contactEmail: Joi.string().email(),
   contactPhone: Joi.string(),
-  operatingHours: Joi.array().items(
-    Joi.object({
-      day: Joi.string().valid('monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday').required(),
-      open: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).required(),
-      close: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).required(),
-      closed: Joi.boolean()
-    })
-  )
+  // Default reorder point for products without their own threshold
+  lowStockThreshold: Joi.number().integer().min(0),
+  // Minutes after confirmation during which customers may still cancel
+  cancellationWindowMinutes: Joi.number().integer().min(0).max(10080),
+  timezone: timezoneSchema,
+  operatingHours: operatingHoursSchema,
+  holidayClosures: holidayClosuresSchema,
+  pickupSlotMinutes: Joi.number().integer().min(5).max(240),
+  // Pickup orders accepted per slot; null stops scheduling pickups
+  pickupSlotCapacity: Joi.number().integer().min(1).allow(null)
 }).min(1);
 
+// Opening hours and pickup settings shared by the business queries
+export const BUSINESS_HOURS_COLUMNS = 'timezone, operating_hours, holiday_closures, pickup_slot_minutes, pickup_slot_capacity';
+
+/**
+ * Map the opening hours and pickup settings of a businesses row to the API shape
+ */
+export const formatBusinessHours = (business) => ({
+  timezone: business.timezone,
+  operatingHours: business.operating_hours,
+  holidayClosures: business.holiday_closures,
+  pickupSlotMinutes: business.pickup_slot_minutes,
+  pickupSlotCapacity: business.pickup_slot_capacity
+});
+
 /**
  * Register a new business
  */
@@ -108,11 +141,16 @@ export const registerBusiness = async (ownerId, businessData) => {
     const businessResult = await client.query(
       `INSERT INTO businesses (
         owner_id, name, description, business_type, location, address, city, country,
-        contact_email, contact_phone, verified, rating, total_ratings, created_at, updated_at
-      ) VALUES ($1, $2, $3, $4, ST_GeogFromText($5), $6, $7, $8, $9, $10, $11, $12, $13, NOW(), NOW())
+        contact_email, contact_phone, timezone, operating_hours, holiday_closures,
+        verified, rating, total_ratings, created_at, updated_at
+      ) VALUES (
+        $1, $2, $3, $4, ST_GeogFromText($5), $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, NOW(), NOW()
+      )
       RETURNING id, owner_id, name, description, business_type, 
                 ST_Y(location::geometry) as latitude, ST_X(location::geometry) as longitude,
-                address, city, country, contact_email, contact_phone, verified, rating, total_ratings, created_at`,
+                address, city, country, contact_email, contact_phone, low_stock_threshold, cancellation_window_minutes,
+                ${BUSINESS_HOURS_COLUMNS},
+                verified, rating, total_ratings, created_at`,
       [
         ownerId,
         value.name,
@@ -124,6 +162,10 @@ export const registerBusiness = async (ownerId, businessData) => {
         value.country,
         value.contactEmail,
         value.contactPhone,
+        // Hours are in local time, so without a timezone of its own the business takes its location's
+        value.timezone || getTimeZoneAt(coordinates.latitude, coordinates.longitude) || 'UTC',
+        JSON.stringify(value.operatingHours || []),
+        JSON.stringify(value.holidayClosures || []),
         false, // verified
         0,     // rating
         0,     // total_ratings
@@ -151,10 +193,12 @@ export const registerBusiness = async (ownerId, businessData) => {
         email: business.contact_email,
         phone: business.contact_phone
       },
+      lowStockThreshold: business.low_stock_threshold,
+      cancellationWindowMinutes: business.cancellation_window_minutes,
+      ...formatBusinessHours(business),
       verified: business.verified,
       rating: parseFloat(business.rating),
       totalRatings: business.total_ratings,
-      operatingHours: value.operatingHours || [],
       createdAt: business.created_at
     };
 
@@ -173,7 +217,8 @@ export const getBusinessById = async (businessId) => {
   const result = await pool.query(
     `SELECT id, owner_id, name, description, business_type,
             ST_Y(location::geometry) as latitude, ST_X(location::geometry) as longitude,
-            address, city, country, contact_email, contact_phone, 
+            address, city, country, contact_email, contact_phone, low_stock_threshold, cancellation_window_minutes,
+            ${BUSINESS_HOURS_COLUMNS},
             verified, rating, total_ratings, created_at, updated_at
      FROM businesses
      WHERE id = $1`,
@@ -189,6 +234,7 @@ export const getBusinessById = async (businessId) => {
   }
 
   const business = result.rows[0];
+  const hours = formatBusinessHours(business);
   
   return {
     id: business.id,
@@ -207,6 +253,10 @@ export const getBusinessById = async (businessId) => {
       email: business.contact_email,
       phone: business.contact_phone
     },
+    lowStockThreshold: business.low_stock_threshold,
+    cancellationWindowMinutes: business.cancellation_window_minutes,
+    ...hours,
+    openingStatus: getOpeningStatus(hours),
     verified: business.verified,
     rating: parseFloat(business.rating),
     totalRatings: business.total_ratings,
@@ -237,7 +287,9 @@ export const updateBusiness = async (businessId, ownerId, updateData) => {
 
     // Check if business exists and user is the owner
     const businessResult = await client.query(
-      'SELECT id, owner_id FROM businesses WHERE id = $1',
+      `SELECT id, owner_id, timezone,
+              ST_Y(location::geometry) as latitude, ST_X(location::geometry) as longitude
+       FROM businesses WHERE id = $1`,
       [businessId]
     );
 
@@ -287,7 +339,43 @@ export const updateBusiness = async (businessId, ownerId, updateData) => {
       values.push(value.contactPhone);
     }
 
+    if (value.lowStockThreshold !== undefined) {
+      updates.push(`low_stock_threshold = $${paramCount++}`);
+      values.push(value.lowStockThreshold);
+    }
+
+    if (value.cancellationWindowMinutes !== undefined) {
+      updates.push(`cancellation_window_minutes = $${paramCount++}`);
+      values.push(value.cancellationWindowMinutes);
+    }
+
+    if (value.timezone !== undefined) {
+      updates.push(`timezone = $${paramCount++}`);
+      values.push(value.timezone);
+    }
+
+    if (value.operatingHours !== undefined) {
+      updates.push(`operating_hours = $${paramCount++}`);
+      values.push(JSON.stringify(value.operatingHours));
+    }
+
+    if (value.holidayClosures !== undefined) {
+      updates.push(`holiday_closures = $${paramCount++}`);
+      values.push(JSON.stringify(value.holidayClosures));
+    }
+
+    if (value.pickupSlotMinutes !== undefined) {
+      updates.push(`pickup_slot_minutes = $${paramCount++}`);
+      values.push(value.pickupSlotMinutes);
+    }
+
+    if (value.pickupSlotCapacity !== undefined) {
+      updates.push(`pickup_slot_capacity = $${paramCount++}`);
+      values.push(value.pickupSlotCapacity);
+    }
+
     // Handle location update if address, city, or country changed
+    let coordinates = null;
     if (value.address || value.city || value.country) {
       // Get current location data
       const currentBusiness = await client.query(
@@ -301,7 +389,6 @@ export const updateBusiness = async (businessId, ownerId, updateData) => {
       const newCountry = value.country || currentData.country;
 
       // Geocode the new address
-      let coordinates;
       try {
         coordinates = await geocodeAddress(newAddress, newCity, newCountry);
       } catch (geocodeError) {
@@ -334,6 +421,29 @@ export const updateBusiness = async (businessId, ownerId, updateData) => {
       }
     }
 
+    // Hours are in local time, so unless the owner picks a timezone it follows the business's
+    // location: when the business moves, and when hours are set on one still on the UTC default
+    if (value.timezone === undefined) {
+      const current = businessResult.rows[0];
+      const hoursNeedTimeZone = value.operatingHours?.length > 0 && current.timezone === 'UTC';
+
+      if (coordinates || hoursNeedTimeZone) {
+        const location = coordinates || (current.latitude !== null ? current : null);
+        const timeZone = location && getTimeZoneAt(location.latitude, location.longitude);
+
+        if (timeZone) {
+          updates.push(`timezone = $${paramCount++}`);
+          values.push(timeZone);
+        } else if (hoursNeedTimeZone) {
+          throw {
+            status: 400,
+            code: 'TIMEZONE_REQUIRED',
+            message: 'Set the business timezone, or its address, before adding operating hours'
+          };
+        }
+      }
+    }
+
     if (updates.length === 0) {
       throw {
         status: 400,
@@ -352,7 +462,8 @@ export const updateBusiness = async (businessId, ownerId, updateData) => {
       WHERE id = $${paramCount}
       RETURNING id, owner_id, name, description, business_type,
                 ST_Y(location::geometry) as latitude, ST_X(location::geometry) as longitude,
-                address, city, country, contact_email, contact_phone,
+                address, city, country, contact_email, contact_phone, low_stock_threshold, cancellation_window_minutes,
+                ${BUSINESS_HOURS_COLUMNS},
                 verified, rating, total_ratings, created_at, updated_at
     `;
 
@@ -379,6 +490,9 @@ export const updateBusiness = async (businessId, ownerId, updateData) => {
         email: business.contact_email,
         phone: business.contact_phone
       },
+      lowStockThreshold: business.low_stock_threshold,
+      cancellationWindowMinutes: business.cancellation_window_minutes,
+      ...formatBusinessHours(business),
       verified: business.verified,
       rating: parseFloat(business.rating),
       totalRatings: business.total_ratings,
@@ -447,7 +561,8 @@ export const getBusinessesByOwner = async (ownerId) => {
   const result = await pool.query(
     `SELECT id, owner_id, name, description, business_type,
             ST_Y(location::geometry) as latitude, ST_X(location::geometry) as longitude,
-            address, city, country, contact_email, contact_phone,
+            address, city, country, contact_email, contact_phone, low_stock_threshold, cancellation_window_minutes,
+            ${BUSINESS_HOURS_COLUMNS},
             verified, rating, total_ratings, created_at, updated_at
      FROM businesses
      WHERE owner_id = $1
@@ -472,6 +587,9 @@ export const getBusinessesByOwner = async (ownerId) => {
       email: business.contact_email,
       phone: business.contact_phone
     },
+    lowStockThreshold: business.low_stock_threshold,
+    cancellationWindowMinutes: business.cancellation_window_minutes,
+    ...formatBusinessHours(business),
     verified: business.verified,
     rating: parseFloat(business.rating),
     totalRatings: business.total_ratings,
@@ -479,3 +597,34 @@ export const getBusinessesByOwner = async (ownerId) => {
     updatedAt: business.updated_at
   }));
 };
+
+/**
+ * Take the timezone of businesses still on the UTC default from their location
+ * For businesses registered before the timezone was derived. Run it once: an owner may have
+ * chosen UTC on purpose since.
+ * @returns {Promise<number>} Number of businesses updated
+ */
+export const backfillBusinessTimeZones = async () => {
+  const result = await pool.query(
+    `SELECT id, ST_Y(location::geometry) as latitude, ST_X(location::geometry) as longitude
+     FROM businesses
+     WHERE timezone = 'UTC' AND location IS NOT NULL`
+  );
+
+  let updated = 0;
+
+  for (const business of result.rows) {
+    const timeZone = getTimeZoneAt(business.latitude, business.longitude);
+    if (!timeZone || timeZone === 'UTC') {
+      continue;
+    }
+
+    await pool.query(
+      `UPDATE businesses SET timezone = $1, updated_at = NOW() WHERE id = $2 AND timezone = 'UTC'`,
+      [timeZone, business.id]
+    );
+    updated++;
+  }
+
+  return updated;
+};
@@ -0,0 +1,429 @@
+import Joi from 'joi';
+import pool from '../config/database.js';
+import { EFFECTIVE_PRICE, PRICE_COLUMNS, formatPricing } from './pricingService.js';
+
+/**
+ * Cart Service
+ * Keeps each consumer's cart on the server so it survives reloads and follows them across
+ * devices. Prices and stock are read fresh every time, so the cart shows what changed since
+ * items were added.
+ */
+
+// Stands in for "no variant" in the cart line's unique index
+const CART_LINE_CONFLICT = `(consumer_id, product_id, COALESCE(variant_id, '00000000-0000-0000-0000-000000000000'::uuid))`;
+
+// Columns formatCartItem reads besides the line's own; expects products as p, businesses as b
+// and the line's variant as v
+const CART_PRODUCT_COLUMNS = `p.business_id, p.name, ${PRICE_COLUMNS}, p.quantity AS product_quantity,
+            p.reserved_quantity AS product_reserved,
+            p.category, p.images,
+            (SELECT COUNT(*) FROM product_variants pv WHERE pv.product_id = p.id)::int AS variant_count,
+            b.name AS business_name,
+            v.options AS variant_options, v.price AS variant_price, v.quantity AS variant_quantity,
+            v.reserved_quantity AS variant_reserved, v.images AS variant_images`;
+
+// Validation schemas
+const cartItemSchema = Joi.object({
+  productId: Joi.string().uuid().required(),
+  // Required for products that have variants
+  variantId: Joi.string().uuid().allow(null),
+  // Sets the line's quantity; 0 removes it
+  quantity: Joi.number().integer().min(0).max(999).required()
+});
+
+const cartMergeSchema = Joi.object({
+  items: Joi.array().items(Joi.object({
+    productId: Joi.string().uuid().required(),
+    variantId: Joi.string().uuid().allow(null),
+    quantity: Joi.number().integer().min(1).max(999).required(),
+    // Price shown in the anonymous cart, so rises since are flagged after login
+    unitPrice: Joi.number().min(0)
+  })).max(100).required()
+});
+
+/**
+ * Whether a cart line can be checked out as it stands
+ * 'unavailable' means the product now has options and one must be chosen.
+ */
+const getCartItemStatus = (row, availableQuantity) => {
+  if (!row.variant_id && row.variant_count > 0) {
+    return 'unavailable';
+  }
+  if (availableQuantity === 0) {
+    return 'sold_out';
+  }
+  if (row.quantity > availableQuantity) {
+    return 'insufficient_stock';
+  }
+  return 'available';
+};
+
+/**
+ * Format a cart line with its product's current price and stock
+ * product and variant have the same shape the client cart keeps for lines added while signed out.
+ */
+const formatCartItem = (row) => {
+  const pricing = formatPricing(row);
+  const unitPrice = row.variant_id && row.variant_price !== null ? parseFloat(row.variant_price) : pricing.price;
+  const addedPrice = parseFloat(row.unit_price);
+  const availableQuantity = row.variant_id
+    ? Math.max(row.variant_quantity - row.variant_reserved, 0)
+    : Math.max(row.product_quantity - row.product_reserved, 0);
+
+  return {
+    id: row.id,
+    key: `${row.product_id}:${row.variant_id || ''}`,
+    product: {
+      id: row.product_id,
+      businessId: row.business_id,
+      businessName: row.business_name,
+      name: row.name,
+      ...pricing,
+      quantity: row.product_quantity,
+      category: row.category,
+      images: row.images
+    },
+    variant: row.variant_id
+      ? {
+        id: row.variant_id,
+        options: row.variant_options,
+        price: unitPrice,
+        quantity: row.variant_quantity,
+        images: row.variant_images
+      }
+      : null,
+    quantity: row.quantity,
+    unitPrice,
+    addedPrice,
+    priceChanged: unitPrice !== addedPrice,
+    availableQuantity,
+    status: getCartItemStatus(row, availableQuantity)
+  };
+};
+
+/**
+ * Current unit price of a product, or of one of its variants
+ * Products with variants must be added by variant; products without must not name one.
+ */
+const getCurrentUnitPrice = async (db, productId, variantId) => {
+  const result = await db.query(
+    `SELECT p.name, ${EFFECTIVE_PRICE} AS price, v.id AS variant_id, v.price AS variant_price,
+            EXISTS (SELECT 1 FROM product_variants WHERE product_id = p.id) AS has_variants
+     FROM products p
+     LEFT JOIN product_variants v ON v.id = $2 AND v.product_id = p.id
+     WHERE p.id = $1`,
+    [productId, variantId || null]
+  );
+
+  if (result.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'PRODUCT_NOT_FOUND',
+      message: 'Product not found'
+    };
+  }
+
+  const product = result.rows[0];
+
+  if (variantId && !product.variant_id) {
+    throw {
+      status: 404,
+      code: 'VARIANT_NOT_FOUND',
+      message: `The selected option for product "${product.name}" is no longer available`
+    };
+  }
+
+  if (!variantId && product.has_variants) {
+    throw {
+      status: 400,
+      code: 'VARIANT_REQUIRED',
+      message: `Choose an option for product "${product.name}"`
+    };
+  }
+
+  return parseFloat(product.variant_price !== null && product.variant_id ? product.variant_price : product.price);
+};
+
+/**
+ * Get a consumer's cart, revalidated against current prices and stock
+ */
+export const getCart = async (consumerId) => {
+  const result = await pool.query(
+    `SELECT ci.id, ci.product_id, ci.variant_id, ci.quantity, ci.unit_price,
+            ${CART_PRODUCT_COLUMNS}
+     FROM cart_items ci
+     JOIN products p ON ci.product_id = p.id
+     JOIN businesses b ON p.business_id = b.id
+     LEFT JOIN product_variants v ON ci.variant_id = v.id
+     WHERE ci.consumer_id = $1
+     ORDER BY ci.created_at, ci.id`,
+    [consumerId]
+  );
+
+  const items = result.rows.map(formatCartItem);
+
+  return {
+    items,
+    itemCount: items.reduce((count, item) => count + item.quantity, 0),
+    subtotal: Math.round(items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0) * 100) / 100,
+    hasChanges: items.some(item => item.priceChanged || item.status !== 'available')
+  };
+};
+
+/**
+ * Set the quantity of a product, or one of its variants, in a consumer's cart
+ * The line's price is taken afresh, so a price change it was flagged for is cleared.
+ */
+export const setCartItem = async (consumerId, itemData) => {
+  const { error, value } = cartItemSchema.validate(itemData, { abortEarly: false });
+  if (error) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid cart item data',
+      details: error.details.map(d => d.message)
+    };
+  }
+
+  const variantId = value.variantId || null;
+
+  if (value.quantity === 0) {
+    await pool.query(
+      `DELETE FROM cart_items
+       WHERE consumer_id = $1 AND product_id = $2 AND variant_id IS NOT DISTINCT FROM $3`,
+      [consumerId, value.productId, variantId]
+    );
+    return getCart(consumerId);
+  }
+
+  const unitPrice = await getCurrentUnitPrice(pool, value.productId, variantId);
+
+  await pool.query(
+    `INSERT INTO cart_items (consumer_id, product_id, variant_id, quantity, unit_price)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT ${CART_LINE_CONFLICT}
+     DO UPDATE SET quantity = EXCLUDED.quantity, unit_price = EXCLUDED.unit_price`,
+    [consumerId, value.productId, variantId, value.quantity, unitPrice]
+  );
+
+  return getCart(consumerId);
+};
+
+/**
+ * Merge a cart built while signed out into a consumer's saved cart
+ * Quantities of lines already saved are added together. Lines whose product or option no
+ * longer exists are left out and returned as skipped.
+ */
+export const mergeCart = async (consumerId, mergeData) => {
+  const { error, value } = cartMergeSchema.validate(mergeData, { abortEarly: false });
+  if (error) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid cart data',
+      details: error.details.map(d => d.message)
+    };
+  }
+
+  const client = await pool.connect();
+  const skipped = [];
+
+  try {
+    await client.query('BEGIN');
+
+    for (const item of value.items) {
+      const variantId = item.variantId || null;
+      let currentPrice;
+
+      try {
+        currentPrice = await getCurrentUnitPrice(client, item.productId, variantId);
+      } catch (lineError) {
+        if (!lineError.status) {
+          throw lineError;
+        }
+        skipped.push({ productId: item.productId, variantId, code: lineError.code, message: lineError.message });
+        continue;
+      }
+
+      // The anonymous cart's price comes from the client, so it can flag a rise since but
+      // never a drop that didn't happen
+      const addedPrice = Math.min(item.unitPrice ?? currentPrice, currentPrice);
+
+      await client.query(
+        `INSERT INTO cart_items (consumer_id, product_id, variant_id, quantity, unit_price)
+         VALUES ($1, $2, $3, LEAST($4, 999), $5)
+         ON CONFLICT ${CART_LINE_CONFLICT}
+         DO UPDATE SET quantity = LEAST(cart_items.quantity + EXCLUDED.quantity, 999)`,
+        [consumerId, item.productId, variantId, item.quantity, addedPrice]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return {
+    cart: await getCart(consumerId),
+    skipped
+  };
+};
+
+/**
+ * Remove a line from a consumer's cart
+ */
+export const removeCartItem = async (consumerId, itemId) => {
+  const result = await pool.query(
+    'DELETE FROM cart_items WHERE id = $1 AND consumer_id = $2 RETURNING id',
+    [itemId, consumerId]
+  );
+
+  if (result.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'CART_ITEM_NOT_FOUND',
+      message: 'Cart item not found'
+    };
+  }
+
+  return getCart(consumerId);
+};
+
+/**
+ * Empty a consumer's cart
+ */
+export const clearCart = async (consumerId) => {
+  await pool.query('DELETE FROM cart_items WHERE consumer_id = $1', [consumerId]);
+  return getCart(consumerId);
+};
+
+/**
+ * Describe why a past order's line can't be bought again as it was, or null if it can
+ */
+const getReorderProblem = (row, item) => {
+  if (!row.variant_id && row.ordered_options) {
+    return {
+      code: 'VARIANT_NOT_FOUND',
+      message: `The option you ordered of "${row.name}" is no longer available`
+    };
+  }
+  if (item.status === 'unavailable') {
+    return {
+      code: 'VARIANT_REQUIRED',
+      message: `"${row.name}" now comes in options; choose one on its page`
+    };
+  }
+  if (item.status === 'sold_out') {
+    return {
+      code: 'PRODUCT_OUT_OF_STOCK',
+      message: `"${row.name}" is out of stock`
+    };
+  }
+  if (item.status === 'insufficient_stock') {
+    return {
+      code: 'INSUFFICIENT_INVENTORY',
+      message: `Only ${item.availableQuantity} of "${row.name}" left, so the quantity was reduced`
+    };
+  }
+  return null;
+};
+
+/**
+ * Get a consumer's past order as cart lines to buy again, revalidated against current prices and stock
+ * Nothing is saved; the client adds the returned items to the cart. Lines that can't be bought are
+ * reported as unavailable, lines with less stock than ordered are cut down to what's left, and
+ * lines whose price moved since the order are reported with the price paid.
+ */
+export const getReorderCart = async (orderId, consumerId) => {
+  const orderResult = await pool.query(
+    'SELECT id, consumer_id FROM orders WHERE id = $1',
+    [orderId]
+  );
+
+  if (orderResult.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'ORDER_NOT_FOUND',
+      message: 'Order not found'
+    };
+  }
+
+  if (orderResult.rows[0].consumer_id !== consumerId) {
+    throw {
+      status: 403,
+      code: 'FORBIDDEN',
+      message: 'You do not have permission to reorder this order'
+    };
+  }
+
+  // Lines of one product and option are combined; replacement orders were free, so they have no price paid
+  const result = await pool.query(
+    `SELECT ol.product_id, ol.variant_id, ol.ordered_options, ol.quantity, ol.unit_price,
+            ${CART_PRODUCT_COLUMNS}
+     FROM (
+       SELECT oi.product_id, oi.variant_id, oi.variant_options AS ordered_options,
+              SUM(oi.quantity)::int AS quantity, NULLIF(MAX(oi.price_at_purchase), 0) AS unit_price,
+              MIN(oi.created_at) AS created_at
+       FROM order_items oi
+       WHERE oi.order_id = $1
+       GROUP BY oi.product_id, oi.variant_id, oi.variant_options
+     ) ol
+     JOIN products p ON ol.product_id = p.id
+     JOIN businesses b ON p.business_id = b.id
+     LEFT JOIN product_variants v ON ol.variant_id = v.id
+     ORDER BY ol.created_at`,
+    [orderId]
+  );
+
+  const items = [];
+  const unavailable = [];
+  const priceChanges = [];
+
+  for (const row of result.rows) {
+    const line = formatCartItem(row);
+    const item = row.unit_price === null ? { ...line, addedPrice: line.unitPrice, priceChanged: false } : line;
+    const problem = getReorderProblem(row, item);
+
+    if (problem) {
+      unavailable.push({
+        productId: row.product_id,
+        variantId: row.variant_id,
+        name: row.name,
+        variantOptions: row.ordered_options,
+        quantity: row.quantity,
+        availableQuantity: item.availableQuantity,
+        ...problem
+      });
+    }
+
+    if (problem && problem.code !== 'INSUFFICIENT_INVENTORY') {
+      continue;
+    }
+
+    if (item.priceChanged) {
+      priceChanges.push({
+        productId: row.product_id,
+        variantId: row.variant_id,
+        name: row.name,
+        variantOptions: row.ordered_options,
+        previousPrice: item.addedPrice,
+        currentPrice: item.unitPrice
+      });
+    }
+
+    const quantity = Math.min(item.quantity, item.availableQuantity);
+    items.push({ ...item, quantity, status: 'available' });
+  }
+
+  return {
+    orderId,
+    items,
+    unavailable,
+    priceChanges,
+    itemCount: items.reduce((count, item) => count + item.quantity, 0),
+    subtotal: Math.round(items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0) * 100) / 100
+  };
+};
@@ -0,0 +1,114 @@
+import pool from '../config/database.js';
+import { getOrderById } from './orderService.js';
+
+/**
+ * Checkout Service
+ * A checkout is one cart checked out in one go; it groups the per-business orders the cart
+ * was split into and is paid with a single combined payment
+ */
+
+const PAID_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+/**
+ * Payment status of a checkout as a whole, from its orders that weren't cancelled
+ * 'partially_paid' means some businesses' orders are paid and others are still open.
+ */
+const getCheckoutPaymentStatus = (orders) => {
+  const active = orders.filter(order => order.status !== 'cancelled');
+  if (active.length === 0) {
+    return 'cancelled';
+  }
+
+  const paid = active.filter(order => PAID_STATUSES.includes(order.paymentStatus)).length;
+  if (paid === active.length) {
+    return 'completed';
+  }
+  if (paid > 0) {
+    return 'partially_paid';
+  }
+  return active.some(order => order.paymentStatus === 'failed') ? 'failed' : 'pending';
+};
+
+/**
+ * Get a checkout with its orders and what each business is settled (consumer who placed it)
+ */
+export const getCheckoutById = async (checkoutId, consumerId) => {
+  const checkoutResult = await pool.query(
+    'SELECT id, consumer_id, total_amount, created_at FROM checkouts WHERE id = $1',
+    [checkoutId]
+  );
+
+  if (checkoutResult.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'CHECKOUT_NOT_FOUND',
+      message: 'Checkout not found'
+    };
+  }
+
+  const checkout = checkoutResult.rows[0];
+
+  if (checkout.consumer_id !== consumerId) {
+    throw {
+      status: 403,
+      code: 'FORBIDDEN',
+      message: 'You do not have permission to view this checkout'
+    };
+  }
+
+  const orderIdsResult = await pool.query(
+    `SELECT o.id
+     FROM orders o
+     JOIN businesses b ON o.business_id = b.id
+     WHERE o.checkout_id = $1
+     ORDER BY b.name`,
+    [checkoutId]
+  );
+
+  const orders = await Promise.all(
+    orderIdsResult.rows.map(order => getOrderById(order.id, consumerId))
+  );
+
+  // The completed payment of each order is its business's share of the combined payment
+  const paymentsResult = await pool.query(
+    `SELECT DISTINCT ON (order_id) order_id, amount, refunded_amount, status, completed_at
+     FROM payments
+     WHERE order_id = ANY($1) AND status = ANY($2)
+     ORDER BY order_id, completed_at DESC`,
+    [orders.map(order => order.id), PAID_STATUSES]
+  );
+
+  const paymentsByOrder = {};
+  paymentsResult.rows.forEach(payment => {
+    paymentsByOrder[payment.order_id] = payment;
+  });
+
+  const settlements = orders.map(order => {
+    const payment = paymentsByOrder[order.id];
+    const paidAmount = payment ? parseFloat(payment.amount) : 0;
+    const refundedAmount = payment ? parseFloat(payment.refunded_amount) : 0;
+
+    return {
+      orderId: order.id,
+      businessId: order.businessId,
+      businessName: order.businessName,
+      orderStatus: order.status,
+      paymentStatus: order.paymentStatus,
+      paidAmount,
+      refundedAmount,
+      // What the business keeps after refunds
+      settledAmount: Math.round((paidAmount - refundedAmount) * 100) / 100,
+      paidAt: payment?.completed_at || null
+    };
+  });
+
+  return {
+    id: checkout.id,
+    consumerId: checkout.consumer_id,
+    totalAmount: parseFloat(checkout.total_amount),
+    paymentStatus: getCheckoutPaymentStatus(orders),
+    orders,
+    settlements,
+    createdAt: checkout.created_at
+  };
+};
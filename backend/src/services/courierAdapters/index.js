@@ -0,0 +1,37 @@
+import selfDeliveryAdapter from './selfDeliveryAdapter.js';
+import simulatedCourierAdapter from './simulatedCourierAdapter.js';
+
+/**
+ * Courier Adapter Registry
+ * Each adapter implements quote, book and cancel. Couriers that report their
+ * own progress also implement track and/or parseCallback.
+ */
+
+const adapters = {
+  [selfDeliveryAdapter.name]: selfDeliveryAdapter,
+  [simulatedCourierAdapter.name]: simulatedCourierAdapter
+};
+
+/**
+ * Get a courier adapter by name
+ */
+export const getCourierAdapter = (name) => {
+  const adapter = adapters[name];
+
+  if (!adapter || !adapter.isEnabled()) {
+    throw {
+      status: 400,
+      code: 'UNKNOWN_COURIER',
+      message: `Delivery service "${name}" is not available`
+    };
+  }
+
+  return adapter;
+};
+
+/**
+ * Get all couriers that are enabled in this environment
+ */
+export const getEnabledCourierAdapters = () => {
+  return Object.values(adapters).filter(adapter => adapter.isEnabled());
+};
@@ -0,0 +1,43 @@
+/**
+ * Self-Delivery Adapter
+ * The SME delivers the order with its own staff and reports progress itself
+ */
+
+const selfDeliveryAdapter = {
+  name: 'self',
+  displayName: 'Self-delivery by business',
+  manualStatusUpdates: true,
+
+  isEnabled: () => true,
+
+  /**
+   * Quote a delivery for an order
+   */
+  quote: async () => {
+    return {
+      fee: 0,
+      estimatedMinutes: null
+    };
+  },
+
+  /**
+   * Book a delivery
+   */
+  book: async () => {
+    return {
+      externalId: null,
+      status: 'booked',
+      trackingUrl: null,
+      estimatedDeliveryAt: null
+    };
+  },
+
+  /**
+   * Cancel a booked delivery
+   */
+  cancel: async () => {
+    return { status: 'cancelled' };
+  }
+};
+
+export default selfDeliveryAdapter;
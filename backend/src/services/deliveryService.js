@@ -0,0 +1,578 @@
+import Joi from 'joi';
+import pool from '../config/database.js';
+import { getCourierAdapter, getEnabledCourierAdapters } from './courierAdapters/index.js';
+import { updateOrderStatus } from './orderService.js';
+import { notifyDeliveryFailed } from '../utils/notificationUtils.js';
+import { recordOrderEvent } from './orderEventService.js';
+
+/**
+ * Delivery Service
+ * Handles courier booking, tracking and the order status changes they drive
+ */
+
+const DELIVERY_STATUSES = ['booked', 'picked_up', 'in_transit', 'delivered', 'cancelled', 'failed'];
+const ACTIVE_DELIVERY_STATUSES = ['booked', 'picked_up', 'in_transit'];
+
+// Progress order for active deliveries; updates never move a delivery backwards
+const STATUS_RANK = {
+  booked: 0,
+  picked_up: 1,
+  in_transit: 2,
+  delivered: 3
+};
+
+// Validation schemas
+const bookDeliverySchema = Joi.object({
+  orderId: Joi.string().uuid().required(),
+  deliveryServiceId: Joi.string().required(),
+  notes: Joi.string().max(1000).allow('')
+});
+
+const cancelDeliverySchema = Joi.object({
+  reason: Joi.string().max(1000).allow('')
+});
+
+const deliveryStatusUpdateSchema = Joi.object({
+  status: Joi.string().valid('picked_up', 'in_transit', 'delivered', 'failed').required(),
+  note: Joi.string().max(1000).allow('')
+});
+
+const callbackSchema = Joi.object({
+  externalId: Joi.string().required(),
+  status: Joi.string().valid(...DELIVERY_STATUSES).required(),
+  note: Joi.string().max(1000).allow('')
+});
+
+const DELIVERY_COLUMNS = `d.id, d.order_id, d.courier, d.external_id, d.status, d.fee, d.tracking_url,
+  d.driver_name, d.driver_phone, d.notes, d.tracking_events, d.estimated_delivery_at,
+  d.delivered_at, d.cancel_reason, d.created_at, d.updated_at`;
+
+/**
+ * Map a deliveries row to the API shape
+ */
+const formatDelivery = (delivery) => {
+  let courierName = delivery.courier;
+  try {
+    courierName = getCourierAdapter(delivery.courier).displayName;
+  } catch (error) {
+    // Courier has since been disabled; fall back to its identifier
+  }
+
+  return {
+    id: delivery.id,
+    orderId: delivery.order_id,
+    deliveryServiceId: delivery.courier,
+    deliveryServiceName: courierName,
+    externalId: delivery.external_id,
+    status: delivery.status,
+    fee: parseFloat(delivery.fee),
+    trackingUrl: delivery.tracking_url,
+    driver: delivery.driver_name
+      ? { name: delivery.driver_name, phone: delivery.driver_phone }
+      : null,
+    notes: delivery.notes,
+    trackingEvents: delivery.tracking_events,
+    estimatedDeliveryAt: delivery.estimated_delivery_at,
+    deliveredAt: delivery.delivered_at,
+    cancelReason: delivery.cancel_reason,
+    ...(delivery.business_name && { businessName: delivery.business_name }),
+    createdAt: delivery.created_at,
+    updatedAt: delivery.updated_at
+  };
+};
+
+/**
+ * Load an order with the fields delivery decisions depend on
+ */
+const getOrderForDelivery = async (orderId) => {
+  const result = await pool.query(
+    `SELECT o.id, o.consumer_id, o.business_id, o.status, o.delivery_method,
+            b.owner_id, b.name as business_name
+     FROM orders o
+     JOIN businesses b ON o.business_id = b.id
+     WHERE o.id = $1`,
+    [orderId]
+  );
+
+  if (result.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'ORDER_NOT_FOUND',
+      message: 'Order not found'
+    };
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Load a delivery with its order's consumer and business owner
+ */
+const getDeliveryWithOrder = async (deliveryId) => {
+  const result = await pool.query(
+    `SELECT ${DELIVERY_COLUMNS}, o.consumer_id, o.status as order_status,
+            b.owner_id, b.name as business_name
+     FROM deliveries d
+     JOIN orders o ON d.order_id = o.id
+     JOIN businesses b ON o.business_id = b.id
+     WHERE d.id = $1`,
+    [deliveryId]
+  );
+
+  if (result.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'DELIVERY_NOT_FOUND',
+      message: 'Delivery not found'
+    };
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Carry a finished delivery over to its order, if the order is still out for delivery
+ * Delivered deliveries complete the order; cancelled or failed ones put it back to ready.
+ * Safe to repeat, so a courier resending an update retries an order change that failed before.
+ * Only the order's latest delivery moves it, so an earlier attempt can't undo a rebooking.
+ */
+const syncOrderWithDelivery = async (delivery, actorId) => {
+  if (delivery.order_status !== 'out_for_delivery') {
+    return;
+  }
+
+  const orderStatus = delivery.status === 'delivered'
+    ? 'delivered'
+    : ['cancelled', 'failed'].includes(delivery.status) ? 'ready' : null;
+
+  if (!orderStatus) {
+    return;
+  }
+
+  const latestResult = await pool.query(
+    'SELECT id FROM deliveries WHERE order_id = $1 ORDER BY created_at DESC, id DESC LIMIT 1',
+    [delivery.order_id]
+  );
+
+  if (latestResult.rows[0]?.id !== delivery.id) {
+    return;
+  }
+
+  await updateOrderStatus(delivery.order_id, delivery.owner_id, { status: orderStatus }, { actorId });
+};
+
+/**
+ * Move a delivery to a new status and carry the change over to its order
+ * actorId is the owner for manual updates and null when the courier reported the change.
+ */
+const applyDeliveryStatus = async (delivery, newStatus, note = null, actorId = null) => {
+  // Already past this update; the order change is still retried in case it failed last time
+  if (
+    !ACTIVE_DELIVERY_STATUSES.includes(delivery.status) ||
+    (STATUS_RANK[newStatus] !== undefined && STATUS_RANK[newStatus] <= STATUS_RANK[delivery.status])
+  ) {
+    await syncOrderWithDelivery(delivery, actorId);
+    return delivery;
+  }
+
+  const event = {
+    status: newStatus,
+    note,
+    at: new Date().toISOString()
+  };
+
+  const result = await pool.query(
+    `UPDATE deliveries d
+     SET status = $1,
+         tracking_events = d.tracking_events || $2::jsonb,
+         delivered_at = CASE WHEN $1 = 'delivered' THEN NOW() ELSE d.delivered_at END,
+         cancel_reason = CASE WHEN $1 IN ('cancelled', 'failed') THEN $3 ELSE d.cancel_reason END,
+         updated_at = NOW()
+     WHERE d.id = $4 AND d.status = $5
+     RETURNING ${DELIVERY_COLUMNS}`,
+    [newStatus, JSON.stringify([event]), note, delivery.id, delivery.status]
+  );
+
+  // Another update got there first
+  if (result.rows.length === 0) {
+    return delivery;
+  }
+
+  const updated = { ...delivery, ...result.rows[0] };
+
+  await recordOrderEvent(pool, {
+    orderId: delivery.order_id,
+    type: 'delivery',
+    fromStatus: delivery.status,
+    toStatus: newStatus,
+    actorId,
+    note,
+    metadata: { deliveryId: delivery.id, courier: delivery.courier }
+  });
+
+  if (newStatus === 'failed') {
+    await notifyDeliveryFailed(delivery.owner_id, delivery.order_id, note || 'The courier could not complete the delivery');
+  }
+
+  await syncOrderWithDelivery(updated, actorId);
+
+  return updated;
+};
+
+/**
+ * Get available delivery options for an order (consumer or business owner)
+ */
+export const getDeliveryOptions = async (orderId, userId) => {
+  if (!orderId) {
+    throw {
+      status: 400,
+      code: 'MISSING_PARAMETERS',
+      message: 'Required parameter: orderId'
+    };
+  }
+
+  const order = await getOrderForDelivery(orderId);
+
+  if (order.consumer_id !== userId && order.owner_id !== userId) {
+    throw {
+      status: 403,
+      code: 'FORBIDDEN',
+      message: 'You do not have permission to view delivery options for this order'
+    };
+  }
+
+  const options = [];
+
+  for (const adapter of getEnabledCourierAdapters()) {
+    const quote = await adapter.quote(order);
+
+    if (quote) {
+      options.push({
+        id: adapter.name,
+        name: adapter.displayName,
+        fee: quote.fee,
+        estimatedMinutes: quote.estimatedMinutes
+      });
+    }
+  }
+
+  return options;
+};
+
+/**
+ * Book a delivery for a ready order (business owner only)
+ * Moves the order to out_for_delivery
+ */
+export const bookDelivery = async (businessOwnerId, bookingData) => {
+  // Validate input
+  const { error, value } = bookDeliverySchema.validate(bookingData, { abortEarly: false });
+  if (error) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid delivery booking data',
+      details: error.details.map(d => d.message)
+    };
+  }
+
+  const order = await getOrderForDelivery(value.orderId);
+
+  if (order.owner_id !== businessOwnerId) {
+    throw {
+      status: 403,
+      code: 'FORBIDDEN',
+      message: 'You do not have permission to book delivery for this order'
+    };
+  }
+
+  if (order.delivery_method !== 'delivery') {
+    throw {
+      status: 400,
+      code: 'NOT_A_DELIVERY_ORDER',
+      message: 'This order is set up for pickup'
+    };
+  }
+
+  if (order.status !== 'ready') {
+    throw {
+      status: 400,
+      code: 'ORDER_NOT_READY',
+      message: 'Only orders that are ready can be handed to a courier'
+    };
+  }
+
+  const activeResult = await pool.query(
+    'SELECT id FROM deliveries WHERE order_id = $1 AND status = ANY($2)',
+    [order.id, ACTIVE_DELIVERY_STATUSES]
+  );
+
+  if (activeResult.rows.length > 0) {
+    throw {
+      status: 409,
+      code: 'DELIVERY_ALREADY_BOOKED',
+      message: 'This order already has an active delivery'
+    };
+  }
+
+  const adapter = getCourierAdapter(value.deliveryServiceId);
+  const quote = await adapter.quote(order);
+
+  if (!quote) {
+    throw {
+      status: 400,
+      code: 'DELIVERY_UNAVAILABLE',
+      message: `${adapter.displayName} cannot deliver this order`
+    };
+  }
+
+  const booking = await adapter.book(order, { notes: value.notes });
+
+  const insertResult = await pool.query(
+    `INSERT INTO deliveries (
+      order_id, courier, external_id, status, fee, tracking_url, driver_name, driver_phone,
+      notes, tracking_events, estimated_delivery_at, created_at, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), NOW())
+    RETURNING id`,
+    [
+      order.id,
+      adapter.name,
+      booking.externalId,
+      booking.status,
+      quote.fee,
+      booking.trackingUrl || null,
+      booking.driverName || null,
+      booking.driverPhone || null,
+      value.notes || null,
+      JSON.stringify([{ status: booking.status, note: null, at: new Date().toISOString() }]),
+      booking.estimatedDeliveryAt || null
+    ]
+  );
+
+  const deliveryId = insertResult.rows[0].id;
+  const eventMetadata = { deliveryId, courier: adapter.name };
+
+  await recordOrderEvent(pool, {
+    orderId: order.id,
+    type: 'delivery',
+    toStatus: booking.status,
+    actorId: businessOwnerId,
+    note: `Booked with ${adapter.displayName}`,
+    metadata: eventMetadata
+  });
+
+  try {
+    await updateOrderStatus(order.id, businessOwnerId, { status: 'out_for_delivery' });
+  } catch (error) {
+    // Undo the booking so the courier doesn't turn up for an order that never left
+    await adapter.cancel(booking.externalId, 'Order could not be dispatched');
+    await pool.query(
+      `UPDATE deliveries SET status = 'cancelled', cancel_reason = $1, updated_at = NOW() WHERE id = $2`,
+      ['Order could not be dispatched', deliveryId]
+    );
+    await recordOrderEvent(pool, {
+      orderId: order.id,
+      type: 'delivery',
+      fromStatus: booking.status,
+      toStatus: 'cancelled',
+      actorId: businessOwnerId,
+      note: 'Order could not be dispatched',
+      metadata: eventMetadata
+    });
+    throw error;
+  }
+
+  return formatDelivery(await getDeliveryWithOrder(deliveryId));
+};
+
+/**
+ * Track a delivery (consumer or business owner)
+ * Couriers that expose tracking are polled and their progress applied
+ */
+export const trackDelivery = async (deliveryId, userId) => {
+  let delivery = await getDeliveryWithOrder(deliveryId);
+
+  if (delivery.consumer_id !== userId && delivery.owner_id !== userId) {
+    throw {
+      status: 403,
+      code: 'FORBIDDEN',
+      message: 'You do not have permission to track this delivery'
+    };
+  }
+
+  if (ACTIVE_DELIVERY_STATUSES.includes(delivery.status)) {
+    const adapter = getCourierAdapter(delivery.courier);
+
+    if (adapter.track) {
+      const courierStatus = await adapter.track(delivery.external_id, { bookedAt: delivery.created_at });
+      delivery = await applyDeliveryStatus(delivery, courierStatus.status, courierStatus.note || null);
+    }
+  }
+
+  return formatDelivery(delivery);
+};
+
+/**
+ * Cancel an active delivery (business owner only)
+ * The order goes back to ready so it can be rebooked
+ */
+export const cancelDelivery = async (deliveryId, businessOwnerId, cancelData = {}) => {
+  // Validate input
+  const { error, value } = cancelDeliverySchema.validate(cancelData, { abortEarly: false });
+  if (error) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid delivery cancellation data',
+      details: error.details.map(d => d.message)
+    };
+  }
+
+  const delivery = await getDeliveryWithOrder(deliveryId);
+
+  if (delivery.owner_id !== businessOwnerId) {
+    throw {
+      status: 403,
+      code: 'FORBIDDEN',
+      message: 'You do not have permission to cancel this delivery'
+    };
+  }
+
+  if (!ACTIVE_DELIVERY_STATUSES.includes(delivery.status)) {
+    throw {
+      status: 400,
+      code: 'INVALID_DELIVERY_STATE',
+      message: `Cannot cancel a delivery that is ${delivery.status}`
+    };
+  }
+
+  const adapter = getCourierAdapter(delivery.courier);
+  await adapter.cancel(delivery.external_id, value.reason);
+
+  return formatDelivery(await applyDeliveryStatus(delivery, 'cancelled', value.reason || null, businessOwnerId));
+};
+
+/**
+ * Report progress on a self-delivery (business owner only)
+ */
+export const updateDeliveryStatus = async (deliveryId, businessOwnerId, statusData) => {
+  // Validate input
+  const { error, value } = deliveryStatusUpdateSchema.validate(statusData, { abortEarly: false });
+  if (error) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid delivery status data',
+      details: error.details.map(d => d.message)
+    };
+  }
+
+  const delivery = await getDeliveryWithOrder(deliveryId);
+
+  if (delivery.owner_id !== businessOwnerId) {
+    throw {
+      status: 403,
+      code: 'FORBIDDEN',
+      message: 'You do not have permission to update this delivery'
+    };
+  }
+
+  if (!getCourierAdapter(delivery.courier).manualStatusUpdates) {
+    throw {
+      status: 400,
+      code: 'COURIER_MANAGED_DELIVERY',
+      message: 'Status for this delivery is reported by the courier'
+    };
+  }
+
+  if (!ACTIVE_DELIVERY_STATUSES.includes(delivery.status)) {
+    throw {
+      status: 400,
+      code: 'INVALID_DELIVERY_STATE',
+      message: `Cannot update a delivery that is ${delivery.status}`
+    };
+  }
+
+  return formatDelivery(await applyDeliveryStatus(delivery, value.status, value.note || null, businessOwnerId));
+};
+
+/**
+ * Handle a status callback from a courier
+ */
+export const handleCourierCallback = async (courierName, headers, body) => {
+  const adapter = getCourierAdapter(courierName);
+
+  if (!adapter.parseCallback) {
+    throw {
+      status: 404,
+      code: 'CALLBACKS_NOT_SUPPORTED',
+      message: `${adapter.displayName} does not send callbacks`
+    };
+  }
+
+  const parsed = adapter.parseCallback(headers, body);
+
+  const { error, value } = callbackSchema.validate(parsed, { abortEarly: false });
+  if (error) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid courier callback',
+      details: error.details.map(d => d.message)
+    };
+  }
+
+  const result = await pool.query(
+    'SELECT id FROM deliveries WHERE courier = $1 AND external_id = $2',
+    [adapter.name, value.externalId]
+  );
+
+  if (result.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'DELIVERY_NOT_FOUND',
+      message: 'Delivery not found'
+    };
+  }
+
+  const delivery = await getDeliveryWithOrder(result.rows[0].id);
+
+  return formatDelivery(await applyDeliveryStatus(delivery, value.status, value.note || null));
+};
+
+/**
+ * Get delivery history for a consumer or for the businesses an SME owns
+ */
+export const getDeliveryHistory = async (userId, userType, filters = {}) => {
+  const { status, orderId, limit = 50, offset = 0 } = filters;
+
+  let query = `
+    SELECT ${DELIVERY_COLUMNS}, b.name as business_name
+    FROM deliveries d
+    JOIN orders o ON d.order_id = o.id
+    JOIN businesses b ON o.business_id = b.id
+  `;
+  const values = [userId];
+
+  if (userType === 'consumer') {
+    query += ' WHERE o.consumer_id = $1';
+  } else {
+    query += ' WHERE b.owner_id = $1';
+  }
+
+  if (status) {
+    query += ` AND d.status = $${values.length + 1}`;
+    values.push(status);
+  }
+
+  if (orderId) {
+    query += ` AND d.order_id = $${values.length + 1}`;
+    values.push(orderId);
+  }
+
+  query += ` ORDER BY d.created_at DESC LIMIT $${values.length + 1} OFFSET $${values.length + 2}`;
+  values.push(limit, offset);
+
+  const result = await pool.query(query, values);
+
+  return result.rows.map(formatDelivery);
+};
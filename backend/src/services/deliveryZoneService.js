@@ -0,0 +1,332 @@
+import Joi from 'joi';
+import dotenv from 'dotenv';
+import pool from '../config/database.js';
+
+dotenv.config();
+
+/**
+ * Delivery Zone Service
+ * Handles SME delivery zones, free-delivery thresholds and delivery fee calculation
+ */
+
+// Fee charged by businesses that have not configured any delivery zones
+const DEFAULT_DELIVERY_FEE = parseFloat(process.env.DEFAULT_DELIVERY_FEE || '5.00');
+
+// Validation schemas
+const coordinatePairSchema = Joi.array().ordered(
+  Joi.number().min(-180).max(180).required(),
+  Joi.number().min(-90).max(90).required()
+);
+
+const deliveryZoneSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  zoneType: Joi.string().valid('radius', 'polygon').required(),
+  maxDistanceKm: Joi.when('zoneType', {
+    is: 'radius',
+    then: Joi.number().positive().max(1000).required(),
+    otherwise: Joi.forbidden()
+  }),
+  // [longitude, latitude] pairs, as in GeoJSON
+  polygon: Joi.when('zoneType', {
+    is: 'polygon',
+    then: Joi.array().items(coordinatePairSchema).min(3).required(),
+    otherwise: Joi.forbidden()
+  }),
+  fee: Joi.number().min(0).precision(2).required()
+});
+
+const deliveryPolicySchema = Joi.object({
+  freeDeliveryThreshold: Joi.number().min(0).precision(2).allow(null).required()
+});
+
+const ZONE_COLUMNS = `id, business_id, name, zone_type, max_distance_km,
+  ST_AsGeoJSON(area)::json as area_geojson, fee, created_at, updated_at`;
+
+/**
+ * Map a delivery_zones row to the API shape
+ */
+const formatZone = (zone) => ({
+  id: zone.id,
+  businessId: zone.business_id,
+  name: zone.name,
+  zoneType: zone.zone_type,
+  maxDistanceKm: zone.max_distance_km !== null ? parseFloat(zone.max_distance_km) : null,
+  polygon: zone.area_geojson ? zone.area_geojson.coordinates[0] : null,
+  fee: parseFloat(zone.fee),
+  createdAt: zone.created_at,
+  updatedAt: zone.updated_at
+});
+
+/**
+ * Build a closed WKT polygon ring from [longitude, latitude] pairs
+ */
+const toPolygonWkt = (points) => {
+  const ring = [...points];
+  const [firstLon, firstLat] = ring[0];
+  const [lastLon, lastLat] = ring[ring.length - 1];
+
+  if (firstLon !== lastLon || firstLat !== lastLat) {
+    ring.push(ring[0]);
+  }
+
+  return `POLYGON((${ring.map(([lon, lat]) => `${lon} ${lat}`).join(', ')}))`;
+};
+
+/**
+ * Verify the business exists and is owned by the given user
+ */
+const verifyBusinessOwner = async (businessId, ownerId) => {
+  const result = await pool.query(
+    'SELECT id, owner_id FROM businesses WHERE id = $1',
+    [businessId]
+  );
+
+  if (result.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'BUSINESS_NOT_FOUND',
+      message: 'Business not found'
+    };
+  }
+
+  if (result.rows[0].owner_id !== ownerId) {
+    throw {
+      status: 403,
+      code: 'FORBIDDEN',
+      message: 'You do not have permission to manage delivery for this business'
+    };
+  }
+};
+
+/**
+ * Load a zone and verify the user owns its business
+ */
+const getOwnedZone = async (businessId, zoneId, ownerId) => {
+  await verifyBusinessOwner(businessId, ownerId);
+
+  const result = await pool.query(
+    `SELECT ${ZONE_COLUMNS} FROM delivery_zones WHERE id = $1 AND business_id = $2`,
+    [zoneId, businessId]
+  );
+
+  if (result.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'DELIVERY_ZONE_NOT_FOUND',
+      message: 'Delivery zone not found'
+    };
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Get delivery zones and policy for a business (public)
+ */
+export const getDeliveryZones = async (businessId) => {
+  const businessResult = await pool.query(
+    'SELECT id, free_delivery_threshold FROM businesses WHERE id = $1',
+    [businessId]
+  );
+
+  if (businessResult.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'BUSINESS_NOT_FOUND',
+      message: 'Business not found'
+    };
+  }
+
+  const zonesResult = await pool.query(
+    `SELECT ${ZONE_COLUMNS}
+     FROM delivery_zones
+     WHERE business_id = $1
+     ORDER BY (zone_type = 'polygon') DESC, max_distance_km ASC NULLS LAST, fee ASC`,
+    [businessId]
+  );
+
+  const threshold = businessResult.rows[0].free_delivery_threshold;
+
+  return {
+    freeDeliveryThreshold: threshold !== null ? parseFloat(threshold) : null,
+    defaultFee: zonesResult.rows.length === 0 ? DEFAULT_DELIVERY_FEE : null,
+    zones: zonesResult.rows.map(formatZone)
+  };
+};
+
+/**
+ * Create a delivery zone (business owner only)
+ */
+export const createDeliveryZone = async (businessId, ownerId, zoneData) => {
+  // Validate input
+  const { error, value } = deliveryZoneSchema.validate(zoneData, { abortEarly: false });
+  if (error) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid delivery zone data',
+      details: error.details.map(d => d.message)
+    };
+  }
+
+  await verifyBusinessOwner(businessId, ownerId);
+
+  const result = await pool.query(
+    `INSERT INTO delivery_zones (
+      business_id, name, zone_type, max_distance_km, area, fee, created_at, updated_at
+    ) VALUES ($1, $2, $3, $4, ST_GeogFromText($5), $6, NOW(), NOW())
+    RETURNING ${ZONE_COLUMNS}`,
+    [
+      businessId,
+      value.name,
+      value.zoneType,
+      value.maxDistanceKm ?? null,
+      value.polygon ? toPolygonWkt(value.polygon) : null,
+      value.fee
+    ]
+  );
+
+  return formatZone(result.rows[0]);
+};
+
+/**
+ * Replace a delivery zone's settings (business owner only)
+ */
+export const updateDeliveryZone = async (businessId, zoneId, ownerId, zoneData) => {
+  // Validate input
+  const { error, value } = deliveryZoneSchema.validate(zoneData, { abortEarly: false });
+  if (error) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid delivery zone data',
+      details: error.details.map(d => d.message)
+    };
+  }
+
+  await getOwnedZone(businessId, zoneId, ownerId);
+
+  const result = await pool.query(
+    `UPDATE delivery_zones
+     SET name = $1, zone_type = $2, max_distance_km = $3, area = ST_GeogFromText($4), fee = $5,
+         updated_at = NOW()
+     WHERE id = $6
+     RETURNING ${ZONE_COLUMNS}`,
+    [
+      value.name,
+      value.zoneType,
+      value.maxDistanceKm ?? null,
+      value.polygon ? toPolygonWkt(value.polygon) : null,
+      value.fee,
+      zoneId
+    ]
+  );
+
+  return formatZone(result.rows[0]);
+};
+
+/**
+ * Delete a delivery zone (business owner only)
+ */
+export const deleteDeliveryZone = async (businessId, zoneId, ownerId) => {
+  await getOwnedZone(businessId, zoneId, ownerId);
+
+  await pool.query('DELETE FROM delivery_zones WHERE id = $1', [zoneId]);
+
+  return { message: 'Delivery zone deleted successfully' };
+};
+
+/**
+ * Update a business's free-delivery threshold (business owner only)
+ */
+export const updateDeliveryPolicy = async (businessId, ownerId, policyData) => {
+  // Validate input
+  const { error, value } = deliveryPolicySchema.validate(policyData, { abortEarly: false });
+  if (error) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid delivery policy data',
+      details: error.details.map(d => d.message)
+    };
+  }
+
+  await verifyBusinessOwner(businessId, ownerId);
+
+  await pool.query(
+    'UPDATE businesses SET free_delivery_threshold = $1, updated_at = NOW() WHERE id = $2',
+    [value.freeDeliveryThreshold, businessId]
+  );
+
+  return await getDeliveryZones(businessId);
+};
+
+/**
+ * Calculate the delivery fee for one business's share of an order
+ * Polygon zones containing the address win over radius tiers; among radius
+ * tiers the smallest one covering the distance applies. Orders at or above the
+ * business's free-delivery threshold are delivered free.
+ * Accepts a pool or transaction client so createOrder can price inside its transaction.
+ */
+export const calculateDeliveryFee = async (db, businessId, deliveryLocation, subtotal) => {
+  const businessResult = await db.query(
+    `SELECT free_delivery_threshold,
+            ST_Distance(location, ST_GeogFromText($2)) as distance_meters
+     FROM businesses
+     WHERE id = $1`,
+    [businessId, deliveryLocation]
+  );
+
+  if (businessResult.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'BUSINESS_NOT_FOUND',
+      message: 'Business not found'
+    };
+  }
+
+  const business = businessResult.rows[0];
+  const distanceKm = business.distance_meters !== null
+    ? parseFloat((business.distance_meters / 1000).toFixed(2))
+    : null;
+
+  const zonesResult = await db.query(
+    `SELECT id, name, fee,
+            (zone_type = 'polygon' AND ST_Covers(area, ST_GeogFromText($2))) OR
+            (zone_type = 'radius' AND max_distance_km * 1000 >= $3) as covers
+     FROM delivery_zones
+     WHERE business_id = $1
+     ORDER BY (zone_type = 'polygon') DESC, max_distance_km ASC NULLS LAST, fee ASC`,
+    [businessId, deliveryLocation, business.distance_meters]
+  );
+
+  let fee = DEFAULT_DELIVERY_FEE;
+  let zone = null;
+
+  if (zonesResult.rows.length > 0) {
+    zone = zonesResult.rows.find(z => z.covers);
+
+    if (!zone) {
+      throw {
+        status: 400,
+        code: 'OUTSIDE_DELIVERY_AREA',
+        message: `The delivery address is outside this business's delivery area${distanceKm !== null ? ` (${distanceKm} km away)` : ''}`
+      };
+    }
+
+    fee = parseFloat(zone.fee);
+  }
+
+  const threshold = business.free_delivery_threshold !== null
+    ? parseFloat(business.free_delivery_threshold)
+    : null;
+  const freeDelivery = threshold !== null && subtotal >= threshold;
+
+  return {
+    fee: freeDelivery ? 0 : fee,
+    distanceKm,
+    zone: zone ? { id: zone.id, name: zone.name } : null,
+    freeDeliveryThreshold: threshold,
+    freeDelivery
+  };
+};
@@ -0,0 +1,324 @@
+import Joi from 'joi';
+import pool from '../config/database.js';
+import { createSpreadsheetWriter, SPREADSHEET_FORMATS } from '../utils/spreadsheetUtils.js';
+import { getBusinessMetrics, getProductPerformance } from './analyticsService.js';
+
+/**
+ * Export Service
+ * Streams business data out as CSV or XLSX for bookkeeping
+ */
+
+// Rows fetched from the cursor per round trip
+const EXPORT_BATCH_SIZE = 500;
+
+// Status values each dataset can be filtered by
+const EXPORT_STATUSES = {
+  orders: ['pending', 'confirmed', 'ready', 'out_for_delivery', 'delivered', 'cancelled'],
+  products: ['in_stock', 'low_stock', 'out_of_stock'],
+  ratings: ['received', 'given'],
+  analytics: []
+};
+
+// Validation schemas
+const exportSchema = Joi.object({
+  dataset: Joi.string().valid(...Object.keys(EXPORT_STATUSES)).default('orders'),
+  format: Joi.string().valid(...Object.keys(SPREADSHEET_FORMATS)).default('csv'),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso(),
+  // Comma-separated list
+  status: Joi.string().allow('')
+});
+
+/**
+ * Stream a query's rows through a server-side cursor
+ * Keeps memory flat however many rows the export covers.
+ */
+const streamQuery = async (query, values, onRow) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query(`DECLARE export_cursor NO SCROLL CURSOR FOR ${query}`, values);
+
+    let batch;
+    do {
+      batch = await client.query(`FETCH ${EXPORT_BATCH_SIZE} FROM export_cursor`);
+      for (const row of batch.rows) {
+        await onRow(row);
+      }
+    } while (batch.rows.length === EXPORT_BATCH_SIZE);
+
+    await client.query('CLOSE export_cursor');
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Build a WHERE clause fragment for an optional inclusive date range
+ */
+const dateRangeCondition = (column, { startDate, endDate }, values) => {
+  const conditions = [];
+
+  if (startDate) {
+    values.push(startDate);
+    conditions.push(`${column} >= $${values.length}::date`);
+  }
+  if (endDate) {
+    values.push(endDate);
+    conditions.push(`${column} < $${values.length}::date + 1`);
+  }
+
+  return conditions.map(condition => ` AND ${condition}`).join('');
+};
+
+const toMoney = (value) => (value !== null && value !== undefined ? parseFloat(value) : null);
+
+/**
+ * Orders with one row per line item, including the customer's rating
+ */
+const writeOrders = async (writer, businessId, filters) => {
+  await writer.writeRow([
+    'Order ID', 'Order Date', 'Status', 'Payment Status', 'Delivery Method', 'Customer',
+    'Delivery City', 'Product', 'Variant', 'Category', 'Quantity', 'Unit Price', 'Discount', 'Line Total',
+    'Delivery Fee', 'Order Total', 'Rating', 'Review'
+  ]);
+
+  const values = [businessId];
+  let query = `
+    SELECT o.id, o.created_at, o.status, o.payment_status, o.delivery_method, o.delivery_city,
+           o.delivery_fee, o.total_amount, u.email as customer_email,
+           p.name as product_name, oi.variant_options, p.category, oi.quantity, oi.price_at_purchase,
+           oi.discount_amount, r.stars, r.review
+    FROM orders o
+    JOIN order_items oi ON oi.order_id = o.id
+    LEFT JOIN products p ON oi.product_id = p.id
+    LEFT JOIN users u ON o.consumer_id = u.id
+    LEFT JOIN ratings r ON r.order_id = o.id AND r.rating_type = 'consumer_to_sme'
+    WHERE o.business_id = $1
+  `;
+
+  query += dateRangeCondition('o.created_at', filters, values);
+
+  if (filters.statuses.length > 0) {
+    values.push(filters.statuses);
+    query += ` AND o.status = ANY($${values.length})`;
+  }
+
+  query += ' ORDER BY o.created_at ASC, o.id, oi.id';
+
+  await streamQuery(query, values, (row) => writer.writeRow([
+    row.id,
+    row.created_at,
+    row.status,
+    row.payment_status,
+    row.delivery_method,
+    row.customer_email,
+    row.delivery_city,
+    row.product_name,
+    row.variant_options ? Object.values(row.variant_options).join(' / ') : null,
+    row.category,
+    row.quantity,
+    toMoney(row.price_at_purchase),
+    toMoney(row.discount_amount),
+    // After the line's share of the promotion discount, so lines add up to the order total
+    Math.round((row.quantity * parseFloat(row.price_at_purchase) - parseFloat(row.discount_amount)) * 100) / 100,
+    toMoney(row.delivery_fee),
+    toMoney(row.total_amount),
+    row.stars,
+    row.review
+  ]));
+};
+
+/**
+ * Current product inventory
+ * The date range applies to when products were added.
+ */
+const writeProducts = async (writer, businessId, filters) => {
+  await writer.writeRow([
+    'Product ID', 'Name', 'Category', 'Price', 'Quantity', 'Stock Status', 'Created', 'Last Updated'
+  ]);
+
+  const values = [businessId];
+  let query = `
+    SELECT p.id, p.name, p.category, p.price, p.quantity, p.created_at, p.updated_at,
+           CASE
+             WHEN p.quantity = 0 THEN 'out_of_stock'
+             WHEN p.quantity < COALESCE(p.low_stock_threshold, b.low_stock_threshold) THEN 'low_stock'
+             ELSE 'in_stock'
+           END as stock_status
+    FROM products p
+    JOIN businesses b ON p.business_id = b.id
+    WHERE p.business_id = $1
+  `;
+
+  query += dateRangeCondition('p.created_at', filters, values);
+
+  if (filters.statuses.length > 0) {
+    values.push(filters.statuses);
+    query = `SELECT * FROM (${query}) products WHERE stock_status = ANY($${values.length})`;
+  }
+
+  query += ' ORDER BY name ASC, id';
+
+  await streamQuery(query, values, (row) => writer.writeRow([
+    row.id,
+    row.name,
+    row.category,
+    toMoney(row.price),
+    row.quantity,
+    row.stock_status,
+    row.created_at,
+    row.updated_at
+  ]));
+};
+
+/**
+ * Ratings received from customers and given to them on this business's orders
+ */
+const writeRatings = async (writer, businessId, filters) => {
+  await writer.writeRow([
+    'Date', 'Order ID', 'Direction', 'Customer', 'Stars', 'Review', 'Criteria'
+  ]);
+
+  const values = [businessId];
+  let query = `
+    SELECT r.created_at, r.order_id, r.stars, r.review, r.criteria,
+           CASE WHEN r.rating_type = 'consumer_to_sme' THEN 'received' ELSE 'given' END as direction,
+           u.email as customer_email
+    FROM ratings r
+    JOIN orders o ON r.order_id = o.id
+    LEFT JOIN users u ON o.consumer_id = u.id
+    WHERE o.business_id = $1
+  `;
+
+  query += dateRangeCondition('r.created_at', filters, values);
+
+  if (filters.statuses.length > 0) {
+    const ratingTypes = filters.statuses.map(status =>
+      status === 'received' ? 'consumer_to_sme' : 'sme_to_consumer'
+    );
+    values.push(ratingTypes);
+    query += ` AND r.rating_type = ANY($${values.length})`;
+  }
+
+  query += ' ORDER BY r.created_at ASC, r.id';
+
+  await streamQuery(query, values, (row) => writer.writeRow([
+    row.created_at,
+    row.order_id,
+    row.direction,
+    row.customer_email,
+    row.stars,
+    row.review,
+    row.criteria ? JSON.stringify(row.criteria) : null
+  ]));
+};
+
+/**
+ * Headline metrics followed by per-product performance
+ */
+const writeAnalytics = async (writer, businessId, filters) => {
+  const range = { startDate: filters.startDate, endDate: filters.endDate };
+  const [metrics, performance] = await Promise.all([
+    getBusinessMetrics(businessId, range),
+    getProductPerformance(businessId, { ...range, limit: 200 })
+  ]);
+
+  const rows = [
+    ['Metric', 'Value'],
+    ['Start date', metrics.startDate],
+    ['End date', metrics.endDate],
+    ['Total orders', metrics.orders.total],
+    ['Completed orders', metrics.orders.completed],
+    ['Cancelled orders', metrics.orders.cancelled],
+    ['Gross revenue', metrics.revenue.gross],
+    ['Refunded', metrics.revenue.refunded],
+    ['Net revenue', metrics.revenue.net],
+    ['Average order value', metrics.revenue.averageOrderValue],
+    ['Items sold', metrics.itemsSold],
+    ['Unique customers', metrics.customers.unique],
+    ['Returning customers', metrics.customers.returning],
+    ['Average rating', metrics.ratings.average],
+    [],
+    ['Product', 'Category', 'Price', 'In stock', 'Units sold', 'Revenue', 'Orders'],
+    ...performance.products.map(p => [
+      p.name, p.category, p.price, p.quantity, p.unitsSold, p.revenue, p.orderCount
+    ])
+  ];
+
+  for (const row of rows) {
+    await writer.writeRow(row);
+  }
+};
+
+const DATASET_WRITERS = {
+  orders: writeOrders,
+  products: writeProducts,
+  ratings: writeRatings,
+  analytics: writeAnalytics
+};
+
+/**
+ * Validate an export request and describe the file it will produce
+ * Validation happens up front so errors can still be sent as JSON; the
+ * returned writeTo(output) then streams the file.
+ */
+export const prepareExport = async (businessId, exportData) => {
+  // Validate input
+  const { error, value } = exportSchema.validate(exportData, { abortEarly: false });
+  if (error) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid export options',
+      details: error.details.map(d => d.message)
+    };
+  }
+
+  const statuses = value.status
+    ? value.status.split(',').map(status => status.trim()).filter(Boolean)
+    : [];
+  const allowedStatuses = EXPORT_STATUSES[value.dataset];
+  const invalidStatuses = statuses.filter(status => !allowedStatuses.includes(status));
+
+  if (invalidStatuses.length > 0) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid export options',
+      details: [`"status" for ${value.dataset} must be one of [${allowedStatuses.join(', ')}]`]
+    };
+  }
+
+  if (value.startDate && value.endDate && value.startDate > value.endDate) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid export options',
+      details: ['"startDate" must be before "endDate"']
+    };
+  }
+
+  const filters = {
+    startDate: value.startDate ? value.startDate.toISOString().slice(0, 10) : undefined,
+    endDate: value.endDate ? value.endDate.toISOString().slice(0, 10) : undefined,
+    statuses
+  };
+  const format = SPREADSHEET_FORMATS[value.format];
+  const today = new Date().toISOString().slice(0, 10);
+
+  return {
+    filename: `${value.dataset}-${today}.${format.extension}`,
+    contentType: format.contentType,
+    writeTo: async (output) => {
+      const writer = createSpreadsheetWriter(value.format, output, value.dataset);
+      await DATASET_WRITERS[value.dataset](writer, businessId, filters);
+      await writer.end();
+    }
+  };
+};
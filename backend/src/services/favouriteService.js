@@ -0,0 +1,228 @@
+import pool from '../config/database.js';
+import { getOpeningStatus } from '../utils/businessHoursUtils.js';
+import { notifySavedProductBackInStock, notifySavedProductOnSale } from '../utils/notificationUtils.js';
+import { PRICE_COLUMNS, LIST_PRICE, ACTIVE_SALE_PRICE, formatPricing } from './pricingService.js';
+
+/**
+ * Favourite Service
+ * Products and businesses consumers have saved, and telling them when a saved
+ * product is back in stock or goes on sale
+ */
+
+const SALE_ALERT_INTERVAL_MS = 60 * 1000;
+
+// A running sale below the list price. Expects products as p
+const ON_SALE = `(${ACTIVE_SALE_PRICE}) < ${LIST_PRICE}`;
+
+/**
+ * Get a consumer's saved products and businesses, most recently saved first
+ */
+export const getFavourites = async (consumerId) => {
+  const productsResult = await pool.query(
+    `SELECT f.created_at as saved_at, p.id, p.business_id, p.name, ${PRICE_COLUMNS}, p.quantity,
+            p.category, p.images, p.in_stock,
+            EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id) as has_variants,
+            b.name as business_name
+     FROM favourites f
+     JOIN products p ON f.product_id = p.id
+     JOIN businesses b ON p.business_id = b.id
+     WHERE f.consumer_id = $1
+     ORDER BY f.created_at DESC`,
+    [consumerId]
+  );
+
+  const businessesResult = await pool.query(
+    `SELECT f.created_at as saved_at, b.id, b.name, b.description, b.business_type, b.city, b.country,
+            b.timezone, b.operating_hours, b.holiday_closures, b.verified, b.rating, b.total_ratings
+     FROM favourites f
+     JOIN businesses b ON f.business_id = b.id
+     WHERE f.consumer_id = $1
+     ORDER BY f.created_at DESC`,
+    [consumerId]
+  );
+
+  return {
+    products: productsResult.rows.map(product => ({
+      id: product.id,
+      businessId: product.business_id,
+      businessName: product.business_name,
+      name: product.name,
+      ...formatPricing(product),
+      quantity: product.quantity,
+      category: product.category,
+      images: product.images,
+      hasVariants: product.has_variants,
+      inStock: product.in_stock,
+      savedAt: product.saved_at
+    })),
+    businesses: businessesResult.rows.map(business => ({
+      id: business.id,
+      name: business.name,
+      description: business.description,
+      businessType: business.business_type,
+      city: business.city,
+      country: business.country,
+      openingStatus: getOpeningStatus({
+        timezone: business.timezone,
+        operatingHours: business.operating_hours,
+        holidayClosures: business.holiday_closures
+      }),
+      verified: business.verified,
+      rating: parseFloat(business.rating),
+      totalRatings: business.total_ratings,
+      savedAt: business.saved_at
+    }))
+  };
+};
+
+/**
+ * Save a product or business for a consumer; saving one already saved does nothing
+ * @param {'product'|'business'} kind
+ */
+export const addFavourite = async (consumerId, kind, targetId) => {
+  const table = kind === 'product' ? 'products' : 'businesses';
+  const column = kind === 'product' ? 'product_id' : 'business_id';
+
+  const targetResult = await pool.query(`SELECT id FROM ${table} WHERE id = $1`, [targetId]);
+
+  if (targetResult.rows.length === 0) {
+    throw {
+      status: 404,
+      code: kind === 'product' ? 'PRODUCT_NOT_FOUND' : 'BUSINESS_NOT_FOUND',
+      message: kind === 'product' ? 'Product not found' : 'Business not found'
+    };
+  }
+
+  await pool.query(
+    `INSERT INTO favourites (consumer_id, ${column})
+     VALUES ($1, $2)
+     ON CONFLICT (consumer_id, ${column}) WHERE ${column} IS NOT NULL DO NOTHING`,
+    [consumerId, targetId]
+  );
+
+  return { saved: true };
+};
+
+/**
+ * Remove a saved product or business; removing one not saved does nothing
+ * @param {'product'|'business'} kind
+ */
+export const removeFavourite = async (consumerId, kind, targetId) => {
+  const column = kind === 'product' ? 'product_id' : 'business_id';
+
+  await pool.query(
+    `DELETE FROM favourites WHERE consumer_id = $1 AND ${column} = $2`,
+    [consumerId, targetId]
+  );
+
+  return { saved: false };
+};
+
+/**
+ * Tell consumers who saved a product that it is back in stock
+ * Keeps the checkLowStock contract it runs under: call it after the stock change has
+ * committed; it never throws. Products are tracked while none of their stock is available,
+ * so each restock, or release of held stock, notifies once.
+ * @param {string[]} productIds - Products whose quantity or reserved quantity just changed
+ */
+export const notifyBackInStock = async (productIds) => {
+  if (productIds.length === 0) {
+    return;
+  }
+
+  try {
+    await pool.query(
+      `INSERT INTO sold_out_products (product_id)
+       SELECT id FROM products WHERE id = ANY($1) AND quantity - reserved_quantity <= 0
+       ON CONFLICT (product_id) DO NOTHING`,
+      [productIds]
+    );
+
+    // Deleting the row claims the notification, so concurrent checks send it once
+    const restockedResult = await pool.query(
+      `DELETE FROM sold_out_products s
+       USING products p
+       WHERE s.product_id = p.id AND p.id = ANY($1) AND p.quantity - p.reserved_quantity > 0
+       RETURNING s.product_id`,
+      [productIds]
+    );
+
+    if (restockedResult.rows.length === 0) {
+      return;
+    }
+
+    const saversResult = await pool.query(
+      `SELECT f.consumer_id, p.name, b.name as business_name
+       FROM favourites f
+       JOIN products p ON f.product_id = p.id
+       JOIN businesses b ON p.business_id = b.id
+       WHERE f.product_id = ANY($1)`,
+      [restockedResult.rows.map(row => row.product_id)]
+    );
+
+    for (const saver of saversResult.rows) {
+      await notifySavedProductBackInStock(saver.consumer_id, saver.name, saver.business_name);
+    }
+  } catch (error) {
+    console.error('Failed to send back in stock notifications:', error);
+  }
+};
+
+/**
+ * Tell consumers who saved a product that it has gone on sale
+ * Each sale notifies once; the alert is cleared when the sale ends so the next one notifies again.
+ * @returns {Promise<number>} Number of products whose sale was announced
+ */
+export const notifySavedProductSales = async () => {
+  await pool.query(
+    `DELETE FROM sale_alerts a
+     USING products p
+     WHERE a.product_id = p.id AND NOT COALESCE(${ON_SALE}, false)`
+  );
+
+  // The primary key makes concurrent sweeps agree on who sends the alert
+  const alertResult = await pool.query(
+    `INSERT INTO sale_alerts (product_id, notified_at)
+     SELECT p.id, NOW()
+     FROM products p
+     WHERE p.sale_price IS NOT NULL AND ${ON_SALE}
+     ON CONFLICT (product_id) DO NOTHING
+     RETURNING product_id`
+  );
+
+  if (alertResult.rows.length === 0) {
+    return 0;
+  }
+
+  const saversResult = await pool.query(
+    `SELECT f.consumer_id, p.name, ${PRICE_COLUMNS}, b.name as business_name
+     FROM favourites f
+     JOIN products p ON f.product_id = p.id
+     JOIN businesses b ON p.business_id = b.id
+     WHERE f.product_id = ANY($1)`,
+    [alertResult.rows.map(row => row.product_id)]
+  );
+
+  for (const saver of saversResult.rows) {
+    const { salePrice, listPrice } = formatPricing(saver);
+    await notifySavedProductOnSale(saver.consumer_id, saver.name, saver.business_name, salePrice, listPrice);
+  }
+
+  return alertResult.rows.length;
+};
+
+/**
+ * Periodically announce sales on saved products, since sales start on a schedule
+ */
+export const startSaleAlerts = () => {
+  const timer = setInterval(async () => {
+    try {
+      await notifySavedProductSales();
+    } catch (error) {
+      console.error('Failed to send sale notifications:', error);
+    }
+  }, SALE_ALERT_INTERVAL_MS);
+
+  timer.unref();
+  return timer;
+};
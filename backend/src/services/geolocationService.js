@@ -2,6 +2,8 @@ import Joi from 'joi';
 import pool from '../config/database.js';
 import { getCached, setCached } from '../utils/cacheUtils.js';
 import { validateCoordinates } from '../utils/geocodingUtils.js';
+import { getOpeningStatus, resolveOpenAt } from '../utils/businessHoursUtils.js';
+import { BUSINESS_HOURS_COLUMNS, formatBusinessHours } from './businessService.js';
 
 /**
  * Geolocation Service
@@ -16,9 +18,19 @@ const nearbySearchSchema = Joi.object({
   businessType: Joi.string().valid('shop', 'business', 'service').optional(),
   verified: Joi.boolean().optional(),
   minRating: Joi.number().min(0).max(5).optional(),
+  // Only businesses open now, or at a given time, in their own timezone
+  openNow: Joi.boolean().optional(),
+  openAt: Joi.date().iso().optional(),
   limit: Joi.number().min(1).max(100).default(50),
   offset: Joi.number().min(0).default(0)
-});
+}).oxor('openNow', 'openAt');
+
+/**
+ * Add whether each business is open right now and its hours today
+ * Worked out on every request rather than cached with the search results.
+ */
+const withOpeningStatus = (businesses) =>
+  businesses.map(business => ({ ...business, openingStatus: getOpeningStatus(business) }));
 
 /**
  * Find nearby businesses within a specified radius
@@ -46,13 +58,15 @@ export const findNearbyBusinesses = async (searchParams) => {
       };
     }
 
+    const openAt = resolveOpenAt(value);
+
     // Generate cache key
     const cacheKey = `geolocation:nearby:${JSON.stringify(value)}`;
     
-    // Check cache first (TTL: 1 hour)
-    const cachedResult = await getCached(cacheKey);
+    // Check cache first (TTL: 1 hour); open-now results change by the minute, so skip it for them
+    const cachedResult = value.openNow ? null : await getCached(cacheKey);
     if (cachedResult) {
-      return cachedResult;
+      return { ...cachedResult, businesses: withOpeningStatus(cachedResult.businesses) };
     }
 
     // Build query with filters
@@ -79,6 +93,12 @@ export const findNearbyBusinesses = async (searchParams) => {
       paramCount++;
     }
 
+    if (openAt) {
+      whereClause += ` AND business_is_open_at(operating_hours, holiday_closures, timezone, $${paramCount})`;
+      queryParams.push(openAt);
+      paramCount++;
+    }
+
     // Add limit and offset
     queryParams.push(value.limit);
     queryParams.push(value.offset);
@@ -98,6 +118,7 @@ export const findNearbyBusinesses = async (searchParams) => {
         country, 
         contact_email, 
         contact_phone,
+        ${BUSINESS_HOURS_COLUMNS},
         verified, 
         rating, 
         total_ratings,
@@ -139,6 +160,7 @@ export const findNearbyBusinesses = async (searchParams) => {
         email: business.contact_email,
         phone: business.contact_phone
       },
+      ...formatBusinessHours(business),
       verified: business.verified,
       rating: parseFloat(business.rating),
       totalRatings: business.total_ratings,
@@ -162,7 +184,9 @@ export const findNearbyBusinesses = async (searchParams) => {
       filters: {
         businessType: value.businessType,
         verified: value.verified,
-        minRating: value.minRating
+        minRating: value.minRating,
+        openNow: value.openNow,
+        openAt: value.openAt
       },
       businesses,
       count: businesses.length,
@@ -173,9 +197,11 @@ export const findNearbyBusinesses = async (searchParams) => {
     };
 
     // Cache the result (1 hour TTL)
-    await setCached(cacheKey, response, 3600);
+    if (!value.openNow) {
+      await setCached(cacheKey, response, 3600);
+    }
 
-    return response;
+    return { ...response, businesses: withOpeningStatus(businesses) };
 
   } catch (error) {
     if (error.status) {
@@ -287,6 +313,13 @@ export const getBusinessesInBounds = async (northEastLat, northEastLon, southWes
       paramCount++;
     }
 
+    const openAt = resolveOpenAt(filters);
+    if (openAt) {
+      whereClause += ` AND business_is_open_at(operating_hours, holiday_closures, timezone, $${paramCount})`;
+      queryParams.push(openAt);
+      paramCount++;
+    }
+
     // Limit results to prevent overwhelming the map
     const limit = filters.limit || 500;
     queryParams.push(limit);
@@ -306,6 +339,7 @@ export const getBusinessesInBounds = async (northEastLat, northEastLon, southWes
         country, 
         contact_email, 
         contact_phone,
+        ${BUSINESS_HOURS_COLUMNS},
         verified, 
         rating, 
         total_ratings,
@@ -337,6 +371,7 @@ export const getBusinessesInBounds = async (northEastLat, northEastLon, southWes
         email: business.contact_email,
         phone: business.contact_phone
       },
+      ...formatBusinessHours(business),
       verified: business.verified,
       rating: parseFloat(business.rating),
       totalRatings: business.total_ratings,
@@ -356,7 +391,7 @@ export const getBusinessesInBounds = async (northEastLat, northEastLon, southWes
         }
       },
       filters,
-      businesses,
+      businesses: withOpeningStatus(businesses),
       count: businesses.length
     };
 
@@ -0,0 +1,479 @@
+import Joi from 'joi';
+import pool from '../config/database.js';
+import redisClient from '../config/redis.js';
+import { notifyLowInventory, notifyLowStockDigest } from '../utils/notificationUtils.js';
+import { notifyBackInStock } from './favouriteService.js';
+
+/**
+ * Inventory Service
+ * Stock reservations held by pending orders, the inventory movement ledger
+ * and low-stock alerts
+ */
+
+// How long a pending order holds its stock before the SME must confirm it
+export const RESERVATION_WINDOW_MINUTES = parseInt(process.env.RESERVATION_WINDOW_MINUTES || '30', 10);
+const RESERVATION_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Local hour after which the daily low-stock digest goes out
+const LOW_STOCK_DIGEST_HOUR = parseInt(process.env.LOW_STOCK_DIGEST_HOUR || '8', 10);
+const LOW_STOCK_DIGEST_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+// A product's reorder point; expects products as p and businesses as b
+const EFFECTIVE_THRESHOLD = 'COALESCE(p.low_stock_threshold, b.low_stock_threshold)';
+
+const historyFiltersSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  before: Joi.date().iso().raw()
+});
+
+/**
+ * Record a change to a product's on-hand quantity in the ledger
+ * Call inside the transaction that changed the quantity so the two never drift apart.
+ * @param {Object} client - Transaction client
+ * @param {Object} movement - productId, type, quantityBefore, quantityAfter, and optional variantId, actorId, orderId, reason
+ */
+export const recordMovement = async (client, movement) => {
+  const {
+    productId,
+    variantId = null,
+    type,
+    quantityBefore,
+    quantityAfter,
+    actorId = null,
+    orderId = null,
+    reason = null
+  } = movement;
+
+  if (quantityBefore === quantityAfter) {
+    return;
+  }
+
+  // clock_timestamp keeps movements from one transaction distinct for paging
+  await client.query(
+    `INSERT INTO inventory_movements (
+      product_id, variant_id, movement_type, quantity_change, quantity_before, quantity_after,
+      actor_id, order_id, reason, created_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, clock_timestamp())`,
+    [productId, variantId, type, quantityAfter - quantityBefore, quantityBefore, quantityAfter, actorId, orderId, reason || null]
+  );
+};
+
+/**
+ * Add to or take from a product's on-hand stock, or one of its variants', and record it
+ * Variant products keep products.quantity equal to the sum of their variants, so
+ * both rows change together. The product row is locked before the variant row,
+ * the same order createOrder uses.
+ * @param {Object} client - Transaction client
+ * @param {Object} change - productId, delta, type, and optional variantId, actorId, orderId, reason.
+ *   With requireAvailable the change is refused when it would eat into reserved stock.
+ * @returns {Promise<{ quantityBefore: number, quantityAfter: number }|null>} Null when refused
+ */
+export const adjustStock = async (client, change) => {
+  const { productId, variantId = null, delta, requireAvailable = false, ...movement } = change;
+
+  const productResult = await client.query(
+    'SELECT quantity, reserved_quantity FROM products WHERE id = $1 FOR UPDATE',
+    [productId]
+  );
+
+  if (productResult.rows.length === 0) {
+    return null;
+  }
+
+  const stock = variantId
+    ? (await client.query(
+      'SELECT quantity, reserved_quantity FROM product_variants WHERE id = $1 AND product_id = $2 FOR UPDATE',
+      [variantId, productId]
+    )).rows[0]
+    : productResult.rows[0];
+
+  if (!stock) {
+    return null;
+  }
+
+  if (stock.quantity + delta < 0 || (requireAvailable && stock.quantity - stock.reserved_quantity + delta < 0)) {
+    return null;
+  }
+
+  if (variantId) {
+    await client.query(
+      'UPDATE product_variants SET quantity = quantity + $1, updated_at = NOW() WHERE id = $2',
+      [delta, variantId]
+    );
+  }
+
+  const updateResult = await client.query(
+    `UPDATE products SET quantity = quantity + $1, updated_at = NOW()
+     WHERE id = $2
+     RETURNING quantity`,
+    [delta, productId]
+  );
+
+  const quantityAfter = updateResult.rows[0].quantity;
+  const quantityBefore = quantityAfter - delta;
+
+  await recordMovement(client, { ...movement, productId, variantId, quantityBefore, quantityAfter });
+
+  return { quantityBefore, quantityAfter };
+};
+
+/**
+ * Get a product's inventory movements, newest first (business owner only)
+ * Pass the createdAt of the oldest loaded movement as `before` to page back
+ */
+export const getInventoryHistory = async (productId, ownerId, filters = {}) => {
+  const { error, value } = historyFiltersSchema.validate(filters, { abortEarly: false });
+  if (error) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid inventory history filters',
+      details: error.details.map(d => d.message)
+    };
+  }
+
+  const { limit, before } = value;
+
+  const productResult = await pool.query(
+    `SELECT p.id, p.name, p.quantity, b.owner_id
+     FROM products p
+     JOIN businesses b ON p.business_id = b.id
+     WHERE p.id = $1`,
+    [productId]
+  );
+
+  if (productResult.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'PRODUCT_NOT_FOUND',
+      message: 'Product not found'
+    };
+  }
+
+  const product = productResult.rows[0];
+
+  if (product.owner_id !== ownerId) {
+    throw {
+      status: 403,
+      code: 'FORBIDDEN',
+      message: 'You do not have permission to view this product inventory'
+    };
+  }
+
+  const values = [productId];
+  let query = `
+    SELECT m.id, m.variant_id, m.movement_type, m.quantity_change, m.quantity_before, m.quantity_after,
+           m.actor_id, m.order_id, m.reason, m.created_at, u.email as actor_email,
+           v.options as variant_options
+    FROM inventory_movements m
+    LEFT JOIN users u ON m.actor_id = u.id
+    LEFT JOIN product_variants v ON m.variant_id = v.id
+    WHERE m.product_id = $1
+  `;
+
+  if (before) {
+    query += ` AND m.created_at < $${values.length + 1}`;
+    values.push(before);
+  }
+
+  // Fetch one extra row to know whether older movements remain
+  query += ` ORDER BY m.created_at DESC, m.id DESC LIMIT $${values.length + 1}`;
+  values.push(limit + 1);
+
+  const result = await pool.query(query, values);
+
+  return {
+    productId: product.id,
+    productName: product.name,
+    quantity: product.quantity,
+    movements: result.rows.slice(0, limit).map(movement => ({
+      id: movement.id,
+      variantId: movement.variant_id,
+      variantOptions: movement.variant_options,
+      type: movement.movement_type,
+      quantityChange: movement.quantity_change,
+      quantityBefore: movement.quantity_before,
+      quantityAfter: movement.quantity_after,
+      actorId: movement.actor_id,
+      actorEmail: movement.actor_email,
+      orderId: movement.order_id,
+      reason: movement.reason,
+      createdAt: movement.created_at
+    })),
+    hasMore: result.rows.length > limit
+  };
+};
+
+/**
+ * Reserve stock for a new order's items
+ * The products and variants must already be locked FOR UPDATE by the caller's transaction.
+ */
+export const reserveStock = async (client, items) => {
+  for (const item of items) {
+    await client.query(
+      `UPDATE products
+       SET reserved_quantity = reserved_quantity + $1, updated_at = NOW()
+       WHERE id = $2`,
+      [item.quantity, item.productId]
+    );
+
+    if (item.variantId) {
+      await client.query(
+        `UPDATE product_variants
+         SET reserved_quantity = reserved_quantity + $1, updated_at = NOW()
+         WHERE id = $2`,
+        [item.quantity, item.variantId]
+      );
+    }
+  }
+};
+
+/**
+ * Release the stock an order is holding
+ * Returns false when the order holds no reservation (already confirmed,
+ * cancelled or expired), so releasing twice is harmless.
+ */
+export const releaseReservation = async (client, orderId) => {
+  const orderResult = await client.query(
+    `UPDATE orders
+     SET reservation_expires_at = NULL
+     WHERE id = $1 AND reservation_expires_at IS NOT NULL
+     RETURNING id`,
+    [orderId]
+  );
+
+  if (orderResult.rows.length === 0) {
+    return false;
+  }
+
+  // Lock in product id order, then variants, as createOrder does, to avoid deadlocks
+  await client.query(
+    `SELECT id FROM products
+     WHERE id IN (SELECT product_id FROM order_items WHERE order_id = $1)
+     ORDER BY id
+     FOR UPDATE`,
+    [orderId]
+  );
+  await client.query(
+    `SELECT id FROM product_variants
+     WHERE id IN (SELECT variant_id FROM order_items WHERE order_id = $1)
+     ORDER BY id
+     FOR UPDATE`,
+    [orderId]
+  );
+
+  await client.query(
+    `UPDATE products p
+     SET reserved_quantity = GREATEST(p.reserved_quantity - items.quantity, 0), updated_at = NOW()
+     FROM (
+       SELECT product_id, SUM(quantity) as quantity
+       FROM order_items
+       WHERE order_id = $1
+       GROUP BY product_id
+     ) items
+     WHERE p.id = items.product_id`,
+    [orderId]
+  );
+
+  await client.query(
+    `UPDATE product_variants v
+     SET reserved_quantity = GREATEST(v.reserved_quantity - items.quantity, 0), updated_at = NOW()
+     FROM (
+       SELECT variant_id, SUM(quantity) as quantity
+       FROM order_items
+       WHERE order_id = $1 AND variant_id IS NOT NULL
+       GROUP BY variant_id
+     ) items
+     WHERE v.id = items.variant_id`,
+    [orderId]
+  );
+
+  return true;
+};
+
+/**
+ * Release reservations of pending orders that were not confirmed in time
+ * The orders stay pending; confirming one later only succeeds if the stock is
+ * still available.
+ */
+export const releaseExpiredReservations = async () => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // SKIP LOCKED lets several API instances sweep without blocking each other
+    const expiredResult = await client.query(
+      `SELECT id FROM orders
+       WHERE reservation_expires_at IS NOT NULL AND reservation_expires_at <= NOW()
+       ORDER BY reservation_expires_at
+       LIMIT 100
+       FOR UPDATE SKIP LOCKED`
+    );
+
+    for (const order of expiredResult.rows) {
+      await releaseReservation(client, order.id);
+    }
+
+    const releasedResult = await client.query(
+      'SELECT DISTINCT product_id FROM order_items WHERE order_id = ANY($1)',
+      [expiredResult.rows.map(order => order.id)]
+    );
+
+    await client.query('COMMIT');
+
+    // Released units can be sold again
+    await notifyBackInStock(releasedResult.rows.map(row => row.product_id));
+
+    return expiredResult.rows.length;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Periodically release expired reservations
+ */
+export const startReservationExpiry = () => {
+  const timer = setInterval(async () => {
+    try {
+      const released = await releaseExpiredReservations();
+      if (released > 0) {
+        console.log(`Released stock reservations for ${released} unconfirmed order(s)`);
+      }
+    } catch (error) {
+      console.error('Failed to release expired reservations:', error);
+    }
+  }, RESERVATION_SWEEP_INTERVAL_MS);
+
+  timer.unref();
+  return timer;
+};
+
+/**
+ * Alert owners about products that have dropped below their reorder threshold
+ * Call after the transaction that lowered stock has committed. Each product
+ * alerts once per drop: the alert is cleared when stock recovers, so only the
+ * next drop alerts again. Failures are logged rather than thrown because the
+ * stock change itself has already succeeded. Consumers who saved a product that
+ * was restocked are told it is back in stock.
+ * @param {string[]} productIds - Products whose quantity just changed
+ */
+export const checkLowStock = async (productIds) => {
+  if (productIds.length === 0) {
+    return;
+  }
+
+  await notifyBackInStock(productIds);
+
+  try {
+    // Forget alerts for products that have been restocked
+    await pool.query(
+      `DELETE FROM low_stock_alerts a
+       USING products p, businesses b
+       WHERE a.product_id = p.id AND p.business_id = b.id
+         AND p.id = ANY($1) AND p.quantity >= ${EFFECTIVE_THRESHOLD}`,
+      [productIds]
+    );
+
+    // The primary key makes concurrent checks agree on who sends the alert
+    const alertResult = await pool.query(
+      `INSERT INTO low_stock_alerts (product_id, notified_at)
+       SELECT p.id, NOW()
+       FROM products p
+       JOIN businesses b ON p.business_id = b.id
+       WHERE p.id = ANY($1) AND p.quantity < ${EFFECTIVE_THRESHOLD}
+       ON CONFLICT (product_id) DO NOTHING
+       RETURNING product_id`,
+      [productIds]
+    );
+
+    if (alertResult.rows.length === 0) {
+      return;
+    }
+
+    const productsResult = await pool.query(
+      `SELECT p.name, p.quantity, b.owner_id
+       FROM products p
+       JOIN businesses b ON p.business_id = b.id
+       WHERE p.id = ANY($1)`,
+      [alertResult.rows.map(row => row.product_id)]
+    );
+
+    for (const product of productsResult.rows) {
+      await notifyLowInventory(product.owner_id, product.name, product.quantity);
+    }
+  } catch (error) {
+    console.error('Failed to check low stock:', error);
+  }
+};
+
+/**
+ * Send each business owner a digest of every product below its threshold
+ * Runs at most once per day across all API instances.
+ * @returns {Promise<number>} Number of digests sent
+ */
+export const sendLowStockDigest = async () => {
+  // Local date, matching the local digest hour
+  const today = new Date().toLocaleDateString('en-CA');
+  const claimed = await redisClient.set(`inventory:low_stock_digest:${today}`, '1', {
+    NX: true,
+    EX: 2 * 24 * 60 * 60
+  });
+
+  if (!claimed) {
+    return 0;
+  }
+
+  const result = await pool.query(
+    `SELECT b.id as business_id, b.name as business_name, b.owner_id, p.name, p.quantity
+     FROM products p
+     JOIN businesses b ON p.business_id = b.id
+     WHERE p.quantity < ${EFFECTIVE_THRESHOLD}
+     ORDER BY b.id, p.quantity ASC, p.name ASC`
+  );
+
+  const digests = new Map();
+  for (const row of result.rows) {
+    if (!digests.has(row.business_id)) {
+      digests.set(row.business_id, { ownerId: row.owner_id, businessName: row.business_name, products: [] });
+    }
+    digests.get(row.business_id).products.push({ name: row.name, quantity: row.quantity });
+  }
+
+  for (const digest of digests.values()) {
+    try {
+      await notifyLowStockDigest(digest.ownerId, digest.businessName, digest.products);
+    } catch (error) {
+      console.error('Failed to send low stock digest:', error);
+    }
+  }
+
+  return digests.size;
+};
+
+/**
+ * Periodically send the daily low-stock digest once its hour has passed
+ */
+export const startLowStockDigest = () => {
+  const timer = setInterval(async () => {
+    if (new Date().getHours() < LOW_STOCK_DIGEST_HOUR) {
+      return;
+    }
+
+    try {
+      const sent = await sendLowStockDigest();
+      if (sent > 0) {
+        console.log(`Sent low stock digest to ${sent} business(es)`);
+      }
+    } catch (error) {
+      console.error('Failed to send low stock digest:', error);
+    }
+  }, LOW_STOCK_DIGEST_CHECK_INTERVAL_MS);
+
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,346 @@
+import Joi from 'joi';
+import pool from '../config/database.js';
+import { notifyNewMessage } from '../utils/notificationUtils.js';
+import { publishToUser } from './realtimeService.js';
+
+/**
+ * Message Service
+ * Handles direct messages between consumers and SMEs, threaded per pair of users
+ */
+
+// Validation schemas
+const sendMessageSchema = Joi.object({
+  receiverId: Joi.string().uuid(),
+  content: Joi.string().trim().min(1).max(5000).required(),
+  productId: Joi.string().uuid(),
+  orderId: Joi.string().uuid()
+}).or('receiverId', 'productId', 'orderId');
+
+const MESSAGE_COLUMNS = `m.id, m.sender_id, m.receiver_id, m.content, m.product_id, m.order_id,
+  m.read, m.read_at, m.created_at, p.name as product_name`;
+
+/**
+ * Map a messages row to the API shape
+ */
+const formatMessage = (message) => ({
+  id: message.id,
+  senderId: message.sender_id,
+  receiverId: message.receiver_id,
+  content: message.content,
+  productId: message.product_id,
+  productName: message.product_name || null,
+  orderId: message.order_id,
+  read: message.read,
+  readAt: message.read_at,
+  createdAt: message.created_at
+});
+
+/**
+ * Load a user with the name they are shown under in conversations
+ * SMEs appear under their business name, consumers under their email
+ */
+const getParticipant = async (userId) => {
+  const result = await pool.query(
+    `SELECT u.id, u.email, u.user_type,
+            (SELECT b.name FROM businesses b WHERE b.owner_id = u.id ORDER BY b.created_at LIMIT 1) as business_name
+     FROM users u
+     WHERE u.id = $1`,
+    [userId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const user = result.rows[0];
+
+  return {
+    id: user.id,
+    userType: user.user_type,
+    displayName: user.business_name || user.email
+  };
+};
+
+/**
+ * Work out who a message goes to and check its product or order reference
+ * Without a receiverId, a product message goes to the seller and an order
+ * message to the other party on the order.
+ */
+const resolveRecipient = async (senderId, value) => {
+  let receiverId = value.receiverId;
+
+  if (value.orderId) {
+    const orderResult = await pool.query(
+      `SELECT o.consumer_id, b.owner_id
+       FROM orders o
+       JOIN businesses b ON o.business_id = b.id
+       WHERE o.id = $1`,
+      [value.orderId]
+    );
+
+    if (orderResult.rows.length === 0) {
+      throw {
+        status: 404,
+        code: 'ORDER_NOT_FOUND',
+        message: 'Order not found'
+      };
+    }
+
+    const { consumer_id: consumerId, owner_id: ownerId } = orderResult.rows[0];
+
+    if (senderId !== consumerId && senderId !== ownerId) {
+      throw {
+        status: 403,
+        code: 'FORBIDDEN',
+        message: 'You can only message about your own orders'
+      };
+    }
+
+    const otherParty = senderId === consumerId ? ownerId : consumerId;
+    if (receiverId && receiverId !== otherParty) {
+      throw {
+        status: 400,
+        code: 'INVALID_RECIPIENT',
+        message: 'Messages about an order can only be sent to the other party on the order'
+      };
+    }
+    receiverId = otherParty;
+  }
+
+  if (value.productId) {
+    const productResult = await pool.query(
+      `SELECT b.owner_id
+       FROM products p
+       JOIN businesses b ON p.business_id = b.id
+       WHERE p.id = $1`,
+      [value.productId]
+    );
+
+    if (productResult.rows.length === 0) {
+      throw {
+        status: 404,
+        code: 'PRODUCT_NOT_FOUND',
+        message: 'Product not found'
+      };
+    }
+
+    receiverId = receiverId || productResult.rows[0].owner_id;
+  }
+
+  return receiverId;
+};
+
+/**
+ * Send a message
+ */
+export const sendMessage = async (senderId, messageData) => {
+  // Validate input
+  const { error, value } = sendMessageSchema.validate(messageData, { abortEarly: false });
+  if (error) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid message data',
+      details: error.details.map(d => d.message)
+    };
+  }
+
+  const receiverId = await resolveRecipient(senderId, value);
+
+  if (receiverId === senderId) {
+    throw {
+      status: 400,
+      code: 'INVALID_RECIPIENT',
+      message: 'You cannot send a message to yourself'
+    };
+  }
+
+  const [sender, receiver] = await Promise.all([
+    getParticipant(senderId),
+    getParticipant(receiverId)
+  ]);
+
+  if (!receiver) {
+    throw {
+      status: 404,
+      code: 'USER_NOT_FOUND',
+      message: 'Recipient not found'
+    };
+  }
+
+  const insertResult = await pool.query(
+    `INSERT INTO messages (sender_id, receiver_id, content, product_id, order_id, read, created_at)
+     VALUES ($1, $2, $3, $4, $5, false, NOW())
+     RETURNING id`,
+    [senderId, receiverId, value.content, value.productId || null, value.orderId || null]
+  );
+
+  const messageResult = await pool.query(
+    `SELECT ${MESSAGE_COLUMNS}
+     FROM messages m
+     LEFT JOIN products p ON m.product_id = p.id
+     WHERE m.id = $1`,
+    [insertResult.rows[0].id]
+  );
+
+  const message = formatMessage(messageResult.rows[0]);
+
+  // Push to both sides so the sender's other sessions stay in sync
+  await Promise.all([
+    publishToUser(receiverId, 'message', message),
+    publishToUser(senderId, 'message', message)
+  ]);
+
+  await notifyNewMessage(receiverId, sender.displayName);
+
+  return message;
+};
+
+/**
+ * Get conversations for a user, one entry per partner with the latest message
+ */
+export const getConversations = async (userId, filters = {}) => {
+  const { limit = 20, offset = 0 } = filters;
+
+  const result = await pool.query(
+    `SELECT latest.*, u.email as partner_email, u.user_type as partner_type,
+            (SELECT b.name FROM businesses b WHERE b.owner_id = u.id ORDER BY b.created_at LIMIT 1) as partner_business_name,
+            (SELECT COUNT(*) FROM messages um
+             WHERE um.sender_id = latest.partner_id AND um.receiver_id = $1 AND um.read = false) as unread_count
+     FROM (
+       SELECT DISTINCT ON (partner_id) ${MESSAGE_COLUMNS}, m.partner_id
+       FROM (
+         SELECT *, CASE WHEN sender_id = $1 THEN receiver_id ELSE sender_id END as partner_id
+         FROM messages
+         WHERE sender_id = $1 OR receiver_id = $1
+       ) m
+       LEFT JOIN products p ON m.product_id = p.id
+       ORDER BY m.partner_id, m.created_at DESC
+     ) latest
+     JOIN users u ON latest.partner_id = u.id
+     ORDER BY latest.created_at DESC
+     LIMIT $2 OFFSET $3`,
+    [userId, limit, offset]
+  );
+
+  return result.rows.map(row => ({
+    partner: {
+      id: row.partner_id,
+      userType: row.partner_type,
+      displayName: row.partner_business_name || row.partner_email
+    },
+    lastMessage: formatMessage(row),
+    unreadCount: parseInt(row.unread_count, 10)
+  }));
+};
+
+/**
+ * Get the thread between two users, newest page first
+ * Pass the createdAt of the oldest loaded message as `before` to page back
+ */
+export const getConversation = async (userId, otherUserId, filters = {}) => {
+  const { limit = 50, before } = filters;
+
+  const partner = await getParticipant(otherUserId);
+
+  if (!partner) {
+    throw {
+      status: 404,
+      code: 'USER_NOT_FOUND',
+      message: 'User not found'
+    };
+  }
+
+  const values = [userId, otherUserId];
+  let query = `
+    SELECT ${MESSAGE_COLUMNS}
+    FROM messages m
+    LEFT JOIN products p ON m.product_id = p.id
+    WHERE ((m.sender_id = $1 AND m.receiver_id = $2) OR (m.sender_id = $2 AND m.receiver_id = $1))
+  `;
+
+  if (before) {
+    query += ` AND m.created_at < $${values.length + 1}`;
+    values.push(before);
+  }
+
+  // Fetch one extra row to know whether older messages remain
+  query += ` ORDER BY m.created_at DESC LIMIT $${values.length + 1}`;
+  values.push(limit + 1);
+
+  const result = await pool.query(query, values);
+  const hasMore = result.rows.length > limit;
+  const messages = result.rows.slice(0, limit).reverse().map(formatMessage);
+
+  return {
+    partner,
+    messages,
+    hasMore
+  };
+};
+
+/**
+ * Mark a message as read (receiver only)
+ */
+export const markMessageAsRead = async (messageId, userId) => {
+  const result = await pool.query(
+    `SELECT receiver_id FROM messages WHERE id = $1`,
+    [messageId]
+  );
+
+  if (result.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'MESSAGE_NOT_FOUND',
+      message: 'Message not found'
+    };
+  }
+
+  if (result.rows[0].receiver_id !== userId) {
+    throw {
+      status: 403,
+      code: 'FORBIDDEN',
+      message: 'You can only mark messages sent to you as read'
+    };
+  }
+
+  await pool.query(
+    `UPDATE messages SET read = true, read_at = COALESCE(read_at, NOW()) WHERE id = $1`,
+    [messageId]
+  );
+
+  const messageResult = await pool.query(
+    `SELECT ${MESSAGE_COLUMNS}
+     FROM messages m
+     LEFT JOIN products p ON m.product_id = p.id
+     WHERE m.id = $1`,
+    [messageId]
+  );
+
+  return formatMessage(messageResult.rows[0]);
+};
+
+/**
+ * Mark every unread message from another user as read
+ */
+export const markConversationAsRead = async (userId, otherUserId) => {
+  const result = await pool.query(
+    `UPDATE messages SET read = true, read_at = NOW()
+     WHERE receiver_id = $1 AND sender_id = $2 AND read = false`,
+    [userId, otherUserId]
+  );
+
+  return { markedCount: result.rowCount };
+};
+
+/**
+ * Get the number of unread messages for a user
+ */
+export const getUnreadMessageCount = async (userId) => {
+  const result = await pool.query(
+    'SELECT COUNT(*) as count FROM messages WHERE receiver_id = $1 AND read = false',
+    [userId]
+  );
+
+  return parseInt(result.rows[0].count, 10);
+};
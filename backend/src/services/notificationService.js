@@ -1,5 +1,6 @@
 import Joi from 'joi';
 import pool from '../config/database.js';
+import { publishToUser } from './realtimeService.js';
 
 /**
  * Notification Service
@@ -15,7 +16,8 @@ const notificationSchema = Joi.object({
     'review',
     'low_inventory',
     'payment',
-    'delivery_update'
+    'delivery_update',
+    'saved_item'
   ).required(),
   title: Joi.string().max(255).required(),
   message: Joi.string().required(),
@@ -52,17 +54,21 @@ export const createNotification = async (notificationData) => {
       [value.userId, value.type, value.title, value.message, value.priority, false]
     );
 
-    const notification = result.rows[0];
-    return {
-      id: notification.id,
-      userId: notification.user_id,
-      type: notification.type,
-      title: notification.title,
-      message: notification.message,
-      priority: notification.priority,
-      read: notification.read,
-      createdAt: notification.created_at
+    const row = result.rows[0];
+    const notification = {
+      id: row.id,
+      userId: row.user_id,
+      type: row.type,
+      title: row.title,
+      message: row.message,
+      priority: row.priority,
+      read: row.read,
+      createdAt: row.created_at
     };
+
+    await publishToUser(notification.userId, 'notification', notification);
+
+    return notification;
   } catch (error) {
     console.error('Error creating notification:', error);
     throw {
@@ -287,6 +293,19 @@ export const notifyOrderStatusChange = async (consumerId, businessName, newStatu
   }
 };
 
+/**
+ * Helper function to create notification for an order the customer cancelled
+ */
+export const notifyOrderCancelledByConsumer = async (businessOwnerId, orderId, reason) => {
+  return await createNotification({
+    userId: businessOwnerId,
+    type: 'new_order',
+    title: 'Order Cancelled by Customer',
+    message: `The customer cancelled order ${orderId}. Reason: ${reason}. Any reserved or deducted stock has been restored.`,
+    priority: 'high'
+  });
+};
+
 /**
  * Helper function to create notification for new message
  */
@@ -326,6 +345,27 @@ export const notifyLowInventory = async (businessOwnerId, productName, quantity)
   });
 };
 
+/**
+ * Helper function to create the daily digest of products below their reorder threshold
+ * @param {Array<{ name: string, quantity: number }>} products - Products below threshold
+ */
+export const notifyLowStockDigest = async (businessOwnerId, businessName, products) => {
+  const MAX_LISTED = 10;
+  const listed = products
+    .slice(0, MAX_LISTED)
+    .map(product => `${product.name} (${product.quantity} left)`)
+    .join(', ');
+  const more = products.length > MAX_LISTED ? ` and ${products.length - MAX_LISTED} more` : '';
+
+  return await createNotification({
+    userId: businessOwnerId,
+    type: 'low_inventory',
+    title: 'Daily Low Stock Digest',
+    message: `${products.length} product(s) at ${businessName} are below their reorder threshold: ${listed}${more}.`,
+    priority: 'low'
+  });
+};
+
 /**
  * Helper function to create notification for payment
  */
@@ -339,3 +379,122 @@ export const notifyPaymentReceived = async (businessOwnerId, amount, orderId) =>
   });
 };
 
+
+/**
+ * Helper function to create notification for a processed refund
+ */
+export const notifyRefundProcessed = async (consumerId, amount, orderId) => {
+  return await createNotification({
+    userId: consumerId,
+    type: 'payment',
+    title: 'Refund Processed',
+    message: `A refund of $${amount.toFixed(2)} has been issued for order ${orderId}.`,
+    priority: 'high'
+  });
+};
+
+/**
+ * Helper function to create notification for a consumer refund request
+ */
+export const notifyRefundRequested = async (businessOwnerId, amount, orderId) => {
+  return await createNotification({
+    userId: businessOwnerId,
+    type: 'payment',
+    title: 'Refund Requested',
+    message: `A customer has requested a refund of $${amount.toFixed(2)} for order ${orderId}.`,
+    priority: 'high'
+  });
+};
+
+/**
+ * Helper function to create notification for a failed delivery
+ */
+export const notifyDeliveryFailed = async (businessOwnerId, orderId, reason) => {
+  return await createNotification({
+    userId: businessOwnerId,
+    type: 'delivery_update',
+    title: 'Delivery Failed',
+    message: `Delivery for order ${orderId} could not be completed: ${reason}. The order is ready to be rebooked.`,
+    priority: 'high'
+  });
+};
+
+/**
+ * Helper function to create notification for a new return request
+ */
+export const notifyReturnRequested = async (businessOwnerId, orderId, itemCount) => {
+  return await createNotification({
+    userId: businessOwnerId,
+    type: 'new_order',
+    title: 'Return Requested',
+    message: `A customer has asked to return ${itemCount} item(s) from order ${orderId}. Review the request to approve or reject it.`,
+    priority: 'high'
+  });
+};
+
+/**
+ * Helper function to create notification for progress on a customer's return
+ */
+export const notifyReturnUpdate = async (consumerId, businessName, status, details = {}) => {
+  const statusMessages = {
+    approved: {
+      title: 'Return Approved',
+      message: `${businessName} approved your return. Please send the items back.`,
+      priority: 'high'
+    },
+    rejected: {
+      title: 'Return Declined',
+      message: `${businessName} declined your return request${details.note ? `: ${details.note}` : '.'}`,
+      priority: 'high'
+    },
+    received: {
+      title: 'Return Received',
+      message: `${businessName} has received your returned items.`,
+      priority: 'medium'
+    },
+    resolved: {
+      title: 'Return Completed',
+      message: details.resolution === 'exchange'
+        ? `${businessName} is sending you a replacement for your returned items.`
+        : `${businessName} completed your return with a refund.`,
+      priority: 'high'
+    }
+  };
+
+  const notification = statusMessages[status];
+  if (notification) {
+    return await createNotification({
+      userId: consumerId,
+      type: 'delivery_update',
+      title: notification.title,
+      message: notification.message,
+      priority: notification.priority
+    });
+  }
+};
+
+/**
+ * Helper function to tell a consumer a product they saved is back in stock
+ */
+export const notifySavedProductBackInStock = async (consumerId, productName, businessName) => {
+  return await createNotification({
+    userId: consumerId,
+    type: 'saved_item',
+    title: 'Back in Stock',
+    message: `${productName} from ${businessName} is back in stock.`,
+    priority: 'medium'
+  });
+};
+
+/**
+ * Helper function to tell a consumer a product they saved has gone on sale
+ */
+export const notifySavedProductOnSale = async (consumerId, productName, businessName, salePrice, listPrice) => {
+  return await createNotification({
+    userId: consumerId,
+    type: 'saved_item',
+    title: 'On Sale',
+    message: `${productName} from ${businessName} is on sale for $${salePrice.toFixed(2)} (was $${listPrice.toFixed(2)}).`,
+    priority: 'medium'
+  });
+};
@@ -0,0 +1,89 @@
+import pool from '../config/database.js';
+
+/**
+ * Order Event Service
+ * Keeps the lifecycle history of each order: status transitions, payment, delivery and return events
+ */
+
+/**
+ * Append an event to an order's history
+ * Pass the transaction client when the change it describes is part of one, so both commit together.
+ * @param {Object} db - Pool or transaction client
+ * @param {Object} event - orderId, type ('status' | 'payment' | 'delivery' | 'return'), toStatus, and optional fromStatus, actorId, note, metadata
+ */
+export const recordOrderEvent = async (db, event) => {
+  const {
+    orderId,
+    type,
+    fromStatus = null,
+    toStatus,
+    actorId = null,
+    note = null,
+    metadata = {}
+  } = event;
+
+  // clock_timestamp keeps events from one transaction in the order they happened
+  await db.query(
+    `INSERT INTO order_events (
+      order_id, event_type, from_status, to_status, actor_id, note, metadata, created_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, clock_timestamp())`,
+    [orderId, type, fromStatus, toStatus, actorId, note || null, metadata]
+  );
+};
+
+/**
+ * Get an order's events, oldest first (consumer or business owner)
+ * Each event says whether the customer, the business or the system made it.
+ */
+export const getOrderEvents = async (orderId, userId) => {
+  const orderResult = await pool.query(
+    `SELECT o.id, o.consumer_id, b.owner_id
+     FROM orders o
+     JOIN businesses b ON o.business_id = b.id
+     WHERE o.id = $1`,
+    [orderId]
+  );
+
+  if (orderResult.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'ORDER_NOT_FOUND',
+      message: 'Order not found'
+    };
+  }
+
+  const order = orderResult.rows[0];
+
+  if (order.consumer_id !== userId && order.owner_id !== userId) {
+    throw {
+      status: 403,
+      code: 'FORBIDDEN',
+      message: 'You do not have permission to view this order'
+    };
+  }
+
+  const result = await pool.query(
+    `SELECT id, event_type, from_status, to_status, actor_id, note, metadata, created_at
+     FROM order_events
+     WHERE order_id = $1
+     ORDER BY created_at ASC, id`,
+    [orderId]
+  );
+
+  const actorRole = (actorId) => {
+    if (actorId === order.consumer_id) return 'consumer';
+    if (actorId === order.owner_id) return 'business';
+    return 'system';
+  };
+
+  return result.rows.map(event => ({
+    id: event.id,
+    type: event.event_type,
+    fromStatus: event.from_status,
+    toStatus: event.to_status,
+    actor: actorRole(event.actor_id),
+    note: event.note,
+    metadata: event.metadata,
+    createdAt: event.created_at
+  }));
+};
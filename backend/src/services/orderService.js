@@ -1,6 +1,32 @@
 import Joi from 'joi';
 import pool from '../config/database.js';
-import { notifyNewOrder, notifyOrderStatusChange } from '../utils/notificationUtils.js';
+import {
+  notifyNewOrder,
+  notifyOrderStatusChange,
+  notifyOrderCancelledByConsumer
+} from '../utils/notificationUtils.js';
+import { refundOrder } from './refundService.js';
+import { calculateDeliveryFee } from './deliveryZoneService.js';
+import { geocodeAddress } from '../utils/geocodingUtils.js';
+import { publishToUser } from './realtimeService.js';
+import { invalidateBusinessAnalytics } from './analyticsService.js';
+import {
+  reserveStock,
+  releaseReservation,
+  adjustStock,
+  checkLowStock,
+  RESERVATION_WINDOW_MINUTES
+} from './inventoryService.js';
+import { notifyBackInStock } from './favouriteService.js';
+import { recordOrderEvent } from './orderEventService.js';
+import { reservePickupSlot } from './pickupSlotService.js';
+import {
+  applyPromotions,
+  describeAppliedPromotion,
+  recordRedemption,
+  releaseRedemptions
+} from './promotionService.js';
+import { PRICE_COLUMNS, formatPricing, getLinePricing } from './pricingService.js';
 
 /**
  * Order Service
@@ -10,12 +36,40 @@ import { notifyNewOrder, notifyOrderStatusChange } from '../utils/notificationUt
 // Validation schemas
 const orderItemSchema = Joi.object({
   productId: Joi.string().uuid().required(),
-  quantity: Joi.number().integer().min(1).required()
+  // Required for products that have variants
+  variantId: Joi.string().uuid().allow(null),
+  quantity: Joi.number().integer().min(1).required(),
+  // Price shown in the cart; the current product price is what gets charged
+  priceAtPurchase: Joi.number().min(0)
+});
+
+const deliveryAddressSchema = Joi.object({
+  address: Joi.string().max(500).required(),
+  city: Joi.string().max(100).required(),
+  postalCode: Joi.string().max(20).allow(''),
+  country: Joi.string().max(100).required()
 });
 
 const orderCreateSchema = Joi.object({
+  // Cart grouping from the client; orders are split by each product's business
+  businessId: Joi.string().uuid(),
   items: Joi.array().items(orderItemSchema).min(1).required(),
-  deliveryMethod: Joi.string().valid('pickup', 'delivery').required()
+  deliveryMethod: Joi.string().valid('pickup', 'delivery').required(),
+  deliveryAddress: Joi.when('deliveryMethod', {
+    is: 'delivery',
+    then: deliveryAddressSchema.required(),
+    otherwise: Joi.valid(null)
+  }),
+  // Chosen pickup slot start per business, for businesses that schedule pickups
+  pickupSlots: Joi.when('deliveryMethod', {
+    is: 'pickup',
+    then: Joi.object().pattern(Joi.string().uuid(), Joi.date().iso()),
+    otherwise: Joi.forbidden()
+  }),
+  deliveryNotes: Joi.string().max(1000).allow('', null),
+  contactPhone: Joi.string().max(50).allow('', null),
+  // Promotion code entered at checkout; automatic promotions apply without one
+  promoCode: Joi.string().trim().max(50).allow('', null)
 });
 
 const orderStatusUpdateSchema = Joi.object({
@@ -26,12 +80,307 @@ const orderStatusUpdateSchema = Joi.object({
     'out_for_delivery',
     'delivered',
     'cancelled'
-  ).required()
+  ).required(),
+  // Shown on the order timeline, e.g. why it was cancelled
+  note: Joi.string().max(1000).allow('', null)
 });
 
+// Reason codes a customer can give when cancelling their own order
+export const CANCELLATION_REASONS = {
+  ordered_by_mistake: 'Ordered by mistake',
+  found_cheaper: 'Found it cheaper elsewhere',
+  delivery_too_slow: 'Delivery or pickup takes too long',
+  changed_mind: 'Changed my mind',
+  other: 'Other'
+};
+
+const consumerCancelSchema = Joi.object({
+  reason: Joi.string().valid(...Object.keys(CANCELLATION_REASONS)).required(),
+  note: Joi.string().max(1000).allow('', null).when('reason', {
+    is: 'other',
+    then: Joi.string().required()
+  })
+});
+
+// Delivery, pickup and fee columns shared by the order read queries; expects orders as o and businesses as b
+const ORDER_DELIVERY_COLUMNS = `o.delivery_address, o.delivery_city, o.delivery_postal_code, o.delivery_country,
+  ST_Y(o.delivery_location::geometry) as delivery_latitude,
+  ST_X(o.delivery_location::geometry) as delivery_longitude,
+  ST_Distance(o.delivery_location, b.location) as delivery_distance_meters,
+  o.delivery_notes, o.contact_phone, o.delivery_fee, o.discount_amount, o.pickup_slot_start, o.pickup_slot_end`;
+
+/**
+ * List and sale unit price an order item was bought at; lines from before sale prices fall back to the price paid
+ */
+const formatPurchasePrices = (item) => ({
+  listPriceAtPurchase: item.list_price_at_purchase !== null
+    ? parseFloat(item.list_price_at_purchase)
+    : parseFloat(item.price_at_purchase),
+  salePriceAtPurchase: item.sale_price_at_purchase !== null ? parseFloat(item.sale_price_at_purchase) : null
+});
+
+/**
+ * Map the delivery, pickup and fee columns of an orders row to the API shape
+ * subtotal is the items before any promotion discount.
+ */
+const formatOrderDelivery = (order) => ({
+  pickupSlot: order.pickup_slot_start
+    ? { start: order.pickup_slot_start, end: order.pickup_slot_end }
+    : null,
+  deliveryAddress: order.delivery_address
+    ? {
+        address: order.delivery_address,
+        city: order.delivery_city,
+        postalCode: order.delivery_postal_code,
+        country: order.delivery_country,
+        latitude: order.delivery_latitude,
+        longitude: order.delivery_longitude
+      }
+    : null,
+  deliveryDistanceKm: order.delivery_distance_meters !== null && order.delivery_distance_meters !== undefined
+    ? parseFloat((order.delivery_distance_meters / 1000).toFixed(2))
+    : null,
+  deliveryNotes: order.delivery_notes,
+  contactPhone: order.contact_phone,
+  deliveryFee: parseFloat(order.delivery_fee),
+  discountAmount: parseFloat(order.discount_amount),
+  subtotal: Math.round(
+    (parseFloat(order.total_amount) - parseFloat(order.delivery_fee) + parseFloat(order.discount_amount)) * 100
+  ) / 100
+});
+
+/**
+ * Fetch the variants of the given products, grouped by product id
+ * Pass a transaction client with lock to hold the rows until it commits.
+ */
+const fetchVariantsByProduct = async (db, productIds, lock = false) => {
+  const result = await db.query(
+    `SELECT id, product_id, options, price, quantity, reserved_quantity
+     FROM product_variants
+     WHERE product_id = ANY($1)
+     ORDER BY id${lock ? ' FOR UPDATE' : ''}`,
+    [productIds]
+  );
+
+  const variantsByProduct = {};
+  result.rows.forEach(variant => {
+    (variantsByProduct[variant.product_id] = variantsByProduct[variant.product_id] || []).push(variant);
+  });
+  return variantsByProduct;
+};
+
+/**
+ * Find the variant an order item refers to
+ * Products with variants must be ordered by variant; products without must not name one.
+ */
+const resolveItemVariant = (product, variants = [], item) => {
+  if (variants.length === 0) {
+    if (item.variantId) {
+      throw {
+        status: 404,
+        code: 'VARIANT_NOT_FOUND',
+        message: `Product "${product.name}" has no variants`
+      };
+    }
+    return null;
+  }
+
+  if (!item.variantId) {
+    throw {
+      status: 400,
+      code: 'VARIANT_REQUIRED',
+      message: `Choose an option for product "${product.name}"`
+    };
+  }
+
+  const variant = variants.find(v => v.id === item.variantId);
+  if (!variant) {
+    throw {
+      status: 404,
+      code: 'VARIANT_NOT_FOUND',
+      message: `The selected option for product "${product.name}" is no longer available`
+    };
+  }
+
+  return variant;
+};
+
+/**
+ * Display name for a product, with its variant's option values if any
+ */
+const describeItem = (product, variant) =>
+  variant ? `${product.name} (${Object.values(variant.options).join(' / ')})` : product.name;
+
+/**
+ * When a confirmed order stops being cancellable by its customer, or null if it isn't
+ * Pending orders can always be cancelled; expects confirmed_at and cancellation_window_minutes.
+ */
+const getConsumerCancelDeadline = (order) => {
+  if (order.status !== 'confirmed' || !order.confirmed_at || order.cancellation_window_minutes <= 0) {
+    return null;
+  }
+  return new Date(new Date(order.confirmed_at).getTime() + order.cancellation_window_minutes * 60 * 1000);
+};
+
+const canConsumerCancel = (order) => {
+  const deadline = getConsumerCancelDeadline(order);
+  return order.status === 'pending' || (deadline !== null && deadline > new Date());
+};
+
+/**
+ * Geocode a delivery address
+ * Returns the address with its coordinates and a WKT point for PostGIS
+ */
+const resolveDeliveryAddress = async (address) => {
+  if (!address) {
+    return { deliveryAddress: null, deliveryLocation: null };
+  }
+
+  let coordinates;
+  try {
+    coordinates = await geocodeAddress(
+      [address.address, address.postalCode].filter(Boolean).join(' '),
+      address.city,
+      address.country
+    );
+  } catch (geocodeError) {
+    throw {
+      status: 400,
+      code: 'INVALID_ADDRESS',
+      message: 'Could not validate the delivery address. Please check the address details.',
+      details: geocodeError.message
+    };
+  }
+
+  return {
+    deliveryAddress: {
+      address: address.address,
+      city: address.city,
+      postalCode: address.postalCode || null,
+      country: address.country,
+      latitude: coordinates.latitude,
+      longitude: coordinates.longitude
+    },
+    deliveryLocation: `POINT(${coordinates.longitude} ${coordinates.latitude})`
+  };
+};
+
+/**
+ * Quote an order before it is placed
+ * Groups the items per business, applies promotions and prices each business's delivery fee
+ */
+export const quoteOrder = async (consumerId, quoteData) => {
+  // Validate input
+  const { error, value } = orderCreateSchema.validate(quoteData, { abortEarly: false });
+  if (error) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid order data',
+      details: error.details.map(d => d.message)
+    };
+  }
+
+  const { deliveryLocation } = await resolveDeliveryAddress(value.deliveryAddress);
+
+  const productIds = [...new Set(value.items.map(item => item.productId))];
+  const productsResult = await pool.query(
+    `SELECT p.id, p.business_id, p.name, ${PRICE_COLUMNS}, p.category, b.name as business_name
+     FROM products p
+     JOIN businesses b ON p.business_id = b.id
+     WHERE p.id = ANY($1)`,
+    [productIds]
+  );
+
+  if (productsResult.rows.length !== productIds.length) {
+    throw {
+      status: 404,
+      code: 'PRODUCT_NOT_FOUND',
+      message: 'One or more products not found'
+    };
+  }
+
+  const productsMap = {};
+  productsResult.rows.forEach(product => {
+    productsMap[product.id] = product;
+  });
+
+  const variantsByProduct = await fetchVariantsByProduct(pool, productIds);
+
+  const businessQuotes = {};
+  for (const item of value.items) {
+    const product = productsMap[item.productId];
+    const variant = resolveItemVariant(product, variantsByProduct[product.id], item);
+    const { price } = getLinePricing(formatPricing(product), variant);
+
+    if (!businessQuotes[product.business_id]) {
+      businessQuotes[product.business_id] = {
+        businessId: product.business_id,
+        businessName: product.business_name,
+        items: [],
+        subtotal: 0
+      };
+    }
+
+    businessQuotes[product.business_id].items.push({
+      productId: item.productId,
+      category: product.category,
+      priceAtPurchase: price,
+      quantity: item.quantity
+    });
+    businessQuotes[product.business_id].subtotal += price * item.quantity;
+  }
+
+  const promotions = await applyPromotions(pool, consumerId, businessQuotes, value.promoCode);
+
+  const quotes = [];
+
+  for (const { items, ...quote } of Object.values(businessQuotes)) {
+    const promotion = promotions[quote.businessId];
+    quote.subtotal = Math.round(quote.subtotal * 100) / 100;
+    quote.discountAmount = promotion?.discount || 0;
+    quote.promotion = promotion ? describeAppliedPromotion(promotion) : null;
+    quote.deliveryFee = 0;
+    quote.deliverable = true;
+
+    // Free-delivery thresholds count what is paid for the items, after the discount
+    const itemsTotal = Math.round((quote.subtotal - quote.discountAmount) * 100) / 100;
+
+    if (value.deliveryMethod === 'delivery') {
+      try {
+        const feeQuote = await calculateDeliveryFee(pool, quote.businessId, deliveryLocation, itemsTotal);
+        quote.deliveryFee = feeQuote.fee;
+        quote.distanceKm = feeQuote.distanceKm;
+        quote.zone = feeQuote.zone;
+        quote.freeDeliveryThreshold = feeQuote.freeDeliveryThreshold;
+        quote.freeDelivery = feeQuote.freeDelivery;
+      } catch (feeError) {
+        if (feeError.code !== 'OUTSIDE_DELIVERY_AREA') {
+          throw feeError;
+        }
+        quote.deliverable = false;
+        quote.message = feeError.message;
+      }
+    }
+
+    quote.totalAmount = Math.round((itemsTotal + quote.deliveryFee) * 100) / 100;
+    quotes.push(quote);
+  }
+
+  return {
+    orders: quotes,
+    subtotal: Math.round(quotes.reduce((sum, q) => sum + q.subtotal, 0) * 100) / 100,
+    discountAmount: Math.round(quotes.reduce((sum, q) => sum + q.discountAmount, 0) * 100) / 100,
+    deliveryFee: Math.round(quotes.reduce((sum, q) => sum + q.deliveryFee, 0) * 100) / 100,
+    totalAmount: Math.round(quotes.reduce((sum, q) => sum + q.totalAmount, 0) * 100) / 100,
+    deliverable: quotes.every(q => q.deliverable)
+  };
+};
+
 /**
  * Create a new order
- * Validates inventory, calculates totals, and splits cart into separate orders per SME
+ * Validates inventory, calculates totals, and splits cart into separate orders per SME.
+ * The ordered stock is reserved until the SME confirms or the reservation expires.
  */
 export const createOrder = async (consumerId, orderData) => {
   const client = await pool.connect();
@@ -48,6 +397,9 @@ export const createOrder = async (consumerId, orderData) => {
       };
     }
 
+    // Geocode the delivery address before opening the transaction
+    const { deliveryAddress, deliveryLocation } = await resolveDeliveryAddress(value.deliveryAddress);
+
     await client.query('BEGIN');
 
     // Verify consumer exists
@@ -64,14 +416,26 @@ export const createOrder = async (consumerId, orderData) => {
       };
     }
 
-    // Fetch product details and group by business
-    const productIds = value.items.map(item => item.productId);
+    // One checkout groups the orders the cart is split into; its total is set once they are priced
+    const checkoutResult = await client.query(
+      `INSERT INTO checkouts (consumer_id, total_amount, created_at, updated_at)
+       VALUES ($1, 0, NOW(), NOW())
+       RETURNING id, created_at`,
+      [consumerId]
+    );
+    const checkout = checkoutResult.rows[0];
+
+    // Fetch and lock product rows so concurrent orders cannot reserve the same units.
+    // Locking in id order, products before variants, keeps two overlapping carts from deadlocking.
+    const productIds = [...new Set(value.items.map(item => item.productId))];
     const productsResult = await client.query(
-      `SELECT p.id, p.business_id, p.name, p.price, p.quantity, p.in_stock,
-              b.name as business_name
+      `SELECT p.id, p.business_id, p.name, ${PRICE_COLUMNS}, p.quantity, p.reserved_quantity, p.in_stock,
+              p.category, b.name as business_name
        FROM products p
        JOIN businesses b ON p.business_id = b.id
-       WHERE p.id = ANY($1)`,
+       WHERE p.id = ANY($1)
+       ORDER BY p.id
+       FOR UPDATE OF p`,
       [productIds]
     );
 
@@ -89,30 +453,42 @@ export const createOrder = async (consumerId, orderData) => {
       productsMap[product.id] = product;
     });
 
+    const variantsByProduct = await fetchVariantsByProduct(client, productIds, true);
+
     // Validate inventory and group items by business
     const businessOrders = {};
+    // Units already taken by earlier lines of this cart, per product or variant
+    const requested = {};
     
     for (const item of value.items) {
       const product = productsMap[item.productId];
+      const variant = resolveItemVariant(product, variantsByProduct[product.id], item);
+      const stock = variant || product;
+      const itemName = describeItem(product, variant);
       
       // Check if product is in stock
-      if (!product.in_stock) {
+      if (stock.quantity <= 0) {
         throw {
           status: 400,
           code: 'PRODUCT_OUT_OF_STOCK',
-          message: `Product "${product.name}" is out of stock`
+          message: `Product "${itemName}" is out of stock`
         };
       }
 
-      // Check if requested quantity is available
-      if (product.quantity < item.quantity) {
+      // Check if requested quantity is available once other orders' reservations are taken out
+      requested[stock.id] = (requested[stock.id] || 0) + item.quantity;
+      const available = stock.quantity - stock.reserved_quantity;
+      if (available < requested[stock.id]) {
         throw {
           status: 400,
           code: 'INSUFFICIENT_INVENTORY',
-          message: `Insufficient inventory for product "${product.name}". Available: ${product.quantity}, Requested: ${item.quantity}`
+          message: `Insufficient inventory for product "${itemName}". Available: ${Math.max(available, 0)}, Requested: ${requested[stock.id]}`
         };
       }
 
+      // Priced as of now, so a sale that ends mid-checkout no longer applies
+      const { price, listPrice, salePrice } = getLinePricing(formatPricing(product), variant);
+
       // Group items by business
       const businessId = product.business_id;
       if (!businessOrders[businessId]) {
@@ -127,54 +503,129 @@ export const createOrder = async (consumerId, orderData) => {
       businessOrders[businessId].items.push({
         productId: item.productId,
         productName: product.name,
+        variantId: variant?.id || null,
+        variantOptions: variant?.options || null,
+        category: product.category,
         quantity: item.quantity,
-        priceAtPurchase: parseFloat(product.price)
+        priceAtPurchase: price,
+        listPriceAtPurchase: listPrice,
+        salePriceAtPurchase: salePrice
       });
 
-      businessOrders[businessId].totalAmount += parseFloat(product.price) * item.quantity;
+      businessOrders[businessId].totalAmount += price * item.quantity;
     }
 
+    // Locks the promotions used so their usage limits hold under concurrent checkouts
+    const promotions = await applyPromotions(client, consumerId, businessOrders, value.promoCode, { lock: true });
+
     // Create separate orders for each business
     const createdOrders = [];
 
-    for (const businessId in businessOrders) {
+    // In id order, like the product locks, since pickups lock each business row
+    for (const businessId of Object.keys(businessOrders).sort()) {
       const businessOrder = businessOrders[businessId];
+      const subtotal = Math.round(businessOrder.totalAmount * 100) / 100;
+      const promotion = promotions[businessId];
+      const discountAmount = promotion?.discount || 0;
+      const itemsTotal = Math.round((subtotal - discountAmount) * 100) / 100;
+
+      // Price delivery per business from its zones and free-delivery threshold, after the discount
+      let deliveryFee = 0;
+      if (value.deliveryMethod === 'delivery') {
+        const feeQuote = await calculateDeliveryFee(client, businessId, deliveryLocation, itemsTotal);
+        deliveryFee = feeQuote.fee;
+      }
+
+      const pickupSlot = value.deliveryMethod === 'pickup'
+        ? await reservePickupSlot(client, businessId, value.pickupSlots?.[businessId])
+        : null;
 
       // Insert order
       const orderResult = await client.query(
         `INSERT INTO orders (
-          consumer_id, business_id, total_amount, status, delivery_method, payment_status, created_at, updated_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
-        RETURNING id, consumer_id, business_id, total_amount, status, delivery_method, payment_status, created_at`,
+          consumer_id, business_id, total_amount, status, delivery_method, payment_status,
+          delivery_address, delivery_city, delivery_postal_code, delivery_country, delivery_location,
+          delivery_notes, contact_phone, delivery_fee, pickup_slot_start, pickup_slot_end,
+          reservation_expires_at, checkout_id, discount_amount, created_at, updated_at
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, ST_GeogFromText($11), $12, $13, $14, $15, $16,
+          NOW() + make_interval(mins => $17), $18, $19, NOW(), NOW()
+        )
+        RETURNING id, consumer_id, business_id, checkout_id, total_amount, status, delivery_method, payment_status,
+                  reservation_expires_at, created_at`,
         [
           consumerId,
           businessId,
-          businessOrder.totalAmount,
+          itemsTotal + deliveryFee,
           'pending',
           value.deliveryMethod,
-          'pending'
+          'pending',
+          deliveryAddress?.address || null,
+          deliveryAddress?.city || null,
+          deliveryAddress?.postalCode || null,
+          deliveryAddress?.country || null,
+          deliveryLocation,
+          value.deliveryNotes || null,
+          value.contactPhone || null,
+          deliveryFee,
+          pickupSlot?.start || null,
+          pickupSlot?.end || null,
+          RESERVATION_WINDOW_MINUTES,
+          checkout.id,
+          discountAmount
         ]
       );
 
       const order = orderResult.rows[0];
 
+      if (promotion) {
+        await recordRedemption(client, promotion, order.id, consumerId);
+      }
+
+      await recordOrderEvent(client, {
+        orderId: order.id,
+        type: 'status',
+        toStatus: 'pending',
+        actorId: consumerId,
+        note: 'Order placed'
+      });
+
+      await reserveStock(client, businessOrder.items);
+
       // Insert order items
       const orderItems = [];
-      for (const item of businessOrder.items) {
+      for (const [index, item] of businessOrder.items.entries()) {
+        const itemDiscount = promotion?.lineDiscounts[index] || 0;
         const orderItemResult = await client.query(
           `INSERT INTO order_items (
-            order_id, product_id, quantity, price_at_purchase, created_at
-          ) VALUES ($1, $2, $3, $4, NOW())
+            order_id, product_id, variant_id, variant_options, quantity, price_at_purchase,
+            list_price_at_purchase, sale_price_at_purchase, discount_amount, created_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
           RETURNING id, order_id, product_id, quantity, price_at_purchase, created_at`,
-          [order.id, item.productId, item.quantity, item.priceAtPurchase]
+          [
+            order.id,
+            item.productId,
+            item.variantId,
+            item.variantOptions,
+            item.quantity,
+            item.priceAtPurchase,
+            item.listPriceAtPurchase,
+            item.salePriceAtPurchase,
+            itemDiscount
+          ]
         );
 
         orderItems.push({
           id: orderItemResult.rows[0].id,
           productId: item.productId,
           productName: item.productName,
+          variantId: item.variantId,
+          variantOptions: item.variantOptions,
           quantity: item.quantity,
-          priceAtPurchase: item.priceAtPurchase
+          priceAtPurchase: item.priceAtPurchase,
+          listPriceAtPurchase: item.listPriceAtPurchase,
+          salePriceAtPurchase: item.salePriceAtPurchase,
+          discountAmount: itemDiscount
         });
       }
 
@@ -183,17 +634,43 @@ export const createOrder = async (consumerId, orderData) => {
         consumerId: order.consumer_id,
         businessId: order.business_id,
         businessName: businessOrder.businessName,
+        checkoutId: order.checkout_id,
+        subtotal,
+        discountAmount,
+        promotion: promotion ? describeAppliedPromotion(promotion) : null,
+        deliveryFee,
         totalAmount: parseFloat(order.total_amount),
         status: order.status,
         deliveryMethod: order.delivery_method,
         paymentStatus: order.payment_status,
+        deliveryAddress,
+        pickupSlot,
+        deliveryNotes: value.deliveryNotes || null,
+        contactPhone: value.contactPhone || null,
         items: orderItems,
+        reservationExpiresAt: order.reservation_expires_at,
         createdAt: order.created_at
       });
     }
 
+    const checkoutTotal = Math.round(
+      createdOrders.reduce((sum, order) => sum + order.totalAmount, 0) * 100
+    ) / 100;
+    await client.query(
+      'UPDATE checkouts SET total_amount = $1 WHERE id = $2',
+      [checkoutTotal, checkout.id]
+    );
+
     await client.query('COMMIT');
 
+    // Reserving may have taken the last available units
+    await notifyBackInStock(createdOrders.flatMap(order => order.items.map(item => item.productId)));
+
+    // New orders change each business's analytics
+    for (const order of createdOrders) {
+      await invalidateBusinessAnalytics(order.businessId);
+    }
+
     // Send notifications to business owners about new orders
     for (const order of createdOrders) {
       // Get business owner ID
@@ -218,7 +695,15 @@ export const createOrder = async (consumerId, orderData) => {
       }
     }
 
-    return createdOrders;
+    return {
+      checkout: {
+        id: checkout.id,
+        consumerId,
+        totalAmount: checkoutTotal,
+        createdAt: checkout.created_at
+      },
+      orders: createdOrders
+    };
 
   } catch (error) {
     await client.query('ROLLBACK');
@@ -233,9 +718,11 @@ export const createOrder = async (consumerId, orderData) => {
  */
 export const getOrderById = async (orderId, userId) => {
   const result = await pool.query(
-    `SELECT o.id, o.consumer_id, o.business_id, o.total_amount, o.status, 
-            o.delivery_method, o.payment_status, o.created_at, o.updated_at,
-            b.name as business_name, b.owner_id as business_owner_id,
+    `SELECT o.id, o.consumer_id, o.business_id, o.checkout_id, o.total_amount, o.status, 
+            o.delivery_method, o.payment_status, o.reservation_expires_at, o.confirmed_at,
+            o.cancellation_reason, o.created_at, o.updated_at,
+            ${ORDER_DELIVERY_COLUMNS},
+            b.name as business_name, b.owner_id as business_owner_id, b.cancellation_window_minutes,
             u.email as consumer_email
      FROM orders o
      JOIN businesses b ON o.business_id = b.id
@@ -265,8 +752,9 @@ export const getOrderById = async (orderId, userId) => {
 
   // Fetch order items
   const itemsResult = await pool.query(
-    `SELECT oi.id, oi.product_id, oi.quantity, oi.price_at_purchase, oi.created_at,
-            p.name as product_name, p.images as product_images
+    `SELECT oi.id, oi.product_id, oi.variant_id, oi.variant_options, oi.quantity,
+            oi.price_at_purchase, oi.list_price_at_purchase, oi.sale_price_at_purchase, oi.discount_amount,
+            oi.created_at, p.name as product_name, p.images as product_images
      FROM order_items oi
      JOIN products p ON oi.product_id = p.id
      WHERE oi.order_id = $1`,
@@ -278,8 +766,12 @@ export const getOrderById = async (orderId, userId) => {
     productId: item.product_id,
     productName: item.product_name,
     productImages: item.product_images,
+    variantId: item.variant_id,
+    variantOptions: item.variant_options,
     quantity: item.quantity,
     priceAtPurchase: parseFloat(item.price_at_purchase),
+    ...formatPurchasePrices(item),
+    discountAmount: parseFloat(item.discount_amount),
     createdAt: item.created_at
   }));
 
@@ -289,11 +781,19 @@ export const getOrderById = async (orderId, userId) => {
     consumerEmail: order.consumer_email,
     businessId: order.business_id,
     businessName: order.business_name,
+    checkoutId: order.checkout_id,
     totalAmount: parseFloat(order.total_amount),
     status: order.status,
     deliveryMethod: order.delivery_method,
     paymentStatus: order.payment_status,
+    ...formatOrderDelivery(order),
     items,
+    reservationExpiresAt: order.reservation_expires_at,
+    confirmedAt: order.confirmed_at,
+    cancellationReason: order.cancellation_reason,
+    // Whether the customer may still cancel, and until when once confirmed
+    consumerCancellable: canConsumerCancel(order),
+    consumerCancelDeadline: getConsumerCancelDeadline(order),
     createdAt: order.created_at,
     updatedAt: order.updated_at
   };
@@ -303,7 +803,7 @@ export const getOrderById = async (orderId, userId) => {
  * Get orders by user (consumer or business owner)
  */
 export const getOrdersByUser = async (userId, userType, filters = {}) => {
-  const { status, limit = 50, offset = 0 } = filters;
+  const { status, checkoutId, limit = 50, offset = 0 } = filters;
 
   let query;
   let values;
@@ -311,8 +811,9 @@ export const getOrdersByUser = async (userId, userType, filters = {}) => {
   if (userType === 'consumer') {
     // Get orders placed by consumer
     query = `
-      SELECT o.id, o.consumer_id, o.business_id, o.total_amount, o.status,
-             o.delivery_method, o.payment_status, o.created_at, o.updated_at,
+      SELECT o.id, o.consumer_id, o.business_id, o.checkout_id, o.total_amount, o.status,
+             o.delivery_method, o.payment_status, o.cancellation_reason, o.created_at, o.updated_at,
+             ${ORDER_DELIVERY_COLUMNS},
              b.name as business_name
       FROM orders o
       JOIN businesses b ON o.business_id = b.id
@@ -322,8 +823,9 @@ export const getOrdersByUser = async (userId, userType, filters = {}) => {
   } else {
     // Get orders for businesses owned by SME
     query = `
-      SELECT o.id, o.consumer_id, o.business_id, o.total_amount, o.status,
-             o.delivery_method, o.payment_status, o.created_at, o.updated_at,
+      SELECT o.id, o.consumer_id, o.business_id, o.checkout_id, o.total_amount, o.status,
+             o.delivery_method, o.payment_status, o.cancellation_reason, o.created_at, o.updated_at,
+             ${ORDER_DELIVERY_COLUMNS},
              b.name as business_name, u.email as consumer_email
       FROM orders o
       JOIN businesses b ON o.business_id = b.id
@@ -339,6 +841,11 @@ export const getOrdersByUser = async (userId, userType, filters = {}) => {
     values.push(status);
   }
 
+  if (checkoutId) {
+    query += ` AND o.checkout_id = $${values.length + 1}`;
+    values.push(checkoutId);
+  }
+
   query += ` ORDER BY o.created_at DESC LIMIT $${values.length + 1} OFFSET $${values.length + 2}`;
   values.push(limit, offset);
 
@@ -348,7 +855,8 @@ export const getOrdersByUser = async (userId, userType, filters = {}) => {
   const orders = await Promise.all(
     result.rows.map(async (order) => {
       const itemsResult = await pool.query(
-        `SELECT oi.id, oi.product_id, oi.quantity, oi.price_at_purchase,
+        `SELECT oi.id, oi.product_id, oi.variant_id, oi.variant_options, oi.quantity,
+                oi.price_at_purchase, oi.list_price_at_purchase, oi.sale_price_at_purchase, oi.discount_amount,
                 p.name as product_name
          FROM order_items oi
          JOIN products p ON oi.product_id = p.id
@@ -360,8 +868,12 @@ export const getOrdersByUser = async (userId, userType, filters = {}) => {
         id: item.id,
         productId: item.product_id,
         productName: item.product_name,
+        variantId: item.variant_id,
+        variantOptions: item.variant_options,
         quantity: item.quantity,
-        priceAtPurchase: parseFloat(item.price_at_purchase)
+        priceAtPurchase: parseFloat(item.price_at_purchase),
+        ...formatPurchasePrices(item),
+        discountAmount: parseFloat(item.discount_amount)
       }));
 
       return {
@@ -370,10 +882,13 @@ export const getOrdersByUser = async (userId, userType, filters = {}) => {
         consumerEmail: order.consumer_email,
         businessId: order.business_id,
         businessName: order.business_name,
+        checkoutId: order.checkout_id,
         totalAmount: parseFloat(order.total_amount),
         status: order.status,
         deliveryMethod: order.delivery_method,
         paymentStatus: order.payment_status,
+        cancellationReason: order.cancellation_reason,
+        ...formatOrderDelivery(order),
         items,
         createdAt: order.created_at,
         updatedAt: order.updated_at
@@ -385,32 +900,24 @@ export const getOrdersByUser = async (userId, userType, filters = {}) => {
 };
 
 /**
- * Update order status
- * Includes status transition validation and inventory updates
+ * Move an order to a new status, adjusting stock and notifying the other party
+ * authorize(order) runs against the locked order row and throws if the caller may not make the change.
  */
-export const updateOrderStatus = async (orderId, businessOwnerId, statusData) => {
+const transitionOrder = async (orderId, newStatus, options) => {
+  const { actorId, note = null, cancellationReason = null, authorize } = options;
   const client = await pool.connect();
   
   try {
-    // Validate input
-    const { error, value } = orderStatusUpdateSchema.validate(statusData, { abortEarly: false });
-    if (error) {
-      throw {
-        status: 400,
-        code: 'VALIDATION_ERROR',
-        message: 'Invalid status update data',
-        details: error.details.map(d => d.message)
-      };
-    }
-
     await client.query('BEGIN');
 
-    // Get order and verify business ownership
+    // Get the order with what authorization needs; the lock stops the expiry sweep racing this update
     const orderResult = await client.query(
-      `SELECT o.id, o.status, o.business_id, b.owner_id
+      `SELECT o.id, o.status, o.consumer_id, o.business_id, o.reservation_expires_at, o.confirmed_at,
+              b.owner_id, b.cancellation_window_minutes
        FROM orders o
        JOIN businesses b ON o.business_id = b.id
-       WHERE o.id = $1`,
+       WHERE o.id = $1
+       FOR UPDATE OF o`,
       [orderId]
     );
 
@@ -424,23 +931,17 @@ export const updateOrderStatus = async (orderId, businessOwnerId, statusData) =>
 
     const order = orderResult.rows[0];
 
-    if (order.owner_id !== businessOwnerId) {
-      throw {
-        status: 403,
-        code: 'FORBIDDEN',
-        message: 'You do not have permission to update this order'
-      };
-    }
+    authorize(order);
 
     const currentStatus = order.status;
-    const newStatus = value.status;
 
     // Validate status transitions
     const validTransitions = {
       'pending': ['confirmed', 'cancelled'],
       'confirmed': ['ready', 'cancelled'],
       'ready': ['out_for_delivery', 'delivered', 'cancelled'],
-      'out_for_delivery': ['delivered', 'cancelled'],
+      // Back to ready when a courier cancels or fails so the delivery can be rebooked
+      'out_for_delivery': ['delivered', 'ready', 'cancelled'],
       'delivered': [],
       'cancelled': []
     };
@@ -453,50 +954,104 @@ export const updateOrderStatus = async (orderId, businessOwnerId, statusData) =>
       };
     }
 
-    // Update inventory when order is confirmed
+    // Update inventory when order is confirmed, or restore it when a confirmed order is cancelled
+    const stockChangedProductIds = [];
     if (newStatus === 'confirmed' && currentStatus === 'pending') {
+      // Turn the reservation into a deduction. Once a reservation has expired the
+      // units may have gone to other orders, so only unreserved stock can be used.
+      const released = await releaseReservation(client, orderId);
+
       const itemsResult = await client.query(
-        'SELECT product_id, quantity FROM order_items WHERE order_id = $1',
+        `SELECT product_id, variant_id, variant_options, quantity
+         FROM order_items
+         WHERE order_id = $1
+         ORDER BY product_id, variant_id`,
         [orderId]
       );
 
       for (const item of itemsResult.rows) {
+        // The variant was removed after the reservation lapsed
+        if (item.variant_options && !item.variant_id) {
+          throw {
+            status: 400,
+            code: 'VARIANT_UNAVAILABLE',
+            message: 'A variant in this order is no longer sold, so the order cannot be confirmed'
+          };
+        }
+
         // Deduct inventory
-        const updateResult = await client.query(
-          `UPDATE products 
-           SET quantity = quantity - $1, updated_at = NOW()
-           WHERE id = $2 AND quantity >= $3
-           RETURNING id, quantity`,
-          [item.quantity, item.product_id, item.quantity]
-        );
+        const deducted = await adjustStock(client, {
+          productId: item.product_id,
+          variantId: item.variant_id,
+          delta: -item.quantity,
+          requireAvailable: true,
+          type: 'sale',
+          actorId,
+          orderId
+        });
 
-        if (updateResult.rows.length === 0) {
+        if (!deducted) {
           throw {
             status: 400,
             code: 'INSUFFICIENT_INVENTORY',
-            message: 'Insufficient inventory to confirm order'
+            message: released
+              ? 'Insufficient inventory to confirm order'
+              : 'Insufficient inventory to confirm order; its stock reservation expired and the units are no longer available'
           };
         }
+
+        stockChangedProductIds.push(item.product_id);
       }
     }
 
+    // Give back the stock held by a pending order
+    if (newStatus === 'cancelled' && currentStatus === 'pending' && await releaseReservation(client, orderId)) {
+      const releasedResult = await client.query(
+        'SELECT DISTINCT product_id FROM order_items WHERE order_id = $1',
+        [orderId]
+      );
+      stockChangedProductIds.push(...releasedResult.rows.map(row => row.product_id));
+    }
+
+    // A cancelled order doesn't use up its promotion, and unconfirmed payment intents covering
+    // it, including whole-checkout ones, can no longer be charged
+    if (newStatus === 'cancelled') {
+      await releaseRedemptions(client, orderId);
+      await client.query(
+        `UPDATE payments SET status = 'cancelled', updated_at = NOW()
+         WHERE status = 'pending'
+           AND provider_payment_id IN (
+             SELECT provider_payment_id FROM payments WHERE order_id = $1 AND status = 'pending'
+           )`,
+        [orderId]
+      );
+    }
+
     // Restore inventory if order is cancelled from pending or confirmed
     if (newStatus === 'cancelled' && (currentStatus === 'pending' || currentStatus === 'confirmed')) {
       // Only restore if order was confirmed (inventory was deducted)
       if (currentStatus === 'confirmed') {
+        // Lines whose variant has since been removed have nowhere to go back to
         const itemsResult = await client.query(
-          'SELECT product_id, quantity FROM order_items WHERE order_id = $1',
+          `SELECT product_id, variant_id, quantity
+           FROM order_items
+           WHERE order_id = $1 AND NOT (variant_id IS NULL AND variant_options IS NOT NULL)
+           ORDER BY product_id, variant_id`,
           [orderId]
         );
 
         for (const item of itemsResult.rows) {
           // Restore inventory
-          await client.query(
-            `UPDATE products 
-             SET quantity = quantity + $1, updated_at = NOW()
-             WHERE id = $2`,
-            [item.quantity, item.product_id]
-          );
+          await adjustStock(client, {
+            productId: item.product_id,
+            variantId: item.variant_id,
+            delta: item.quantity,
+            type: 'cancellation',
+            actorId,
+            orderId,
+            reason: 'Order cancelled'
+          });
+          stockChangedProductIds.push(item.product_id);
         }
       }
     }
@@ -504,16 +1059,31 @@ export const updateOrderStatus = async (orderId, businessOwnerId, statusData) =>
     // Update order status
     const updateResult = await client.query(
       `UPDATE orders 
-       SET status = $1, updated_at = NOW()
-       WHERE id = $2
-       RETURNING id, consumer_id, business_id, total_amount, status, delivery_method, payment_status, created_at, updated_at`,
-      [newStatus, orderId]
+       SET status = $1,
+           confirmed_at = CASE WHEN $1 = 'confirmed' THEN NOW() ELSE confirmed_at END,
+           cancellation_reason = $2,
+           updated_at = NOW()
+       WHERE id = $3
+       RETURNING id, consumer_id, business_id, total_amount, status, delivery_method, payment_status,
+                 cancellation_reason, created_at, updated_at`,
+      [newStatus, cancellationReason, orderId]
     );
 
+    await recordOrderEvent(client, {
+      orderId,
+      type: 'status',
+      fromStatus: currentStatus,
+      toStatus: newStatus,
+      actorId,
+      note
+    });
+
     await client.query('COMMIT');
 
     const updatedOrder = updateResult.rows[0];
 
+    await checkLowStock(stockChangedProductIds);
+
     // Get business name for notification
     const businessResult = await pool.query(
       'SELECT name FROM businesses WHERE id = $1',
@@ -522,13 +1092,41 @@ export const updateOrderStatus = async (orderId, businessOwnerId, statusData) =>
     
     const businessName = businessResult.rows[0]?.name || 'Business';
 
-    // Notify consumer about status change
-    await notifyOrderStatusChange(
-      updatedOrder.id,
-      updatedOrder.consumer_id,
-      businessName,
-      newStatus
-    );
+    // Tell whoever didn't make the change: the business when the customer cancelled, otherwise the customer
+    if (actorId === updatedOrder.consumer_id) {
+      await notifyOrderCancelledByConsumer(order.owner_id, updatedOrder.id, note);
+    } else {
+      await notifyOrderStatusChange(
+        updatedOrder.consumer_id,
+        businessName,
+        newStatus
+      );
+    }
+
+    // Give the money back automatically when a paid order is cancelled
+    let refund = null;
+    if (newStatus === 'cancelled') {
+      try {
+        refund = await refundOrder(updatedOrder.id, actorId ?? order.owner_id, 'Order cancelled');
+      } catch (refundError) {
+        console.error('Automatic refund failed for cancelled order:', refundError);
+      }
+    }
+
+    await invalidateBusinessAnalytics(updatedOrder.business_id);
+
+    // Push the change to open order pages on both sides
+    const statusEvent = {
+      orderId: updatedOrder.id,
+      businessId: updatedOrder.business_id,
+      previousStatus: currentStatus,
+      status: newStatus,
+      updatedAt: updatedOrder.updated_at
+    };
+    await Promise.all([
+      publishToUser(updatedOrder.consumer_id, 'order_status', statusEvent),
+      publishToUser(order.owner_id, 'order_status', statusEvent)
+    ]);
 
     return {
       id: updatedOrder.id,
@@ -537,7 +1135,9 @@ export const updateOrderStatus = async (orderId, businessOwnerId, statusData) =>
       totalAmount: parseFloat(updatedOrder.total_amount),
       status: updatedOrder.status,
       deliveryMethod: updatedOrder.delivery_method,
-      paymentStatus: updatedOrder.payment_status,
+      paymentStatus: refund && refund.status === 'completed' ? 'refunded' : updatedOrder.payment_status,
+      cancellationReason: updatedOrder.cancellation_reason,
+      ...(refund && { refund }),
       createdAt: updatedOrder.created_at,
       updatedAt: updatedOrder.updated_at
     };
@@ -550,3 +1150,81 @@ export const updateOrderStatus = async (orderId, businessOwnerId, statusData) =>
   }
 };
 
+/**
+ * Update order status
+ * Includes status transition validation and inventory updates
+ * Pass options.actorId when someone other than the owner drove the change; null for couriers and the system.
+ */
+export const updateOrderStatus = async (orderId, businessOwnerId, statusData, options = {}) => {
+  const { actorId = businessOwnerId } = options;
+
+  // Validate input
+  const { error, value } = orderStatusUpdateSchema.validate(statusData, { abortEarly: false });
+  if (error) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid status update data',
+      details: error.details.map(d => d.message)
+    };
+  }
+
+  return await transitionOrder(orderId, value.status, {
+    actorId,
+    note: value.note,
+    authorize: (order) => {
+      if (order.owner_id !== businessOwnerId) {
+        throw {
+          status: 403,
+          code: 'FORBIDDEN',
+          message: 'You do not have permission to update this order'
+        };
+      }
+    }
+  });
+};
+
+/**
+ * Cancel an order as the customer who placed it
+ * Allowed while pending, or once confirmed for as long as the business's cancellation window lasts.
+ */
+export const cancelOrderByConsumer = async (orderId, consumerId, cancelData) => {
+  // Validate input
+  const { error, value } = consumerCancelSchema.validate(cancelData, { abortEarly: false });
+  if (error) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid cancellation data',
+      details: error.details.map(d => d.message)
+    };
+  }
+
+  const reasonLabel = CANCELLATION_REASONS[value.reason];
+
+  return await transitionOrder(orderId, 'cancelled', {
+    actorId: consumerId,
+    note: value.note ? `${reasonLabel}: ${value.note}` : reasonLabel,
+    cancellationReason: value.reason,
+    authorize: (order) => {
+      if (order.consumer_id !== consumerId) {
+        throw {
+          status: 403,
+          code: 'FORBIDDEN',
+          message: 'You do not have permission to cancel this order'
+        };
+      }
+
+      if (!canConsumerCancel(order)) {
+        throw {
+          status: 400,
+          code: 'CANCELLATION_NOT_ALLOWED',
+          message: order.status === 'confirmed'
+            ? 'The cancellation window for this order has passed; please contact the business'
+            : `Orders that are ${order.status.replace(/_/g, ' ')} can no longer be cancelled`
+        };
+      }
+    }
+  });
+};
+
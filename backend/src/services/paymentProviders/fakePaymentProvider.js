@@ -0,0 +1,70 @@
+import crypto from 'crypto';
+
+/**
+ * Fake Payment Provider
+ * Local stand-in for a real gateway, used in development and tests.
+ * Every intent succeeds on confirmation unless the payment method is 'fake_declined'.
+ */
+
+export const DECLINED_PAYMENT_METHOD = 'fake_declined';
+
+const fakePaymentProvider = {
+  name: 'fake',
+
+  /**
+   * Create a payment intent
+   */
+  createIntent: async ({ amount, currency }) => {
+    const id = `fake_pi_${crypto.randomUUID()}`;
+
+    return {
+      id,
+      status: 'pending',
+      clientSecret: `${id}_secret`,
+      amount,
+      currency
+    };
+  },
+
+  /**
+   * Confirm a previously created payment intent
+   */
+  confirmIntent: async (intentId, { paymentMethod }) => {
+    if (paymentMethod === DECLINED_PAYMENT_METHOD) {
+      return {
+        id: intentId,
+        status: 'failed',
+        failureReason: 'Card declined by fake provider'
+      };
+    }
+
+    return {
+      id: intentId,
+      status: 'completed'
+    };
+  },
+
+  /**
+   * Refund all or part of a completed payment
+   */
+  refund: async (intentId, { amount }) => {
+    return {
+      id: `fake_re_${crypto.randomUUID()}`,
+      paymentId: intentId,
+      status: 'completed',
+      amount
+    };
+  },
+
+  /**
+   * Get the current status of a refund
+   */
+  getRefund: async (refundId) => {
+    return {
+      id: refundId,
+      status: 'completed'
+    };
+  }
+};
+
+export default fakePaymentProvider;
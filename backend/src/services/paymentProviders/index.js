@@ -0,0 +1,34 @@
+import dotenv from 'dotenv';
+import fakePaymentProvider from './fakePaymentProvider.js';
+import stripePaymentProvider from './stripePaymentProvider.js';
+
+dotenv.config();
+
+/**
+ * Payment Provider Registry
+ * Each provider implements createIntent, confirmIntent, refund and getRefund. refund takes an
+ * idempotencyKey, and throws only when the outcome is unknown.
+ * The active provider is chosen with the PAYMENT_PROVIDER environment variable.
+ */
+
+const providers = {
+  [fakePaymentProvider.name]: fakePaymentProvider,
+  [stripePaymentProvider.name]: stripePaymentProvider
+};
+
+/**
+ * Get a payment provider by name, defaulting to the configured one
+ */
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'fake') => {
+  const provider = providers[name];
+
+  if (!provider) {
+    throw {
+      status: 500,
+      code: 'UNKNOWN_PAYMENT_PROVIDER',
+      message: `Unknown payment provider: ${name}`
+    };
+  }
+
+  return provider;
+};
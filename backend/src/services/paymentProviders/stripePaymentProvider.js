@@ -0,0 +1,213 @@
+import Stripe from 'stripe';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Stripe Payment Provider
+ * Wraps Stripe PaymentIntents behind the common provider interface
+ */
+
+let stripeClient = null;
+
+const getClient = () => {
+  if (!process.env.STRIPE_SECRET_KEY) {
+    throw {
+      status: 503,
+      code: 'PAYMENT_PROVIDER_NOT_CONFIGURED',
+      message: 'STRIPE_SECRET_KEY is not defined in environment variables'
+    };
+  }
+
+  if (!stripeClient) {
+    stripeClient = new Stripe(process.env.STRIPE_SECRET_KEY);
+  }
+
+  return stripeClient;
+};
+
+// Stripe works in the smallest currency unit
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+const mapStatus = (stripeStatus) => {
+  switch (stripeStatus) {
+    case 'succeeded':
+      return 'completed';
+    case 'canceled':
+      return 'cancelled';
+    case 'requires_payment_method':
+      return 'failed';
+    default:
+      return 'pending';
+  }
+};
+
+// Refunds still processing, or waiting on the customer, stay pending
+const mapRefundStatus = (stripeStatus) => {
+  switch (stripeStatus) {
+    case 'succeeded':
+      return 'completed';
+    case 'failed':
+    case 'canceled':
+      return 'failed';
+    default:
+      return 'pending';
+  }
+};
+
+const stripePaymentProvider = {
+  name: 'stripe',
+
+  /**
+   * Create a payment intent
+   */
+  createIntent: async ({ amount, currency, metadata = {} }) => {
+    try {
+      const intent = await getClient().paymentIntents.create({
+        amount: toMinorUnits(amount),
+        currency,
+        metadata
+      });
+
+      return {
+        id: intent.id,
+        status: 'pending',
+        clientSecret: intent.client_secret,
+        amount,
+        currency
+      };
+    } catch (error) {
+      if (error.status && error.code) throw error;
+
+      throw {
+        status: 502,
+        code: 'PAYMENT_PROVIDER_ERROR',
+        message: 'Stripe could not create the payment intent',
+        details: error.message
+      };
+    }
+  },
+
+  /**
+   * Confirm a previously created payment intent
+   * paymentMethodId is a Stripe PaymentMethod (pm_...). Without one, the intent must already
+   * have a payment method, or have been confirmed on the client with its clientSecret.
+   */
+  confirmIntent: async (intentId, { paymentMethodId }) => {
+    try {
+      const current = await getClient().paymentIntents.retrieve(intentId);
+
+      // Confirmed on the client already, so only its outcome is needed
+      if (!['requires_payment_method', 'requires_confirmation'].includes(current.status)) {
+        return {
+          id: current.id,
+          status: mapStatus(current.status),
+          failureReason: current.last_payment_error?.message
+        };
+      }
+
+      if (current.status === 'requires_payment_method' && !paymentMethodId) {
+        throw {
+          status: 400,
+          code: 'PAYMENT_METHOD_REQUIRED',
+          message: 'A Stripe payment method id is required to confirm this payment'
+        };
+      }
+
+      const intent = await getClient().paymentIntents.confirm(intentId, {
+        ...(paymentMethodId && { payment_method: paymentMethodId })
+      });
+
+      return {
+        id: intent.id,
+        status: mapStatus(intent.status),
+        failureReason: intent.last_payment_error?.message
+      };
+    } catch (error) {
+      if (error.type === 'StripeCardError') {
+        return {
+          id: intentId,
+          status: 'failed',
+          failureReason: error.message
+        };
+      }
+
+      if (error.status && error.code) throw error;
+
+      throw {
+        status: 502,
+        code: 'PAYMENT_PROVIDER_ERROR',
+        message: 'Stripe could not confirm the payment',
+        details: error.message
+      };
+    }
+  },
+
+  /**
+   * Refund all or part of a completed payment
+   * Requests with the same idempotencyKey are only refunded once.
+   */
+  refund: async (intentId, { amount, idempotencyKey }) => {
+    try {
+      const refund = await getClient().refunds.create(
+        {
+          payment_intent: intentId,
+          ...(amount !== undefined && { amount: toMinorUnits(amount) })
+        },
+        { ...(idempotencyKey && { idempotencyKey }) }
+      );
+
+      return {
+        id: refund.id,
+        paymentId: intentId,
+        status: mapRefundStatus(refund.status),
+        amount: refund.amount / 100
+      };
+    } catch (error) {
+      // Stripe turned the refund down, so nothing was refunded
+      if (error.type === 'StripeInvalidRequestError') {
+        return {
+          id: null,
+          paymentId: intentId,
+          status: 'failed',
+          failureReason: error.message
+        };
+      }
+
+      if (error.status && error.code) throw error;
+
+      throw {
+        status: 502,
+        code: 'PAYMENT_PROVIDER_ERROR',
+        message: 'Stripe could not process the refund',
+        details: error.message
+      };
+    }
+  },
+
+  /**
+   * Get the current status of a refund
+   */
+  getRefund: async (refundId) => {
+    try {
+      const refund = await getClient().refunds.retrieve(refundId);
+
+      return {
+        id: refund.id,
+        status: mapRefundStatus(refund.status),
+        failureReason: refund.failure_reason
+      };
+    } catch (error) {
+      if (error.status && error.code) throw error;
+
+      throw {
+        status: 502,
+        code: 'PAYMENT_PROVIDER_ERROR',
+        message: 'Stripe could not look up the refund',
+        details: error.message
+      };
+    }
+  }
+};
+
+export default stripePaymentProvider;
@@ -0,0 +1,569 @@
+import Joi from 'joi';
+import dotenv from 'dotenv';
+import pool from '../config/database.js';
+import { getPaymentProvider } from './paymentProviders/index.js';
+import { notifyPaymentReceived } from '../utils/notificationUtils.js';
+import { recordOrderEvent } from './orderEventService.js';
+import { refundOrder } from './refundService.js';
+
+dotenv.config();
+
+/**
+ * Payment Service
+ * Handles payment intents, confirmation and order payment status transitions
+ *
+ * A checkout is paid with one provider intent for all its orders. The intent is recorded as
+ * one payments row per order, sharing the provider reference, so each business's settlement
+ * amount is kept (and refunded) separately.
+ */
+
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || 'usd';
+
+// How long a confirmation may wait on the provider before another attempt can take it over
+const CONFIRMATION_CLAIM_TIMEOUT = '2 minutes';
+
+// Validation schemas
+const createIntentSchema = Joi.object({
+  // Pay one order, or every unpaid order of a checkout at once
+  orderId: Joi.string().uuid(),
+  checkoutId: Joi.string().uuid(),
+  paymentMethod: Joi.string().max(50).default('card')
+}).xor('orderId', 'checkoutId');
+
+const confirmPaymentSchema = Joi.object({
+  paymentIntentId: Joi.string().max(255).required(),
+  // The provider's own payment method collected on the client, e.g. a Stripe pm_ id; the
+  // paymentMethod label given when the intent was created is only recorded
+  paymentMethodId: Joi.string().max(255)
+});
+
+/**
+ * Map a payments row to the API shape
+ */
+const formatPayment = (payment) => ({
+  id: payment.id,
+  orderId: payment.order_id,
+  checkoutId: payment.checkout_id,
+  consumerId: payment.consumer_id,
+  provider: payment.provider,
+  paymentIntentId: payment.provider_payment_id,
+  paymentMethod: payment.payment_method,
+  amount: parseFloat(payment.amount),
+  currency: payment.currency,
+  status: payment.status,
+  failureReason: payment.failure_reason,
+  completedAt: payment.completed_at,
+  createdAt: payment.created_at,
+  updatedAt: payment.updated_at
+});
+
+const PAYMENT_COLUMNS = `id, order_id, checkout_id, consumer_id, provider, provider_payment_id, payment_method,
+  amount, currency, status, failure_reason, completed_at, created_at, updated_at`;
+
+/**
+ * Map the payments rows of one provider intent to the API shape
+ * Checkout payments come back as one combined payment with each order's settlement.
+ */
+const formatIntentPayments = (payments) => {
+  if (!payments[0].checkout_id) {
+    return formatPayment(payments[0]);
+  }
+
+  const settlements = payments.map(formatPayment);
+  return {
+    ...settlements[0],
+    id: null,
+    orderId: null,
+    amount: Math.round(settlements.reduce((sum, payment) => sum + payment.amount, 0) * 100) / 100,
+    settlements
+  };
+};
+
+/**
+ * Load the orders a payment intent would cover and check the consumer may pay for them
+ */
+const getPayableOrders = async (consumerId, { orderId, checkoutId }) => {
+  const ordersResult = await pool.query(
+    `SELECT id, consumer_id, checkout_id, total_amount, status, payment_status
+     FROM orders
+     WHERE ${orderId ? 'id' : 'checkout_id'} = $1
+     ORDER BY business_id`,
+    [orderId || checkoutId]
+  );
+
+  if (ordersResult.rows.length === 0) {
+    throw orderId
+      ? { status: 404, code: 'ORDER_NOT_FOUND', message: 'Order not found' }
+      : { status: 404, code: 'CHECKOUT_NOT_FOUND', message: 'Checkout not found' };
+  }
+
+  if (ordersResult.rows.some(order => order.consumer_id !== consumerId)) {
+    throw {
+      status: 403,
+      code: 'FORBIDDEN',
+      message: `You do not have permission to pay for this ${orderId ? 'order' : 'checkout'}`
+    };
+  }
+
+  if (orderId) {
+    const order = ordersResult.rows[0];
+
+    if (order.status === 'cancelled') {
+      throw {
+        status: 400,
+        code: 'ORDER_CANCELLED',
+        message: 'Cannot pay for a cancelled order'
+      };
+    }
+
+    // Refunded orders were paid too, so only unpaid or failed ones can be charged
+    if (!['pending', 'failed'].includes(order.payment_status)) {
+      throw {
+        status: 409,
+        code: 'ORDER_ALREADY_PAID',
+        message: 'This order has already been paid'
+      };
+    }
+
+    return ordersResult.rows;
+  }
+
+  // Orders already paid or cancelled since checkout are left out of the combined payment
+  const payable = ordersResult.rows.filter(
+    order => order.status !== 'cancelled' && ['pending', 'failed'].includes(order.payment_status)
+  );
+
+  if (payable.length === 0) {
+    throw {
+      status: 409,
+      code: 'CHECKOUT_ALREADY_PAID',
+      message: 'Every order in this checkout has already been paid or cancelled'
+    };
+  }
+
+  return payable;
+};
+
+/**
+ * Create a payment intent for an order
+ */
+export const createPaymentIntent = async (consumerId, intentData) => {
+  // Validate input
+  const { error, value } = createIntentSchema.validate(intentData, { abortEarly: false });
+  if (error) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid payment data',
+      details: error.details.map(d => d.message)
+    };
+  }
+
+  const orders = await getPayableOrders(consumerId, value);
+  const orderIds = orders.map(order => order.id);
+
+  const provider = getPaymentProvider();
+
+  // Supersede earlier unconfirmed attempts, including whole-checkout ones covering any of
+  // these orders, so only one intent per order can complete
+  await pool.query(
+    `UPDATE payments SET status = 'cancelled', updated_at = NOW()
+     WHERE status = 'pending'
+       AND provider_payment_id IN (
+         SELECT provider_payment_id FROM payments WHERE order_id = ANY($1) AND status = 'pending'
+       )`,
+    [orderIds]
+  );
+
+  const amount = Math.round(
+    orders.reduce((sum, order) => sum + parseFloat(order.total_amount), 0) * 100
+  ) / 100;
+  const intent = await provider.createIntent({
+    amount,
+    currency: PAYMENT_CURRENCY,
+    metadata: value.checkoutId
+      ? { checkoutId: value.checkoutId, orderIds: orderIds.join(','), consumerId }
+      : { orderId: value.orderId, consumerId }
+  });
+
+  // One row per order: its share of the intent is what its business is settled
+  const client = await pool.connect();
+  const payments = [];
+
+  try {
+    await client.query('BEGIN');
+
+    for (const order of orders) {
+      const paymentResult = await client.query(
+        `INSERT INTO payments (
+          order_id, checkout_id, consumer_id, provider, provider_payment_id, payment_method,
+          amount, currency, status, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'pending', NOW(), NOW())
+        RETURNING ${PAYMENT_COLUMNS}`,
+        [
+          order.id,
+          value.checkoutId || null,
+          consumerId,
+          provider.name,
+          intent.id,
+          value.paymentMethod,
+          parseFloat(order.total_amount),
+          PAYMENT_CURRENCY
+        ]
+      );
+      payments.push(paymentResult.rows[0]);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return {
+    payment: formatIntentPayments(payments),
+    paymentIntentId: intent.id,
+    clientSecret: intent.clientSecret
+  };
+};
+
+/**
+ * Lock the orders and payments rows of a provider intent
+ * Orders are locked first, as cancelling does, so a cancellation and a confirmation of the same
+ * order wait for each other rather than deadlock.
+ */
+const lockIntent = async (client, paymentIntentId) => {
+  const ordersResult = await client.query(
+    `SELECT id, status
+     FROM orders
+     WHERE id IN (SELECT order_id FROM payments WHERE provider_payment_id = $1)
+     ORDER BY id
+     FOR UPDATE`,
+    [paymentIntentId]
+  );
+
+  const paymentResult = await client.query(
+    `SELECT ${PAYMENT_COLUMNS},
+            status = 'processing' AND updated_at < NOW() - INTERVAL '${CONFIRMATION_CLAIM_TIMEOUT}' as claim_expired
+     FROM payments
+     WHERE provider_payment_id = $1
+     ORDER BY created_at, id
+     FOR UPDATE`,
+    [paymentIntentId]
+  );
+
+  return { orders: ordersResult.rows, payments: paymentResult.rows };
+};
+
+/**
+ * Claim the payments of an intent for confirmation
+ * The claim is committed before the provider is called, so the orders and payments aren't
+ * locked while it answers.
+ */
+const claimPayments = async (consumerId, paymentIntentId) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const { orders, payments } = await lockIntent(client, paymentIntentId);
+
+    if (payments.length === 0) {
+      throw {
+        status: 404,
+        code: 'PAYMENT_NOT_FOUND',
+        message: 'Payment not found'
+      };
+    }
+
+    if (payments[0].consumer_id !== consumerId) {
+      throw {
+        status: 403,
+        code: 'FORBIDDEN',
+        message: 'You do not have permission to confirm this payment'
+      };
+    }
+
+    // A checkout payment is charged as a whole, so every order's share must still be open. A
+    // claim whose confirmation never finished can be taken over once it has expired.
+    const closed = payments.find(row => row.status !== 'pending' && !row.claim_expired);
+    if (closed) {
+      throw {
+        status: 409,
+        code: 'INVALID_PAYMENT_STATE',
+        message: `Payment is already ${closed.status}`
+      };
+    }
+
+    // An order cancelled since the intent was created must not be charged; the intent is
+    // dropped so the consumer pays the rest with a new one
+    if (orders.some(order => order.status === 'cancelled')) {
+      await client.query(
+        `UPDATE payments SET status = 'cancelled', updated_at = NOW() WHERE provider_payment_id = $1`,
+        [paymentIntentId]
+      );
+      await client.query('COMMIT');
+
+      throw {
+        status: 409,
+        code: 'ORDER_CANCELLED',
+        message: 'An order in this payment has been cancelled; start the payment again'
+      };
+    }
+
+    await client.query(
+      `UPDATE payments SET status = 'processing', updated_at = NOW() WHERE provider_payment_id = $1`,
+      [paymentIntentId]
+    );
+
+    await client.query('COMMIT');
+    return payments;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Hand claimed payments back so their intent can be confirmed again
+ */
+const releasePayments = async (paymentIntentId) => {
+  const result = await pool.query(
+    `UPDATE payments SET status = 'pending', updated_at = NOW()
+     WHERE provider_payment_id = $1 AND status = 'processing'
+     RETURNING ${PAYMENT_COLUMNS}`,
+    [paymentIntentId]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Confirm a payment intent
+ * Moves the payment and its order, or every order of a checkout payment, to completed or failed
+ */
+export const confirmPayment = async (consumerId, confirmData) => {
+  // Validate input
+  const { error, value } = confirmPaymentSchema.validate(confirmData, { abortEarly: false });
+  if (error) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid payment confirmation data',
+      details: error.details.map(d => d.message)
+    };
+  }
+
+  const payments = await claimPayments(consumerId, value.paymentIntentId);
+  const payment = payments[0];
+
+  let result;
+  try {
+    result = await getPaymentProvider(payment.provider).confirmIntent(payment.provider_payment_id, {
+      paymentMethod: payment.payment_method,
+      paymentMethodId: value.paymentMethodId
+    });
+  } catch (providerError) {
+    // Refused before anything was charged. Otherwise the outcome is unknown, so the claim is
+    // kept until it expires and the next attempt asks the provider again.
+    if (providerError.status < 500) {
+      await releasePayments(value.paymentIntentId);
+    }
+    throw providerError;
+  }
+
+  // Still waiting on the customer, e.g. for 3-D Secure
+  if (result.status === 'pending') {
+    const released = await releasePayments(value.paymentIntentId);
+    return formatIntentPayments(released.length > 0 ? released : payments);
+  }
+
+  const client = await pool.connect();
+  let updatedPayments;
+  let cancelledOrderIds;
+
+  try {
+    await client.query('BEGIN');
+
+    const { orders, payments: claimed } = await lockIntent(client, value.paymentIntentId);
+    updatedPayments = await applyPaymentResult(client, claimed, result);
+    cancelledOrderIds = orders.filter(order => order.status === 'cancelled').map(order => order.id);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (result.status === 'completed') {
+    // Cancelling an order while it was being charged had nothing to refund yet
+    for (const orderId of cancelledOrderIds) {
+      try {
+        await refundOrder(orderId, null, 'Order cancelled');
+      } catch (refundError) {
+        console.error('Automatic refund failed for cancelled order:', refundError);
+      }
+    }
+
+    await notifyBusinessesOfPayment(updatedPayments);
+  }
+
+  return formatIntentPayments(updatedPayments);
+};
+
+/**
+ * Persist the outcome of a provider confirmation on the claimed payments of an intent and their orders
+ * Runs in the caller's transaction, which holds the payments' locks.
+ */
+const applyPaymentResult = async (client, payments, result) => {
+  const updatedPayments = [];
+
+  for (const payment of payments) {
+    const updateResult = await client.query(
+      `UPDATE payments
+       SET status = $1, failure_reason = $2,
+           completed_at = CASE WHEN $1 = 'completed' THEN NOW() ELSE completed_at END,
+           updated_at = NOW()
+       WHERE id = $3 AND status = 'processing'
+       RETURNING ${PAYMENT_COLUMNS}`,
+      [result.status, result.failureReason || null, payment.id]
+    );
+
+    if (updateResult.rows.length === 0) {
+      throw {
+        status: 409,
+        code: 'INVALID_PAYMENT_STATE',
+        message: 'Payment was updated concurrently'
+      };
+    }
+
+    updatedPayments.push(updateResult.rows[0]);
+
+    // Cancelled intents leave the order open for another attempt
+    if (result.status === 'completed' || result.status === 'failed') {
+      await client.query(
+        `UPDATE orders SET payment_status = $1, updated_at = NOW() WHERE id = $2`,
+        [result.status, payment.order_id]
+      );
+    }
+
+    await recordOrderEvent(client, {
+      orderId: payment.order_id,
+      type: 'payment',
+      toStatus: result.status,
+      actorId: payment.consumer_id,
+      note: result.failureReason,
+      metadata: {
+        paymentId: payment.id,
+        amount: parseFloat(payment.amount),
+        ...(payment.checkout_id && { checkoutId: payment.checkout_id })
+      }
+    });
+  }
+
+  return updatedPayments;
+};
+
+/**
+ * Tell each business about its own settlement of a completed payment
+ */
+const notifyBusinessesOfPayment = async (payments) => {
+  for (const payment of payments) {
+    const ownerResult = await pool.query(
+      `SELECT b.owner_id
+       FROM orders o
+       JOIN businesses b ON o.business_id = b.id
+       WHERE o.id = $1`,
+      [payment.order_id]
+    );
+
+    if (ownerResult.rows.length > 0) {
+      await notifyPaymentReceived(
+        ownerResult.rows[0].owner_id,
+        parseFloat(payment.amount),
+        payment.order_id
+      );
+    }
+  }
+};
+
+/**
+ * Get payment by ID (paying consumer or business owner)
+ */
+export const getPaymentById = async (paymentId, userId) => {
+  const result = await pool.query(
+    `SELECT p.id, p.order_id, p.checkout_id, p.consumer_id, p.provider, p.provider_payment_id, p.payment_method,
+            p.amount, p.currency, p.status, p.failure_reason, p.completed_at, p.created_at, p.updated_at,
+            b.owner_id as business_owner_id
+     FROM payments p
+     JOIN orders o ON p.order_id = o.id
+     JOIN businesses b ON o.business_id = b.id
+     WHERE p.id = $1`,
+    [paymentId]
+  );
+
+  if (result.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'PAYMENT_NOT_FOUND',
+      message: 'Payment not found'
+    };
+  }
+
+  const payment = result.rows[0];
+
+  if (payment.consumer_id !== userId && payment.business_owner_id !== userId) {
+    throw {
+      status: 403,
+      code: 'FORBIDDEN',
+      message: 'You do not have permission to view this payment'
+    };
+  }
+
+  return formatPayment(payment);
+};
+
+/**
+ * Get payment history for a consumer or for the businesses an SME owns
+ */
+export const getPaymentHistory = async (userId, userType, filters = {}) => {
+  const { status, orderId, limit = 50, offset = 0 } = filters;
+
+  let query = `
+    SELECT p.id, p.order_id, p.checkout_id, p.consumer_id, p.provider, p.provider_payment_id, p.payment_method,
+           p.amount, p.currency, p.status, p.failure_reason, p.completed_at, p.created_at, p.updated_at
+    FROM payments p
+    JOIN orders o ON p.order_id = o.id
+    JOIN businesses b ON o.business_id = b.id
+  `;
+  const values = [userId];
+
+  if (userType === 'consumer') {
+    query += ' WHERE p.consumer_id = $1';
+  } else {
+    query += ' WHERE b.owner_id = $1';
+  }
+
+  if (status) {
+    query += ` AND p.status = $${values.length + 1}`;
+    values.push(status);
+  }
+
+  if (orderId) {
+    query += ` AND p.order_id = $${values.length + 1}`;
+    values.push(orderId);
+  }
+
+  query += ` ORDER BY p.created_at DESC LIMIT $${values.length + 1} OFFSET $${values.length + 2}`;
+  values.push(limit, offset);
+
+  const result = await pool.query(query, values);
+
+  return result.rows.map(formatPayment);
+};
@@ -0,0 +1,257 @@
+import Joi from 'joi';
+import pool from '../config/database.js';
+import { formatBusinessHours } from './businessService.js';
+import { getZonedParts, zonedTimeToDate, addDays, listPickupSlots } from '../utils/businessHoursUtils.js';
+
+/**
+ * Pickup Slot Service
+ * Pickup times offered from each business's opening hours, and how full each one is
+ */
+
+const MAX_SLOT_DAYS = 14;
+
+// Validation schemas
+const slotQuerySchema = Joi.object({
+  from: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/),
+  days: Joi.number().integer().min(1).max(MAX_SLOT_DAYS).default(7)
+});
+
+const scheduleQuerySchema = Joi.object({
+  date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/),
+  businessId: Joi.string().uuid()
+});
+
+const BUSINESS_SLOT_COLUMNS = `id, name, timezone, operating_hours, holiday_closures,
+  pickup_slot_minutes, pickup_slot_capacity`;
+
+/**
+ * Pickups are scheduled once a business has set a slot capacity and its opening hours
+ */
+const schedulesPickups = (hours) => hours.pickupSlotCapacity !== null && hours.operatingHours.length > 0;
+
+/**
+ * Orders already booked into each slot starting in [from, to), keyed by slot start time
+ */
+const countBookings = async (db, businessId, from, to) => {
+  const result = await db.query(
+    `SELECT pickup_slot_start, COUNT(*) as booked
+     FROM orders
+     WHERE business_id = $1 AND pickup_slot_start >= $2 AND pickup_slot_start < $3 AND status != 'cancelled'
+     GROUP BY pickup_slot_start`,
+    [businessId, from, to]
+  );
+
+  const bookings = {};
+  result.rows.forEach(row => {
+    bookings[row.pickup_slot_start.getTime()] = parseInt(row.booked, 10);
+  });
+  return bookings;
+};
+
+/**
+ * Get the upcoming pickup slots of a business with the places left in each
+ * Dates are in the business's timezone; from defaults to its today.
+ */
+export const getPickupSlots = async (businessId, filters = {}) => {
+  const { error, value } = slotQuerySchema.validate(filters, { abortEarly: false });
+  if (error) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid pickup slot query',
+      details: error.details.map(d => d.message)
+    };
+  }
+
+  const businessResult = await pool.query(
+    `SELECT ${BUSINESS_SLOT_COLUMNS} FROM businesses WHERE id = $1`,
+    [businessId]
+  );
+
+  if (businessResult.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'BUSINESS_NOT_FOUND',
+      message: 'Business not found'
+    };
+  }
+
+  const hours = formatBusinessHours(businessResult.rows[0]);
+  const settings = {
+    enabled: schedulesPickups(hours),
+    timezone: hours.timezone,
+    slotMinutes: hours.pickupSlotMinutes,
+    capacity: hours.pickupSlotCapacity
+  };
+
+  if (!settings.enabled) {
+    return { ...settings, slots: [] };
+  }
+
+  const now = new Date();
+  const from = value.from || getZonedParts(now, hours.timezone).date;
+  const slots = [];
+  for (let day = 0; day < value.days; day++) {
+    slots.push(...listPickupSlots(hours, addDays(from, day)).filter(slot => slot.start > now));
+  }
+
+  if (slots.length === 0) {
+    return { ...settings, slots: [] };
+  }
+
+  const bookings = await countBookings(pool, businessId, slots[0].start, slots[slots.length - 1].end);
+
+  return {
+    ...settings,
+    slots: slots.map(slot => ({
+      start: slot.start,
+      end: slot.end,
+      remaining: Math.max(hours.pickupSlotCapacity - (bookings[slot.start.getTime()] || 0), 0)
+    }))
+  };
+};
+
+/**
+ * Check a pickup time chosen at checkout and hold a place in it
+ * Locks the business row so two orders can't take the last place in a slot; call inside
+ * the order transaction. Returns the slot, or null for businesses that don't schedule pickups.
+ */
+export const reservePickupSlot = async (client, businessId, slotStart) => {
+  const businessResult = await client.query(
+    `SELECT ${BUSINESS_SLOT_COLUMNS} FROM businesses WHERE id = $1 FOR UPDATE`,
+    [businessId]
+  );
+
+  const business = businessResult.rows[0];
+  const hours = formatBusinessHours(business);
+
+  if (!schedulesPickups(hours)) {
+    if (slotStart) {
+      throw {
+        status: 400,
+        code: 'PICKUP_SLOTS_UNAVAILABLE',
+        message: `${business.name} does not schedule pickup times`
+      };
+    }
+    return null;
+  }
+
+  if (!slotStart) {
+    throw {
+      status: 400,
+      code: 'PICKUP_SLOT_REQUIRED',
+      message: `Choose a pickup time for ${business.name}`
+    };
+  }
+
+  // The slot may belong to the previous day's hours if they run past midnight
+  const { date } = getZonedParts(slotStart, hours.timezone);
+  const slot = [addDays(date, -1), date]
+    .flatMap(day => listPickupSlots(hours, day))
+    .find(candidate => candidate.start.getTime() === slotStart.getTime());
+
+  if (!slot) {
+    throw {
+      status: 400,
+      code: 'PICKUP_SLOT_INVALID',
+      message: `The chosen pickup time is not a pickup slot within ${business.name}'s opening hours`
+    };
+  }
+
+  if (slot.start <= new Date()) {
+    throw {
+      status: 400,
+      code: 'PICKUP_SLOT_INVALID',
+      message: 'The chosen pickup time has already passed'
+    };
+  }
+
+  const bookings = await countBookings(client, businessId, slot.start, slot.end);
+  if ((bookings[slot.start.getTime()] || 0) >= hours.pickupSlotCapacity) {
+    throw {
+      status: 409,
+      code: 'PICKUP_SLOT_FULL',
+      message: `The chosen pickup time at ${business.name} is fully booked; please pick another`
+    };
+  }
+
+  return slot;
+};
+
+/**
+ * Get a day's pickups for an owner's businesses, grouped by slot (business owner only)
+ * Every slot of the day is listed, including empty ones; date defaults to each business's today.
+ */
+export const getPickupSchedule = async (ownerId, filters = {}) => {
+  const { error, value } = scheduleQuerySchema.validate(filters, { abortEarly: false });
+  if (error) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid pickup schedule query',
+      details: error.details.map(d => d.message)
+    };
+  }
+
+  const params = [ownerId];
+  let businessFilter = '';
+  if (value.businessId) {
+    params.push(value.businessId);
+    businessFilter = 'AND id = $2';
+  }
+
+  const businessesResult = await pool.query(
+    `SELECT ${BUSINESS_SLOT_COLUMNS} FROM businesses WHERE owner_id = $1 ${businessFilter} ORDER BY name`,
+    params
+  );
+
+  const schedule = [];
+
+  for (const business of businessesResult.rows) {
+    const hours = formatBusinessHours(business);
+    const date = value.date || getZonedParts(new Date(), hours.timezone).date;
+
+    const ordersResult = await pool.query(
+      `SELECT o.id, o.status, o.total_amount, o.pickup_slot_start, o.pickup_slot_end,
+              u.email as consumer_email,
+              (SELECT COALESCE(SUM(oi.quantity), 0) FROM order_items oi WHERE oi.order_id = o.id) as item_count
+       FROM orders o
+       JOIN users u ON o.consumer_id = u.id
+       WHERE o.business_id = $1 AND o.pickup_slot_start >= $2 AND o.pickup_slot_start < $3
+         AND o.status != 'cancelled'
+       ORDER BY o.pickup_slot_start, o.created_at`,
+      [business.id, zonedTimeToDate(date, 0, hours.timezone), zonedTimeToDate(addDays(date, 1), 0, hours.timezone)]
+    );
+
+    // Start from the slots the hours offer, then add any booked under hours that have since changed
+    const slots = {};
+    listPickupSlots(hours, date).forEach(slot => {
+      slots[slot.start.getTime()] = { start: slot.start, end: slot.end, orders: [] };
+    });
+
+    ordersResult.rows.forEach(order => {
+      const key = order.pickup_slot_start.getTime();
+      if (!slots[key]) {
+        slots[key] = { start: order.pickup_slot_start, end: order.pickup_slot_end, orders: [] };
+      }
+      slots[key].orders.push({
+        id: order.id,
+        status: order.status,
+        totalAmount: parseFloat(order.total_amount),
+        consumerEmail: order.consumer_email,
+        itemCount: parseInt(order.item_count, 10)
+      });
+    });
+
+    schedule.push({
+      businessId: business.id,
+      businessName: business.name,
+      date,
+      timezone: hours.timezone,
+      capacity: hours.pickupSlotCapacity,
+      slots: Object.values(slots).sort((a, b) => a.start - b.start)
+    });
+  }
+
+  return schedule;
+};
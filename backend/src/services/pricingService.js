@@ -0,0 +1,316 @@
+import Joi from 'joi';
+import pool from '../config/database.js';
+import { deleteCachedPattern } from '../utils/cacheUtils.js';
+
+/**
+ * Pricing Service
+ * Sale prices and scheduled list price changes, and the price a product sells at right now
+ */
+
+const PRICE_CHANGE_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// A product's list price right now; a scheduled change counts from its effective time, even before
+// the sweep has written it to the product. Expects products as p
+export const LIST_PRICE = `COALESCE((
+  SELECT pc.price FROM price_changes pc
+  WHERE pc.product_id = p.id AND pc.applied_at IS NULL AND pc.effective_at <= NOW()
+  ORDER BY pc.effective_at DESC
+  LIMIT 1
+), p.price)`;
+
+// A product's sale price while its sale is running, otherwise NULL. Expects products as p
+export const ACTIVE_SALE_PRICE = `CASE
+  WHEN p.sale_price IS NOT NULL
+   AND (p.sale_starts_at IS NULL OR p.sale_starts_at <= NOW())
+   AND (p.sale_ends_at IS NULL OR p.sale_ends_at > NOW())
+  THEN p.sale_price
+END`;
+
+// What a product sells at right now; LEAST skips the NULL sale price. Expects products as p
+export const EFFECTIVE_PRICE = `LEAST(${ACTIVE_SALE_PRICE}, ${LIST_PRICE})`;
+
+// Select list for formatPricing. Expects products as p
+export const PRICE_COLUMNS = `${LIST_PRICE} as list_price, ${ACTIVE_SALE_PRICE} as active_sale_price`;
+
+const priceChangeSchema = Joi.object({
+  price: Joi.number().positive().precision(2).required(),
+  effectiveAt: Joi.date().iso().greater('now').required()
+});
+
+/**
+ * Price fields of a product row selected with PRICE_COLUMNS
+ * price is what it sells for now; salePrice is only set while a sale below the list price is running.
+ */
+export const formatPricing = (row) => {
+  const listPrice = parseFloat(row.list_price);
+  const salePrice = row.active_sale_price !== null && parseFloat(row.active_sale_price) < listPrice
+    ? parseFloat(row.active_sale_price)
+    : null;
+
+  return {
+    price: salePrice ?? listPrice,
+    listPrice,
+    salePrice,
+    onSale: salePrice !== null
+  };
+};
+
+/**
+ * Unit prices of an order or cart line: the product's, or a variant's own price, which sales don't change
+ */
+export const getLinePricing = (pricing, variant) => {
+  if (variant && variant.price !== null && variant.price !== undefined) {
+    const price = parseFloat(variant.price);
+    return { price, listPrice: price, salePrice: null, onSale: false };
+  }
+
+  return pricing;
+};
+
+/**
+ * The sale an SME has set on a product, running or not, or null
+ */
+export const formatSale = (row) => (
+  row.sale_price !== null
+    ? {
+      price: parseFloat(row.sale_price),
+      startsAt: row.sale_starts_at,
+      endsAt: row.sale_ends_at
+    }
+    : null
+);
+
+/**
+ * Check a product's sale, after applying any update, is below its price and ends after it starts
+ */
+export const validateSale = ({ price, salePrice, saleStartsAt, saleEndsAt }) => {
+  if (salePrice !== null && salePrice !== undefined && parseFloat(salePrice) >= parseFloat(price)) {
+    throw {
+      status: 400,
+      code: 'INVALID_SALE_PRICE',
+      message: 'The sale price must be below the product price'
+    };
+  }
+
+  if (saleStartsAt && saleEndsAt && new Date(saleEndsAt) <= new Date(saleStartsAt)) {
+    throw {
+      status: 400,
+      code: 'INVALID_SALE_PERIOD',
+      message: 'The sale must end after it starts'
+    };
+  }
+};
+
+const formatPriceChange = (change) => ({
+  id: change.id,
+  productId: change.product_id,
+  price: parseFloat(change.price),
+  effectiveAt: change.effective_at,
+  appliedAt: change.applied_at,
+  // Due changes count before the sweep marks them applied
+  status: change.applied_at || new Date(change.effective_at) <= new Date() ? 'applied' : 'scheduled',
+  createdAt: change.created_at
+});
+
+/**
+ * Verify the product exists and its business is owned by the given user
+ */
+const verifyProductOwner = async (productId, ownerId) => {
+  const result = await pool.query(
+    `SELECT p.id, b.owner_id
+     FROM products p
+     JOIN businesses b ON p.business_id = b.id
+     WHERE p.id = $1`,
+    [productId]
+  );
+
+  if (result.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'PRODUCT_NOT_FOUND',
+      message: 'Product not found'
+    };
+  }
+
+  if (result.rows[0].owner_id !== ownerId) {
+    throw {
+      status: 403,
+      code: 'FORBIDDEN',
+      message: 'You do not have permission to manage prices for this product'
+    };
+  }
+};
+
+/**
+ * Get a product's scheduled price changes, soonest first, followed by the ones already applied
+ */
+export const getPriceChanges = async (productId, ownerId) => {
+  await verifyProductOwner(productId, ownerId);
+
+  const result = await pool.query(
+    `SELECT id, product_id, price, effective_at, applied_at, created_at
+     FROM price_changes
+     WHERE product_id = $1
+     ORDER BY (applied_at IS NULL AND effective_at > NOW()) DESC,
+              CASE WHEN applied_at IS NULL AND effective_at > NOW() THEN effective_at END ASC,
+              effective_at DESC
+     LIMIT 100`,
+    [productId]
+  );
+
+  return result.rows.map(formatPriceChange);
+};
+
+/**
+ * Schedule a product's list price to change at a future time
+ */
+export const schedulePriceChange = async (productId, ownerId, changeData) => {
+  const { error, value } = priceChangeSchema.validate(changeData, { abortEarly: false });
+  if (error) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid price change data',
+      details: error.details.map(d => d.message)
+    };
+  }
+
+  await verifyProductOwner(productId, ownerId);
+
+  const result = await pool.query(
+    `INSERT INTO price_changes (product_id, price, effective_at, created_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id, product_id, price, effective_at, applied_at, created_at`,
+    [productId, value.price, value.effectiveAt, ownerId]
+  );
+
+  return formatPriceChange(result.rows[0]);
+};
+
+/**
+ * Cancel a scheduled price change that has not taken effect yet
+ */
+export const cancelPriceChange = async (productId, ownerId, changeId) => {
+  await verifyProductOwner(productId, ownerId);
+
+  const result = await pool.query(
+    `SELECT id, applied_at, effective_at <= NOW() as due
+     FROM price_changes
+     WHERE id = $1 AND product_id = $2`,
+    [changeId, productId]
+  );
+
+  if (result.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'PRICE_CHANGE_NOT_FOUND',
+      message: 'Price change not found'
+    };
+  }
+
+  if (result.rows[0].applied_at || result.rows[0].due) {
+    throw {
+      status: 409,
+      code: 'PRICE_CHANGE_APPLIED',
+      message: 'This price change has already taken effect'
+    };
+  }
+
+  await pool.query('DELETE FROM price_changes WHERE id = $1', [changeId]);
+
+  return { message: 'Price change cancelled' };
+};
+
+/**
+ * Write due price changes to their products and mark them applied
+ * When several are due for a product, the latest wins. Returns the number of products repriced.
+ */
+export const applyDuePriceChanges = async () => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // SKIP LOCKED lets several API instances sweep without blocking each other
+    const dueResult = await client.query(
+      `SELECT id, product_id, price
+       FROM price_changes
+       WHERE applied_at IS NULL AND effective_at <= NOW()
+       ORDER BY effective_at
+       LIMIT 500
+       FOR UPDATE SKIP LOCKED`
+    );
+
+    const latestByProduct = new Map();
+    dueResult.rows.forEach(change => latestByProduct.set(change.product_id, change.price));
+
+    for (const [productId, price] of latestByProduct) {
+      await client.query(
+        'UPDATE products SET price = $1, updated_at = NOW() WHERE id = $2',
+        [price, productId]
+      );
+    }
+
+    if (dueResult.rows.length > 0) {
+      await client.query(
+        'UPDATE price_changes SET applied_at = NOW() WHERE id = ANY($1)',
+        [dueResult.rows.map(change => change.id)]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    return latestByProduct.size;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Check whether any sale started or ended between two times
+ */
+const hasSaleBoundaryBetween = async (from, to) => {
+  const result = await pool.query(
+    `SELECT EXISTS (
+       SELECT 1 FROM products
+       WHERE sale_price IS NOT NULL
+         AND ((sale_starts_at > $1 AND sale_starts_at <= $2) OR (sale_ends_at > $1 AND sale_ends_at <= $2))
+     ) as changed`,
+    [from, to]
+  );
+
+  return result.rows[0].changed;
+};
+
+/**
+ * Periodically apply due price changes
+ * Cached search results are dropped whenever prices moved, including sales starting or ending.
+ */
+export const startPriceChangeSweep = () => {
+  let lastSweepAt = new Date();
+
+  const timer = setInterval(async () => {
+    const sweepAt = new Date();
+
+    try {
+      const repriced = await applyDuePriceChanges();
+      const salesChanged = await hasSaleBoundaryBetween(lastSweepAt, sweepAt);
+      lastSweepAt = sweepAt;
+
+      if (repriced > 0 || salesChanged) {
+        await deleteCachedPattern('products:search:*');
+      }
+      if (repriced > 0) {
+        console.log(`Applied scheduled price changes to ${repriced} product(s)`);
+      }
+    } catch (error) {
+      console.error('Failed to apply scheduled price changes:', error);
+    }
+  }, PRICE_CHANGE_SWEEP_INTERVAL_MS);
+
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,267 @@
+import pool from '../config/database.js';
+import { deleteCachedPattern } from '../utils/cacheUtils.js';
+import { parseCsv } from '../utils/spreadsheetUtils.js';
+import { productCreateSchema, PRODUCT_CATEGORIES } from './productService.js';
+import { recordMovement, checkLowStock } from './inventoryService.js';
+
+/**
+ * Product Import Service
+ * Bulk-creates products from a CSV upload with a per-row validation report
+ */
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Columns understood in the header row; anything else is ignored
+export const IMPORT_COLUMNS = ['sku', 'name', 'description', 'price', 'quantity', 'category', 'images'];
+const REQUIRED_COLUMNS = ['name', 'price', 'quantity', 'category'];
+
+/**
+ * Turn a CSV row into product data
+ * Images are separated by "|" since URLs may contain commas.
+ */
+const toProductData = (headers, values) => {
+  const raw = {};
+  headers.forEach((header, index) => {
+    if (IMPORT_COLUMNS.includes(header)) {
+      raw[header] = (values[index] ?? '').trim();
+    }
+  });
+
+  const data = {
+    name: raw.name,
+    description: raw.description || '',
+    price: raw.price,
+    quantity: raw.quantity,
+    category: raw.category ? raw.category.toLowerCase() : raw.category,
+    images: raw.images ? raw.images.split('|').map(url => url.trim()).filter(Boolean) : []
+  };
+
+  if (raw.sku) {
+    data.sku = raw.sku;
+  }
+
+  return data;
+};
+
+/**
+ * Import products for a business from CSV text (business owner only)
+ * Every row is validated against the product schema. Valid rows are written
+ * in a single transaction and invalid rows are reported without stopping the
+ * rest. With dryRun the transaction is rolled back so nothing is saved; with
+ * upsert, rows whose SKU already exists update that product instead of failing.
+ */
+export const importProducts = async (businessId, ownerId, csvText, options = {}) => {
+  const { dryRun = false, upsert = false } = options;
+
+  const businessResult = await pool.query(
+    'SELECT owner_id FROM businesses WHERE id = $1',
+    [businessId]
+  );
+
+  if (businessResult.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'BUSINESS_NOT_FOUND',
+      message: 'Business not found'
+    };
+  }
+
+  if (businessResult.rows[0].owner_id !== ownerId) {
+    throw {
+      status: 403,
+      code: 'FORBIDDEN',
+      message: 'You do not have permission to import products for this business'
+    };
+  }
+
+  const [headerRow, ...dataRows] = parseCsv(csvText || '');
+
+  if (!headerRow) {
+    throw {
+      status: 400,
+      code: 'EMPTY_IMPORT',
+      message: 'The CSV file is empty'
+    };
+  }
+
+  const headers = headerRow.values.map(header => header.trim().toLowerCase());
+  const missingColumns = REQUIRED_COLUMNS.filter(column => !headers.includes(column));
+
+  if (missingColumns.length > 0) {
+    throw {
+      status: 400,
+      code: 'INVALID_IMPORT_HEADER',
+      message: `Missing required columns: ${missingColumns.join(', ')}`,
+      details: [`Expected columns: ${IMPORT_COLUMNS.join(', ')}`]
+    };
+  }
+
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    throw {
+      status: 400,
+      code: 'IMPORT_TOO_LARGE',
+      message: `Imports are limited to ${MAX_IMPORT_ROWS} rows per file`
+    };
+  }
+
+  const client = await pool.connect();
+  const report = [];
+  const seenSkus = new Map();
+
+  try {
+    await client.query('BEGIN');
+
+    for (const { line, values } of dataRows) {
+      const productData = toProductData(headers, values);
+      const entry = { row: line, sku: productData.sku || null, name: productData.name || null };
+
+      const { error, value } = productCreateSchema.validate(productData, { abortEarly: false });
+      if (error) {
+        report.push({
+          ...entry,
+          status: 'error',
+          errors: error.details.map(d =>
+            d.path[0] === 'category'
+              ? `"category" must be one of: ${PRODUCT_CATEGORIES.join(', ')}`
+              : d.message
+          )
+        });
+        continue;
+      }
+
+      if (value.sku && seenSkus.has(value.sku)) {
+        report.push({
+          ...entry,
+          status: 'error',
+          errors: [`SKU "${value.sku}" already appears on row ${seenSkus.get(value.sku)}`]
+        });
+        continue;
+      }
+      if (value.sku) {
+        seenSkus.set(value.sku, line);
+      }
+
+      const existing = value.sku
+        ? await client.query(
+          `SELECT p.id, p.quantity, p.reserved_quantity,
+                  EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id) as has_variants
+           FROM products p
+           WHERE p.business_id = $1 AND p.sku = $2
+           FOR UPDATE OF p`,
+          [businessId, value.sku]
+        )
+        : { rows: [] };
+
+      if (existing.rows.length > 0 && !upsert) {
+        report.push({
+          ...entry,
+          status: 'error',
+          errors: [`A product with SKU "${value.sku}" already exists; enable upsert to update it`]
+        });
+        continue;
+      }
+
+      // A single quantity cannot be spread across variants, so their stock is left to the product form
+      if (existing.rows.length > 0 && existing.rows[0].has_variants) {
+        report.push({
+          ...entry,
+          status: 'error',
+          errors: [`Product with SKU "${value.sku}" has variants; update its stock from the product page`]
+        });
+        continue;
+      }
+
+      // Units held by pending orders must stay on hand for them
+      if (existing.rows.length > 0 && value.quantity < existing.rows[0].reserved_quantity) {
+        report.push({
+          ...entry,
+          status: 'error',
+          errors: [`${existing.rows[0].reserved_quantity} unit(s) of SKU "${value.sku}" are held by pending orders; quantity cannot be lower`]
+        });
+        continue;
+      }
+
+      if (existing.rows.length > 0) {
+        await client.query(
+          `UPDATE products
+           SET name = $1, description = $2, price = $3, quantity = $4, category = $5,
+               images = CASE WHEN cardinality($6::text[]) > 0 THEN $6::text[] ELSE images END,
+               updated_at = NOW()
+           WHERE id = $7`,
+          [value.name, value.description, value.price, value.quantity, value.category, value.images, existing.rows[0].id]
+        );
+
+        await recordMovement(client, {
+          productId: existing.rows[0].id,
+          type: 'import',
+          quantityBefore: existing.rows[0].quantity,
+          quantityAfter: value.quantity,
+          actorId: ownerId,
+          reason: `CSV import row ${line}`
+        });
+
+        report.push({ ...entry, status: 'updated', productId: existing.rows[0].id });
+        continue;
+      }
+
+      const insertResult = await client.query(
+        `INSERT INTO products (
+          business_id, name, sku, description, price, quantity, category, images, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
+        RETURNING id`,
+        [
+          businessId,
+          value.name,
+          value.sku || null,
+          value.description,
+          value.price,
+          value.quantity,
+          value.category,
+          value.images
+        ]
+      );
+
+      await recordMovement(client, {
+        productId: insertResult.rows[0].id,
+        type: 'import',
+        quantityBefore: 0,
+        quantityAfter: value.quantity,
+        actorId: ownerId,
+        reason: `CSV import row ${line}`
+      });
+
+      report.push({ ...entry, status: 'created', productId: insertResult.rows[0].id });
+    }
+
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (!dryRun) {
+    // Invalidate search cache when products are imported
+    await deleteCachedPattern('products:search:*');
+
+    await checkLowStock(report.filter(r => r.productId).map(r => r.productId));
+  }
+
+  // Products inserted during a dry run were rolled back, so their ids mean nothing
+  const rows = dryRun
+    ? report.map(({ productId, ...entry }) => (entry.status === 'created' ? entry : { ...entry, productId }))
+    : report;
+
+  return {
+    dryRun,
+    upsert,
+    summary: {
+      totalRows: report.length,
+      created: report.filter(r => r.status === 'created').length,
+      updated: report.filter(r => r.status === 'updated').length,
+      failed: report.filter(r => r.status === 'error').length
+    },
+    rows
+  };
+};
@@ -1,6 +1,9 @@
 import Joi from 'joi';
 import pool from '../config/database.js';
 import { getCached, setCached, deleteCachedPattern, generateSearchCacheKey } from '../utils/cacheUtils.js';
+import { recordMovement, adjustStock, checkLowStock } from './inventoryService.js';
+import { resolveOpenAt } from '../utils/businessHoursUtils.js';
+import { PRICE_COLUMNS, EFFECTIVE_PRICE, formatPricing, formatSale, validateSale } from './pricingService.js';
 
 /**
  * Product Service
@@ -27,32 +30,260 @@ export const PRODUCT_CATEGORIES = [
 ];
 
 // Validation schemas
-const productCreateSchema = Joi.object({
+const productOptionSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(50).required(),
+  values: Joi.array().items(Joi.string().trim().min(1).max(50)).min(1).max(30).unique().required()
+});
+
+const productVariantSchema = Joi.object({
+  // Present when updating an existing variant; omit to add a new one
+  id: Joi.string().uuid(),
+  sku: Joi.string().trim().max(100).allow('', null),
+  // Option name to chosen value, e.g. { Size: 'M', Color: 'Red' }
+  options: Joi.object().pattern(Joi.string(), Joi.string()).required(),
+  // Overrides the product price; null sells at the product price
+  price: Joi.number().positive().precision(2).allow(null),
+  quantity: Joi.number().integer().min(0).required(),
+  images: Joi.array().items(Joi.string().uri()).max(10).default([])
+});
+
+// Products with variants keep stock per variant, so quantity is only required without them
+const hasVariants = Joi.array().min(1);
+
+export const productCreateSchema = Joi.object({
   name: Joi.string().min(2).max(255).required(),
+  sku: Joi.string().trim().max(100).allow('', null),
   description: Joi.string().allow('').max(5000),
   price: Joi.number().positive().precision(2).required(),
-  quantity: Joi.number().integer().min(0).required(),
+  // Sells at salePrice between saleStartsAt and saleEndsAt; either date may be left open
+  salePrice: Joi.number().positive().precision(2).allow(null),
+  saleStartsAt: Joi.date().iso().allow(null),
+  saleEndsAt: Joi.date().iso().allow(null),
+  quantity: Joi.number().integer().min(0).when('variants', {
+    is: hasVariants,
+    then: Joi.forbidden(),
+    otherwise: Joi.required()
+  }),
+  // Reorder point; null falls back to the business default
+  lowStockThreshold: Joi.number().integer().min(0).allow(null),
   category: Joi.string().valid(...PRODUCT_CATEGORIES).required(),
-  images: Joi.array().items(Joi.string().uri()).max(10).default([])
-});
+  images: Joi.array().items(Joi.string().uri()).max(10).default([]),
+  options: Joi.array().items(productOptionSchema).max(3).unique('name'),
+  variants: Joi.array().items(productVariantSchema).max(100)
+}).and('options', 'variants');
 
 const productUpdateSchema = Joi.object({
   name: Joi.string().min(2).max(255),
+  sku: Joi.string().trim().max(100).allow('', null),
   description: Joi.string().allow('').max(5000),
   price: Joi.number().positive().precision(2),
-  quantity: Joi.number().integer().min(0),
+  salePrice: Joi.number().positive().precision(2).allow(null),
+  saleStartsAt: Joi.date().iso().allow(null),
+  saleEndsAt: Joi.date().iso().allow(null),
+  quantity: Joi.number().integer().min(0).when('variants', {
+    is: hasVariants,
+    then: Joi.forbidden()
+  }),
+  lowStockThreshold: Joi.number().integer().min(0).allow(null),
   category: Joi.string().valid(...PRODUCT_CATEGORIES),
-  images: Joi.array().items(Joi.string().uri()).max(10)
-}).min(1);
+  images: Joi.array().items(Joi.string().uri()).max(10),
+  // Send both to replace the option types and variant list; variants left out are removed
+  options: Joi.array().items(productOptionSchema).max(3).unique('name'),
+  variants: Joi.array().items(productVariantSchema).max(100)
+}).and('options', 'variants').min(1);
 
 const inventoryUpdateSchema = Joi.object({
-  quantity: Joi.number().integer().min(0).required()
+  // Required for products with variants
+  variantId: Joi.string().uuid().allow(null),
+  quantity: Joi.number().integer().min(0).required(),
+  reason: Joi.string().max(500).allow('', null)
+});
+
+/**
+ * Split on-hand stock into what pending orders hold and what can still be sold
+ */
+const formatStockLevels = (product) => ({
+  reservedQuantity: product.reserved_quantity,
+  availableQuantity: Math.max(product.quantity - product.reserved_quantity, 0)
+});
+
+/**
+ * Check every variant picks one listed value for each option, and no two pick the same combination
+ * Returns the variants with their options in option order, or throws a validation error.
+ */
+const normalizeVariants = (options, variants) => {
+  const details = [];
+  const seen = new Set();
+  const ids = new Set();
+
+  if (variants.length > 0 && options.length === 0) {
+    details.push('"options" must define at least one option when variants are given');
+  }
+
+  const normalized = variants.map((variant, index) => {
+    const label = `"variants[${index}]"`;
+    const keys = Object.keys(variant.options);
+    const combination = {};
+
+    options.forEach(option => {
+      const chosen = variant.options[option.name];
+      if (chosen === undefined) {
+        details.push(`${label} is missing a value for option "${option.name}"`);
+      } else if (!option.values.includes(chosen)) {
+        details.push(`${label} has "${chosen}", which is not a value of option "${option.name}"`);
+      }
+      combination[option.name] = chosen;
+    });
+
+    keys
+      .filter(key => !options.some(option => option.name === key))
+      .forEach(key => details.push(`${label} has unknown option "${key}"`));
+
+    const key = JSON.stringify(combination);
+    if (seen.has(key)) {
+      details.push(`${label} repeats the combination ${Object.values(combination).join(' / ')}`);
+    }
+    seen.add(key);
+
+    if (variant.id) {
+      if (ids.has(variant.id)) {
+        details.push(`${label} repeats variant id ${variant.id}`);
+      }
+      ids.add(variant.id);
+    }
+
+    return { ...variant, options: combination };
+  });
+
+  if (details.length > 0) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid product variants',
+      details
+    };
+  }
+
+  return normalized;
+};
+
+/**
+ * Replace a product's variants with the given list inside the caller's transaction
+ * Existing variants are matched by id; stock changes go through the ledger.
+ */
+const syncVariants = async (client, productId, variants, { type, actorId, reason }) => {
+  // Products are locked before variants everywhere stock moves
+  const existingResult = await client.query(
+    `SELECT id, quantity, reserved_quantity
+     FROM product_variants
+     WHERE product_id = $1
+     ORDER BY id
+     FOR UPDATE`,
+    [productId]
+  );
+
+  const existing = {};
+  existingResult.rows.forEach(variant => {
+    existing[variant.id] = variant;
+  });
+
+  const keptIds = new Set(variants.filter(variant => variant.id).map(variant => variant.id));
+
+  // Remove dropped variants first so their combinations can be reused
+  for (const variant of existingResult.rows) {
+    if (keptIds.has(variant.id)) {
+      continue;
+    }
+
+    if (variant.reserved_quantity > 0) {
+      throw {
+        status: 409,
+        code: 'VARIANT_RESERVED',
+        message: 'A variant with units held by pending orders cannot be removed'
+      };
+    }
+
+    await adjustStock(client, {
+      productId, variantId: variant.id, delta: -variant.quantity, type, actorId, reason
+    });
+    await client.query('DELETE FROM product_variants WHERE id = $1', [variant.id]);
+  }
+
+  for (const [position, variant] of variants.entries()) {
+    let variantId = variant.id;
+    let currentQuantity = 0;
+
+    if (variantId) {
+      if (!existing[variantId]) {
+        throw {
+          status: 404,
+          code: 'VARIANT_NOT_FOUND',
+          message: `Variant ${variantId} does not belong to this product`
+        };
+      }
+
+      await client.query(
+        `UPDATE product_variants
+         SET sku = $1, options = $2, price = $3, images = $4, position = $5, updated_at = NOW()
+         WHERE id = $6`,
+        [variant.sku || null, variant.options, variant.price ?? null, variant.images, position, variantId]
+      );
+      currentQuantity = existing[variantId].quantity;
+    } else {
+      const insertResult = await client.query(
+        `INSERT INTO product_variants (product_id, sku, options, price, images, position)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id`,
+        [productId, variant.sku || null, variant.options, variant.price ?? null, variant.images, position]
+      );
+      variantId = insertResult.rows[0].id;
+    }
+
+    await adjustStock(client, {
+      productId, variantId, delta: variant.quantity - currentQuantity, type, actorId, reason
+    });
+  }
+};
+
+/**
+ * Fetch variants for the given products, grouped by product id, in display order
+ */
+const fetchVariants = async (db, productIds) => {
+  const result = await db.query(
+    `SELECT id, product_id, sku, options, price, quantity, reserved_quantity, images
+     FROM product_variants
+     WHERE product_id = ANY($1)
+     ORDER BY position, created_at`,
+    [productIds]
+  );
+
+  const variantsByProduct = {};
+  result.rows.forEach(variant => {
+    (variantsByProduct[variant.product_id] = variantsByProduct[variant.product_id] || []).push(variant);
+  });
+  return variantsByProduct;
+};
+
+/**
+ * Format a variant row; price is what it sells for, priceOverride is null when it uses the product price
+ * productPrice is the product's current selling price, so variants without an override follow its sale.
+ */
+const formatVariant = (variant, productPrice) => ({
+  id: variant.id,
+  sku: variant.sku,
+  options: variant.options,
+  price: variant.price !== null ? parseFloat(variant.price) : parseFloat(productPrice),
+  priceOverride: variant.price !== null ? parseFloat(variant.price) : null,
+  quantity: variant.quantity,
+  ...formatStockLevels(variant),
+  images: variant.images,
+  inStock: variant.quantity > 0
 });
 
 /**
  * Create a new product
  */
-export const createProduct = async (businessId, productData) => {
+export const createProduct = async (businessId, productData, actorId = null) => {
   const client = await pool.connect();
   
   try {
@@ -67,6 +298,11 @@ export const createProduct = async (businessId, productData) => {
       };
     }
 
+    validateSale(value);
+
+    const options = value.options || [];
+    const variants = normalizeVariants(options, value.variants || []);
+
     await client.query('BEGIN');
 
     // Verify business exists
@@ -83,39 +319,76 @@ export const createProduct = async (businessId, productData) => {
       };
     }
 
-    // Insert product
+    // Insert product; with variants its stock starts at zero and is built up from theirs
     const productResult = await client.query(
       `INSERT INTO products (
-        business_id, name, description, price, quantity, category, images, created_at, updated_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
-      RETURNING id, business_id, name, description, price, quantity, category, images, in_stock, created_at`,
+        business_id, name, sku, description, price, sale_price, sale_starts_at, sale_ends_at, quantity,
+        low_stock_threshold, category, images, options, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW(), NOW())
+      RETURNING id`,
       [
         businessId,
         value.name,
+        value.sku || null,
         value.description || '',
         value.price,
-        value.quantity,
+        value.salePrice ?? null,
+        value.saleStartsAt ?? null,
+        value.saleEndsAt ?? null,
+        variants.length > 0 ? 0 : value.quantity,
+        value.lowStockThreshold ?? null,
         value.category,
-        value.images
+        value.images,
+        JSON.stringify(options)
       ]
     );
 
+    const productId = productResult.rows[0].id;
+    const movement = { type: 'initial', actorId, reason: 'Opening stock' };
+
+    if (variants.length > 0) {
+      await syncVariants(client, productId, variants, movement);
+    } else {
+      await recordMovement(client, {
+        ...movement,
+        productId,
+        quantityBefore: 0,
+        quantityAfter: value.quantity
+      });
+    }
+
+    const product = (await client.query(
+      `SELECT p.id, p.business_id, p.name, p.sku, p.description, ${PRICE_COLUMNS}, p.sale_price,
+              p.sale_starts_at, p.sale_ends_at, p.quantity, p.low_stock_threshold, p.category, p.images,
+              p.options, p.in_stock, p.created_at
+       FROM products p WHERE p.id = $1`,
+      [productId]
+    )).rows[0];
+    const productVariants = (await fetchVariants(client, [productId]))[productId] || [];
+
     await client.query('COMMIT');
 
     // Invalidate search cache when new product is created
     await deleteCachedPattern('products:search:*');
 
-    const product = productResult.rows[0];
+    await checkLowStock([product.id]);
+
+    const pricing = formatPricing(product);
     
     return {
       id: product.id,
       businessId: product.business_id,
       name: product.name,
+      sku: product.sku,
       description: product.description,
-      price: parseFloat(product.price),
+      ...pricing,
+      sale: formatSale(product),
       quantity: product.quantity,
+      lowStockThreshold: product.low_stock_threshold,
       category: product.category,
       images: product.images,
+      options: product.options,
+      variants: productVariants.map(variant => formatVariant(variant, pricing.price)),
       inStock: product.in_stock,
       createdAt: product.created_at
     };
@@ -133,8 +406,9 @@ export const createProduct = async (businessId, productData) => {
  */
 export const getProductById = async (productId) => {
   const result = await pool.query(
-    `SELECT p.id, p.business_id, p.name, p.description, p.price, p.quantity, 
-            p.category, p.images, p.in_stock, p.created_at, p.updated_at,
+    `SELECT p.id, p.business_id, p.name, p.sku, p.description, ${PRICE_COLUMNS}, p.sale_price, p.sale_starts_at,
+            p.sale_ends_at, p.quantity, p.reserved_quantity, p.low_stock_threshold, p.category, p.images,
+            p.options, p.in_stock, p.created_at, p.updated_at,
             b.name as business_name, b.rating as business_rating
      FROM products p
      JOIN businesses b ON p.business_id = b.id
@@ -151,6 +425,8 @@ export const getProductById = async (productId) => {
   }
 
   const product = result.rows[0];
+  const variants = (await fetchVariants(pool, [product.id]))[product.id] || [];
+  const pricing = formatPricing(product);
   
   return {
     id: product.id,
@@ -158,11 +434,17 @@ export const getProductById = async (productId) => {
     businessName: product.business_name,
     businessRating: parseFloat(product.business_rating),
     name: product.name,
+    sku: product.sku,
     description: product.description,
-    price: parseFloat(product.price),
+    ...pricing,
+    sale: formatSale(product),
     quantity: product.quantity,
+    ...formatStockLevels(product),
+    lowStockThreshold: product.low_stock_threshold,
     category: product.category,
     images: product.images,
+    options: product.options,
+    variants: variants.map(variant => formatVariant(variant, pricing.price)),
     inStock: product.in_stock,
     createdAt: product.created_at,
     updatedAt: product.updated_at
@@ -172,7 +454,7 @@ export const getProductById = async (productId) => {
 /**
  * Update product
  */
-export const updateProduct = async (productId, businessId, updateData) => {
+export const updateProduct = async (productId, businessId, updateData, actorId = null) => {
   const client = await pool.connect();
   
   try {
@@ -187,11 +469,18 @@ export const updateProduct = async (productId, businessId, updateData) => {
       };
     }
 
+    const variants = value.variants && normalizeVariants(value.options, value.variants);
+
     await client.query('BEGIN');
 
-    // Check if product exists and belongs to the business
+    // Check if product exists and belongs to the business; the lock keeps the ledger's before quantity accurate
     const productResult = await client.query(
-      'SELECT id, business_id FROM products WHERE id = $1',
+      `SELECT p.id, p.business_id, p.price, p.sale_price, p.sale_starts_at, p.sale_ends_at, p.quantity,
+              p.reserved_quantity,
+              EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id) as has_variants
+       FROM products p
+       WHERE p.id = $1
+       FOR UPDATE OF p`,
       [productId]
     );
 
@@ -211,6 +500,48 @@ export const updateProduct = async (productId, businessId, updateData) => {
       };
     }
 
+    const current = productResult.rows[0];
+    const movement = { type: 'adjustment', actorId, reason: 'Product edited' };
+
+    validateSale({
+      price: value.price ?? current.price,
+      salePrice: value.salePrice !== undefined ? value.salePrice : current.sale_price,
+      saleStartsAt: value.saleStartsAt !== undefined ? value.saleStartsAt : current.sale_starts_at,
+      saleEndsAt: value.saleEndsAt !== undefined ? value.saleEndsAt : current.sale_ends_at
+    });
+
+    if (variants) {
+      if (variants.length > 0 && !current.has_variants) {
+        // Stock held for pending orders of the plain product cannot be assigned to a variant
+        if (current.reserved_quantity > 0) {
+          throw {
+            status: 409,
+            code: 'PRODUCT_RESERVED',
+            message: 'Variants cannot be added while pending orders hold stock of this product'
+          };
+        }
+
+        await adjustStock(client, {
+          productId, delta: -current.quantity, ...movement, reason: 'Stock split into variants'
+        });
+      }
+
+      await syncVariants(client, productId, variants, movement);
+    }
+
+    if (value.quantity !== undefined) {
+      if (variants === undefined && current.has_variants) {
+        throw {
+          status: 400,
+          code: 'VARIANT_STOCK',
+          message: 'This product has variants; set the quantity of each variant instead'
+        };
+      }
+
+      const { quantity } = (await client.query('SELECT quantity FROM products WHERE id = $1', [productId])).rows[0];
+      await adjustStock(client, { productId, delta: value.quantity - quantity, ...movement });
+    }
+
     // Build update query dynamically
     const updates = [];
     const values = [];
@@ -221,6 +552,11 @@ export const updateProduct = async (productId, businessId, updateData) => {
       values.push(value.name);
     }
 
+    if (value.sku !== undefined) {
+      updates.push(`sku = $${paramCount++}`);
+      values.push(value.sku || null);
+    }
+
     if (value.description !== undefined) {
       updates.push(`description = $${paramCount++}`);
       values.push(value.description);
@@ -229,11 +565,32 @@ export const updateProduct = async (productId, businessId, updateData) => {
     if (value.price !== undefined) {
       updates.push(`price = $${paramCount++}`);
       values.push(value.price);
+
+      // Setting the price by hand supersedes scheduled changes that are already due
+      await client.query(
+        'UPDATE price_changes SET applied_at = NOW() WHERE product_id = $1 AND applied_at IS NULL AND effective_at <= NOW()',
+        [productId]
+      );
     }
 
-    if (value.quantity !== undefined) {
-      updates.push(`quantity = $${paramCount++}`);
-      values.push(value.quantity);
+    if (value.salePrice !== undefined) {
+      updates.push(`sale_price = $${paramCount++}`);
+      values.push(value.salePrice);
+    }
+
+    if (value.saleStartsAt !== undefined) {
+      updates.push(`sale_starts_at = $${paramCount++}`);
+      values.push(value.saleStartsAt);
+    }
+
+    if (value.saleEndsAt !== undefined) {
+      updates.push(`sale_ends_at = $${paramCount++}`);
+      values.push(value.saleEndsAt);
+    }
+
+    if (value.lowStockThreshold !== undefined) {
+      updates.push(`low_stock_threshold = $${paramCount++}`);
+      values.push(value.lowStockThreshold);
     }
 
     if (value.category !== undefined) {
@@ -246,26 +603,26 @@ export const updateProduct = async (productId, businessId, updateData) => {
       values.push(value.images);
     }
 
-    if (updates.length === 0) {
-      throw {
-        status: 400,
-        code: 'NO_UPDATES',
-        message: 'No valid fields to update'
-      };
+    if (value.options !== undefined) {
+      updates.push(`options = $${paramCount++}`);
+      values.push(JSON.stringify(value.options));
     }
 
     // Add productId to values
     values.push(productId);
 
-    // Execute update
+    // Execute update; stock changes above have already been applied through the ledger
     const updateQuery = `
-      UPDATE products 
-      SET ${updates.join(', ')}, updated_at = NOW()
-      WHERE id = $${paramCount}
-      RETURNING id, business_id, name, description, price, quantity, category, images, in_stock, created_at, updated_at
+      UPDATE products p
+      SET ${[...updates, 'updated_at = NOW()'].join(', ')}
+      WHERE p.id = $${paramCount}
+      RETURNING p.id, p.business_id, p.name, p.sku, p.description, ${PRICE_COLUMNS}, p.sale_price,
+                p.sale_starts_at, p.sale_ends_at, p.quantity, p.low_stock_threshold, p.category, p.images,
+                p.options, p.in_stock, p.created_at, p.updated_at
     `;
 
     const result = await client.query(updateQuery, values);
+    const productVariants = (await fetchVariants(client, [productId]))[productId] || [];
 
     await client.query('COMMIT');
 
@@ -273,16 +630,27 @@ export const updateProduct = async (productId, businessId, updateData) => {
     await deleteCachedPattern('products:search:*');
 
     const product = result.rows[0];
+
+    if (value.quantity !== undefined || variants || value.lowStockThreshold !== undefined) {
+      await checkLowStock([product.id]);
+    }
+
+    const pricing = formatPricing(product);
     
     return {
       id: product.id,
       businessId: product.business_id,
       name: product.name,
+      sku: product.sku,
       description: product.description,
-      price: parseFloat(product.price),
+      ...pricing,
+      sale: formatSale(product),
       quantity: product.quantity,
+      lowStockThreshold: product.low_stock_threshold,
       category: product.category,
       images: product.images,
+      options: product.options,
+      variants: productVariants.map(variant => formatVariant(variant, pricing.price)),
       inStock: product.in_stock,
       createdAt: product.created_at,
       updatedAt: product.updated_at
@@ -348,7 +716,7 @@ export const deleteProduct = async (productId, businessId) => {
 /**
  * Update product inventory quantity
  */
-export const updateInventory = async (productId, businessId, quantityData) => {
+export const updateInventory = async (productId, businessId, quantityData, actorId = null) => {
   const client = await pool.connect();
   
   try {
@@ -367,7 +735,11 @@ export const updateInventory = async (productId, businessId, quantityData) => {
 
     // Check if product exists and belongs to the business
     const productResult = await client.query(
-      'SELECT id, business_id, quantity FROM products WHERE id = $1',
+      `SELECT p.id, p.business_id, p.quantity,
+              EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id) as has_variants
+       FROM products p
+       WHERE p.id = $1
+       FOR UPDATE OF p`,
       [productId]
     );
 
@@ -387,20 +759,61 @@ export const updateInventory = async (productId, businessId, quantityData) => {
       };
     }
 
+    const { has_variants: hasVariantStock } = productResult.rows[0];
+    const variantId = value.variantId || null;
+
+    if (hasVariantStock !== Boolean(variantId)) {
+      throw {
+        status: 400,
+        code: hasVariantStock ? 'VARIANT_REQUIRED' : 'VARIANT_NOT_FOUND',
+        message: hasVariantStock
+          ? 'This product has variants; choose which variant to update'
+          : 'This product has no variants'
+      };
+    }
+
+    let currentQuantity = productResult.rows[0].quantity;
+
+    if (variantId) {
+      const variantResult = await client.query(
+        'SELECT quantity FROM product_variants WHERE id = $1 AND product_id = $2',
+        [variantId, productId]
+      );
+
+      if (variantResult.rows.length === 0) {
+        throw {
+          status: 404,
+          code: 'VARIANT_NOT_FOUND',
+          message: 'Variant not found'
+        };
+      }
+
+      currentQuantity = variantResult.rows[0].quantity;
+    }
+
     // Update inventory
+    await adjustStock(client, {
+      productId,
+      variantId,
+      delta: value.quantity - currentQuantity,
+      type: 'adjustment',
+      actorId,
+      reason: value.reason
+    });
+
     const result = await client.query(
-      `UPDATE products 
-       SET quantity = $1, updated_at = NOW()
-       WHERE id = $2
-       RETURNING id, business_id, name, quantity, in_stock, updated_at`,
-      [value.quantity, productId]
+      'SELECT id, business_id, name, quantity, reserved_quantity, in_stock, updated_at FROM products WHERE id = $1',
+      [productId]
     );
+    const productVariants = (await fetchVariants(client, [productId]))[productId] || [];
 
     await client.query('COMMIT');
 
     // Invalidate search cache when inventory is updated
     await deleteCachedPattern('products:search:*');
 
+    await checkLowStock([productId]);
+
     const product = result.rows[0];
     
     return {
@@ -408,6 +821,13 @@ export const updateInventory = async (productId, businessId, quantityData) => {
       businessId: product.business_id,
       name: product.name,
       quantity: product.quantity,
+      ...formatStockLevels(product),
+      variants: productVariants.map(variant => ({
+        id: variant.id,
+        options: variant.options,
+        quantity: variant.quantity,
+        ...formatStockLevels(variant)
+      })),
       inStock: product.in_stock,
       updatedAt: product.updated_at
     };
@@ -425,30 +845,50 @@ export const updateInventory = async (productId, businessId, quantityData) => {
  */
 export const getProductsByBusiness = async (businessId) => {
   const result = await pool.query(
-    `SELECT id, business_id, name, description, price, quantity, category, images, in_stock, created_at, updated_at
-     FROM products
-     WHERE business_id = $1
-     ORDER BY created_at DESC`,
+    `SELECT p.id, p.business_id, p.name, p.sku, p.description, ${PRICE_COLUMNS}, p.sale_price, p.sale_starts_at,
+            p.sale_ends_at, p.quantity, p.reserved_quantity,
+            p.low_stock_threshold, b.low_stock_threshold as business_low_stock_threshold,
+            p.category, p.images, p.options, p.in_stock, p.created_at, p.updated_at
+     FROM products p
+     JOIN businesses b ON p.business_id = b.id
+     WHERE p.business_id = $1
+     ORDER BY p.created_at DESC`,
     [businessId]
   );
 
-  return result.rows.map(product => ({
-    id: product.id,
-    businessId: product.business_id,
-    name: product.name,
-    description: product.description,
-    price: parseFloat(product.price),
-    quantity: product.quantity,
-    category: product.category,
-    images: product.images,
-    inStock: product.in_stock,
-    createdAt: product.created_at,
-    updatedAt: product.updated_at
-  }));
+  const variantsByProduct = await fetchVariants(pool, result.rows.map(product => product.id));
+
+  return result.rows.map(product => {
+    const pricing = formatPricing(product);
+
+    return {
+      id: product.id,
+      businessId: product.business_id,
+      name: product.name,
+      sku: product.sku,
+      description: product.description,
+      ...pricing,
+      sale: formatSale(product),
+      quantity: product.quantity,
+      ...formatStockLevels(product),
+      lowStockThreshold: product.low_stock_threshold,
+      // The threshold actually applied, after falling back to the business default
+      reorderPoint: product.low_stock_threshold ?? product.business_low_stock_threshold,
+      lowStock: product.quantity < (product.low_stock_threshold ?? product.business_low_stock_threshold),
+      category: product.category,
+      images: product.images,
+      options: product.options,
+      variants: (variantsByProduct[product.id] || []).map(variant => formatVariant(variant, pricing.price)),
+      inStock: product.in_stock,
+      createdAt: product.created_at,
+      updatedAt: product.updated_at
+    };
+  });
 };
 
 /**
  * Search products with filters
+ * openNow / openAt keep to businesses open at that time in their own timezone.
  */
 export const searchProducts = async (searchParams) => {
   const {
@@ -459,17 +899,21 @@ export const searchProducts = async (searchParams) => {
     latitude,
     longitude,
     radius, // in kilometers
+    openNow,
+    openAt,
     sortBy = 'created_at',
     sortOrder = 'DESC',
     limit = 50,
     offset = 0
   } = searchParams;
 
+  const openInstant = resolveOpenAt({ openNow, openAt });
+
   // Generate cache key
   const cacheKey = generateSearchCacheKey(searchParams);
   
-  // Try to get from cache
-  const cachedResults = await getCached(cacheKey);
+  // Try to get from cache; open-now results change by the minute, so skip it for them
+  const cachedResults = openNow ? null : await getCached(cacheKey);
   if (cachedResults) {
     return cachedResults;
   }
@@ -493,23 +937,30 @@ export const searchProducts = async (searchParams) => {
     paramCount++;
   }
 
-  // Price range filters
+  // Price range filters, on what products sell at now
   if (minPrice !== undefined) {
-    whereClauses.push(`p.price >= $${paramCount}`);
+    whereClauses.push(`${EFFECTIVE_PRICE} >= $${paramCount}`);
     values.push(minPrice);
     paramCount++;
   }
 
   if (maxPrice !== undefined) {
-    whereClauses.push(`p.price <= $${paramCount}`);
+    whereClauses.push(`${EFFECTIVE_PRICE} <= $${paramCount}`);
     values.push(maxPrice);
     paramCount++;
   }
 
+  if (openInstant) {
+    whereClauses.push(`business_is_open_at(b.operating_hours, b.holiday_closures, b.timezone, $${paramCount})`);
+    values.push(openInstant);
+    paramCount++;
+  }
+
   // Build SELECT clause with distance calculation if location provided
   let selectClause = `
-    p.id, p.business_id, p.name, p.description, p.price, p.quantity, 
+    p.id, p.business_id, p.name, p.description, ${PRICE_COLUMNS}, p.quantity,
     p.category, p.images, p.in_stock, p.created_at,
+    EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id) as has_variants,
     b.name as business_name, b.rating as business_rating,
     b.verified as business_verified,
     ST_Y(b.location::geometry) as business_latitude,
@@ -536,7 +987,7 @@ export const searchProducts = async (searchParams) => {
   // Build ORDER BY clause
   let orderByClause;
   const validSortFields = {
-    'price': 'p.price',
+    'price': EFFECTIVE_PRICE,
     'created_at': 'p.created_at',
     'name': 'p.name',
     'rating': 'b.rating'
@@ -578,17 +1029,21 @@ export const searchProducts = async (searchParams) => {
     },
     name: product.name,
     description: product.description,
-    price: parseFloat(product.price),
+    ...formatPricing(product),
     quantity: product.quantity,
     category: product.category,
     images: product.images,
+    // Variant products must be added to the cart from the detail page
+    hasVariants: product.has_variants,
     inStock: product.in_stock,
     createdAt: product.created_at,
     ...(product.distance_km !== undefined && { distanceKm: parseFloat(product.distance_km.toFixed(2)) })
   }));
 
   // Cache results for 5 minutes (300 seconds)
-  await setCached(cacheKey, products, 300);
+  if (!openNow) {
+    await setCached(cacheKey, products, 300);
+  }
 
   return products;
 };
@@ -0,0 +1,432 @@
+import Joi from 'joi';
+import pool from '../config/database.js';
+import { PRODUCT_CATEGORIES } from './productService.js';
+import { getPromotionStatus, calculateDiscount, getRejection } from '../utils/promotionUtils.js';
+
+/**
+ * Promotion Service
+ * Handles SME promotions and the discounts they give at checkout. A promotion with a code
+ * applies when the consumer enters it; one without applies automatically. Each order gets at
+ * most one promotion: the entered code where it applies, otherwise the automatic promotion
+ * worth the most.
+ */
+
+export const PROMOTION_TYPES = ['percent', 'fixed', 'buy_x_get_y'];
+
+// Validation schemas
+const promotionSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(255).required(),
+  // Leave empty for a discount that applies automatically
+  code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]+$/).min(3).max(50).allow(null, ''),
+  discountType: Joi.string().valid(...PROMOTION_TYPES).required(),
+  discountValue: Joi.when('discountType', {
+    switch: [
+      { is: 'percent', then: Joi.number().positive().max(100).precision(2).required() },
+      { is: 'fixed', then: Joi.number().positive().precision(2).required() }
+    ],
+    otherwise: Joi.valid(null)
+  }),
+  buyQuantity: Joi.when('discountType', {
+    is: 'buy_x_get_y',
+    then: Joi.number().integer().min(1).max(100).required(),
+    otherwise: Joi.valid(null)
+  }),
+  getQuantity: Joi.when('discountType', {
+    is: 'buy_x_get_y',
+    then: Joi.number().integer().min(1).max(100).required(),
+    otherwise: Joi.valid(null)
+  }),
+  minSpend: Joi.number().min(0).precision(2).allow(null),
+  startsAt: Joi.date().iso().allow(null),
+  endsAt: Joi.date().iso().allow(null).when('startsAt', {
+    is: Joi.date().required(),
+    then: Joi.date().greater(Joi.ref('startsAt'))
+  }),
+  usageLimit: Joi.number().integer().min(1).allow(null),
+  perConsumerLimit: Joi.number().integer().min(1).allow(null),
+  // Limit the promotion to these products and/or categories; neither covers the whole business
+  productIds: Joi.array().items(Joi.string().uuid()).max(100).unique().default([]),
+  categories: Joi.array().items(Joi.string().valid(...PRODUCT_CATEGORIES)).unique().default([]),
+  active: Joi.boolean().default(true)
+});
+
+const PROMOTION_COLUMNS = `id, business_id, name, code, discount_type, discount_value, buy_quantity, get_quantity,
+  min_spend, starts_at, ends_at, usage_limit, per_consumer_limit, usage_count, product_ids, categories,
+  active, created_at, updated_at`;
+
+const toMoney = (value) => (value !== null ? parseFloat(value) : null);
+
+/**
+ * Map a promotions row to the API shape, with usage stats when the query selected them
+ */
+const formatPromotion = (promotion) => ({
+  id: promotion.id,
+  businessId: promotion.business_id,
+  name: promotion.name,
+  code: promotion.code,
+  discountType: promotion.discount_type,
+  discountValue: toMoney(promotion.discount_value),
+  buyQuantity: promotion.buy_quantity,
+  getQuantity: promotion.get_quantity,
+  minSpend: toMoney(promotion.min_spend),
+  startsAt: promotion.starts_at,
+  endsAt: promotion.ends_at,
+  usageLimit: promotion.usage_limit,
+  perConsumerLimit: promotion.per_consumer_limit,
+  usageCount: promotion.usage_count,
+  ...(promotion.customer_count !== undefined && {
+    customerCount: parseInt(promotion.customer_count, 10),
+    totalDiscount: parseFloat(promotion.total_discount)
+  }),
+  productIds: promotion.product_ids,
+  categories: promotion.categories,
+  active: promotion.active,
+  status: getPromotionStatus(promotion),
+  createdAt: promotion.created_at,
+  updatedAt: promotion.updated_at
+});
+
+/**
+ * Verify the business exists and is owned by the given user
+ */
+const verifyBusinessOwner = async (businessId, ownerId) => {
+  const result = await pool.query(
+    'SELECT id, owner_id FROM businesses WHERE id = $1',
+    [businessId]
+  );
+
+  if (result.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'BUSINESS_NOT_FOUND',
+      message: 'Business not found'
+    };
+  }
+
+  if (result.rows[0].owner_id !== ownerId) {
+    throw {
+      status: 403,
+      code: 'FORBIDDEN',
+      message: 'You do not have permission to manage promotions for this business'
+    };
+  }
+};
+
+/**
+ * Load a promotion and verify the user owns its business
+ */
+const getOwnedPromotion = async (businessId, promotionId, ownerId) => {
+  await verifyBusinessOwner(businessId, ownerId);
+
+  const result = await pool.query(
+    `SELECT ${PROMOTION_COLUMNS} FROM promotions WHERE id = $1 AND business_id = $2`,
+    [promotionId, businessId]
+  );
+
+  if (result.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'PROMOTION_NOT_FOUND',
+      message: 'Promotion not found'
+    };
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Validate promotion data and check its code and products against the business
+ * Pass the promotion being updated so its own code doesn't count as taken.
+ */
+const validatePromotion = async (businessId, promotionData, promotionId = null) => {
+  const { error, value } = promotionSchema.validate(promotionData, { abortEarly: false });
+  if (error) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid promotion data',
+      details: error.details.map(d => d.message)
+    };
+  }
+
+  value.code = value.code || null;
+
+  if (value.code) {
+    const codeResult = await pool.query(
+      `SELECT id FROM promotions
+       WHERE business_id = $1 AND UPPER(code) = $2 AND id IS DISTINCT FROM $3`,
+      [businessId, value.code, promotionId]
+    );
+
+    if (codeResult.rows.length > 0) {
+      throw {
+        status: 409,
+        code: 'PROMOTION_CODE_EXISTS',
+        message: `You already have a promotion with code "${value.code}"`
+      };
+    }
+  }
+
+  if (value.productIds.length > 0) {
+    const productsResult = await pool.query(
+      'SELECT id FROM products WHERE business_id = $1 AND id = ANY($2)',
+      [businessId, value.productIds]
+    );
+
+    if (productsResult.rows.length !== value.productIds.length) {
+      throw {
+        status: 400,
+        code: 'INVALID_PROMOTION_PRODUCTS',
+        message: 'Promotions can only cover your own products'
+      };
+    }
+  }
+
+  return value;
+};
+
+/**
+ * Get a business's promotions with how often and by how many customers each was used (owner only)
+ */
+export const getBusinessPromotions = async (businessId, ownerId) => {
+  await verifyBusinessOwner(businessId, ownerId);
+
+  const result = await pool.query(
+    `SELECT ${PROMOTION_COLUMNS},
+            (SELECT COUNT(DISTINCT r.consumer_id) FROM promotion_redemptions r WHERE r.promotion_id = promotions.id)
+              as customer_count,
+            (SELECT COALESCE(SUM(r.discount_amount), 0) FROM promotion_redemptions r WHERE r.promotion_id = promotions.id)
+              as total_discount
+     FROM promotions
+     WHERE business_id = $1
+     ORDER BY created_at DESC`,
+    [businessId]
+  );
+
+  return result.rows.map(formatPromotion);
+};
+
+/**
+ * Create a promotion (business owner only)
+ */
+export const createPromotion = async (businessId, ownerId, promotionData) => {
+  await verifyBusinessOwner(businessId, ownerId);
+  const value = await validatePromotion(businessId, promotionData);
+
+  const result = await pool.query(
+    `INSERT INTO promotions (
+      business_id, name, code, discount_type, discount_value, buy_quantity, get_quantity, min_spend,
+      starts_at, ends_at, usage_limit, per_consumer_limit, product_ids, categories, active, created_at, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, NOW(), NOW())
+    RETURNING ${PROMOTION_COLUMNS}`,
+    [
+      businessId,
+      value.name,
+      value.code,
+      value.discountType,
+      value.discountValue ?? null,
+      value.buyQuantity ?? null,
+      value.getQuantity ?? null,
+      value.minSpend ?? null,
+      value.startsAt ?? null,
+      value.endsAt ?? null,
+      value.usageLimit ?? null,
+      value.perConsumerLimit ?? null,
+      value.productIds,
+      value.categories,
+      value.active
+    ]
+  );
+
+  return formatPromotion(result.rows[0]);
+};
+
+/**
+ * Replace a promotion's settings (business owner only)
+ * Its usage so far is kept, so a usage limit below it leaves the promotion used up.
+ */
+export const updatePromotion = async (businessId, promotionId, ownerId, promotionData) => {
+  await getOwnedPromotion(businessId, promotionId, ownerId);
+  const value = await validatePromotion(businessId, promotionData, promotionId);
+
+  const result = await pool.query(
+    `UPDATE promotions
+     SET name = $1, code = $2, discount_type = $3, discount_value = $4, buy_quantity = $5, get_quantity = $6,
+         min_spend = $7, starts_at = $8, ends_at = $9, usage_limit = $10, per_consumer_limit = $11,
+         product_ids = $12, categories = $13, active = $14, updated_at = NOW()
+     WHERE id = $15
+     RETURNING ${PROMOTION_COLUMNS}`,
+    [
+      value.name,
+      value.code,
+      value.discountType,
+      value.discountValue ?? null,
+      value.buyQuantity ?? null,
+      value.getQuantity ?? null,
+      value.minSpend ?? null,
+      value.startsAt ?? null,
+      value.endsAt ?? null,
+      value.usageLimit ?? null,
+      value.perConsumerLimit ?? null,
+      value.productIds,
+      value.categories,
+      value.active,
+      promotionId
+    ]
+  );
+
+  return formatPromotion(result.rows[0]);
+};
+
+/**
+ * Delete a promotion that was never used (business owner only)
+ * Used promotions are kept for their order history and can be deactivated instead.
+ */
+export const deletePromotion = async (businessId, promotionId, ownerId) => {
+  await getOwnedPromotion(businessId, promotionId, ownerId);
+
+  const usedResult = await pool.query(
+    'SELECT 1 FROM promotion_redemptions WHERE promotion_id = $1 LIMIT 1',
+    [promotionId]
+  );
+
+  if (usedResult.rows.length > 0) {
+    throw {
+      status: 409,
+      code: 'PROMOTION_IN_USE',
+      message: 'This promotion has been used on orders; deactivate it instead'
+    };
+  }
+
+  await pool.query('DELETE FROM promotions WHERE id = $1', [promotionId]);
+
+  return { message: 'Promotion deleted successfully' };
+};
+
+/**
+ * Pick the promotion for each business's order and work out its discount
+ * businessOrders maps business id to { businessName, items: [{ productId, category, priceAtPurchase, quantity }] }.
+ * A code the consumer entered must apply to at least one of the orders; otherwise the reason it
+ * doesn't is thrown. Pass a transaction client with lock to hold the promotions until it commits.
+ * Returns business id to { promotion, discount, lineDiscounts } for the orders that get one.
+ */
+export const applyPromotions = async (db, consumerId, businessOrders, promoCode = null, { lock = false } = {}) => {
+  const businessIds = Object.keys(businessOrders);
+  const code = promoCode ? promoCode.trim().toUpperCase() : null;
+
+  const promotionsResult = await db.query(
+    `SELECT ${PROMOTION_COLUMNS}
+     FROM promotions
+     WHERE business_id = ANY($1) AND active = TRUE AND (code IS NULL OR UPPER(code) = $2)
+     ORDER BY id${lock ? ' FOR UPDATE' : ''}`,
+    [businessIds, code]
+  );
+
+  const promotions = promotionsResult.rows;
+  if (promotions.length === 0 && !code) {
+    return {};
+  }
+
+  const usedResult = await db.query(
+    `SELECT promotion_id, COUNT(*) as used
+     FROM promotion_redemptions
+     WHERE consumer_id = $1 AND promotion_id = ANY($2)
+     GROUP BY promotion_id`,
+    [consumerId, promotions.map(promotion => promotion.id)]
+  );
+
+  const usedByConsumer = {};
+  usedResult.rows.forEach(row => {
+    usedByConsumer[row.promotion_id] = parseInt(row.used, 10);
+  });
+
+  const now = new Date();
+  const applied = {};
+  let codeRejection = null;
+
+  for (const businessId of businessIds) {
+    const { businessName, items } = businessOrders[businessId];
+    let best = null;
+
+    for (const promotion of promotions.filter(p => p.business_id === businessId)) {
+      const calculation = calculateDiscount(promotion, items);
+      const rejection = getRejection(promotion, calculation, usedByConsumer[promotion.id] || 0, businessName, now);
+
+      if (rejection) {
+        if (promotion.code) {
+          codeRejection = codeRejection || rejection;
+        }
+        continue;
+      }
+
+      // An entered code that applies beats any automatic promotion
+      if (promotion.code) {
+        best = { promotion, ...calculation };
+        break;
+      }
+      if (!best || calculation.discount > best.discount) {
+        best = { promotion, ...calculation };
+      }
+    }
+
+    if (best) {
+      applied[businessId] = best;
+    }
+  }
+
+  if (code && !Object.values(applied).some(({ promotion }) => promotion.code)) {
+    throw {
+      status: 400,
+      code: codeRejection?.code || 'PROMO_CODE_INVALID',
+      message: codeRejection?.message || `Promo code "${code}" isn't valid for the items in your cart`
+    };
+  }
+
+  return applied;
+};
+
+/**
+ * Summary of the promotion applied to an order, for order and quote responses
+ */
+export const describeAppliedPromotion = ({ promotion, discount }) => ({
+  id: promotion.id,
+  name: promotion.name,
+  code: promotion.code,
+  discountType: promotion.discount_type,
+  discountAmount: discount
+});
+
+/**
+ * Record that a promotion was used on an order and count it against its limits
+ * Call within the transaction that locked the promotion in applyPromotions.
+ */
+export const recordRedemption = async (client, { promotion, discount }, orderId, consumerId) => {
+  await client.query(
+    `INSERT INTO promotion_redemptions (promotion_id, order_id, consumer_id, code, discount_amount, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())`,
+    [promotion.id, orderId, consumerId, promotion.code, discount]
+  );
+
+  await client.query(
+    'UPDATE promotions SET usage_count = usage_count + 1 WHERE id = $1',
+    [promotion.id]
+  );
+};
+
+/**
+ * Give back the promotion use of a cancelled order, so it doesn't count against the limits
+ * The discount stays recorded on the order itself.
+ */
+export const releaseRedemptions = async (client, orderId) => {
+  const result = await client.query(
+    'DELETE FROM promotion_redemptions WHERE order_id = $1 RETURNING promotion_id',
+    [orderId]
+  );
+
+  if (result.rows.length > 0) {
+    await client.query(
+      'UPDATE promotions SET usage_count = GREATEST(usage_count - 1, 0) WHERE id = ANY($1)',
+      [result.rows.map(row => row.promotion_id)]
+    );
+  }
+};
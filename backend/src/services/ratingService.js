@@ -1,5 +1,6 @@
 import Joi from 'joi';
 import pool from '../config/database.js';
+import { invalidateBusinessAnalytics } from './analyticsService.js';
 
 /**
  * Rating Service
@@ -135,6 +136,8 @@ export const createConsumerRating = async (consumerId, ratingData) => {
 
     await client.query('COMMIT');
 
+    await invalidateBusinessAnalytics(value.businessId);
+
     return {
       id: rating.id,
       orderId: rating.order_id,
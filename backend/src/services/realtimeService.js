@@ -0,0 +1,180 @@
+import { WebSocketServer } from 'ws';
+import dotenv from 'dotenv';
+import redisClient from '../config/redis.js';
+import { verifyAccessToken } from '../utils/jwtUtils.js';
+
+dotenv.config();
+
+/**
+ * Realtime Service
+ * Pushes notifications, new messages and order status changes to connected
+ * clients over WebSocket. Events are published on a Redis channel so every
+ * API instance delivers them to the sockets it holds.
+ */
+
+const API_VERSION = process.env.API_VERSION || 'v1';
+const REALTIME_PATH = `/api/${API_VERSION}/realtime`;
+const REALTIME_CHANNEL = 'coshop:realtime';
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+// Close codes the client uses to decide whether to reconnect with a fresh token
+const CLOSE_UNAUTHORIZED = 4001;
+const CLOSE_TOKEN_EXPIRED = 4002;
+
+// Sockets connected to this instance, keyed by user id
+const socketsByUser = new Map();
+
+/**
+ * Publish an event to every connected session of a user
+ * Failures are logged rather than thrown so pushing never breaks the request
+ * that triggered it; clients fall back to polling.
+ */
+export const publishToUser = async (userId, event, data) => {
+  if (!userId) {
+    return;
+  }
+
+  try {
+    await redisClient.publish(REALTIME_CHANNEL, JSON.stringify({ userId, event, data }));
+  } catch (error) {
+    console.error('Error publishing realtime event:', error);
+  }
+};
+
+/**
+ * Send an event to the sockets this instance holds for a user
+ */
+const deliverToUser = (userId, payload) => {
+  const sockets = socketsByUser.get(userId);
+  if (!sockets) {
+    return;
+  }
+
+  for (const socket of sockets) {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(payload);
+    }
+  }
+};
+
+const addSocket = (userId, socket) => {
+  if (!socketsByUser.has(userId)) {
+    socketsByUser.set(userId, new Set());
+  }
+  socketsByUser.get(userId).add(socket);
+};
+
+const removeSocket = (userId, socket) => {
+  const sockets = socketsByUser.get(userId);
+  if (!sockets) {
+    return;
+  }
+
+  sockets.delete(socket);
+  if (sockets.size === 0) {
+    socketsByUser.delete(userId);
+  }
+};
+
+/**
+ * Authenticate a WebSocket upgrade request
+ * Browsers cannot set headers on WebSocket connections, so the access token
+ * is passed as the `token` query parameter.
+ */
+const authenticateUpgrade = (request) => {
+  const url = new URL(request.url, 'http://localhost');
+  const token = url.searchParams.get('token');
+
+  if (!token) {
+    throw {
+      status: 401,
+      code: 'NO_TOKEN',
+      message: 'No authentication token provided'
+    };
+  }
+
+  return verifyAccessToken(token);
+};
+
+/**
+ * Attach the realtime WebSocket endpoint to an HTTP server
+ * Clients connect to /api/v1/realtime?token=<accessToken> and receive
+ * JSON messages of the form { event, data }.
+ */
+export const attachRealtimeServer = async (server) => {
+  const wss = new WebSocketServer({ server, path: REALTIME_PATH });
+
+  // Pub/sub needs a dedicated Redis connection
+  const subscriber = redisClient.duplicate();
+  subscriber.on('error', (err) => {
+    console.error('Redis Subscriber Error', err);
+  });
+  await subscriber.connect();
+
+  await subscriber.subscribe(REALTIME_CHANNEL, (rawMessage) => {
+    try {
+      const { userId, event, data } = JSON.parse(rawMessage);
+      deliverToUser(userId, JSON.stringify({ event, data }));
+    } catch (error) {
+      console.error('Error delivering realtime event:', error);
+    }
+  });
+
+  wss.on('connection', (socket, request) => {
+    let decoded;
+
+    try {
+      decoded = authenticateUpgrade(request);
+    } catch (error) {
+      socket.close(CLOSE_UNAUTHORIZED, error.code || 'UNAUTHORIZED');
+      return;
+    }
+
+    const userId = decoded.userId;
+    addSocket(userId, socket);
+    socket.isAlive = true;
+
+    // The token is only checked on connect, so drop the socket when it expires
+    // and let the client reconnect with a refreshed one
+    const expiryTimer = setTimeout(() => {
+      socket.close(CLOSE_TOKEN_EXPIRED, 'TOKEN_EXPIRED');
+    }, Math.max(0, decoded.exp * 1000 - Date.now()));
+
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+
+    socket.on('close', () => {
+      clearTimeout(expiryTimer);
+      removeSocket(userId, socket);
+    });
+
+    socket.on('error', (error) => {
+      console.error('Realtime socket error:', error);
+    });
+
+    socket.send(JSON.stringify({ event: 'connected', data: { userId } }));
+  });
+
+  // Terminate sockets that stopped answering pings
+  const heartbeat = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  wss.on('close', () => {
+    clearInterval(heartbeat);
+    subscriber.quit().catch(() => {});
+  });
+
+  console.log(`Realtime endpoint listening on ${REALTIME_PATH}`);
+
+  return wss;
+};
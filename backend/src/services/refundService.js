@@ -0,0 +1,758 @@
+import Joi from 'joi';
+import pool from '../config/database.js';
+import { getPaymentProvider } from './paymentProviders/index.js';
+import { notifyRefundProcessed, notifyRefundRequested } from '../utils/notificationUtils.js';
+import { recordOrderEvent } from './orderEventService.js';
+import { invalidateBusinessAnalytics } from './analyticsService.js';
+
+/**
+ * Refund Service
+ * Handles full and per-line-item partial refunds and keeps the refund ledger
+ */
+
+// Refunds in these states hold on to their line-item quantities
+const OPEN_REFUND_STATUSES = ['requested', 'pending', 'completed'];
+
+// How often refunds the provider accepted but hasn't finished are checked again
+const REFUND_SETTLEMENT_INTERVAL_MS = 5 * 60 * 1000;
+
+// Refunds the provider never answered for are sent again once they are this old
+const REFUND_RETRY_AFTER = '1 minute';
+
+// Validation schemas
+const refundItemSchema = Joi.object({
+  orderItemId: Joi.string().uuid().required(),
+  quantity: Joi.number().integer().min(1).required()
+});
+
+const refundRequestSchema = Joi.object({
+  reason: Joi.string().max(1000).allow(''),
+  items: Joi.array().items(refundItemSchema).min(1)
+});
+
+const refundRejectSchema = Joi.object({
+  reason: Joi.string().max(1000).allow('')
+});
+
+/**
+ * Map a refunds row (plus its items) to the API shape
+ */
+const formatRefund = (refund, items = []) => ({
+  id: refund.id,
+  paymentId: refund.payment_id,
+  orderId: refund.order_id,
+  requestedBy: refund.requested_by,
+  amount: parseFloat(refund.amount),
+  refundType: refund.refund_type,
+  reason: refund.reason,
+  status: refund.status,
+  failureReason: refund.failure_reason,
+  items: items.map(item => ({
+    id: item.id,
+    orderItemId: item.order_item_id,
+    productName: item.product_name,
+    quantity: item.quantity,
+    amount: parseFloat(item.amount)
+  })),
+  completedAt: refund.completed_at,
+  createdAt: refund.created_at,
+  updatedAt: refund.updated_at
+});
+
+/**
+ * Lock a payment and load the order context needed for refunds
+ */
+const lockPayment = async (client, paymentId) => {
+  const result = await client.query(
+    `SELECT p.id, p.order_id, p.consumer_id, p.provider, p.provider_payment_id,
+            p.amount, p.refunded_amount, p.status, b.owner_id as business_owner_id
+     FROM payments p
+     JOIN orders o ON p.order_id = o.id
+     JOIN businesses b ON o.business_id = b.id
+     WHERE p.id = $1
+     FOR UPDATE OF p`,
+    [paymentId]
+  );
+
+  if (result.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'PAYMENT_NOT_FOUND',
+      message: 'Payment not found'
+    };
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * What was paid for the next units of an order line, net of their share of its promotion discount
+ * Cents are rounded on the line's running total after the units already refunded, so refunding
+ * the units one at a time adds up to exactly what the line cost.
+ */
+const getItemRefundAmount = (orderItem, quantity) => {
+  const lineTotal = parseFloat(orderItem.price_at_purchase) * orderItem.quantity - parseFloat(orderItem.discount_amount);
+  const refundedQuantity = orderItem.quantity - parseInt(orderItem.refundable_quantity, 10);
+  const paidForUnits = (units) => Math.round((lineTotal * units) / orderItem.quantity * 100);
+
+  return (paidForUnits(refundedQuantity + quantity) - paidForUnits(refundedQuantity)) / 100;
+};
+
+/**
+ * Work out the refund amount and line items for a request
+ * Without items, everything that is still refundable is included
+ */
+const buildRefundLines = async (client, payment, items) => {
+  if (!['completed', 'partially_refunded'].includes(payment.status)) {
+    throw {
+      status: 400,
+      code: 'PAYMENT_NOT_REFUNDABLE',
+      message: `Cannot refund a payment that is ${payment.status}`
+    };
+  }
+
+  const openResult = await client.query(
+    `SELECT COALESCE(SUM(amount), 0) as open_amount
+     FROM refunds
+     WHERE payment_id = $1 AND status IN ('requested', 'pending')`,
+    [payment.id]
+  );
+
+  const remainingAmount = parseFloat(payment.amount)
+    - parseFloat(payment.refunded_amount)
+    - parseFloat(openResult.rows[0].open_amount);
+
+  if (remainingAmount <= 0) {
+    throw {
+      status: 400,
+      code: 'NOTHING_TO_REFUND',
+      message: 'This payment has no refundable balance left'
+    };
+  }
+
+  const itemsResult = await client.query(
+    `SELECT oi.id, oi.quantity, oi.price_at_purchase, oi.discount_amount,
+            oi.quantity - COALESCE((
+              SELECT SUM(ri.quantity)
+              FROM refund_items ri
+              JOIN refunds r ON ri.refund_id = r.id
+              WHERE ri.order_item_id = oi.id AND r.status = ANY($2)
+            ), 0) as refundable_quantity
+     FROM order_items oi
+     WHERE oi.order_id = $1`,
+    [payment.order_id, OPEN_REFUND_STATUSES]
+  );
+
+  const orderItems = {};
+  itemsResult.rows.forEach(item => {
+    orderItems[item.id] = item;
+  });
+
+  let lines;
+
+  if (items) {
+    lines = items.map(requested => {
+      const orderItem = orderItems[requested.orderItemId];
+
+      if (!orderItem) {
+        throw {
+          status: 400,
+          code: 'INVALID_REFUND_ITEM',
+          message: `Order item ${requested.orderItemId} does not belong to this order`
+        };
+      }
+
+      if (requested.quantity > parseInt(orderItem.refundable_quantity, 10)) {
+        throw {
+          status: 400,
+          code: 'INVALID_REFUND_QUANTITY',
+          message: `Only ${orderItem.refundable_quantity} unit(s) of order item ${requested.orderItemId} can be refunded`
+        };
+      }
+
+      return {
+        orderItemId: orderItem.id,
+        quantity: requested.quantity,
+        amount: getItemRefundAmount(orderItem, requested.quantity)
+      };
+    });
+  } else {
+    lines = itemsResult.rows
+      .filter(item => parseInt(item.refundable_quantity, 10) > 0)
+      .map(item => ({
+        orderItemId: item.id,
+        quantity: parseInt(item.refundable_quantity, 10),
+        amount: getItemRefundAmount(item, parseInt(item.refundable_quantity, 10))
+      }));
+  }
+
+  // A full refund returns the whole remaining balance, including any fees
+  const amount = items
+    ? Math.min(lines.reduce((sum, line) => sum + line.amount, 0), remainingAmount)
+    : remainingAmount;
+
+  return {
+    amount: parseFloat(amount.toFixed(2)),
+    refundType: amount >= remainingAmount ? 'full' : 'partial',
+    lines
+  };
+};
+
+/**
+ * Insert a refund and its line items
+ */
+const insertRefund = async (client, payment, requestedBy, reason, status, refundLines) => {
+  const refundResult = await client.query(
+    `INSERT INTO refunds (
+      payment_id, order_id, requested_by, amount, refund_type, reason, status, created_at, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+    RETURNING id`,
+    [
+      payment.id,
+      payment.order_id,
+      requestedBy,
+      refundLines.amount,
+      refundLines.refundType,
+      reason || null,
+      status
+    ]
+  );
+
+  const refundId = refundResult.rows[0].id;
+
+  for (const line of refundLines.lines) {
+    await client.query(
+      `INSERT INTO refund_items (refund_id, order_item_id, quantity, amount)
+       VALUES ($1, $2, $3, $4)`,
+      [refundId, line.orderItemId, line.quantity, line.amount]
+    );
+  }
+
+  return refundId;
+};
+
+/**
+ * Load a refund with the payment it is paid back through
+ */
+const getRefundForProvider = async (refundId) => {
+  const refundResult = await pool.query(
+    `SELECT r.id, r.amount, r.order_id, r.provider_refund_id, p.id as payment_id, p.provider,
+            p.provider_payment_id, p.consumer_id, o.business_id
+     FROM refunds r
+     JOIN payments p ON r.payment_id = p.id
+     JOIN orders o ON r.order_id = o.id
+     WHERE r.id = $1`,
+    [refundId]
+  );
+
+  return refundResult.rows[0];
+};
+
+/**
+ * Record the provider's outcome on a refund sent to it
+ * Only a completed refund moves money in the ledger. One the provider is still processing stays
+ * pending with the provider's id, for settlePendingRefunds to finish. Returns false when the
+ * refund was already settled by someone else.
+ */
+const applyRefundResult = async (client, refund, providerResult, actorId) => {
+  const amount = parseFloat(refund.amount);
+
+  if (providerResult.status === 'pending') {
+    await client.query(
+      `UPDATE refunds SET provider_refund_id = $1, updated_at = NOW() WHERE id = $2 AND status = 'pending'`,
+      [providerResult.id, refund.id]
+    );
+    return true;
+  }
+
+  if (providerResult.status === 'failed') {
+    const failedResult = await client.query(
+      `UPDATE refunds
+       SET status = 'failed', failure_reason = $1, provider_refund_id = COALESCE($2, provider_refund_id),
+           updated_at = NOW()
+       WHERE id = $3 AND status = 'pending'
+       RETURNING id`,
+      [providerResult.failureReason || 'Payment provider refund failed', providerResult.id || null, refund.id]
+    );
+
+    if (failedResult.rows.length === 0) {
+      return false;
+    }
+
+    await recordOrderEvent(client, {
+      orderId: refund.order_id,
+      type: 'payment',
+      toStatus: 'refund_failed',
+      actorId,
+      note: providerResult.failureReason || 'Payment provider refund failed',
+      metadata: { refundId: refund.id, amount }
+    });
+    return true;
+  }
+
+  const completedResult = await client.query(
+    `UPDATE refunds
+     SET status = 'completed', provider_refund_id = $1, completed_at = NOW(), updated_at = NOW()
+     WHERE id = $2 AND status = 'pending'
+     RETURNING id`,
+    [providerResult.id, refund.id]
+  );
+
+  if (completedResult.rows.length === 0) {
+    return false;
+  }
+
+  const paymentResult = await client.query(
+    `UPDATE payments
+     SET refunded_amount = refunded_amount + $1,
+         status = CASE WHEN refunded_amount + $1 >= amount THEN 'refunded' ELSE 'partially_refunded' END,
+         updated_at = NOW()
+     WHERE id = $2
+     RETURNING status`,
+    [amount, refund.payment_id]
+  );
+
+  await client.query(
+    'UPDATE orders SET payment_status = $1, updated_at = NOW() WHERE id = $2',
+    [paymentResult.rows[0].status, refund.order_id]
+  );
+
+  await recordOrderEvent(client, {
+    orderId: refund.order_id,
+    type: 'payment',
+    toStatus: paymentResult.rows[0].status,
+    actorId,
+    metadata: { refundId: refund.id, amount }
+  });
+  return true;
+};
+
+/**
+ * Send a pending refund to the payment provider
+ * The refund's id is the idempotency key, so sending it again never refunds twice. When the
+ * provider can't be reached the outcome is unknown, so the refund stays pending without a
+ * provider id and settlePendingRefunds sends it again.
+ */
+const sendRefund = async (refund) => {
+  try {
+    return await getPaymentProvider(refund.provider).refund(refund.provider_payment_id, {
+      amount: parseFloat(refund.amount),
+      idempotencyKey: refund.id
+    });
+  } catch (error) {
+    console.error('Payment provider refund error:', error);
+    return null;
+  }
+};
+
+/**
+ * Record the provider's outcome on a refund in its own transaction and tell whoever needs to know
+ * Returns false when the refund was already settled by someone else.
+ */
+const settleRefund = async (refund, providerResult, actorId) => {
+  const client = await pool.connect();
+  let applied;
+
+  try {
+    await client.query('BEGIN');
+    applied = await applyRefundResult(client, refund, providerResult, actorId);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (applied && providerResult.status === 'completed') {
+    await notifyRefundProcessed(refund.consumer_id, parseFloat(refund.amount), refund.order_id);
+    await invalidateBusinessAnalytics(refund.business_id);
+  }
+
+  return applied;
+};
+
+/**
+ * Send a pending refund to the payment provider and settle the ledger
+ */
+const processRefund = async (refundId, actorId = null) => {
+  const refund = await getRefundForProvider(refundId);
+  const providerResult = await sendRefund(refund);
+
+  if (providerResult) {
+    await settleRefund(refund, providerResult, actorId);
+  }
+
+  return await getRefundById(refundId);
+};
+
+/**
+ * Settle refunds the provider was still processing, and send again the ones it never answered for
+ * @returns {Promise<number>} Number of refunds settled
+ */
+export const settlePendingRefunds = async () => {
+  const pendingResult = await pool.query(
+    `SELECT id FROM refunds
+     WHERE status = 'pending'
+       AND (provider_refund_id IS NOT NULL OR updated_at < NOW() - INTERVAL '${REFUND_RETRY_AFTER}')
+     ORDER BY updated_at
+     LIMIT 100`
+  );
+
+  let settled = 0;
+
+  for (const { id } of pendingResult.rows) {
+    try {
+      const refund = await getRefundForProvider(id);
+      const providerResult = refund.provider_refund_id
+        ? await getPaymentProvider(refund.provider).getRefund(refund.provider_refund_id)
+        : await sendRefund(refund);
+
+      if (!providerResult) {
+        continue;
+      }
+
+      // Still processing, but now with the provider's id to ask about next time
+      if (providerResult.status === 'pending') {
+        if (!refund.provider_refund_id) {
+          await settleRefund(refund, providerResult, null);
+        }
+        continue;
+      }
+
+      if (await settleRefund(refund, providerResult, null)) {
+        settled++;
+      }
+    } catch (error) {
+      console.error(`Failed to settle refund ${id}:`, error);
+    }
+  }
+
+  return settled;
+};
+
+/**
+ * Periodically settle refunds the payment provider finishes after accepting them
+ */
+export const startRefundSettlement = () => {
+  const timer = setInterval(async () => {
+    try {
+      const settled = await settlePendingRefunds();
+      if (settled > 0) {
+        console.log(`Settled ${settled} pending refund(s)`);
+      }
+    } catch (error) {
+      console.error('Failed to settle pending refunds:', error);
+    }
+  }, REFUND_SETTLEMENT_INTERVAL_MS);
+
+  timer.unref();
+  return timer;
+};
+
+/**
+ * Get a single refund with its line items
+ */
+const getRefundById = async (refundId) => {
+  const refundResult = await pool.query(
+    `SELECT id, payment_id, order_id, requested_by, amount, refund_type, reason, status,
+            failure_reason, completed_at, created_at, updated_at
+     FROM refunds
+     WHERE id = $1`,
+    [refundId]
+  );
+
+  const itemsResult = await pool.query(
+    `SELECT ri.id, ri.order_item_id, ri.quantity, ri.amount, p.name as product_name
+     FROM refund_items ri
+     JOIN order_items oi ON ri.order_item_id = oi.id
+     JOIN products p ON oi.product_id = p.id
+     WHERE ri.refund_id = $1`,
+    [refundId]
+  );
+
+  return formatRefund(refundResult.rows[0], itemsResult.rows);
+};
+
+/**
+ * Create a refund against a payment
+ * Business owners issue refunds directly; consumer requests wait for owner approval
+ */
+export const createRefund = async (paymentId, user, refundData) => {
+  // Validate input
+  const { error, value } = refundRequestSchema.validate(refundData, { abortEarly: false });
+  if (error) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid refund data',
+      details: error.details.map(d => d.message)
+    };
+  }
+
+  const client = await pool.connect();
+  let refundId;
+  let payment;
+  let refundLines;
+  let isOwner;
+
+  try {
+    await client.query('BEGIN');
+
+    payment = await lockPayment(client, paymentId);
+
+    isOwner = payment.business_owner_id === user.id;
+    const isConsumer = payment.consumer_id === user.id;
+
+    if (!isOwner && !isConsumer) {
+      throw {
+        status: 403,
+        code: 'FORBIDDEN',
+        message: 'You do not have permission to refund this payment'
+      };
+    }
+
+    refundLines = await buildRefundLines(client, payment, value.items);
+    refundId = await insertRefund(
+      client,
+      payment,
+      user.id,
+      value.reason,
+      isOwner ? 'pending' : 'requested',
+      refundLines
+    );
+
+    if (!isOwner) {
+      await recordOrderEvent(client, {
+        orderId: payment.order_id,
+        type: 'payment',
+        toStatus: 'refund_requested',
+        actorId: user.id,
+        note: value.reason,
+        metadata: { refundId, amount: refundLines.amount }
+      });
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (!isOwner) {
+    await notifyRefundRequested(payment.business_owner_id, refundLines.amount, payment.order_id);
+    return await getRefundById(refundId);
+  }
+
+  return await processRefund(refundId, user.id);
+};
+
+/**
+ * Refund whatever is still refundable on an order's payment, or just the given line items
+ * Used when a paid order is cancelled or a return is refunded; returns null if nothing was paid
+ * @param {Array<{ orderItemId: string, quantity: number }>} [items] - Omit for a full refund
+ */
+export const refundOrder = async (orderId, actorId, reason, items) => {
+  const client = await pool.connect();
+  let refundId;
+
+  try {
+    await client.query('BEGIN');
+
+    const paymentResult = await client.query(
+      `SELECT id FROM payments
+       WHERE order_id = $1 AND status IN ('completed', 'partially_refunded')
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [orderId]
+    );
+
+    if (paymentResult.rows.length === 0) {
+      await client.query('COMMIT');
+      return null;
+    }
+
+    const payment = await lockPayment(client, paymentResult.rows[0].id);
+
+    // Outstanding consumer requests are superseded by the full refund
+    if (!items) {
+      await client.query(
+        `UPDATE refunds SET status = 'rejected', failure_reason = 'Superseded by order cancellation', updated_at = NOW()
+         WHERE payment_id = $1 AND status = 'requested'`,
+        [payment.id]
+      );
+    }
+
+    const refundLines = await buildRefundLines(client, payment, items);
+    refundId = await insertRefund(client, payment, actorId, reason, 'pending', refundLines);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return await processRefund(refundId, actorId);
+};
+
+/**
+ * Load a refund and check that the user owns the business it belongs to
+ */
+const getOwnedRefund = async (refundId, businessOwnerId) => {
+  const result = await pool.query(
+    `SELECT r.id, r.status, b.owner_id
+     FROM refunds r
+     JOIN orders o ON r.order_id = o.id
+     JOIN businesses b ON o.business_id = b.id
+     WHERE r.id = $1`,
+    [refundId]
+  );
+
+  if (result.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'REFUND_NOT_FOUND',
+      message: 'Refund not found'
+    };
+  }
+
+  const refund = result.rows[0];
+
+  if (refund.owner_id !== businessOwnerId) {
+    throw {
+      status: 403,
+      code: 'FORBIDDEN',
+      message: 'You do not have permission to manage this refund'
+    };
+  }
+
+  if (refund.status !== 'requested') {
+    throw {
+      status: 400,
+      code: 'INVALID_REFUND_STATE',
+      message: `Refund is already ${refund.status}`
+    };
+  }
+
+  return refund;
+};
+
+/**
+ * Approve a consumer refund request and process it
+ */
+export const approveRefund = async (refundId, businessOwnerId) => {
+  await getOwnedRefund(refundId, businessOwnerId);
+
+  const result = await pool.query(
+    `UPDATE refunds SET status = 'pending', updated_at = NOW()
+     WHERE id = $1 AND status = 'requested'
+     RETURNING id`,
+    [refundId]
+  );
+
+  if (result.rows.length === 0) {
+    throw {
+      status: 409,
+      code: 'INVALID_REFUND_STATE',
+      message: 'Refund was updated concurrently'
+    };
+  }
+
+  return await processRefund(refundId, businessOwnerId);
+};
+
+/**
+ * Reject a consumer refund request
+ */
+export const rejectRefund = async (refundId, businessOwnerId, rejectData = {}) => {
+  // Validate input
+  const { error, value } = refundRejectSchema.validate(rejectData, { abortEarly: false });
+  if (error) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Invalid refund rejection data',
+      details: error.details.map(d => d.message)
+    };
+  }
+
+  await getOwnedRefund(refundId, businessOwnerId);
+
+  const result = await pool.query(
+    `UPDATE refunds SET status = 'rejected', failure_reason = $1, updated_at = NOW()
+     WHERE id = $2 AND status = 'requested'
+     RETURNING order_id, amount`,
+    [value.reason || null, refundId]
+  );
+
+  if (result.rows.length > 0) {
+    await recordOrderEvent(pool, {
+      orderId: result.rows[0].order_id,
+      type: 'payment',
+      toStatus: 'refund_rejected',
+      actorId: businessOwnerId,
+      note: value.reason,
+      metadata: { refundId, amount: parseFloat(result.rows[0].amount) }
+    });
+  }
+
+  return await getRefundById(refundId);
+};
+
+/**
+ * Get all refunds for an order (consumer or business owner)
+ */
+export const getRefundsByOrder = async (orderId, userId) => {
+  const orderResult = await pool.query(
+    `SELECT o.consumer_id, b.owner_id
+     FROM orders o
+     JOIN businesses b ON o.business_id = b.id
+     WHERE o.id = $1`,
+    [orderId]
+  );
+
+  if (orderResult.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'ORDER_NOT_FOUND',
+      message: 'Order not found'
+    };
+  }
+
+  const order = orderResult.rows[0];
+
+  if (order.consumer_id !== userId && order.owner_id !== userId) {
+    throw {
+      status: 403,
+      code: 'FORBIDDEN',
+      message: 'You do not have permission to view refunds for this order'
+    };
+  }
+
+  const refundsResult = await pool.query(
+    `SELECT id, payment_id, order_id, requested_by, amount, refund_type, reason, status,
+            failure_reason, completed_at, created_at, updated_at
+     FROM refunds
+     WHERE order_id = $1
+     ORDER BY created_at DESC`,
+    [orderId]
+  );
+
+  const itemsResult = await pool.query(
+    `SELECT ri.id, ri.refund_id, ri.order_item_id, ri.quantity, ri.amount, p.name as product_name
+     FROM refund_items ri
+     JOIN refunds r ON ri.refund_id = r.id
+     JOIN order_items oi ON ri.order_item_id = oi.id
+     JOIN products p ON oi.product_id = p.id
+     WHERE r.order_id = $1`,
+    [orderId]
+  );
+
+  return refundsResult.rows.map(refund =>
+    formatRefund(refund, itemsResult.rows.filter(item => item.refund_id === refund.id))
+  );
+};
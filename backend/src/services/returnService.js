@@ -0,0 +1,633 @@
+import Joi from 'joi';
+import pool from '../config/database.js';
+import { adjustStock, checkLowStock } from './inventoryService.js';
+import { refundOrder } from './refundService.js';
+import { recordOrderEvent } from './orderEventService.js';
+import { invalidateBusinessAnalytics } from './analyticsService.js';
+import { notifyReturnRequested, notifyReturnUpdate } from '../utils/notificationUtils.js';
+
+/**
+ * Return Service
+ * Return and exchange requests on delivered orders: the customer asks, the business
+ * approves or rejects, confirms the items came back (optionally restocking them)
+ * and resolves with a refund or a free replacement order
+ */
+
+// Reason codes a customer can give for a return
+export const RETURN_REASONS = {
+  damaged: 'Arrived damaged',
+  wrong_item: 'Wrong item sent',
+  not_as_described: 'Not as described',
+  defective: 'Defective or not working',
+  other: 'Other'
+};
+
+const MAX_RETURN_PHOTOS = 5;
+
+// Validation schemas
+const returnItemSchema = Joi.object({
+  orderItemId: Joi.string().uuid().required(),
+  quantity: Joi.number().integer().min(1).required()
+});
+
+const returnRequestSchema = Joi.object({
+  orderId: Joi.string().uuid().required(),
+  items: Joi.array().items(returnItemSchema).min(1).unique('orderItemId').required(),
+  reason: Joi.string().valid(...Object.keys(RETURN_REASONS)).required(),
+  details: Joi.string().max(2000).allow('', null).when('reason', {
+    is: 'other',
+    then: Joi.string().required()
+  }),
+  photos: Joi.array().items(Joi.string().uri()).max(MAX_RETURN_PHOTOS).default([]),
+  resolution: Joi.string().valid('refund', 'exchange').default('refund')
+});
+
+const returnDecisionSchema = Joi.object({
+  note: Joi.string().max(1000).allow('', null)
+});
+
+const returnReceiveSchema = Joi.object({
+  restock: Joi.boolean().default(true),
+  note: Joi.string().max(1000).allow('', null)
+});
+
+const returnResolveSchema = Joi.object({
+  resolution: Joi.string().valid('refund', 'exchange'),
+  note: Joi.string().max(1000).allow('', null)
+});
+
+/**
+ * Map a returns row (plus its items) to the API shape
+ */
+const formatReturn = (ret, items = []) => ({
+  id: ret.id,
+  orderId: ret.order_id,
+  consumerId: ret.consumer_id,
+  reason: ret.reason,
+  details: ret.details,
+  photos: ret.photos || [],
+  status: ret.status,
+  requestedResolution: ret.requested_resolution,
+  resolution: ret.resolution,
+  businessNote: ret.business_note,
+  restocked: ret.restocked,
+  refundId: ret.refund_id,
+  exchangeOrderId: ret.exchange_order_id,
+  items: items.map(item => ({
+    id: item.id,
+    orderItemId: item.order_item_id,
+    productName: item.product_name,
+    variantOptions: item.variant_options,
+    quantity: item.quantity,
+    priceAtPurchase: parseFloat(item.price_at_purchase)
+  })),
+  approvedAt: ret.approved_at,
+  receivedAt: ret.received_at,
+  resolvedAt: ret.resolved_at,
+  createdAt: ret.created_at,
+  updatedAt: ret.updated_at
+});
+
+const RETURN_COLUMNS = `r.id, r.order_id, r.consumer_id, r.reason, r.details, r.photos, r.status,
+  r.requested_resolution, r.resolution, r.business_note, r.restocked, r.refund_id, r.exchange_order_id,
+  r.approved_at, r.received_at, r.resolved_at, r.created_at, r.updated_at`;
+
+/**
+ * Load the line items of one or more returns, with what was bought
+ */
+const fetchReturnItems = async (db, returnIds) => {
+  const result = await db.query(
+    `SELECT ri.id, ri.return_id, ri.order_item_id, ri.quantity,
+            oi.product_id, oi.variant_id, oi.variant_options, oi.price_at_purchase,
+            p.name as product_name
+     FROM return_items ri
+     JOIN order_items oi ON ri.order_item_id = oi.id
+     JOIN products p ON oi.product_id = p.id
+     WHERE ri.return_id = ANY($1)
+     ORDER BY oi.product_id, oi.variant_id`,
+    [returnIds]
+  );
+
+  return result.rows;
+};
+
+/**
+ * Get a single return with its line items
+ */
+const getReturnById = async (returnId) => {
+  const result = await pool.query(
+    `SELECT ${RETURN_COLUMNS} FROM returns r WHERE r.id = $1`,
+    [returnId]
+  );
+
+  return formatReturn(result.rows[0], await fetchReturnItems(pool, [returnId]));
+};
+
+/**
+ * Lock a return and check that the user owns the business it belongs to
+ * and that it is in the state the next step expects
+ */
+const lockOwnedReturn = async (client, returnId, businessOwnerId, expectedStatus) => {
+  const result = await client.query(
+    `SELECT ${RETURN_COLUMNS}, o.business_id, b.owner_id, b.name as business_name
+     FROM returns r
+     JOIN orders o ON r.order_id = o.id
+     JOIN businesses b ON o.business_id = b.id
+     WHERE r.id = $1
+     FOR UPDATE OF r`,
+    [returnId]
+  );
+
+  if (result.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'RETURN_NOT_FOUND',
+      message: 'Return not found'
+    };
+  }
+
+  const ret = result.rows[0];
+
+  if (ret.owner_id !== businessOwnerId) {
+    throw {
+      status: 403,
+      code: 'FORBIDDEN',
+      message: 'You do not have permission to manage this return'
+    };
+  }
+
+  if (ret.status !== expectedStatus) {
+    throw {
+      status: 400,
+      code: 'INVALID_RETURN_STATE',
+      message: `Return is ${ret.status}, expected ${expectedStatus}`
+    };
+  }
+
+  return ret;
+};
+
+/**
+ * Validate business input for a return step
+ */
+const validateStep = (schema, data, message) => {
+  const { error, value } = schema.validate(data, { abortEarly: false });
+  if (error) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message,
+      details: error.details.map(d => d.message)
+    };
+  }
+  return value;
+};
+
+/**
+ * Request a return on a delivered order (consumer)
+ */
+export const requestReturn = async (consumerId, returnData) => {
+  const value = validateStep(returnRequestSchema, returnData, 'Invalid return request');
+
+  const client = await pool.connect();
+  let returnId;
+  let ownerId;
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the order so concurrent requests can't return the same units twice
+    const orderResult = await client.query(
+      `SELECT o.id, o.consumer_id, o.status, b.owner_id
+       FROM orders o
+       JOIN businesses b ON o.business_id = b.id
+       WHERE o.id = $1
+       FOR UPDATE OF o`,
+      [value.orderId]
+    );
+
+    if (orderResult.rows.length === 0) {
+      throw {
+        status: 404,
+        code: 'ORDER_NOT_FOUND',
+        message: 'Order not found'
+      };
+    }
+
+    const order = orderResult.rows[0];
+    ownerId = order.owner_id;
+
+    if (order.consumer_id !== consumerId) {
+      throw {
+        status: 403,
+        code: 'FORBIDDEN',
+        message: 'You do not have permission to return items from this order'
+      };
+    }
+
+    if (order.status !== 'delivered') {
+      throw {
+        status: 400,
+        code: 'ORDER_NOT_RETURNABLE',
+        message: 'Only delivered orders can be returned'
+      };
+    }
+
+    // Units already covered by returns that weren't rejected
+    const itemsResult = await client.query(
+      `SELECT oi.id, oi.quantity,
+              oi.quantity - COALESCE((
+                SELECT SUM(ri.quantity)
+                FROM return_items ri
+                JOIN returns r ON ri.return_id = r.id
+                WHERE ri.order_item_id = oi.id AND r.status != 'rejected'
+              ), 0) as returnable_quantity
+       FROM order_items oi
+       WHERE oi.order_id = $1`,
+      [order.id]
+    );
+
+    const orderItems = {};
+    itemsResult.rows.forEach(item => {
+      orderItems[item.id] = item;
+    });
+
+    for (const item of value.items) {
+      const orderItem = orderItems[item.orderItemId];
+
+      if (!orderItem) {
+        throw {
+          status: 400,
+          code: 'INVALID_RETURN_ITEM',
+          message: `Order item ${item.orderItemId} does not belong to this order`
+        };
+      }
+
+      if (item.quantity > parseInt(orderItem.returnable_quantity, 10)) {
+        throw {
+          status: 400,
+          code: 'INVALID_RETURN_QUANTITY',
+          message: `Only ${Math.max(orderItem.returnable_quantity, 0)} unit(s) of order item ${item.orderItemId} can be returned`
+        };
+      }
+    }
+
+    const returnResult = await client.query(
+      `INSERT INTO returns (
+        order_id, consumer_id, reason, details, photos, status, requested_resolution, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, 'requested', $6, NOW(), NOW())
+      RETURNING id`,
+      [order.id, consumerId, value.reason, value.details || null, value.photos, value.resolution]
+    );
+
+    returnId = returnResult.rows[0].id;
+
+    for (const item of value.items) {
+      await client.query(
+        `INSERT INTO return_items (return_id, order_item_id, quantity)
+         VALUES ($1, $2, $3)`,
+        [returnId, item.orderItemId, item.quantity]
+      );
+    }
+
+    await recordOrderEvent(client, {
+      orderId: order.id,
+      type: 'return',
+      toStatus: 'requested',
+      actorId: consumerId,
+      note: value.details ? `${RETURN_REASONS[value.reason]}: ${value.details}` : RETURN_REASONS[value.reason],
+      metadata: { returnId, resolution: value.resolution }
+    });
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const itemCount = value.items.reduce((sum, item) => sum + item.quantity, 0);
+  await notifyReturnRequested(ownerId, value.orderId, itemCount);
+
+  return await getReturnById(returnId);
+};
+
+/**
+ * Approve or reject a requested return (business owner)
+ */
+const decideReturn = async (returnId, businessOwnerId, decisionData, newStatus) => {
+  const value = validateStep(returnDecisionSchema, decisionData, 'Invalid return decision');
+
+  const client = await pool.connect();
+  let ret;
+
+  try {
+    await client.query('BEGIN');
+
+    ret = await lockOwnedReturn(client, returnId, businessOwnerId, 'requested');
+
+    await client.query(
+      `UPDATE returns
+       SET status = $1,
+           business_note = $2,
+           approved_at = CASE WHEN $1 = 'approved' THEN NOW() ELSE approved_at END,
+           updated_at = NOW()
+       WHERE id = $3`,
+      [newStatus, value.note || null, returnId]
+    );
+
+    await recordOrderEvent(client, {
+      orderId: ret.order_id,
+      type: 'return',
+      fromStatus: 'requested',
+      toStatus: newStatus,
+      actorId: businessOwnerId,
+      note: value.note,
+      metadata: { returnId }
+    });
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await notifyReturnUpdate(ret.consumer_id, ret.business_name, newStatus, { note: value.note });
+
+  return await getReturnById(returnId);
+};
+
+/**
+ * Approve a return request; the customer then sends the items back
+ */
+export const approveReturn = async (returnId, businessOwnerId, decisionData = {}) =>
+  await decideReturn(returnId, businessOwnerId, decisionData, 'approved');
+
+/**
+ * Reject a return request
+ */
+export const rejectReturn = async (returnId, businessOwnerId, decisionData = {}) =>
+  await decideReturn(returnId, businessOwnerId, decisionData, 'rejected');
+
+/**
+ * Confirm the returned items arrived, putting them back into stock unless restock is false
+ * (e.g. when they came back damaged)
+ */
+export const receiveReturn = async (returnId, businessOwnerId, receiveData = {}) => {
+  const value = validateStep(returnReceiveSchema, receiveData, 'Invalid return receipt');
+
+  const client = await pool.connect();
+  let ret;
+
+  try {
+    await client.query('BEGIN');
+
+    ret = await lockOwnedReturn(client, returnId, businessOwnerId, 'approved');
+
+    if (value.restock) {
+      const items = await fetchReturnItems(client, [returnId]);
+
+      for (const item of items) {
+        // Lines whose variant has since been removed have nowhere to go back to
+        if (item.variant_options && !item.variant_id) {
+          continue;
+        }
+
+        await adjustStock(client, {
+          productId: item.product_id,
+          variantId: item.variant_id,
+          delta: item.quantity,
+          type: 'return',
+          actorId: businessOwnerId,
+          orderId: ret.order_id,
+          reason: 'Customer return'
+        });
+      }
+    }
+
+    await client.query(
+      `UPDATE returns
+       SET status = 'received', restocked = $1, business_note = COALESCE($2, business_note),
+           received_at = NOW(), updated_at = NOW()
+       WHERE id = $3`,
+      [value.restock, value.note || null, returnId]
+    );
+
+    await recordOrderEvent(client, {
+      orderId: ret.order_id,
+      type: 'return',
+      fromStatus: 'approved',
+      toStatus: 'received',
+      actorId: businessOwnerId,
+      note: value.note,
+      metadata: { returnId, restocked: value.restock }
+    });
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await notifyReturnUpdate(ret.consumer_id, ret.business_name, 'received');
+
+  return await getReturnById(returnId);
+};
+
+/**
+ * Send the returned items again as a free, already confirmed order
+ * Stock is taken straight away; returns the new order's id.
+ */
+const createReplacementOrder = async (client, ret, items, actorId) => {
+  const orderResult = await client.query(
+    `INSERT INTO orders (
+      consumer_id, business_id, total_amount, status, delivery_method, payment_status,
+      delivery_address, delivery_city, delivery_postal_code, delivery_country, delivery_location,
+      delivery_notes, contact_phone, delivery_fee, created_at, updated_at
+    )
+    SELECT consumer_id, business_id, 0, 'confirmed', delivery_method, 'completed',
+           delivery_address, delivery_city, delivery_postal_code, delivery_country, delivery_location,
+           delivery_notes, contact_phone, 0, NOW(), NOW()
+    FROM orders
+    WHERE id = $1
+    RETURNING id`,
+    [ret.order_id]
+  );
+
+  const replacementId = orderResult.rows[0].id;
+
+  for (const item of items) {
+    if (item.variant_options && !item.variant_id) {
+      throw {
+        status: 400,
+        code: 'VARIANT_UNAVAILABLE',
+        message: `A variant of "${item.product_name}" is no longer sold, so it cannot be exchanged`
+      };
+    }
+
+    const deducted = await adjustStock(client, {
+      productId: item.product_id,
+      variantId: item.variant_id,
+      delta: -item.quantity,
+      requireAvailable: true,
+      type: 'sale',
+      actorId,
+      orderId: replacementId,
+      reason: 'Exchange replacement'
+    });
+
+    if (!deducted) {
+      throw {
+        status: 400,
+        code: 'INSUFFICIENT_INVENTORY',
+        message: `Not enough "${item.product_name}" in stock to send a replacement; resolve with a refund instead`
+      };
+    }
+
+    await client.query(
+      `INSERT INTO order_items (
+        order_id, product_id, variant_id, variant_options, quantity, price_at_purchase, created_at
+      ) VALUES ($1, $2, $3, $4, $5, 0, NOW())`,
+      [replacementId, item.product_id, item.variant_id, item.variant_options, item.quantity]
+    );
+  }
+
+  await recordOrderEvent(client, {
+    orderId: replacementId,
+    type: 'status',
+    toStatus: 'confirmed',
+    actorId,
+    note: `Replacement for order #${ret.order_id.slice(0, 8)}`,
+    metadata: { returnId: ret.id, originalOrderId: ret.order_id }
+  });
+
+  return replacementId;
+};
+
+/**
+ * Close a received return with a refund for the returned items or a free replacement
+ * Defaults to what the customer asked for.
+ */
+export const resolveReturn = async (returnId, businessOwnerId, resolveData = {}) => {
+  const value = validateStep(returnResolveSchema, resolveData, 'Invalid return resolution');
+
+  const client = await pool.connect();
+  let ret;
+  let items;
+  let resolution;
+  let exchangeOrderId = null;
+
+  try {
+    await client.query('BEGIN');
+
+    ret = await lockOwnedReturn(client, returnId, businessOwnerId, 'received');
+    resolution = value.resolution || ret.requested_resolution;
+    items = await fetchReturnItems(client, [returnId]);
+
+    if (resolution === 'exchange') {
+      exchangeOrderId = await createReplacementOrder(client, ret, items, businessOwnerId);
+    }
+
+    // Claim the return before refunding so it can't be refunded twice
+    await client.query(
+      `UPDATE returns
+       SET status = 'resolved', resolution = $1, exchange_order_id = $2,
+           business_note = COALESCE($3, business_note), resolved_at = NOW(), updated_at = NOW()
+       WHERE id = $4`,
+      [resolution, exchangeOrderId, value.note || null, returnId]
+    );
+
+    await recordOrderEvent(client, {
+      orderId: ret.order_id,
+      type: 'return',
+      fromStatus: 'received',
+      toStatus: 'resolved',
+      actorId: businessOwnerId,
+      note: value.note,
+      metadata: { returnId, resolution, ...(exchangeOrderId && { exchangeOrderId }) }
+    });
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (resolution === 'refund') {
+    try {
+      // Unpaid orders have nothing to refund through the provider
+      const refund = await refundOrder(
+        ret.order_id,
+        businessOwnerId,
+        `Return: ${RETURN_REASONS[ret.reason]}`,
+        items.map(item => ({ orderItemId: item.order_item_id, quantity: item.quantity }))
+      );
+
+      if (refund) {
+        await pool.query('UPDATE returns SET refund_id = $1 WHERE id = $2', [refund.id, returnId]);
+      }
+    } catch (refundError) {
+      // The return stays resolved; the owner can still issue the refund from the order
+      console.error('Refund failed for resolved return:', refundError);
+    }
+  } else {
+    await checkLowStock([...new Set(items.map(item => item.product_id))]);
+    await invalidateBusinessAnalytics(ret.business_id);
+  }
+
+  await notifyReturnUpdate(ret.consumer_id, ret.business_name, 'resolved', { resolution });
+
+  return await getReturnById(returnId);
+};
+
+/**
+ * Get all returns for an order (consumer or business owner)
+ */
+export const getReturnsByOrder = async (orderId, userId) => {
+  const orderResult = await pool.query(
+    `SELECT o.consumer_id, b.owner_id
+     FROM orders o
+     JOIN businesses b ON o.business_id = b.id
+     WHERE o.id = $1`,
+    [orderId]
+  );
+
+  if (orderResult.rows.length === 0) {
+    throw {
+      status: 404,
+      code: 'ORDER_NOT_FOUND',
+      message: 'Order not found'
+    };
+  }
+
+  const order = orderResult.rows[0];
+
+  if (order.consumer_id !== userId && order.owner_id !== userId) {
+    throw {
+      status: 403,
+      code: 'FORBIDDEN',
+      message: 'You do not have permission to view returns for this order'
+    };
+  }
+
+  const returnsResult = await pool.query(
+    `SELECT ${RETURN_COLUMNS}
+     FROM returns r
+     WHERE r.order_id = $1
+     ORDER BY r.created_at DESC`,
+    [orderId]
+  );
+
+  const items = await fetchReturnItems(pool, returnsResult.rows.map(ret => ret.id));
+
+  return returnsResult.rows.map(ret =>
+    formatReturn(ret, items.filter(item => item.return_id === ret.id))
+  );
+};
@@ -0,0 +1,217 @@
+/**
+ * Business Hours Utilities
+ * Opening hours, holiday closures and pickup slots, worked out in the business's own timezone
+ *
+ * Hours are wall-clock times ("09:00") per weekday. A close time at or before the open
+ * time means the business closes after midnight, on the following calendar day.
+ */
+
+import tzLookup from '@photostructure/tz-lookup';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Check that a string is an IANA timezone the runtime knows, e.g. "Europe/London"
+ */
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * The IANA timezone at a point on the map, or null if it can't be worked out
+ */
+export const getTimeZoneAt = (latitude, longitude) => {
+  try {
+    const timeZone = tzLookup(latitude, longitude);
+    return isValidTimeZone(timeZone) ? timeZone : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Wall-clock date, weekday and minute of day of an instant in a timezone
+ * @returns {{ date: string, day: string, minutes: number, seconds: number }} date is YYYY-MM-DD
+ */
+export const getZonedParts = (instant, timeZone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'long'
+  })
+    .formatToParts(instant)
+    .forEach(part => {
+      parts[part.type] = part.value;
+    });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: parts.weekday.toLowerCase(),
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+    seconds: parseInt(parts.second, 10)
+  };
+};
+
+/**
+ * How far a timezone is ahead of UTC at an instant, in milliseconds
+ */
+const getOffsetMs = (instant, timeZone) => {
+  const parts = getZonedParts(instant, timeZone);
+  const [year, month, day] = parts.date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, parts.minutes, parts.seconds);
+  return wallClock - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+/**
+ * The instant at which a timezone's clocks show a date plus minutes past midnight
+ * Minutes past 1440 roll over into the following days.
+ */
+export const zonedTimeToDate = (date, minutes, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  // Re-check the offset at the result so times next to a DST change land correctly
+  const firstGuess = wallClock - getOffsetMs(new Date(wallClock), timeZone);
+  return new Date(wallClock - getOffsetMs(new Date(firstGuess), timeZone));
+};
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ */
+export const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+const getWeekday = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * When a business is open on a local date, or null if it is closed all day
+ * @param {Object} business - operatingHours, holidayClosures and timezone
+ * @returns {{ start: Date, end: Date }|null}
+ */
+export const getOpeningWindow = (business, date) => {
+  if ((business.holidayClosures || []).some(closure => closure.date === date)) {
+    return null;
+  }
+
+  const hours = (business.operatingHours || []).find(entry => entry.day === getWeekday(date));
+  if (!hours || hours.closed) {
+    return null;
+  }
+
+  const open = toMinutes(hours.open);
+  let close = toMinutes(hours.close);
+  if (close <= open) {
+    close += 24 * 60;
+  }
+
+  return {
+    start: zonedTimeToDate(date, open, business.timezone),
+    end: zonedTimeToDate(date, close, business.timezone)
+  };
+};
+
+/**
+ * Whether a business is open at an instant
+ * Businesses without any operating hours aren't known to be open, so they count as closed.
+ */
+export const isOpenAt = (business, instant = new Date()) => {
+  if (!business.operatingHours || business.operatingHours.length === 0) {
+    return false;
+  }
+
+  const { date } = getZonedParts(instant, business.timezone);
+
+  // Yesterday's hours can run past midnight into today
+  return [addDays(date, -1), date].some(day => {
+    const window = getOpeningWindow(business, day);
+    return window !== null && instant >= window.start && instant < window.end;
+  });
+};
+
+/**
+ * Pickup slots that start on a local date, back to back from opening time
+ * Only whole slots that end by closing time are offered.
+ * @param {Object} business - operatingHours, holidayClosures, timezone and pickupSlotMinutes
+ * @returns {Array<{ start: Date, end: Date }>}
+ */
+export const listPickupSlots = (business, date) => {
+  const window = getOpeningWindow(business, date);
+  if (!window) {
+    return [];
+  }
+
+  const slotMs = business.pickupSlotMinutes * MINUTE_MS;
+  const slots = [];
+
+  for (let start = window.start.getTime(); start + slotMs <= window.end.getTime(); start += slotMs) {
+    slots.push({ start: new Date(start), end: new Date(start + slotMs) });
+  }
+
+  return slots;
+};
+
+/**
+ * Whether a business is open at an instant and its hours for that local day
+ * isOpen is null for businesses that don't publish operating hours; todayHours is null
+ * when they are closed all day.
+ * @returns {{ isOpen: boolean|null, todayHours: { open: string, close: string }|null }}
+ */
+export const getOpeningStatus = (business, instant = new Date()) => {
+  if (!business.operatingHours || business.operatingHours.length === 0) {
+    return { isOpen: null, todayHours: null };
+  }
+
+  const { date } = getZonedParts(instant, business.timezone);
+  const hours = getOpeningWindow(business, date)
+    && business.operatingHours.find(entry => entry.day === getWeekday(date));
+
+  return {
+    isOpen: isOpenAt(business, instant),
+    todayHours: hours ? { open: hours.open, close: hours.close } : null
+  };
+};
+
+/**
+ * The instant an "open now" / "open at" search filter asks about, or null without one
+ * @param {Object} filters - openNow (boolean) or openAt (date or ISO string)
+ */
+export const resolveOpenAt = ({ openNow, openAt } = {}) => {
+  if (openNow) {
+    return new Date();
+  }
+  if (openAt === undefined || openAt === null || openAt === '') {
+    return null;
+  }
+
+  const instant = new Date(openAt);
+  if (Number.isNaN(instant.getTime())) {
+    throw {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'openAt must be a valid date and time'
+    };
+  }
+  return instant;
+};
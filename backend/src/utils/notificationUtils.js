@@ -7,8 +7,17 @@
 export {
   notifyNewOrder,
   notifyOrderStatusChange,
+  notifyOrderCancelledByConsumer,
   notifyNewMessage,
   notifyNewReview,
   notifyLowInventory,
-  notifyPaymentReceived
+  notifyLowStockDigest,
+  notifyPaymentReceived,
+  notifyRefundProcessed,
+  notifyRefundRequested,
+  notifyDeliveryFailed,
+  notifyReturnRequested,
+  notifyReturnUpdate,
+  notifySavedProductBackInStock,
+  notifySavedProductOnSale
 } from '../services/notificationService.js';
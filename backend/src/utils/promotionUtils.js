@@ -0,0 +1,127 @@
+/**
+ * Promotion Utilities
+ * Whether a promotion can be used on an order and the discount it gives, worked out from
+ * promotion rows and order lines without touching the database
+ */
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const toMoney = (value) => (value !== null ? parseFloat(value) : null);
+
+/**
+ * Where a promotion stands right now: 'inactive', 'scheduled', 'expired', 'used_up' or 'active'
+ */
+export const getPromotionStatus = (promotion, now = new Date()) => {
+  if (!promotion.active) {
+    return 'inactive';
+  }
+  if (promotion.starts_at && now < new Date(promotion.starts_at)) {
+    return 'scheduled';
+  }
+  if (promotion.ends_at && now >= new Date(promotion.ends_at)) {
+    return 'expired';
+  }
+  if (promotion.usage_limit !== null && promotion.usage_count >= promotion.usage_limit) {
+    return 'used_up';
+  }
+  return 'active';
+};
+
+/**
+ * Whether an order line is covered by a promotion's product and category scope
+ */
+const isInScope = (promotion, item) =>
+  (promotion.product_ids.length === 0 && promotion.categories.length === 0)
+  || promotion.product_ids.includes(item.productId)
+  || promotion.categories.includes(item.category);
+
+/**
+ * Discount a promotion gives on an order's items, split across the lines it came off
+ * items are { productId, category, priceAtPurchase, quantity }; lineDiscounts follows their order.
+ */
+export const calculateDiscount = (promotion, items) => {
+  const lineDiscounts = items.map(() => 0);
+  const qualifying = items
+    .map((item, index) => ({ ...item, index }))
+    .filter(item => isInScope(promotion, item));
+  const qualifyingSubtotal = roundMoney(
+    qualifying.reduce((sum, item) => sum + item.priceAtPurchase * item.quantity, 0)
+  );
+
+  if (promotion.discount_type === 'buy_x_get_y') {
+    const units = qualifying.reduce((sum, item) => sum + item.quantity, 0);
+    let freeUnits = Math.floor(units / (promotion.buy_quantity + promotion.get_quantity)) * promotion.get_quantity;
+
+    // The cheapest qualifying units are the free ones
+    for (const item of [...qualifying].sort((a, b) => a.priceAtPurchase - b.priceAtPurchase)) {
+      if (freeUnits === 0) {
+        break;
+      }
+      const free = Math.min(freeUnits, item.quantity);
+      lineDiscounts[item.index] = roundMoney(free * item.priceAtPurchase);
+      freeUnits -= free;
+    }
+  } else if (qualifyingSubtotal > 0) {
+    const value = parseFloat(promotion.discount_value);
+    const total = roundMoney(promotion.discount_type === 'percent'
+      ? qualifyingSubtotal * value / 100
+      : Math.min(value, qualifyingSubtotal));
+
+    // Split in proportion to each line's value; the last line takes the rounding remainder
+    let remaining = total;
+    qualifying.forEach((item, i) => {
+      const share = i === qualifying.length - 1
+        ? remaining
+        : roundMoney(total * item.priceAtPurchase * item.quantity / qualifyingSubtotal);
+      lineDiscounts[item.index] = share;
+      remaining = roundMoney(remaining - share);
+    });
+  }
+
+  return {
+    qualifyingSubtotal,
+    discount: roundMoney(lineDiscounts.reduce((sum, amount) => sum + amount, 0)),
+    lineDiscounts
+  };
+};
+
+/**
+ * Why a promotion can't be used on an order, or null if it can
+ */
+export const getRejection = (promotion, calculation, usedByConsumer, businessName, now) => {
+  switch (getPromotionStatus(promotion, now)) {
+    case 'scheduled':
+      return { code: 'PROMO_NOT_STARTED', message: `This promotion from ${businessName} hasn't started yet` };
+    case 'expired':
+      return { code: 'PROMO_EXPIRED', message: `This promotion from ${businessName} has ended` };
+    case 'used_up':
+      return { code: 'PROMO_USAGE_LIMIT_REACHED', message: `This promotion from ${businessName} has been fully used` };
+    default:
+      break;
+  }
+
+  if (promotion.per_consumer_limit !== null && usedByConsumer >= promotion.per_consumer_limit) {
+    return { code: 'PROMO_CONSUMER_LIMIT_REACHED', message: `You have already used this promotion from ${businessName}` };
+  }
+
+  if (calculation.qualifyingSubtotal === 0) {
+    return { code: 'PROMO_NOT_APPLICABLE', message: `This promotion doesn't cover any of your items from ${businessName}` };
+  }
+
+  const minSpend = toMoney(promotion.min_spend);
+  if (minSpend !== null && calculation.qualifyingSubtotal < minSpend) {
+    return {
+      code: 'PROMO_MIN_SPEND_NOT_MET',
+      message: `Spend $${minSpend.toFixed(2)} on qualifying items from ${businessName} to use this promotion`
+    };
+  }
+
+  if (calculation.discount <= 0) {
+    return {
+      code: 'PROMO_NOT_APPLICABLE',
+      message: `Buy ${promotion.buy_quantity + promotion.get_quantity} qualifying items from ${businessName} to use this promotion`
+    };
+  }
+
+  return null;
+};
@@ -0,0 +1,370 @@
+import zlib from 'zlib';
+import { once } from 'events';
+
+/**
+ * Spreadsheet utility functions
+ * Streams rows to a writable (usually the HTTP response) as CSV or XLSX
+ * without holding the whole file in memory, and parses uploaded CSV.
+ */
+
+export const SPREADSHEET_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv'
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  }
+};
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full
+ */
+const writeWithBackpressure = async (output, chunk) => {
+  if (!output.write(chunk)) {
+    await once(output, 'drain');
+  }
+};
+
+/**
+ * Render a cell value as text
+ * Strings a spreadsheet would read as a formula get a leading apostrophe, so text customers
+ * entered, like review text or names, can't run formulas when an export is opened.
+ */
+const toCellText = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(value)) {
+    return `'${value}`;
+  }
+  return String(value);
+};
+
+/**
+ * Escape a value for a CSV cell
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = toCellText(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Create a CSV row writer
+ * Starts with a byte order mark so Excel opens the file as UTF-8.
+ */
+const createCsvWriter = (output) => {
+  let started = false;
+
+  return {
+    writeRow: async (values) => {
+      const line = values.map(toCsvCell).join(',') + '\r\n';
+      await writeWithBackpressure(output, started ? line : `\uFEFF${line}`);
+      started = true;
+    },
+    end: async () => {
+      if (!started) {
+        await writeWithBackpressure(output, '\uFEFF');
+      }
+    }
+  };
+};
+
+// CRC-32 lookup table for zip entries
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Update a running CRC-32 with another buffer
+ */
+const crc32 = (buffer, previous = 0) => {
+  let crc = previous ^ 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Current time in MS-DOS format, as zip headers expect
+ */
+const dosDateTime = (date = new Date()) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Create a streaming zip writer
+ * Entries are deflated as they are written and sizes go in a trailing data
+ * descriptor, so nothing has to be buffered or seeked back to.
+ */
+const createZipWriter = (output) => {
+  const entries = [];
+  const { time, date } = dosDateTime();
+  // Bit 3: sizes follow in a data descriptor; bit 11: UTF-8 names
+  const FLAGS = 0x0808;
+  let offset = 0;
+
+  const write = async (buffer) => {
+    offset += buffer.length;
+    await writeWithBackpressure(output, buffer);
+  };
+
+  const startEntry = async (name) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const entry = { nameBuffer, offset, crc: 0, size: 0, compressedSize: 0 };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(FLAGS, 6);
+    header.writeUInt16LE(8, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    await write(Buffer.concat([header, nameBuffer]));
+
+    const deflate = zlib.createDeflateRaw();
+    deflate.on('data', (chunk) => {
+      entry.compressedSize += chunk.length;
+      offset += chunk.length;
+      if (!output.write(chunk)) {
+        deflate.pause();
+        output.once('drain', () => deflate.resume());
+      }
+    });
+
+    return {
+      write: async (text) => {
+        const buffer = Buffer.from(text, 'utf8');
+        entry.crc = crc32(buffer, entry.crc);
+        entry.size += buffer.length;
+        if (!deflate.write(buffer)) {
+          await once(deflate, 'drain');
+        }
+      },
+      end: async () => {
+        deflate.end();
+        await once(deflate, 'end');
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await write(descriptor);
+
+        entries.push(entry);
+      }
+    };
+  };
+
+  const addEntry = async (name, content) => {
+    const entry = await startEntry(name);
+    await entry.write(content);
+    await entry.end();
+  };
+
+  const end = async () => {
+    const centralOffset = offset;
+
+    for (const entry of entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(FLAGS, 8);
+      header.writeUInt16LE(8, 10);
+      header.writeUInt16LE(time, 12);
+      header.writeUInt16LE(date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.nameBuffer.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      await write(Buffer.concat([header, entry.nameBuffer]));
+    }
+
+    const endRecord = Buffer.alloc(22);
+    endRecord.writeUInt32LE(0x06054b50, 0);
+    endRecord.writeUInt16LE(entries.length, 8);
+    endRecord.writeUInt16LE(entries.length, 10);
+    endRecord.writeUInt32LE(offset - centralOffset, 12);
+    endRecord.writeUInt32LE(centralOffset, 16);
+    await write(endRecord);
+  };
+
+  return { startEntry, addEntry, end };
+};
+
+/**
+ * Escape text for XML, dropping characters XML cannot represent
+ */
+const escapeXml = (text) =>
+  text
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Render one worksheet cell; numbers stay numeric, everything else is an inline string, which
+ * Excel never evaluates as a formula
+ */
+const toXlsxCell = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return '<c/>';
+  }
+
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c><v>${value}</v></c>`;
+  }
+
+  const text = toCellText(value);
+  return `<c t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+};
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const SPREADSHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+/**
+ * Create an XLSX row writer producing a single-sheet workbook
+ */
+const createXlsxWriter = (output, sheetName) => {
+  const zip = createZipWriter(output);
+  // Excel limits sheet names to 31 characters and forbids some punctuation
+  const safeSheetName = escapeXml(sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+  let sheet = null;
+
+  const start = async () => {
+    await zip.addEntry('[Content_Types].xml', XML_HEADER +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '</Types>');
+    await zip.addEntry('_rels/.rels', XML_HEADER +
+      `<Relationships xmlns="${PACKAGE_RELATIONSHIP_NS}">` +
+      `<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+      '</Relationships>');
+    await zip.addEntry('xl/workbook.xml', XML_HEADER +
+      `<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}">` +
+      `<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets>` +
+      '</workbook>');
+    await zip.addEntry('xl/_rels/workbook.xml.rels', XML_HEADER +
+      `<Relationships xmlns="${PACKAGE_RELATIONSHIP_NS}">` +
+      `<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+      '</Relationships>');
+
+    sheet = await zip.startEntry('xl/worksheets/sheet1.xml');
+    await sheet.write(`${XML_HEADER}<worksheet xmlns="${SPREADSHEET_NS}"><sheetData>`);
+  };
+
+  return {
+    writeRow: async (values) => {
+      if (!sheet) {
+        await start();
+      }
+      await sheet.write(`<row>${values.map(toXlsxCell).join('')}</row>`);
+    },
+    end: async () => {
+      if (!sheet) {
+        await start();
+      }
+      await sheet.write('</sheetData></worksheet>');
+      await sheet.end();
+      await zip.end();
+    }
+  };
+};
+
+/**
+ * Create a row writer for the given format
+ * @param {string} format - 'csv' or 'xlsx'
+ * @param {Writable} output - Stream to write the file to
+ * @param {string} sheetName - Worksheet name (XLSX only)
+ * @returns {{ writeRow: Function, end: Function }} Async row writer
+ */
+export const createSpreadsheetWriter = (format, output, sheetName = 'Sheet1') => {
+  return format === 'xlsx'
+    ? createXlsxWriter(output, sheetName)
+    : createCsvWriter(output);
+};
+
+/**
+ * Parse CSV text into rows of strings
+ * Handles quoted fields with embedded commas, quotes and newlines, CRLF line
+ * endings and a leading byte order mark. Blank lines are skipped.
+ * @param {string} text - CSV content
+ * @returns {Array<{ line: number, values: string[] }>} Rows with their starting line number
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  let values = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    values.push(field);
+    if (values.length > 1 || values[0].trim() !== '') {
+      rows.push({ line: rowLine, values });
+    }
+    values = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      values.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || values.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
@@ -0,0 +1,150 @@
+import {
+  zonedTimeToDate,
+  getOpeningWindow,
+  isOpenAt,
+  listPickupSlots,
+  getOpeningStatus,
+  getTimeZoneAt
+} from '../src/utils/businessHoursUtils.js';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const everyDay = (open, close) => WEEKDAYS.map(day => ({ day, open, close }));
+
+// These mirror business_is_open_at in database/init.sql, which search uses for the same rules
+
+describe('zonedTimeToDate', () => {
+  it('uses the offset in force on the day, either side of a DST change', () => {
+    expect(zonedTimeToDate('2026-03-28', 9 * 60, 'Europe/London').toISOString()).toBe('2026-03-28T09:00:00.000Z');
+    expect(zonedTimeToDate('2026-03-29', 9 * 60, 'Europe/London').toISOString()).toBe('2026-03-29T08:00:00.000Z');
+    expect(zonedTimeToDate('2026-10-25', 9 * 60, 'Europe/London').toISOString()).toBe('2026-10-25T09:00:00.000Z');
+    expect(zonedTimeToDate('2026-03-08', 10 * 60, 'America/New_York').toISOString()).toBe('2026-03-08T14:00:00.000Z');
+  });
+
+  it('moves a time skipped by clocks going forward to just after the change', () => {
+    // 01:30 doesn't exist in London on 29 March; it comes out as 02:30 BST
+    expect(zonedTimeToDate('2026-03-29', 90, 'Europe/London').toISOString()).toBe('2026-03-29T01:30:00.000Z');
+  });
+
+  it('rolls minutes past midnight into the next day', () => {
+    expect(zonedTimeToDate('2026-06-01', 26 * 60, 'UTC').toISOString()).toBe('2026-06-02T02:00:00.000Z');
+  });
+});
+
+describe('listPickupSlots', () => {
+  const business = {
+    timezone: 'Europe/London',
+    operatingHours: everyDay('00:00', '06:00'),
+    holidayClosures: [],
+    pickupSlotMinutes: 60
+  };
+
+  it('offers one slot fewer on the day clocks go forward', () => {
+    const slots = listPickupSlots(business, '2026-03-29');
+
+    expect(slots).toHaveLength(5);
+    expect(slots[0].start.toISOString()).toBe('2026-03-29T00:00:00.000Z');
+    expect(slots[4].end.toISOString()).toBe('2026-03-29T05:00:00.000Z');
+  });
+
+  it('offers one slot more on the day clocks go back', () => {
+    const slots = listPickupSlots(business, '2026-10-25');
+
+    expect(slots).toHaveLength(7);
+    expect(slots[0].start.toISOString()).toBe('2026-10-24T23:00:00.000Z');
+    expect(slots[6].end.toISOString()).toBe('2026-10-25T06:00:00.000Z');
+  });
+
+  it('only offers whole slots that end by closing time', () => {
+    const slots = listPickupSlots({ ...business, operatingHours: everyDay('09:00', '10:45'), pickupSlotMinutes: 30 }, '2026-06-01');
+
+    expect(slots.map(slot => slot.start.toISOString())).toEqual([
+      '2026-06-01T08:00:00.000Z',
+      '2026-06-01T08:30:00.000Z',
+      '2026-06-01T09:00:00.000Z'
+    ]);
+  });
+
+  it('offers nothing on a holiday closure', () => {
+    expect(listPickupSlots({ ...business, holidayClosures: [{ date: '2026-06-01' }] }, '2026-06-01')).toEqual([]);
+  });
+});
+
+describe('isOpenAt', () => {
+  // Open Friday evening into Saturday morning, closed the rest of the week
+  const lateBar = {
+    timezone: 'America/New_York',
+    operatingHours: [
+      { day: 'friday', open: '18:00', close: '02:00' },
+      { day: 'saturday', closed: true }
+    ],
+    holidayClosures: []
+  };
+
+  it("keeps a business open past midnight on the next day's date", () => {
+    // Saturday 7 March, 01:30 and 02:30 EST
+    expect(isOpenAt(lateBar, new Date('2026-03-07T06:30:00Z'))).toBe(true);
+    expect(isOpenAt(lateBar, new Date('2026-03-07T07:30:00Z'))).toBe(false);
+  });
+
+  it('opens and closes on the minute', () => {
+    expect(isOpenAt(lateBar, new Date('2026-03-06T22:59:00Z'))).toBe(false);
+    expect(isOpenAt(lateBar, new Date('2026-03-06T23:00:00Z'))).toBe(true);
+    expect(isOpenAt(lateBar, new Date('2026-03-07T07:00:00Z'))).toBe(false);
+  });
+
+  it('closes overnight hours at the local closing time when clocks change during them', () => {
+    const business = { timezone: 'America/New_York', operatingHours: [{ day: 'saturday', open: '22:00', close: '04:00' }] };
+    const window = getOpeningWindow(business, '2026-03-07');
+
+    expect(window.start.toISOString()).toBe('2026-03-08T03:00:00.000Z');
+    expect(window.end.toISOString()).toBe('2026-03-08T08:00:00.000Z');
+    expect(isOpenAt(business, new Date('2026-03-08T07:59:00Z'))).toBe(true);
+    expect(isOpenAt(business, new Date('2026-03-08T08:00:00Z'))).toBe(false);
+  });
+
+  it('closes the whole of a holiday, including its hours that run past midnight', () => {
+    const closed = { ...lateBar, holidayClosures: [{ date: '2026-03-06' }] };
+
+    expect(isOpenAt(closed, new Date('2026-03-06T23:30:00Z'))).toBe(false);
+    expect(isOpenAt(closed, new Date('2026-03-07T06:30:00Z'))).toBe(false);
+  });
+
+  it("doesn't count a business without operating hours as open", () => {
+    expect(isOpenAt({ timezone: 'UTC', operatingHours: [] }, new Date('2026-03-07T03:00:00Z'))).toBe(false);
+  });
+});
+
+describe('getOpeningStatus', () => {
+  const business = {
+    timezone: 'Europe/London',
+    operatingHours: everyDay('09:00', '17:00'),
+    holidayClosures: [{ date: '2026-12-25' }]
+  };
+
+  it("reports whether the business is open and the local day's hours", () => {
+    expect(getOpeningStatus(business, new Date('2026-07-01T08:30:00Z'))).toEqual({
+      isOpen: true,
+      todayHours: { open: '09:00', close: '17:00' }
+    });
+  });
+
+  it('has no hours for a holiday', () => {
+    expect(getOpeningStatus(business, new Date('2026-12-25T12:00:00Z'))).toEqual({ isOpen: false, todayHours: null });
+  });
+
+  it("doesn't know for businesses that don't publish hours", () => {
+    expect(getOpeningStatus({ timezone: 'UTC', operatingHours: [] })).toEqual({ isOpen: null, todayHours: null });
+  });
+});
+
+describe('getTimeZoneAt', () => {
+  it('finds the timezone a business is in from its coordinates', () => {
+    expect(getTimeZoneAt(-1.29, 36.82)).toBe('Africa/Nairobi');
+    expect(getTimeZoneAt(51.5, -0.12)).toBe('Europe/London');
+  });
+
+  it("has no timezone for coordinates that aren't on the map", () => {
+    expect(getTimeZoneAt(120, 0)).toBeNull();
+  });
+});
@@ -0,0 +1,140 @@
+import { jest } from '@jest/globals';
+import { createFakeDatabase } from './helpers/fakeDatabase.js';
+
+const db = createFakeDatabase();
+
+jest.unstable_mockModule('../src/config/database.js', () => ({ default: db.pool }));
+jest.unstable_mockModule('../src/config/redis.js', () => ({ default: {} }));
+
+const { getCart, setCartItem, mergeCart } = await import('../src/services/cartService.js');
+
+const CONSUMER_ID = 'consumer-1';
+const PRODUCT_ID = '5a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c04';
+const OTHER_PRODUCT_ID = '7c2d3e4f-5a6b-4c7d-9e8f-0a1b2c3d4e05';
+const VARIANT_ID = '9e3f4a5b-6c7d-4e8f-a09b-1c2d3e4f5a06';
+
+// Current price of each product, as getCurrentUnitPrice reads it
+const currentPrices = (prices) => {
+  db.on(/AS has_variants FROM products p/, ([productId, variantId]) => {
+    if (!(productId in prices)) {
+      return [];
+    }
+    return [{ name: 'Sourdough', price: String(prices[productId]), variant_id: variantId, variant_price: null, has_variants: false }];
+  });
+};
+
+const cartRow = (overrides = {}) => ({
+  id: 'line-1',
+  product_id: PRODUCT_ID,
+  variant_id: null,
+  quantity: 2,
+  unit_price: '4.00',
+  business_id: 'business-1',
+  name: 'Sourdough',
+  list_price: '4.00',
+  active_sale_price: null,
+  product_quantity: 10,
+  product_reserved: 0,
+  category: 'bakery',
+  images: [],
+  variant_count: 0,
+  business_name: 'Corner Bakery',
+  variant_options: null,
+  variant_price: null,
+  variant_quantity: null,
+  variant_reserved: null,
+  variant_images: null,
+  ...overrides
+});
+
+beforeEach(() => {
+  db.reset();
+});
+
+describe('mergeCart', () => {
+  const addedPrice = () => db.ran(/INSERT INTO cart_items/)[0].values[4];
+
+  it("won't take a price from the client above what the product costs now", async () => {
+    currentPrices({ [PRODUCT_ID]: 4 });
+
+    await mergeCart(CONSUMER_ID, { items: [{ productId: PRODUCT_ID, quantity: 1, unitPrice: 40 }] });
+
+    expect(addedPrice()).toBe(4);
+  });
+
+  it('keeps a lower price from the anonymous cart, so the rise since is flagged', async () => {
+    currentPrices({ [PRODUCT_ID]: 4 });
+
+    await mergeCart(CONSUMER_ID, { items: [{ productId: PRODUCT_ID, quantity: 1, unitPrice: 3.5 }] });
+
+    expect(addedPrice()).toBe(3.5);
+  });
+
+  it('uses the current price when the anonymous cart had none', async () => {
+    currentPrices({ [PRODUCT_ID]: 4 });
+
+    await mergeCart(CONSUMER_ID, { items: [{ productId: PRODUCT_ID, quantity: 1 }] });
+
+    expect(addedPrice()).toBe(4);
+  });
+
+  it('leaves out lines whose product has gone and reports them', async () => {
+    currentPrices({ [PRODUCT_ID]: 4 });
+
+    const { skipped } = await mergeCart(CONSUMER_ID, {
+      items: [
+        { productId: OTHER_PRODUCT_ID, quantity: 1 },
+        { productId: PRODUCT_ID, quantity: 1 }
+      ]
+    });
+
+    expect(skipped).toEqual([expect.objectContaining({ productId: OTHER_PRODUCT_ID, code: 'PRODUCT_NOT_FOUND' })]);
+    expect(db.ran(/INSERT INTO cart_items/)).toHaveLength(1);
+    expect(db.ran(/^COMMIT$/)).toHaveLength(1);
+  });
+
+  it('rejects more than 999 of a line', async () => {
+    await expect(mergeCart(CONSUMER_ID, { items: [{ productId: PRODUCT_ID, quantity: 1000 }] }))
+      .rejects.toMatchObject({ status: 400, code: 'VALIDATION_ERROR' });
+  });
+});
+
+describe('setCartItem', () => {
+  it('takes the price afresh, clearing a price change the line was flagged for', async () => {
+    currentPrices({ [PRODUCT_ID]: 4 });
+
+    await setCartItem(CONSUMER_ID, { productId: PRODUCT_ID, quantity: 3 });
+
+    expect(db.ran(/INSERT INTO cart_items/)[0].values).toEqual([CONSUMER_ID, PRODUCT_ID, null, 3, 4]);
+  });
+
+  it('removes the line at quantity 0', async () => {
+    await setCartItem(CONSUMER_ID, { productId: PRODUCT_ID, variantId: VARIANT_ID, quantity: 0 });
+
+    expect(db.ran(/DELETE FROM cart_items/)[0].values).toEqual([CONSUMER_ID, PRODUCT_ID, VARIANT_ID]);
+  });
+});
+
+describe('getCart', () => {
+  it('flags lines whose price has changed since they were added', async () => {
+    db.on(/FROM cart_items ci/, [cartRow({ unit_price: '3.50' })]);
+
+    const cart = await getCart(CONSUMER_ID);
+
+    expect(cart.items[0]).toMatchObject({ unitPrice: 4, addedPrice: 3.5, priceChanged: true });
+    expect(cart.hasChanges).toBe(true);
+    expect(cart.subtotal).toBe(8);
+  });
+
+  it('reports stock held by pending orders as unavailable to the cart', async () => {
+    db.on(/FROM cart_items ci/, [
+      cartRow({ product_reserved: 9 }),
+      cartRow({ id: 'line-2', product_id: OTHER_PRODUCT_ID, product_reserved: 10 })
+    ]);
+
+    const cart = await getCart(CONSUMER_ID);
+
+    expect(cart.items.map(item => item.status)).toEqual(['insufficient_stock', 'sold_out']);
+    expect(cart.items[0].availableQuantity).toBe(1);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Fake Database
+ * Stands in for the pg pool in service tests. Each statement is answered by the most recently
+ * added handler whose pattern matches it, or with no rows. Statements run through the pool or a
+ * connected client are all kept, in order, with whitespace collapsed.
+ */
+
+const normalize = (sql) => sql.replace(/\s+/g, ' ').trim();
+
+export const createFakeDatabase = () => {
+  const handlers = [];
+  const statements = [];
+
+  const query = async (sql, values = []) => {
+    const statement = { sql: normalize(sql), values };
+    statements.push(statement);
+
+    const handler = handlers.find(({ pattern }) => pattern.test(statement.sql));
+    const rows = handler ? await handler.respond(values, statement.sql) : [];
+    return { rows, rowCount: rows.length };
+  };
+
+  return {
+    statements,
+
+    pool: {
+      query,
+      connect: async () => ({ query, release: () => {} })
+    },
+
+    /**
+     * Answer statements matching pattern with rows, or with what respond(values) returns
+     */
+    on(pattern, respond) {
+      handlers.unshift({ pattern, respond: typeof respond === 'function' ? respond : () => respond });
+      return this;
+    },
+
+    /**
+     * Statements run so far that match pattern
+     */
+    ran(pattern) {
+      return statements.filter(statement => pattern.test(statement.sql));
+    },
+
+    /**
+     * Whether every transaction begun so far has been committed or rolled back
+     */
+    inTransaction() {
+      const begun = statements.filter(statement => statement.sql === 'BEGIN').length;
+      const ended = statements.filter(statement => ['COMMIT', 'ROLLBACK'].includes(statement.sql)).length;
+      return begun > ended;
+    },
+
+    reset() {
+      handlers.length = 0;
+      statements.length = 0;
+    }
+  };
+};
@@ -0,0 +1,111 @@
+import { jest } from '@jest/globals';
+import { createFakeDatabase } from './helpers/fakeDatabase.js';
+
+const db = createFakeDatabase();
+const notifyBackInStock = jest.fn();
+
+jest.unstable_mockModule('../src/config/database.js', () => ({ default: db.pool }));
+jest.unstable_mockModule('../src/config/redis.js', () => ({ default: {} }));
+jest.unstable_mockModule('../src/utils/notificationUtils.js', () => ({
+  notifyLowInventory: jest.fn(),
+  notifyLowStockDigest: jest.fn()
+}));
+jest.unstable_mockModule('../src/services/favouriteService.js', () => ({ notifyBackInStock }));
+
+const {
+  reserveStock,
+  releaseReservation,
+  releaseExpiredReservations,
+  adjustStock
+} = await import('../src/services/inventoryService.js');
+
+const client = db.pool;
+
+beforeEach(() => {
+  db.reset();
+  jest.clearAllMocks();
+});
+
+describe('reserveStock', () => {
+  it('holds units of each product, and of the variant when there is one', async () => {
+    await reserveStock(client, [
+      { productId: 'product-1', variantId: null, quantity: 2 },
+      { productId: 'product-2', variantId: 'variant-1', quantity: 3 }
+    ]);
+
+    expect(db.ran(/UPDATE products SET reserved_quantity/).map(statement => statement.values))
+      .toEqual([[2, 'product-1'], [3, 'product-2']]);
+    expect(db.ran(/UPDATE product_variants SET reserved_quantity/).map(statement => statement.values))
+      .toEqual([[3, 'variant-1']]);
+  });
+});
+
+describe('releaseReservation', () => {
+  it('gives back the units an order holds', async () => {
+    db.on(/UPDATE orders SET reservation_expires_at = NULL/, [{ id: 'order-1' }]);
+
+    expect(await releaseReservation(client, 'order-1')).toBe(true);
+    expect(db.ran(/UPDATE products p SET reserved_quantity = GREATEST/)[0].values).toEqual(['order-1']);
+    expect(db.ran(/UPDATE product_variants v SET reserved_quantity = GREATEST/)[0].values).toEqual(['order-1']);
+  });
+
+  it('does nothing for an order that no longer holds stock, so releasing twice is harmless', async () => {
+    expect(await releaseReservation(client, 'order-1')).toBe(false);
+    expect(db.ran(/reserved_quantity/)).toHaveLength(0);
+  });
+
+  it('locks products before variants, as placing an order does', async () => {
+    db.on(/UPDATE orders SET reservation_expires_at = NULL/, [{ id: 'order-1' }]);
+
+    await releaseReservation(client, 'order-1');
+
+    const locks = db.ran(/FOR UPDATE/).map(statement => statement.sql);
+    expect(locks[0]).toMatch(/FROM products/);
+    expect(locks[1]).toMatch(/FROM product_variants/);
+  });
+});
+
+describe('releaseExpiredReservations', () => {
+  it('releases orders not confirmed in time and tells savers the units are back', async () => {
+    db.on(/FROM orders WHERE reservation_expires_at IS NOT NULL/, [{ id: 'order-1' }, { id: 'order-2' }]);
+    db.on(/UPDATE orders SET reservation_expires_at = NULL/, ([orderId]) => [{ id: orderId }]);
+    db.on(/SELECT DISTINCT product_id FROM order_items/, [{ product_id: 'product-1' }, { product_id: 'product-2' }]);
+    notifyBackInStock.mockImplementation(async () => {
+      expect(db.inTransaction()).toBe(false);
+    });
+
+    expect(await releaseExpiredReservations()).toBe(2);
+    expect(db.ran(/UPDATE orders SET reservation_expires_at = NULL/).map(statement => statement.values))
+      .toEqual([['order-1'], ['order-2']]);
+    expect(notifyBackInStock).toHaveBeenCalledWith(['product-1', 'product-2']);
+  });
+});
+
+describe('adjustStock', () => {
+  beforeEach(() => {
+    db.on(/SELECT quantity, reserved_quantity FROM products/, [{ quantity: 5, reserved_quantity: 4 }]);
+    db.on(/UPDATE products SET quantity = quantity/, ([delta]) => [{ quantity: 5 + delta }]);
+  });
+
+  it("won't sell units held by pending orders when only available stock may be used", async () => {
+    const result = await adjustStock(client, {
+      productId: 'product-1', delta: -2, requireAvailable: true, type: 'sale'
+    });
+
+    expect(result).toBeNull();
+    expect(db.ran(/UPDATE products SET quantity/)).toHaveLength(0);
+  });
+
+  it('takes available stock and records the movement', async () => {
+    const result = await adjustStock(client, {
+      productId: 'product-1', delta: -1, requireAvailable: true, type: 'sale', orderId: 'order-1'
+    });
+
+    expect(result).toEqual({ quantityBefore: 5, quantityAfter: 4 });
+    expect(db.ran(/INSERT INTO inventory_movements/)).toHaveLength(1);
+  });
+
+  it('never takes stock below zero', async () => {
+    expect(await adjustStock(client, { productId: 'product-1', delta: -6, type: 'adjustment' })).toBeNull();
+  });
+});
@@ -0,0 +1,206 @@
+import { jest } from '@jest/globals';
+import { createFakeDatabase } from './helpers/fakeDatabase.js';
+
+const db = createFakeDatabase();
+const provider = { name: 'fake', createIntent: jest.fn(), confirmIntent: jest.fn() };
+const notifyPaymentReceived = jest.fn();
+const refundOrder = jest.fn();
+
+jest.unstable_mockModule('../src/config/database.js', () => ({ default: db.pool }));
+jest.unstable_mockModule('../src/services/paymentProviders/index.js', () => ({ getPaymentProvider: () => provider }));
+jest.unstable_mockModule('../src/utils/notificationUtils.js', () => ({ notifyPaymentReceived }));
+jest.unstable_mockModule('../src/services/orderEventService.js', () => ({ recordOrderEvent: jest.fn() }));
+jest.unstable_mockModule('../src/services/refundService.js', () => ({ refundOrder }));
+
+const { createPaymentIntent, confirmPayment } = await import('../src/services/paymentService.js');
+
+const CONSUMER_ID = '6d3c1f0e-8a41-4c55-9d1e-0f2b7c9a1e01';
+const ORDER_ID = '0b7e4c2a-5f13-4e8b-a6d9-3c1f2e4d5a02';
+const INTENT_ID = 'fake_pi_1';
+
+const paymentRow = (overrides = {}) => ({
+  id: 'payment-1',
+  order_id: ORDER_ID,
+  checkout_id: null,
+  consumer_id: CONSUMER_ID,
+  provider: 'fake',
+  provider_payment_id: INTENT_ID,
+  payment_method: 'card',
+  amount: '25.00',
+  currency: 'usd',
+  status: 'pending',
+  failure_reason: null,
+  completed_at: null,
+  created_at: null,
+  updated_at: null,
+  claim_expired: false,
+  ...overrides
+});
+
+beforeEach(() => {
+  db.reset();
+  jest.clearAllMocks();
+});
+
+describe('createPaymentIntent', () => {
+  const orderWith = (paymentStatus) => {
+    db.on(/FROM orders WHERE id = \$1/, [{
+      id: ORDER_ID,
+      consumer_id: CONSUMER_ID,
+      checkout_id: null,
+      total_amount: '25.00',
+      status: 'pending',
+      payment_status: paymentStatus
+    }]);
+  };
+
+  it.each(['completed', 'partially_refunded', 'refunded'])("won't charge an order that is %s again", async (paymentStatus) => {
+    orderWith(paymentStatus);
+
+    await expect(createPaymentIntent(CONSUMER_ID, { orderId: ORDER_ID }))
+      .rejects.toMatchObject({ status: 409, code: 'ORDER_ALREADY_PAID' });
+    expect(provider.createIntent).not.toHaveBeenCalled();
+  });
+
+  it('lets a failed payment be tried again', async () => {
+    orderWith('failed');
+    provider.createIntent.mockResolvedValue({ id: INTENT_ID, status: 'pending', clientSecret: 'secret' });
+    db.on(/INSERT INTO payments/, [paymentRow()]);
+
+    const result = await createPaymentIntent(CONSUMER_ID, { orderId: ORDER_ID });
+
+    expect(provider.createIntent).toHaveBeenCalledWith(expect.objectContaining({ amount: 25 }));
+    expect(result.paymentIntentId).toBe(INTENT_ID);
+    expect(result.payment.status).toBe('pending');
+  });
+});
+
+describe('confirmPayment', () => {
+  let paymentStatus;
+  let orderStatuses;
+
+  beforeEach(() => {
+    paymentStatus = 'pending';
+    orderStatuses = ['pending'];
+
+    // Each lock of the intent's orders sees the next status, so a cancellation can land in between
+    db.on(/FROM orders WHERE id IN \(SELECT order_id FROM payments/, () => [
+      { id: ORDER_ID, status: orderStatuses.length > 1 ? orderStatuses.shift() : orderStatuses[0] }
+    ]);
+    db.on(/FROM payments WHERE provider_payment_id = \$1 ORDER BY/, () => [paymentRow({ status: paymentStatus })]);
+    db.on(/UPDATE payments SET status = 'processing'/, () => {
+      paymentStatus = 'processing';
+      return [];
+    });
+    db.on(/UPDATE payments SET status = 'pending'/, () => {
+      paymentStatus = 'pending';
+      return [paymentRow()];
+    });
+    db.on(/UPDATE payments SET status = \$1/, ([status, failureReason]) => {
+      paymentStatus = status;
+      return [paymentRow({ status, failure_reason: failureReason })];
+    });
+    db.on(/SELECT b.owner_id FROM orders/, [{ owner_id: 'owner-1' }]);
+  });
+
+  it('completes the payment and its order', async () => {
+    provider.confirmIntent.mockResolvedValue({ id: INTENT_ID, status: 'completed' });
+
+    const payment = await confirmPayment(CONSUMER_ID, { paymentIntentId: INTENT_ID });
+
+    expect(payment.status).toBe('completed');
+    expect(db.ran(/UPDATE orders SET payment_status = \$1/)[0].values).toEqual(['completed', ORDER_ID]);
+    expect(notifyPaymentReceived).toHaveBeenCalledWith('owner-1', 25, ORDER_ID);
+  });
+
+  it('calls the provider only once its claim on the payment has committed', async () => {
+    provider.confirmIntent.mockImplementation(async () => {
+      expect(paymentStatus).toBe('processing');
+      expect(db.inTransaction()).toBe(false);
+      return { id: INTENT_ID, status: 'completed' };
+    });
+
+    await confirmPayment(CONSUMER_ID, { paymentIntentId: INTENT_ID });
+
+    expect(provider.confirmIntent).toHaveBeenCalledTimes(1);
+  });
+
+  it('records a declined payment as failed', async () => {
+    provider.confirmIntent.mockResolvedValue({ id: INTENT_ID, status: 'failed', failureReason: 'Card declined' });
+
+    const payment = await confirmPayment(CONSUMER_ID, { paymentIntentId: INTENT_ID });
+
+    expect(payment).toMatchObject({ status: 'failed', failureReason: 'Card declined' });
+    expect(db.ran(/UPDATE orders SET payment_status = \$1/)[0].values).toEqual(['failed', ORDER_ID]);
+    expect(notifyPaymentReceived).not.toHaveBeenCalled();
+  });
+
+  it('hands the payment back while the provider waits on the customer', async () => {
+    provider.confirmIntent.mockResolvedValue({ id: INTENT_ID, status: 'pending' });
+
+    const payment = await confirmPayment(CONSUMER_ID, { paymentIntentId: INTENT_ID });
+
+    expect(payment.status).toBe('pending');
+    expect(paymentStatus).toBe('pending');
+  });
+
+  it("won't charge an order cancelled since the intent was created", async () => {
+    orderStatuses = ['cancelled'];
+
+    await expect(confirmPayment(CONSUMER_ID, { paymentIntentId: INTENT_ID }))
+      .rejects.toMatchObject({ status: 409, code: 'ORDER_CANCELLED' });
+    expect(provider.confirmIntent).not.toHaveBeenCalled();
+    expect(db.ran(/UPDATE payments SET status = 'cancelled'/)).toHaveLength(1);
+  });
+
+  it('refunds an order cancelled while the provider was charging it', async () => {
+    orderStatuses = ['pending', 'cancelled'];
+    provider.confirmIntent.mockResolvedValue({ id: INTENT_ID, status: 'completed' });
+
+    await confirmPayment(CONSUMER_ID, { paymentIntentId: INTENT_ID });
+
+    expect(refundOrder).toHaveBeenCalledWith(ORDER_ID, null, 'Order cancelled');
+  });
+
+  it('refuses a payment another confirmation is still charging', async () => {
+    paymentStatus = 'processing';
+
+    await expect(confirmPayment(CONSUMER_ID, { paymentIntentId: INTENT_ID }))
+      .rejects.toMatchObject({ status: 409, code: 'INVALID_PAYMENT_STATE' });
+    expect(provider.confirmIntent).not.toHaveBeenCalled();
+  });
+
+  it('takes over a claim whose confirmation never finished', async () => {
+    db.on(/FROM payments WHERE provider_payment_id = \$1 ORDER BY/, () => [
+      paymentRow({ status: paymentStatus, claim_expired: paymentStatus === 'processing' })
+    ]);
+    paymentStatus = 'processing';
+    provider.confirmIntent.mockResolvedValue({ id: INTENT_ID, status: 'completed' });
+
+    const payment = await confirmPayment(CONSUMER_ID, { paymentIntentId: INTENT_ID });
+
+    expect(payment.status).toBe('completed');
+  });
+
+  it('hands the payment back when the provider refuses it before charging', async () => {
+    provider.confirmIntent.mockRejectedValue({ status: 400, code: 'PAYMENT_METHOD_REQUIRED' });
+
+    await expect(confirmPayment(CONSUMER_ID, { paymentIntentId: INTENT_ID }))
+      .rejects.toMatchObject({ code: 'PAYMENT_METHOD_REQUIRED' });
+    expect(paymentStatus).toBe('pending');
+  });
+
+  it('keeps the claim when the outcome of the charge is unknown', async () => {
+    provider.confirmIntent.mockRejectedValue({ status: 502, code: 'PAYMENT_PROVIDER_ERROR' });
+
+    await expect(confirmPayment(CONSUMER_ID, { paymentIntentId: INTENT_ID }))
+      .rejects.toMatchObject({ code: 'PAYMENT_PROVIDER_ERROR' });
+    expect(paymentStatus).toBe('processing');
+  });
+
+  it("won't let another consumer confirm the payment", async () => {
+    await expect(confirmPayment('a8f5e2d1-3b4c-4d6e-9f70-1a2b3c4d5e06', { paymentIntentId: INTENT_ID }))
+      .rejects.toMatchObject({ status: 403 });
+    expect(paymentStatus).toBe('pending');
+  });
+});
@@ -0,0 +1,169 @@
+import { calculateDiscount, getRejection, getPromotionStatus } from '../src/utils/promotionUtils.js';
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+const promotion = (overrides = {}) => ({
+  active: true,
+  discount_type: 'percent',
+  discount_value: '10',
+  buy_quantity: null,
+  get_quantity: null,
+  min_spend: null,
+  starts_at: null,
+  ends_at: null,
+  usage_limit: null,
+  usage_count: 0,
+  per_consumer_limit: null,
+  product_ids: [],
+  categories: [],
+  ...overrides
+});
+
+const line = (productId, priceAtPurchase, quantity, category = 'groceries') => ({
+  productId,
+  category,
+  priceAtPurchase,
+  quantity
+});
+
+const sum = (amounts) => Math.round(amounts.reduce((total, amount) => total + amount, 0) * 100) / 100;
+
+describe('calculateDiscount', () => {
+  describe('percent and fixed promotions', () => {
+    it('splits a percent discount across lines in proportion to their value', () => {
+      const result = calculateDiscount(promotion({ discount_value: '10' }), [
+        line('a', 10, 1),
+        line('b', 5, 2),
+        line('c', 3.33, 1)
+      ]);
+
+      expect(result.qualifyingSubtotal).toBe(23.33);
+      expect(result.discount).toBe(2.33);
+      expect(result.lineDiscounts).toEqual([1, 1, 0.33]);
+    });
+
+    it('gives the rounding remainder to the last qualifying line so the shares add up', () => {
+      const result = calculateDiscount(promotion({ discount_type: 'fixed', discount_value: '1' }), [
+        line('a', 1, 1),
+        line('b', 1, 1),
+        line('c', 1, 1)
+      ]);
+
+      expect(result.lineDiscounts).toEqual([0.33, 0.33, 0.34]);
+      expect(sum(result.lineDiscounts)).toBe(result.discount);
+    });
+
+    it('caps a fixed discount at the qualifying subtotal', () => {
+      const result = calculateDiscount(promotion({ discount_type: 'fixed', discount_value: '10' }), [
+        line('a', 1, 1),
+        line('b', 2, 2)
+      ]);
+
+      expect(result.discount).toBe(5);
+      expect(sum(result.lineDiscounts)).toBe(5);
+    });
+
+    it('only discounts lines in the promotion scope', () => {
+      const result = calculateDiscount(
+        promotion({ discount_value: '50', product_ids: ['a'], categories: ['bakery'] }),
+        [line('a', 4, 1), line('b', 10, 1), line('c', 6, 1, 'bakery')]
+      );
+
+      expect(result.qualifyingSubtotal).toBe(10);
+      expect(result.lineDiscounts).toEqual([2, 0, 3]);
+    });
+
+    it('gives nothing when no line is in scope', () => {
+      const result = calculateDiscount(promotion({ product_ids: ['z'] }), [line('a', 4, 1)]);
+
+      expect(result).toEqual({ qualifyingSubtotal: 0, discount: 0, lineDiscounts: [0] });
+    });
+  });
+
+  describe('buy X get Y promotions', () => {
+    const buyTwoGetOne = promotion({ discount_type: 'buy_x_get_y', discount_value: null, buy_quantity: 2, get_quantity: 1 });
+
+    it('makes the cheapest qualifying units free', () => {
+      const result = calculateDiscount(buyTwoGetOne, [line('a', 10, 2), line('b', 4, 2)]);
+
+      expect(result.discount).toBe(4);
+      expect(result.lineDiscounts).toEqual([0, 4]);
+    });
+
+    it('takes free units from the next cheapest line once the cheapest runs out', () => {
+      const buyOneGetOne = promotion({ discount_type: 'buy_x_get_y', buy_quantity: 1, get_quantity: 1 });
+      const result = calculateDiscount(buyOneGetOne, [line('a', 8, 3), line('b', 2.5, 1), line('c', 5, 1)]);
+
+      expect(result.lineDiscounts).toEqual([0, 2.5, 5]);
+      expect(result.discount).toBe(7.5);
+    });
+
+    it('only counts complete groups of buy and get units', () => {
+      const result = calculateDiscount(buyTwoGetOne, [line('a', 10, 2)]);
+
+      expect(result.discount).toBe(0);
+    });
+
+    it('ignores out-of-scope units when counting and choosing free ones', () => {
+      const result = calculateDiscount(
+        promotion({ ...buyTwoGetOne, categories: ['bakery'] }),
+        [line('a', 1, 5), line('b', 3, 3, 'bakery')]
+      );
+
+      expect(result.lineDiscounts).toEqual([0, 3]);
+    });
+  });
+});
+
+describe('getPromotionStatus', () => {
+  it('reports inactive, scheduled, expired and used up promotions', () => {
+    expect(getPromotionStatus(promotion({ active: false }), NOW)).toBe('inactive');
+    expect(getPromotionStatus(promotion({ starts_at: '2026-03-11T00:00:00Z' }), NOW)).toBe('scheduled');
+    expect(getPromotionStatus(promotion({ ends_at: '2026-03-10T12:00:00Z' }), NOW)).toBe('expired');
+    expect(getPromotionStatus(promotion({ usage_limit: 5, usage_count: 5 }), NOW)).toBe('used_up');
+    expect(getPromotionStatus(promotion({ starts_at: '2026-03-01T00:00:00Z', ends_at: '2026-04-01T00:00:00Z' }), NOW))
+      .toBe('active');
+  });
+});
+
+describe('getRejection', () => {
+  const reject = (promo, items, usedByConsumer = 0) =>
+    getRejection(promo, calculateDiscount(promo, items), usedByConsumer, 'Corner Shop', NOW);
+
+  it('accepts a running promotion that covers the order', () => {
+    expect(reject(promotion(), [line('a', 10, 1)])).toBeNull();
+  });
+
+  it('rejects promotions that have not started, have ended or are used up', () => {
+    expect(reject(promotion({ starts_at: '2026-04-01T00:00:00Z' }), [line('a', 10, 1)]).code).toBe('PROMO_NOT_STARTED');
+    expect(reject(promotion({ ends_at: '2026-03-01T00:00:00Z' }), [line('a', 10, 1)]).code).toBe('PROMO_EXPIRED');
+    expect(reject(promotion({ usage_limit: 1, usage_count: 1 }), [line('a', 10, 1)]).code).toBe('PROMO_USAGE_LIMIT_REACHED');
+  });
+
+  it('rejects a consumer who has used up their own allowance', () => {
+    expect(reject(promotion({ per_consumer_limit: 2 }), [line('a', 10, 1)], 2).code).toBe('PROMO_CONSUMER_LIMIT_REACHED');
+    expect(reject(promotion({ per_consumer_limit: 2 }), [line('a', 10, 1)], 1)).toBeNull();
+  });
+
+  it('rejects orders with nothing in scope', () => {
+    expect(reject(promotion({ product_ids: ['z'] }), [line('a', 10, 1)]).code).toBe('PROMO_NOT_APPLICABLE');
+  });
+
+  it('measures the minimum spend on qualifying items only', () => {
+    const promo = promotion({ min_spend: '20.00', categories: ['bakery'] });
+
+    const rejection = reject(promo, [line('a', 15, 1, 'bakery'), line('b', 30, 1)]);
+    expect(rejection.code).toBe('PROMO_MIN_SPEND_NOT_MET');
+    expect(rejection.message).toContain('$20.00');
+
+    expect(reject(promo, [line('a', 20, 1, 'bakery')])).toBeNull();
+  });
+
+  it('tells the consumer how many items a buy X get Y promotion needs', () => {
+    const promo = promotion({ discount_type: 'buy_x_get_y', buy_quantity: 2, get_quantity: 1 });
+
+    const rejection = reject(promo, [line('a', 10, 2)]);
+    expect(rejection.code).toBe('PROMO_NOT_APPLICABLE');
+    expect(rejection.message).toContain('Buy 3');
+  });
+});
@@ -0,0 +1,196 @@
+import { jest } from '@jest/globals';
+import { createFakeDatabase } from './helpers/fakeDatabase.js';
+
+const db = createFakeDatabase();
+const provider = { name: 'fake', refund: jest.fn(), getRefund: jest.fn() };
+const notifyRefundProcessed = jest.fn();
+const notifyRefundRequested = jest.fn();
+const invalidateBusinessAnalytics = jest.fn();
+
+jest.unstable_mockModule('../src/config/database.js', () => ({ default: db.pool }));
+jest.unstable_mockModule('../src/services/paymentProviders/index.js', () => ({ getPaymentProvider: () => provider }));
+jest.unstable_mockModule('../src/utils/notificationUtils.js', () => ({ notifyRefundProcessed, notifyRefundRequested }));
+jest.unstable_mockModule('../src/services/orderEventService.js', () => ({ recordOrderEvent: jest.fn() }));
+jest.unstable_mockModule('../src/services/analyticsService.js', () => ({ invalidateBusinessAnalytics }));
+
+const { createRefund, settlePendingRefunds } = await import('../src/services/refundService.js');
+
+const OWNER = { id: 'owner-1' };
+const CONSUMER = { id: 'consumer-1' };
+const PAYMENT_ID = 'payment-1';
+const REFUND_ID = 'refund-1';
+const ORDER_ITEM_ID = '2f9c7a1e-4b3d-4e5f-8a6b-7c8d9e0f1a03';
+
+const refundRow = (overrides = {}) => ({
+  id: REFUND_ID,
+  payment_id: PAYMENT_ID,
+  order_id: 'order-1',
+  requested_by: OWNER.id,
+  amount: '30.00',
+  refund_type: 'full',
+  reason: null,
+  status: 'pending',
+  failure_reason: null,
+  provider_refund_id: null,
+  completed_at: null,
+  created_at: null,
+  updated_at: null,
+  ...overrides
+});
+
+let refundStatus;
+
+beforeEach(() => {
+  db.reset();
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  refundStatus = 'pending';
+
+  db.on(/FROM payments p JOIN orders o ON p.order_id = o.id .* FOR UPDATE OF p/, [{
+    id: PAYMENT_ID,
+    order_id: 'order-1',
+    consumer_id: CONSUMER.id,
+    provider: 'fake',
+    provider_payment_id: 'fake_pi_1',
+    amount: '30.00',
+    refunded_amount: '0.00',
+    status: 'completed',
+    business_owner_id: OWNER.id
+  }]);
+  db.on(/as open_amount/, [{ open_amount: '0' }]);
+  db.on(/FROM order_items oi WHERE oi.order_id = \$1/, [{
+    id: ORDER_ITEM_ID,
+    quantity: 3,
+    price_at_purchase: '10.00',
+    discount_amount: '1.00',
+    refundable_quantity: '3'
+  }]);
+  db.on(/INSERT INTO refunds/, ([, , , , , , status]) => {
+    refundStatus = status;
+    return [{ id: REFUND_ID }];
+  });
+  db.on(/FROM refunds r JOIN payments p/, [{
+    ...refundRow(),
+    provider: 'fake',
+    provider_payment_id: 'fake_pi_1',
+    consumer_id: CONSUMER.id,
+    business_id: 'business-1'
+  }]);
+  db.on(/UPDATE refunds SET status = 'completed'/, () => {
+    refundStatus = 'completed';
+    return [{ id: REFUND_ID }];
+  });
+  db.on(/UPDATE refunds SET status = 'failed'/, () => {
+    refundStatus = 'failed';
+    return [{ id: REFUND_ID }];
+  });
+  db.on(/UPDATE payments SET refunded_amount/, [{ status: 'refunded' }]);
+  db.on(/FROM refunds WHERE id = \$1/, () => [refundRow({ status: refundStatus })]);
+});
+
+describe('createRefund', () => {
+  it("refunds the owner's refund through the provider and settles the ledger", async () => {
+    provider.refund.mockResolvedValue({ id: 'fake_re_1', status: 'completed', amount: 30 });
+
+    const refund = await createRefund(PAYMENT_ID, OWNER, {});
+
+    expect(provider.refund).toHaveBeenCalledWith('fake_pi_1', { amount: 30, idempotencyKey: REFUND_ID });
+    expect(refund.status).toBe('completed');
+    expect(db.ran(/UPDATE orders SET payment_status = \$1/)[0].values).toEqual(['refunded', 'order-1']);
+    expect(notifyRefundProcessed).toHaveBeenCalledWith(CONSUMER.id, 30, 'order-1');
+  });
+
+  it('drops cached analytics once the refund completes', async () => {
+    provider.refund.mockResolvedValue({ id: 'fake_re_1', status: 'completed', amount: 30 });
+
+    await createRefund(PAYMENT_ID, OWNER, {});
+
+    expect(invalidateBusinessAnalytics).toHaveBeenCalledWith('business-1');
+  });
+
+  it('refunds what the units cost after their share of the discount, rounded per line', async () => {
+    provider.refund.mockResolvedValue({ id: 'fake_re_1', status: 'pending' });
+
+    await createRefund(PAYMENT_ID, OWNER, { items: [{ orderItemId: ORDER_ITEM_ID, quantity: 1 }] });
+
+    const [insert] = db.ran(/INSERT INTO refunds/);
+    expect(insert.values[3]).toBe(9.67);
+    expect(insert.values[4]).toBe('partial');
+    expect(db.ran(/INSERT INTO refund_items/)[0].values).toEqual([REFUND_ID, ORDER_ITEM_ID, 1, 9.67]);
+  });
+
+  it('leaves the refund pending when the provider gives no answer', async () => {
+    provider.refund.mockRejectedValue({ status: 502, code: 'PAYMENT_PROVIDER_ERROR', message: 'Timed out' });
+
+    const refund = await createRefund(PAYMENT_ID, OWNER, {});
+
+    expect(refund.status).toBe('pending');
+    expect(db.ran(/UPDATE refunds/)).toHaveLength(0);
+    expect(invalidateBusinessAnalytics).not.toHaveBeenCalled();
+  });
+
+  it('records a refund the provider turns down as failed', async () => {
+    provider.refund.mockResolvedValue({ id: null, status: 'failed', failureReason: 'Charge already refunded' });
+
+    const refund = await createRefund(PAYMENT_ID, OWNER, {});
+
+    expect(refund.status).toBe('failed');
+    expect(db.ran(/UPDATE payments SET refunded_amount/)).toHaveLength(0);
+    expect(invalidateBusinessAnalytics).not.toHaveBeenCalled();
+  });
+
+  it("waits for the owner's approval of a consumer's request", async () => {
+    const refund = await createRefund(PAYMENT_ID, CONSUMER, { reason: 'Damaged' });
+
+    expect(refund.status).toBe('requested');
+    expect(provider.refund).not.toHaveBeenCalled();
+    expect(notifyRefundRequested).toHaveBeenCalledWith(OWNER.id, 30, 'order-1');
+  });
+});
+
+describe('settlePendingRefunds', () => {
+  it('sends a refund the provider never answered for again, under the same idempotency key', async () => {
+    db.on(/SELECT id FROM refunds WHERE status = 'pending'/, [{ id: REFUND_ID }]);
+    provider.refund.mockResolvedValue({ id: 'fake_re_1', status: 'completed', amount: 30 });
+
+    expect(await settlePendingRefunds()).toBe(1);
+    expect(provider.refund).toHaveBeenCalledWith('fake_pi_1', { amount: 30, idempotencyKey: REFUND_ID });
+    expect(invalidateBusinessAnalytics).toHaveBeenCalledWith('business-1');
+  });
+
+  it('asks about refunds the provider is processing and settles the finished ones', async () => {
+    db.on(/SELECT id FROM refunds WHERE status = 'pending'/, [{ id: 'refund-2' }, { id: REFUND_ID }]);
+    db.on(/FROM refunds r JOIN payments p/, ([id]) => [{
+      ...refundRow({ id, provider_refund_id: `fake_re_${id}` }),
+      provider: 'fake',
+      provider_payment_id: 'fake_pi_1',
+      consumer_id: CONSUMER.id,
+      business_id: 'business-1'
+    }]);
+    provider.getRefund.mockImplementation(async (providerRefundId) => ({
+      id: providerRefundId,
+      status: providerRefundId === 'fake_re_refund-2' ? 'pending' : 'completed'
+    }));
+
+    expect(await settlePendingRefunds()).toBe(1);
+    expect(provider.refund).not.toHaveBeenCalled();
+    expect(db.ran(/UPDATE refunds SET status = 'completed'/)).toHaveLength(1);
+  });
+
+  it('carries on past a refund it could not check', async () => {
+    db.on(/SELECT id FROM refunds WHERE status = 'pending'/, [{ id: 'refund-2' }, { id: REFUND_ID }]);
+    db.on(/FROM refunds r JOIN payments p/, ([id]) => [{
+      ...refundRow({ id, provider_refund_id: id === 'refund-2' ? 'fake_re_2' : null }),
+      provider: 'fake',
+      provider_payment_id: 'fake_pi_1',
+      consumer_id: CONSUMER.id,
+      business_id: 'business-1'
+    }]);
+    provider.getRefund.mockRejectedValue({ status: 502, code: 'PAYMENT_PROVIDER_ERROR' });
+    provider.refund.mockResolvedValue({ id: 'fake_re_1', status: 'completed', amount: 30 });
+
+    expect(await settlePendingRefunds()).toBe(1);
+    expect(db.ran(/UPDATE refunds SET status = 'completed'/)[0].values).toEqual(['fake_re_1', REFUND_ID]);
+  });
+});
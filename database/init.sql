@@ -27,6 +27,21 @@ CREATE TABLE IF NOT EXISTS businesses (
   country VARCHAR(100),
   contact_email VARCHAR(255),
   contact_phone VARCHAR(50),
+  free_delivery_threshold DECIMAL(10,2),
+  -- Default reorder point for products without their own threshold
+  low_stock_threshold INTEGER NOT NULL DEFAULT 10 CHECK (low_stock_threshold >= 0),
+  -- Minutes after confirmation during which customers may still cancel; 0 allows pending orders only
+  cancellation_window_minutes INTEGER NOT NULL DEFAULT 0 CHECK (cancellation_window_minutes >= 0),
+  -- IANA timezone that operating hours and pickup slots are expressed in; taken from the
+  -- location when the owner doesn't set one
+  timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+  -- Weekly hours, e.g. [{"day": "monday", "open": "09:00", "close": "17:30"}]; missing days are closed
+  operating_hours JSONB NOT NULL DEFAULT '[]',
+  -- Whole days the business is closed, e.g. [{"date": "2024-12-25", "note": "Christmas"}]
+  holiday_closures JSONB NOT NULL DEFAULT '[]',
+  pickup_slot_minutes INTEGER NOT NULL DEFAULT 30 CHECK (pickup_slot_minutes BETWEEN 5 AND 240),
+  -- Pickup orders accepted per slot; NULL means pickups are not scheduled
+  pickup_slot_capacity INTEGER CHECK (pickup_slot_capacity > 0),
   verified BOOLEAN DEFAULT FALSE,
   rating DECIMAL(3,2) DEFAULT 0,
   total_ratings INTEGER DEFAULT 0,
@@ -44,11 +59,24 @@ CREATE TABLE IF NOT EXISTS products (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   business_id UUID REFERENCES businesses(id) ON DELETE CASCADE,
   name VARCHAR(255) NOT NULL,
+  sku VARCHAR(100),
   description TEXT,
+  -- List price; scheduled changes in price_changes are written here once due
   price DECIMAL(10,2) NOT NULL,
+  -- Sells at sale_price between sale_starts_at and sale_ends_at (NULL for open-ended) while it is below
+  -- the list price; variants with their own price keep it
+  sale_price DECIMAL(10,2) CHECK (sale_price > 0),
+  sale_starts_at TIMESTAMP,
+  sale_ends_at TIMESTAMP,
   quantity INTEGER NOT NULL DEFAULT 0,
+  -- Units held by pending orders; available stock is quantity - reserved_quantity
+  reserved_quantity INTEGER NOT NULL DEFAULT 0 CHECK (reserved_quantity >= 0),
+  -- Reorder point; NULL uses the business's low_stock_threshold
+  low_stock_threshold INTEGER CHECK (low_stock_threshold >= 0),
   category VARCHAR(100),
   images TEXT[],
+  -- Variant option types, e.g. [{"name": "Size", "values": ["S", "M", "L"]}]
+  options JSONB NOT NULL DEFAULT '[]',
   in_stock BOOLEAN GENERATED ALWAYS AS (quantity > 0) STORED,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -57,36 +85,408 @@ CREATE TABLE IF NOT EXISTS products (
 CREATE INDEX IF NOT EXISTS idx_products_business ON products(business_id);
 CREATE INDEX IF NOT EXISTS idx_products_category ON products(category);
 CREATE INDEX IF NOT EXISTS idx_products_in_stock ON products(in_stock);
+-- SKUs are optional but unique within a business (used to upsert on bulk import)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_products_business_sku ON products(business_id, sku) WHERE sku IS NOT NULL;
+
+-- Create product_variants table
+-- For products with variants, products.quantity and reserved_quantity are the sums over their variants
+CREATE TABLE IF NOT EXISTS product_variants (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+  sku VARCHAR(100),
+  -- One value per product option type, e.g. {"Size": "M", "Colour": "Red"}
+  options JSONB NOT NULL,
+  -- NULL uses the product price
+  price DECIMAL(10,2),
+  quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+  reserved_quantity INTEGER NOT NULL DEFAULT 0 CHECK (reserved_quantity >= 0),
+  images TEXT[],
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (product_id, options)
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_variants_product ON product_variants(product_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_variants_sku ON product_variants(product_id, sku) WHERE sku IS NOT NULL;
+
+-- Create price_changes table
+-- Queue of list price changes an SME has scheduled; a change counts from effective_at, even before the
+-- sweep writes it to products.price and sets applied_at
+CREATE TABLE IF NOT EXISTS price_changes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+  price DECIMAL(10,2) NOT NULL CHECK (price > 0),
+  effective_at TIMESTAMP NOT NULL,
+  applied_at TIMESTAMP,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_price_changes_product ON price_changes(product_id, effective_at);
+CREATE INDEX IF NOT EXISTS idx_price_changes_pending ON price_changes(effective_at) WHERE applied_at IS NULL;
+
+-- Create low_stock_alerts table
+-- One row per product currently below its threshold that the owner has been told about;
+-- removed when the product is restocked so the next drop alerts again
+CREATE TABLE IF NOT EXISTS low_stock_alerts (
+  product_id UUID PRIMARY KEY REFERENCES products(id) ON DELETE CASCADE,
+  notified_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create sold_out_products table
+-- Products with no stock left to sell, so consumers who saved one hear when it is back; the row is
+-- removed when stock is available again
+CREATE TABLE IF NOT EXISTS sold_out_products (
+  product_id UUID PRIMARY KEY REFERENCES products(id) ON DELETE CASCADE,
+  sold_out_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Products that were already sold out are tracked from the start too
+INSERT INTO sold_out_products (product_id)
+SELECT id FROM products WHERE quantity - reserved_quantity <= 0
+ON CONFLICT (product_id) DO NOTHING;
+
+-- Create sale_alerts table
+-- Products whose running sale consumers who saved them have been told about; removed when the sale ends
+CREATE TABLE IF NOT EXISTS sale_alerts (
+  product_id UUID PRIMARY KEY REFERENCES products(id) ON DELETE CASCADE,
+  notified_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create favourites table
+-- Products and businesses a consumer has saved; each row is one or the other
+CREATE TABLE IF NOT EXISTS favourites (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  consumer_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+  business_id UUID REFERENCES businesses(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK ((product_id IS NULL) <> (business_id IS NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_favourites_product ON favourites(consumer_id, product_id) WHERE product_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_favourites_business ON favourites(consumer_id, business_id) WHERE business_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_favourites_product_savers ON favourites(product_id) WHERE product_id IS NOT NULL;
+
+-- Create cart_items table
+-- A consumer's saved cart, one line per product and variant, so it follows them across devices
+CREATE TABLE IF NOT EXISTS cart_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  consumer_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+  variant_id UUID REFERENCES product_variants(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  -- Unit price when the line was last added or changed, to flag price changes since
+  unit_price DECIMAL(10,2) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_cart_items_consumer ON cart_items(consumer_id, created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_items_line
+  ON cart_items(consumer_id, product_id, COALESCE(variant_id, '00000000-0000-0000-0000-000000000000'::uuid));
+
+-- Create checkouts table (one per cart checked out; groups the per-business orders it was split into)
+CREATE TABLE IF NOT EXISTS checkouts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  consumer_id UUID REFERENCES users(id),
+  -- Sum of the order totals, delivery fees included, when the checkout was placed
+  total_amount DECIMAL(10,2) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_checkouts_consumer ON checkouts(consumer_id, created_at);
+
+-- Create promotions table
+-- SME discounts: coupon codes entered at checkout, or automatic discounts when code is NULL
+CREATE TABLE IF NOT EXISTS promotions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  business_id UUID REFERENCES businesses(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  code VARCHAR(50),
+  discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percent', 'fixed', 'buy_x_get_y')),
+  -- Percentage off, or amount off the qualifying items; NULL for buy_x_get_y
+  discount_value DECIMAL(10,2),
+  -- buy_x_get_y: for every buy_quantity qualifying units bought, get_quantity more are free (cheapest first)
+  buy_quantity INTEGER CHECK (buy_quantity > 0),
+  get_quantity INTEGER CHECK (get_quantity > 0),
+  -- Spend on qualifying items needed before the promotion applies
+  min_spend DECIMAL(10,2),
+  starts_at TIMESTAMP,
+  ends_at TIMESTAMP,
+  -- Orders the promotion can be used on in total, and per consumer; NULL is unlimited
+  usage_limit INTEGER CHECK (usage_limit > 0),
+  per_consumer_limit INTEGER CHECK (per_consumer_limit > 0),
+  usage_count INTEGER NOT NULL DEFAULT 0,
+  -- Scope; with neither set the promotion covers everything the business sells
+  product_ids UUID[] NOT NULL DEFAULT '{}',
+  categories TEXT[] NOT NULL DEFAULT '{}',
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotions_business ON promotions(business_id);
+-- Codes are case-insensitive and unique within a business
+CREATE UNIQUE INDEX IF NOT EXISTS idx_promotions_business_code ON promotions(business_id, UPPER(code)) WHERE code IS NOT NULL;
 
 -- Create orders table
 CREATE TABLE IF NOT EXISTS orders (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   consumer_id UUID REFERENCES users(id),
   business_id UUID REFERENCES businesses(id),
+  -- Checkout the order was placed in, together with the orders from the cart's other businesses
+  checkout_id UUID REFERENCES checkouts(id) ON DELETE SET NULL,
   total_amount DECIMAL(10,2) NOT NULL,
   status VARCHAR(50) NOT NULL,
   delivery_method VARCHAR(20) CHECK (delivery_method IN ('pickup', 'delivery')),
-  payment_status VARCHAR(20) CHECK (payment_status IN ('pending', 'completed', 'failed')),
+  payment_status VARCHAR(20) CHECK (payment_status IN ('pending', 'completed', 'failed', 'partially_refunded', 'refunded')),
+  delivery_address TEXT,
+  delivery_city VARCHAR(100),
+  delivery_postal_code VARCHAR(20),
+  delivery_country VARCHAR(100),
+  delivery_location GEOGRAPHY(POINT, 4326),
+  delivery_notes TEXT,
+  contact_phone VARCHAR(50),
+  delivery_fee DECIMAL(10,2) NOT NULL DEFAULT 0,
+  -- Promotion discount taken off the items; total_amount is after it
+  discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  -- Set while the order holds a stock reservation; cleared on confirmation, cancellation or expiry
+  reservation_expires_at TIMESTAMP,
+  -- When the business confirmed the order; starts the customer cancellation window
+  confirmed_at TIMESTAMP,
+  -- Reason code given when the customer cancelled the order themselves
+  cancellation_reason VARCHAR(30) CHECK (cancellation_reason IN ('ordered_by_mistake', 'found_cheaper', 'delivery_too_slow', 'changed_mind', 'other')),
+  -- Pickup slot the customer chose, for pickup orders from businesses that schedule pickups
+  pickup_slot_start TIMESTAMP,
+  pickup_slot_end TIMESTAMP,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE INDEX IF NOT EXISTS idx_orders_consumer ON orders(consumer_id);
 CREATE INDEX IF NOT EXISTS idx_orders_business ON orders(business_id);
+CREATE INDEX IF NOT EXISTS idx_orders_checkout ON orders(checkout_id);
 CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
+CREATE INDEX IF NOT EXISTS idx_orders_pickup_slot ON orders(business_id, pickup_slot_start) WHERE pickup_slot_start IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_orders_reservation_expiry ON orders(reservation_expires_at) WHERE reservation_expires_at IS NOT NULL;
 
 -- Create order_items table
 CREATE TABLE IF NOT EXISTS order_items (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
   product_id UUID REFERENCES products(id),
+  variant_id UUID REFERENCES product_variants(id) ON DELETE SET NULL,
+  -- Snapshot of the variant's options so the line stays readable if the variant is removed
+  variant_options JSONB,
   quantity INTEGER NOT NULL,
+  -- Unit price charged, before any promotion discount
   price_at_purchase DECIMAL(10,2) NOT NULL,
+  -- Regular unit price at purchase, and the sale price when the line was bought on sale
+  list_price_at_purchase DECIMAL(10,2),
+  sale_price_at_purchase DECIMAL(10,2),
+  -- This line's share of the order's promotion discount, for the whole quantity
+  discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE INDEX IF NOT EXISTS idx_order_items_order ON order_items(order_id);
 
+-- Create promotion_redemptions table (one row per order a promotion was applied to)
+CREATE TABLE IF NOT EXISTS promotion_redemptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  promotion_id UUID REFERENCES promotions(id) ON DELETE CASCADE,
+  order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+  consumer_id UUID REFERENCES users(id),
+  code VARCHAR(50),
+  discount_amount DECIMAL(10,2) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (promotion_id, order_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotion_redemptions_consumer ON promotion_redemptions(promotion_id, consumer_id);
+CREATE INDEX IF NOT EXISTS idx_promotion_redemptions_order ON promotion_redemptions(order_id);
+
+-- Create order_events table (order lifecycle history)
+CREATE TABLE IF NOT EXISTS order_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+  -- status: order status transition; payment: payment or refund outcome; delivery: courier progress;
+  -- return: return request progress
+  event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('status', 'payment', 'delivery', 'return')),
+  from_status VARCHAR(30),
+  to_status VARCHAR(30) NOT NULL,
+  -- NULL when the system or a courier made the change
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  note TEXT,
+  metadata JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_events_order ON order_events(order_id, created_at);
+
+-- Create inventory_movements table (stock ledger)
+CREATE TABLE IF NOT EXISTS inventory_movements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+  -- Set when the change was to one variant; quantities are always product totals
+  variant_id UUID REFERENCES product_variants(id) ON DELETE SET NULL,
+  movement_type VARCHAR(20) NOT NULL CHECK (movement_type IN ('initial', 'adjustment', 'sale', 'cancellation', 'import', 'return')),
+  quantity_change INTEGER NOT NULL,
+  quantity_before INTEGER NOT NULL,
+  quantity_after INTEGER NOT NULL,
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+  reason TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_product ON inventory_movements(product_id, created_at DESC);
+
+-- Create payments table
+-- One row per order paid. A checkout is paid with a single provider intent, recorded as one
+-- row per order sharing the provider_payment_id: each row is that business's settlement amount.
+CREATE TABLE IF NOT EXISTS payments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+  -- Set when the payment was made for a whole checkout
+  checkout_id UUID REFERENCES checkouts(id) ON DELETE SET NULL,
+  consumer_id UUID REFERENCES users(id),
+  provider VARCHAR(50) NOT NULL,
+  provider_payment_id VARCHAR(255) NOT NULL,
+  payment_method VARCHAR(50),
+  amount DECIMAL(10,2) NOT NULL,
+  currency VARCHAR(3) NOT NULL DEFAULT 'usd',
+  -- processing while a confirmation is waiting on the provider
+  status VARCHAR(20) NOT NULL CHECK (status IN ('pending', 'processing', 'completed', 'failed', 'cancelled', 'partially_refunded', 'refunded')),
+  refunded_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+  failure_reason TEXT,
+  completed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_provider_order ON payments(provider_payment_id, order_id);
+CREATE INDEX IF NOT EXISTS idx_payments_order ON payments(order_id);
+CREATE INDEX IF NOT EXISTS idx_payments_consumer ON payments(consumer_id);
+
+-- Create refunds table (refund ledger)
+CREATE TABLE IF NOT EXISTS refunds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  payment_id UUID REFERENCES payments(id) ON DELETE CASCADE,
+  order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+  requested_by UUID REFERENCES users(id),
+  amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+  refund_type VARCHAR(20) NOT NULL CHECK (refund_type IN ('full', 'partial')),
+  reason TEXT,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('requested', 'pending', 'completed', 'failed', 'rejected')),
+  provider_refund_id VARCHAR(255),
+  failure_reason TEXT,
+  completed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_order ON refunds(order_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_payment ON refunds(payment_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_pending ON refunds(updated_at) WHERE status = 'pending';
+
+-- Create refund_items table linking refunds to order line items
+CREATE TABLE IF NOT EXISTS refund_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  refund_id UUID REFERENCES refunds(id) ON DELETE CASCADE,
+  order_item_id UUID REFERENCES order_items(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  amount DECIMAL(10,2) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_refund_items_refund ON refund_items(refund_id);
+CREATE INDEX IF NOT EXISTS idx_refund_items_order_item ON refund_items(order_item_id);
+
+-- Create returns table (return and exchange requests on delivered orders)
+CREATE TABLE IF NOT EXISTS returns (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+  consumer_id UUID REFERENCES users(id),
+  reason VARCHAR(30) NOT NULL CHECK (reason IN ('damaged', 'wrong_item', 'not_as_described', 'defective', 'other')),
+  details TEXT,
+  -- URLs from the upload service
+  photos TEXT[],
+  status VARCHAR(20) NOT NULL CHECK (status IN ('requested', 'approved', 'rejected', 'received', 'resolved')),
+  -- What the customer asked for; the business makes the final call in resolution
+  requested_resolution VARCHAR(20) NOT NULL CHECK (requested_resolution IN ('refund', 'exchange')),
+  resolution VARCHAR(20) CHECK (resolution IN ('refund', 'exchange')),
+  -- Latest note from the business (rejection reason, receiving notes...)
+  business_note TEXT,
+  restocked BOOLEAN NOT NULL DEFAULT FALSE,
+  refund_id UUID REFERENCES refunds(id) ON DELETE SET NULL,
+  -- Free replacement order sent for an exchange
+  exchange_order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+  approved_at TIMESTAMP,
+  received_at TIMESTAMP,
+  resolved_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_returns_order ON returns(order_id);
+
+-- Create return_items table linking returns to order line items
+CREATE TABLE IF NOT EXISTS return_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  return_id UUID REFERENCES returns(id) ON DELETE CASCADE,
+  order_item_id UUID REFERENCES order_items(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_return_items_return ON return_items(return_id);
+CREATE INDEX IF NOT EXISTS idx_return_items_order_item ON return_items(order_item_id);
+
+-- Create deliveries table
+CREATE TABLE IF NOT EXISTS deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+  courier VARCHAR(50) NOT NULL,
+  external_id VARCHAR(255),
+  status VARCHAR(20) NOT NULL CHECK (status IN ('booked', 'picked_up', 'in_transit', 'delivered', 'cancelled', 'failed')),
+  fee DECIMAL(10,2) NOT NULL DEFAULT 0,
+  tracking_url TEXT,
+  driver_name VARCHAR(255),
+  driver_phone VARCHAR(50),
+  notes TEXT,
+  tracking_events JSONB NOT NULL DEFAULT '[]',
+  estimated_delivery_at TIMESTAMP,
+  delivered_at TIMESTAMP,
+  cancel_reason TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_deliveries_order ON deliveries(order_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_deliveries_courier_external ON deliveries(courier, external_id);
+
+-- Create delivery_zones table (radius tiers or polygons with a fee each)
+CREATE TABLE IF NOT EXISTS delivery_zones (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  business_id UUID REFERENCES businesses(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  zone_type VARCHAR(20) NOT NULL CHECK (zone_type IN ('radius', 'polygon')),
+  max_distance_km DECIMAL(6,2),
+  area GEOGRAPHY(POLYGON, 4326),
+  fee DECIMAL(10,2) NOT NULL CHECK (fee >= 0),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (
+    (zone_type = 'radius' AND max_distance_km IS NOT NULL) OR
+    (zone_type = 'polygon' AND area IS NOT NULL)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS idx_delivery_zones_business ON delivery_zones(business_id);
+CREATE INDEX IF NOT EXISTS idx_delivery_zones_area ON delivery_zones USING GIST(area);
+
 -- Create ratings table for bidirectional reviews
 CREATE TABLE IF NOT EXISTS ratings (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -109,11 +509,14 @@ CREATE TABLE IF NOT EXISTS messages (
   sender_id UUID REFERENCES users(id),
   receiver_id UUID REFERENCES users(id),
   content TEXT NOT NULL,
+  product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+  order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
   read BOOLEAN DEFAULT FALSE,
+  read_at TIMESTAMP,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
-CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(sender_id, receiver_id);
+CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(sender_id, receiver_id, created_at);
 CREATE INDEX IF NOT EXISTS idx_messages_receiver ON messages(receiver_id, read);
 
 -- Create notifications table
@@ -139,6 +542,54 @@ BEGIN
 END;
 $$ language 'plpgsql';
 
+-- Create function to check whether a business is open at an instant, in its own timezone
+-- Mirrors isOpenAt in backend/src/utils/businessHoursUtils.js: no hours means not known to be open,
+-- holiday closures close the whole day, and a close time at or before the open time runs past midnight
+CREATE OR REPLACE FUNCTION business_is_open_at(
+    hours JSONB,
+    closures JSONB,
+    tz TEXT,
+    at_time TIMESTAMPTZ
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    local_time TIMESTAMP := at_time AT TIME ZONE tz;
+    local_date DATE;
+    entry JSONB;
+    open_at TIMESTAMP;
+    close_at TIMESTAMP;
+BEGIN
+    IF hours IS NULL OR jsonb_array_length(hours) = 0 THEN
+        RETURN FALSE;
+    END IF;
+
+    -- Today's hours, then yesterday's in case they run past midnight
+    FOR day_offset IN 0..1 LOOP
+        local_date := local_time::date - day_offset;
+
+        CONTINUE WHEN closures @> jsonb_build_array(jsonb_build_object('date', to_char(local_date, 'YYYY-MM-DD')));
+
+        SELECT value INTO entry
+        FROM jsonb_array_elements(hours)
+        WHERE value->>'day' = to_char(local_date, 'FMday');
+
+        CONTINUE WHEN entry IS NULL OR COALESCE((entry->>'closed')::boolean, FALSE);
+
+        open_at := local_date + (entry->>'open')::time;
+        close_at := local_date + (entry->>'close')::time;
+        IF close_at <= open_at THEN
+            close_at := close_at + INTERVAL '1 day';
+        END IF;
+
+        IF local_time >= open_at AND local_time < close_at THEN
+            RETURN TRUE;
+        END IF;
+    END LOOP;
+
+    RETURN FALSE;
+END;
+$$ language 'plpgsql' STABLE;
+
 -- Create triggers for updated_at
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -149,5 +600,32 @@ CREATE TRIGGER update_businesses_updated_at BEFORE UPDATE ON businesses
 CREATE TRIGGER update_products_updated_at BEFORE UPDATE ON products
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_product_variants_updated_at BEFORE UPDATE ON product_variants
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_cart_items_updated_at BEFORE UPDATE ON cart_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_checkouts_updated_at BEFORE UPDATE ON checkouts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_promotions_updated_at BEFORE UPDATE ON promotions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_orders_updated_at BEFORE UPDATE ON orders
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_payments_updated_at BEFORE UPDATE ON payments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_refunds_updated_at BEFORE UPDATE ON refunds
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_returns_updated_at BEFORE UPDATE ON returns
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_deliveries_updated_at BEFORE UPDATE ON deliveries
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_delivery_zones_updated_at BEFORE UPDATE ON delivery_zones
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -20,7 +20,10 @@ import ProductInventoryPage from './pages/ProductInventoryPage';
 import ProductFormPage from './pages/ProductFormPage';
 import SMEOrderManagementPage from './pages/SMEOrderManagementPage';
 import SMEOrderDetailPage from './pages/SMEOrderDetailPage';
+import SMEPromotionsPage from './pages/SMEPromotionsPage';
 import NotificationsPage from './pages/NotificationsPage';
+import SavedPage from './pages/SavedPage';
+import MessagesPage from './pages/MessagesPage';
 import ProtectedRoute from './components/ProtectedRoute';
 
 function App() {
@@ -58,10 +61,7 @@ function App() {
             
             <Route path="/messages" element={
               <ProtectedRoute>
-                <div className="max-w-7xl mx-auto px-4 py-8">
-                  <h2 className="text-2xl font-bold text-gray-900 mb-4">Messages</h2>
-                  <p className="text-gray-600">Messaging interface coming soon...</p>
-                </div>
+                <MessagesPage />
               </ProtectedRoute>
             } />
             
@@ -77,6 +77,12 @@ function App() {
               </ProtectedRoute>
             } />
             
+            <Route path="/saved" element={
+              <ProtectedRoute allowedUserTypes={['consumer']}>
+                <SavedPage />
+              </ProtectedRoute>
+            } />
+            
             <Route path="/checkout" element={
               <ProtectedRoute allowedUserTypes={['consumer']}>
                 <CheckoutPage />
@@ -114,6 +120,7 @@ function App() {
               <Route path="products/:productId/edit" element={<ProductFormPage />} />
               <Route path="orders" element={<SMEOrderManagementPage />} />
               <Route path="orders/:orderId" element={<SMEOrderDetailPage />} />
+              <Route path="promotions" element={<SMEPromotionsPage />} />
             </Route>
           </Routes>
         </main>
@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import orderService from '../services/orderService';
+import useCartStore from '../store/cartStore';
+
+/**
+ * Adds a past order's items to the cart at today's prices and opens the cart
+ * The cart is told which items couldn't be added and which changed price, so it can say so.
+ */
+function BuyAgainButton({ orderId, className = '' }) {
+  const navigate = useNavigate();
+  const addItems = useCartStore((state) => state.addItems);
+  const [adding, setAdding] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleClick = async () => {
+    setAdding(true);
+    setError(null);
+
+    try {
+      const { reorder } = await orderService.reorder(orderId);
+
+      if (reorder.items.length === 0) {
+        setError(
+          reorder.unavailable.length > 0
+            ? `None of these items can be bought right now. ${reorder.unavailable.map((item) => item.message).join('. ')}`
+            : 'None of these items can be bought right now'
+        );
+        return;
+      }
+
+      await addItems(reorder.items);
+      navigate('/cart', {
+        state: { reorder: { unavailable: reorder.unavailable, priceChanges: reorder.priceChanges } },
+      });
+    } catch (err) {
+      console.error('Error reordering:', err);
+      setError(err.response?.data?.error?.message || 'Failed to add these items to your cart');
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  return (
+    <>
+      <button type="button" onClick={handleClick} disabled={adding} className={`disabled:opacity-50 ${className}`}>
+        {adding ? 'Adding...' : 'Buy Again'}
+      </button>
+      {error && <p className="text-sm text-red-700 basis-full">{error}</p>}
+    </>
+  );
+}
+
+export default BuyAgainButton;
@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import orderService from '../services/orderService';
+import { CANCELLATION_REASONS } from '../utils/orderUtils';
+
+/**
+ * Lets a customer cancel their order while the business still allows it
+ * Pending orders can always be cancelled; confirmed ones only until the deadline.
+ */
+function CancelOrderPanel({ order, onCancelled }) {
+  const [showForm, setShowForm] = useState(false);
+  const [reason, setReason] = useState('');
+  const [note, setNote] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!order.consumerCancellable) {
+    return null;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      await orderService.cancelOrder(order.id, reason, note.trim() || undefined);
+      setShowForm(false);
+      onCancelled?.();
+    } catch (err) {
+      console.error('Error cancelling order:', err);
+      setError(err.response?.data?.error?.message || 'Failed to cancel order');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const deadline = order.consumerCancelDeadline ? new Date(order.consumerCancelDeadline) : null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-xl font-bold text-gray-900 mb-1">Cancel Order</h2>
+          <p className="text-sm text-gray-600">
+            {deadline
+              ? `You can cancel this order until ${deadline.toLocaleString('en-US', {
+                month: 'short',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit',
+              })}.`
+              : 'You can cancel this order until the business confirms it.'}
+          </p>
+        </div>
+        {!showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="px-4 py-2 bg-red-600 text-white font-medium rounded-lg hover:bg-red-700 transition-colors"
+          >
+            Cancel Order
+          </button>
+        )}
+      </div>
+
+      {error && <p className="mt-4 text-sm text-red-700">{error}</p>}
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="mt-4 p-4 bg-gray-50 rounded-lg space-y-4">
+          <div>
+            <label htmlFor="cancellationReason" className="block text-sm font-medium text-gray-700 mb-1">
+              Why are you cancelling?
+            </label>
+            <select
+              id="cancellationReason"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              required
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">Select a reason</option>
+              {Object.entries(CANCELLATION_REASONS).map(([code, label]) => (
+                <option key={code} value={code}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder={reason === 'other' ? 'Tell the business why' : 'Anything else the business should know (optional)'}
+            required={reason === 'other'}
+            maxLength={1000}
+            rows={2}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={submitting}
+              className="px-4 py-2 bg-red-600 text-white font-medium rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {submitting ? 'Cancelling...' : 'Confirm Cancellation'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 bg-gray-200 text-gray-700 font-medium rounded-lg hover:bg-gray-300 transition-colors"
+            >
+              Keep Order
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default CancelOrderPanel;
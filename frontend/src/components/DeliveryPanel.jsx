@@ -0,0 +1,316 @@
+import React, { useEffect, useState } from 'react';
+import deliveryService from '../services/deliveryService';
+import orderService from '../services/orderService';
+
+const ACTIVE_STATUSES = ['booked', 'picked_up', 'in_transit'];
+
+const deliveryStatusColors = {
+  booked: 'bg-blue-100 text-blue-800',
+  picked_up: 'bg-purple-100 text-purple-800',
+  in_transit: 'bg-indigo-100 text-indigo-800',
+  delivered: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-100 text-gray-800',
+  failed: 'bg-red-100 text-red-800',
+};
+
+const deliveryStatusLabels = {
+  booked: 'Booked',
+  picked_up: 'Picked Up',
+  in_transit: 'In Transit',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled',
+  failed: 'Failed',
+};
+
+// Next step a business reports for its own deliveries
+const selfDeliveryNextStatus = {
+  booked: { status: 'picked_up', label: 'Mark Picked Up' },
+  picked_up: { status: 'in_transit', label: 'Mark In Transit' },
+  in_transit: { status: 'delivered', label: 'Mark Delivered' },
+};
+
+/**
+ * Courier booking and tracking for a delivery order
+ * Business owners book a courier or self-delivery once the order is ready;
+ * both sides can follow the delivery's progress.
+ */
+function DeliveryPanel({ order, isBusinessOwner = false, onDeliveryChange }) {
+  const [deliveries, setDeliveries] = useState([]);
+  const [options, setOptions] = useState([]);
+  const [selectedOption, setSelectedOption] = useState('');
+  const [notes, setNotes] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (order?.id && order.deliveryMethod === 'delivery') {
+      fetchDeliveries();
+    }
+  }, [order?.id, order?.status]);
+
+  const fetchDeliveries = async () => {
+    setLoading(true);
+
+    try {
+      const response = await deliveryService.getDeliveryHistory({ orderId: order.id });
+      let orderDeliveries = response.deliveries || [];
+
+      // Refresh the active delivery from the courier
+      const active = orderDeliveries.find((d) => ACTIVE_STATUSES.includes(d.status));
+      if (active) {
+        const tracked = await deliveryService.trackDelivery(active.id);
+        orderDeliveries = orderDeliveries.map((d) => (d.id === active.id ? tracked.delivery : d));
+
+        if (tracked.delivery.status !== active.status && !ACTIVE_STATUSES.includes(tracked.delivery.status)) {
+          onDeliveryChange?.();
+        }
+      }
+
+      setDeliveries(orderDeliveries);
+
+      if (isBusinessOwner && order.status === 'ready' && !active) {
+        const optionsResponse = await deliveryService.getDeliveryOptions(order.id);
+        setOptions(optionsResponse.options || []);
+        setSelectedOption((prev) => prev || optionsResponse.options?.[0]?.id || '');
+      }
+    } catch (err) {
+      console.error('Error fetching deliveries:', err);
+      setError('Unable to load delivery information');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runAction = async (action, fallbackMessage) => {
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      await action();
+      await fetchDeliveries();
+      onDeliveryChange?.();
+    } catch (err) {
+      console.error('Error updating delivery:', err);
+      setError(err.response?.data?.error?.message || fallbackMessage);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleBook = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      await deliveryService.bookDelivery(order.id, selectedOption, { notes });
+      setNotes('');
+    }, 'Failed to book delivery');
+  };
+
+  const handleCancel = (deliveryId) => {
+    const reason = window.prompt('Reason for cancelling this delivery (optional)');
+    if (reason === null) {
+      return;
+    }
+    runAction(() => deliveryService.cancelDelivery(deliveryId, reason), 'Failed to cancel delivery');
+  };
+
+  const handleStatusUpdate = (deliveryId, status) => {
+    const note = status === 'failed' ? window.prompt('What went wrong?') || '' : '';
+    runAction(
+      () => deliveryService.updateDeliveryStatus(deliveryId, status, note),
+      'Failed to update delivery'
+    );
+  };
+
+  const handleMarkDelivered = () => {
+    runAction(
+      () => orderService.updateOrderStatus(order.id, 'delivered'),
+      'Failed to update order status'
+    );
+  };
+
+  if (order?.deliveryMethod !== 'delivery' || loading) {
+    return null;
+  }
+
+  const activeDelivery = deliveries.find((d) => ACTIVE_STATUSES.includes(d.status));
+  const canBook = isBusinessOwner && order.status === 'ready' && !activeDelivery;
+
+  if (!canBook && deliveries.length === 0 && !(isBusinessOwner && order.status === 'out_for_delivery')) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <h2 className="text-xl font-bold text-gray-900 mb-4">Delivery Tracking</h2>
+
+      {error && <p className="mb-4 text-sm text-red-700">{error}</p>}
+
+      {canBook && (
+        <form onSubmit={handleBook} className="mb-6 p-4 bg-gray-50 rounded-lg space-y-4">
+          {options.length === 0 ? (
+            <p className="text-sm text-gray-600">No delivery services are available for this order.</p>
+          ) : (
+            <>
+              <div className="space-y-2">
+                {options.map((option) => (
+                  <label
+                    key={option.id}
+                    className="flex items-center justify-between p-3 border border-gray-200 rounded-lg cursor-pointer hover:bg-white"
+                  >
+                    <span className="flex items-center">
+                      <input
+                        type="radio"
+                        name="deliveryService"
+                        value={option.id}
+                        checked={selectedOption === option.id}
+                        onChange={(e) => setSelectedOption(e.target.value)}
+                        className="mr-3"
+                      />
+                      <span className="text-gray-900">{option.name}</span>
+                    </span>
+                    <span className="text-sm text-gray-600">
+                      ${option.fee.toFixed(2)}
+                      {option.estimatedMinutes && ` · ~${option.estimatedMinutes} min`}
+                    </span>
+                  </label>
+                ))}
+              </div>
+              <textarea
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                placeholder="Notes for the driver (optional)"
+                rows={2}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                type="submit"
+                disabled={submitting || !selectedOption}
+                className="px-6 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {submitting ? 'Booking...' : 'Book Delivery'}
+              </button>
+            </>
+          )}
+        </form>
+      )}
+
+      {/* Orders sent out before courier booking existed have no delivery record */}
+      {isBusinessOwner && order.status === 'out_for_delivery' && !activeDelivery && (
+        <button
+          onClick={handleMarkDelivered}
+          disabled={submitting}
+          className="mb-4 px-6 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Mark as Delivered
+        </button>
+      )}
+
+      <div className="space-y-6">
+        {deliveries.map((delivery) => (
+          <div key={delivery.id} className="border-b border-gray-200 pb-4 last:border-b-0 last:pb-0">
+            <div className="flex items-center justify-between mb-2">
+              <div>
+                <p className="font-semibold text-gray-900">{delivery.deliveryServiceName}</p>
+                {delivery.driver && (
+                  <p className="text-sm text-gray-600">
+                    Driver: {delivery.driver.name}
+                    {delivery.driver.phone && ` (${delivery.driver.phone})`}
+                  </p>
+                )}
+                {delivery.estimatedDeliveryAt && ACTIVE_STATUSES.includes(delivery.status) && (
+                  <p className="text-sm text-gray-600">
+                    Estimated arrival{' '}
+                    {new Date(delivery.estimatedDeliveryAt).toLocaleTimeString('en-US', {
+                      hour: '2-digit',
+                      minute: '2-digit',
+                    })}
+                  </p>
+                )}
+              </div>
+              <span
+                className={`px-3 py-1 rounded-full text-xs font-medium ${
+                  deliveryStatusColors[delivery.status] || 'bg-gray-100 text-gray-800'
+                }`}
+              >
+                {deliveryStatusLabels[delivery.status] || delivery.status}
+              </span>
+            </div>
+
+            {delivery.trackingUrl && (
+              <a
+                href={delivery.trackingUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-sm text-blue-600 hover:text-blue-700"
+              >
+                Open courier tracking
+              </a>
+            )}
+
+            <ol className="mt-3 space-y-1 text-sm text-gray-600">
+              {delivery.trackingEvents.map((event, index) => (
+                <li key={index}>
+                  <span className="font-medium text-gray-900">
+                    {deliveryStatusLabels[event.status] || event.status}
+                  </span>{' '}
+                  ·{' '}
+                  {new Date(event.at).toLocaleString('en-US', {
+                    month: 'short',
+                    day: 'numeric',
+                    hour: '2-digit',
+                    minute: '2-digit',
+                  })}
+                  {event.note && ` — ${event.note}`}
+                </li>
+              ))}
+            </ol>
+
+            {isBusinessOwner && ACTIVE_STATUSES.includes(delivery.status) && (
+              <div className="mt-3 flex flex-wrap gap-3">
+                {delivery.deliveryServiceId === 'self' && (
+                  <>
+                    <button
+                      onClick={() =>
+                        handleStatusUpdate(delivery.id, selfDeliveryNextStatus[delivery.status].status)
+                      }
+                      disabled={submitting}
+                      className="px-4 py-1 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      {selfDeliveryNextStatus[delivery.status].label}
+                    </button>
+                    <button
+                      onClick={() => handleStatusUpdate(delivery.id, 'failed')}
+                      disabled={submitting}
+                      className="px-4 py-1 bg-gray-200 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-300 disabled:opacity-50"
+                    >
+                      Report Failed
+                    </button>
+                  </>
+                )}
+                <button
+                  onClick={() => handleCancel(delivery.id)}
+                  disabled={submitting}
+                  className="px-4 py-1 bg-red-600 text-white text-sm font-medium rounded-lg hover:bg-red-700 disabled:opacity-50"
+                >
+                  Cancel Delivery
+                </button>
+              </div>
+            )}
+
+            {!isBusinessOwner && ACTIVE_STATUSES.includes(delivery.status) && (
+              <button
+                onClick={fetchDeliveries}
+                className="mt-3 text-sm text-blue-600 hover:text-blue-700"
+              >
+                Refresh status
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default DeliveryPanel;
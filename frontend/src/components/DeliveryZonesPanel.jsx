@@ -0,0 +1,262 @@
+import React, { useEffect, useState } from 'react';
+import businessService from '../services/businessService';
+
+const emptyZone = {
+  name: '',
+  zoneType: 'radius',
+  maxDistanceKm: '',
+  polygon: '',
+  fee: '',
+};
+
+/**
+ * Parse "longitude, latitude" lines into coordinate pairs
+ */
+const parsePolygon = (text) =>
+  text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => line.split(',').map((part) => parseFloat(part.trim())));
+
+/**
+ * Delivery fee settings for a business
+ * Radius tiers charge by distance from the business; polygons cover specific
+ * areas and take priority over radius tiers.
+ */
+function DeliveryZonesPanel({ businessId }) {
+  const [zones, setZones] = useState([]);
+  const [defaultFee, setDefaultFee] = useState(null);
+  const [threshold, setThreshold] = useState('');
+  const [newZone, setNewZone] = useState(emptyZone);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (businessId) {
+      fetchZones();
+    }
+  }, [businessId]);
+
+  const applyResponse = (response) => {
+    setZones(response.zones || []);
+    setDefaultFee(response.defaultFee);
+    setThreshold(response.freeDeliveryThreshold !== null ? String(response.freeDeliveryThreshold) : '');
+  };
+
+  const fetchZones = async () => {
+    setLoading(true);
+
+    try {
+      applyResponse(await businessService.getDeliveryZones(businessId));
+    } catch (err) {
+      console.error('Error fetching delivery zones:', err);
+      setError('Failed to load delivery zones');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runAction = async (action, fallbackMessage) => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      await action();
+    } catch (err) {
+      console.error('Error updating delivery settings:', err);
+      setError(err.response?.data?.error?.message || fallbackMessage);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveThreshold = () => {
+    runAction(async () => {
+      const response = await businessService.updateDeliveryPolicy(
+        businessId,
+        threshold === '' ? null : parseFloat(threshold)
+      );
+      applyResponse(response);
+    }, 'Failed to update free-delivery threshold');
+  };
+
+  const handleZoneChange = (e) => {
+    const { name, value } = e.target;
+    setNewZone((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleAddZone = (e) => {
+    e.preventDefault();
+
+    const zoneData = {
+      name: newZone.name,
+      zoneType: newZone.zoneType,
+      fee: parseFloat(newZone.fee),
+      ...(newZone.zoneType === 'radius'
+        ? { maxDistanceKm: parseFloat(newZone.maxDistanceKm) }
+        : { polygon: parsePolygon(newZone.polygon) }),
+    };
+
+    runAction(async () => {
+      await businessService.createDeliveryZone(businessId, zoneData);
+      setNewZone(emptyZone);
+      await fetchZones();
+    }, 'Failed to add delivery zone');
+  };
+
+  const handleDeleteZone = (zoneId) => {
+    if (!window.confirm('Delete this delivery zone?')) {
+      return;
+    }
+
+    runAction(async () => {
+      await businessService.deleteDeliveryZone(businessId, zoneId);
+      await fetchZones();
+    }, 'Failed to delete delivery zone');
+  };
+
+  if (loading) {
+    return null;
+  }
+
+  return (
+    <div className="mt-6 bg-white shadow rounded-lg">
+      <div className="px-6 py-5 space-y-6">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Delivery Fees</h2>
+          <p className="mt-1 text-sm text-gray-600">
+            {zones.length === 0
+              ? `No zones configured yet. Every delivery is charged the standard $${defaultFee?.toFixed(2)} fee.`
+              : 'Orders outside every zone cannot be delivered. Areas take priority over distance tiers.'}
+          </p>
+        </div>
+
+        {error && <p className="text-sm text-red-700">{error}</p>}
+
+        {/* Free Delivery Threshold */}
+        <div>
+          <label htmlFor="freeDeliveryThreshold" className="block text-sm font-medium text-gray-700">
+            Free delivery for orders over ($)
+          </label>
+          <div className="mt-1 flex gap-3">
+            <input
+              type="number"
+              id="freeDeliveryThreshold"
+              min="0"
+              step="0.01"
+              value={threshold}
+              onChange={(e) => setThreshold(e.target.value)}
+              placeholder="No free delivery"
+              className="block w-48 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+            />
+            <button
+              type="button"
+              onClick={handleSaveThreshold}
+              disabled={saving}
+              className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+
+        {/* Existing Zones */}
+        {zones.length > 0 && (
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+            {zones.map((zone) => (
+              <li key={zone.id} className="px-4 py-3 flex items-center justify-between text-sm">
+                <div>
+                  <p className="font-medium text-gray-900">{zone.name}</p>
+                  <p className="text-gray-600">
+                    {zone.zoneType === 'radius'
+                      ? `Up to ${zone.maxDistanceKm} km`
+                      : `Area with ${zone.polygon.length - 1} points`}{' '}
+                    · ${zone.fee.toFixed(2)}
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleDeleteZone(zone.id)}
+                  disabled={saving}
+                  className="text-red-600 hover:text-red-700 disabled:opacity-50"
+                >
+                  Delete
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {/* Add Zone */}
+        <form onSubmit={handleAddZone} className="p-4 bg-gray-50 rounded-md space-y-4">
+          <h3 className="text-sm font-medium text-gray-900">Add a zone</h3>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <input
+              type="text"
+              name="name"
+              value={newZone.name}
+              onChange={handleZoneChange}
+              placeholder="Zone name"
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              required
+            />
+            <select
+              name="zoneType"
+              value={newZone.zoneType}
+              onChange={handleZoneChange}
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+            >
+              <option value="radius">Distance tier</option>
+              <option value="polygon">Area (polygon)</option>
+            </select>
+            <input
+              type="number"
+              name="fee"
+              min="0"
+              step="0.01"
+              value={newZone.fee}
+              onChange={handleZoneChange}
+              placeholder="Fee ($)"
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              required
+            />
+          </div>
+          {newZone.zoneType === 'radius' ? (
+            <input
+              type="number"
+              name="maxDistanceKm"
+              min="0.1"
+              step="0.1"
+              value={newZone.maxDistanceKm}
+              onChange={handleZoneChange}
+              placeholder="Maximum distance (km)"
+              className="block w-full md:w-1/3 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              required
+            />
+          ) : (
+            <textarea
+              name="polygon"
+              value={newZone.polygon}
+              onChange={handleZoneChange}
+              rows={4}
+              placeholder={'One "longitude, latitude" point per line, at least 3 points'}
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+              required
+            />
+          )}
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {saving ? 'Saving...' : 'Add Zone'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default DeliveryZonesPanel;
@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import analyticsService from '../services/analyticsService';
+
+const DATASETS = {
+  orders: {
+    label: 'Orders with line items',
+    statuses: [
+      { value: 'pending', label: 'Pending' },
+      { value: 'confirmed', label: 'Confirmed' },
+      { value: 'ready', label: 'Ready' },
+      { value: 'out_for_delivery', label: 'Out for Delivery' },
+      { value: 'delivered', label: 'Delivered' },
+      { value: 'cancelled', label: 'Cancelled' },
+    ],
+  },
+  products: {
+    label: 'Product inventory',
+    statuses: [
+      { value: 'in_stock', label: 'In stock' },
+      { value: 'low_stock', label: 'Low stock' },
+      { value: 'out_of_stock', label: 'Out of stock' },
+    ],
+  },
+  ratings: {
+    label: 'Rating history',
+    statuses: [
+      { value: 'received', label: 'Received' },
+      { value: 'given', label: 'Given' },
+    ],
+  },
+  analytics: {
+    label: 'Analytics summary',
+    statuses: [],
+  },
+};
+
+/**
+ * Spreadsheet export for SME bookkeeping
+ * Downloads orders, inventory, ratings or the analytics summary as CSV or XLSX.
+ */
+function ExportPanel({ businessId }) {
+  const [dataset, setDataset] = useState('orders');
+  const [format, setFormat] = useState('csv');
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [statuses, setStatuses] = useState([]);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleDatasetChange = (e) => {
+    setDataset(e.target.value);
+    setStatuses([]);
+  };
+
+  const toggleStatus = (status) => {
+    setStatuses((prev) =>
+      prev.includes(status) ? prev.filter((s) => s !== status) : [...prev, status]
+    );
+  };
+
+  const handleExport = async (e) => {
+    e.preventDefault();
+    setExporting(true);
+    setError(null);
+
+    try {
+      const blob = await analyticsService.exportData(businessId, format, {
+        dataset,
+        start_date: startDate || undefined,
+        end_date: endDate || undefined,
+        status: statuses.length > 0 ? statuses.join(',') : undefined,
+      });
+
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${dataset}-${new Date().toISOString().slice(0, 10)}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting data:', err);
+      setError('Failed to export data');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleExport} className="bg-white rounded-lg shadow-sm p-6 mb-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4">Export</h2>
+
+      {error && <p className="mb-4 text-sm text-red-700">{error}</p>}
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div>
+          <label htmlFor="exportDataset" className="block text-sm font-medium text-gray-700 mb-1">
+            Data
+          </label>
+          <select
+            id="exportDataset"
+            value={dataset}
+            onChange={handleDatasetChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {Object.entries(DATASETS).map(([value, { label }]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="exportStartDate" className="block text-sm font-medium text-gray-700 mb-1">
+            From
+          </label>
+          <input
+            type="date"
+            id="exportStartDate"
+            value={startDate}
+            onChange={(e) => setStartDate(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label htmlFor="exportEndDate" className="block text-sm font-medium text-gray-700 mb-1">
+            To
+          </label>
+          <input
+            type="date"
+            id="exportEndDate"
+            value={endDate}
+            min={startDate || undefined}
+            onChange={(e) => setEndDate(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label htmlFor="exportFormat" className="block text-sm font-medium text-gray-700 mb-1">
+            Format
+          </label>
+          <select
+            id="exportFormat"
+            value={format}
+            onChange={(e) => setFormat(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="csv">CSV</option>
+            <option value="xlsx">Excel (XLSX)</option>
+          </select>
+        </div>
+      </div>
+
+      {DATASETS[dataset].statuses.length > 0 && (
+        <div className="mt-4 flex flex-wrap gap-4">
+          {DATASETS[dataset].statuses.map(({ value, label }) => (
+            <label key={value} className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={statuses.includes(value)}
+                onChange={() => toggleStatus(value)}
+                className="mr-2 h-4 w-4 text-blue-600 border-gray-300 rounded"
+              />
+              {label}
+            </label>
+          ))}
+          <span className="text-xs text-gray-500 self-center">Leave all unchecked to include everything</span>
+        </div>
+      )}
+
+      <button
+        type="submit"
+        disabled={exporting || !businessId}
+        className="mt-4 px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {exporting ? 'Exporting...' : 'Download'}
+      </button>
+    </form>
+  );
+}
+
+export default ExportPanel;
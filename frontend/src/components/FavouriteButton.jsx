@@ -0,0 +1,59 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import useAuthStore from '../store/authStore';
+import useFavouriteStore from '../store/favouriteStore';
+
+/**
+ * Heart that saves or unsaves a product or business
+ * Signed-out visitors are sent to log in; business accounts don't see it.
+ * @param {'product'|'business'} kind
+ */
+function FavouriteButton({ kind, id, className = '' }) {
+  const navigate = useNavigate();
+  const { isAuthenticated, user } = useAuthStore();
+  const saved = useFavouriteStore((state) =>
+    (kind === 'product' ? state.productIds : state.businessIds).includes(id)
+  );
+  const toggleFavourite = useFavouriteStore((state) => state.toggleFavourite);
+
+  if (user && user.userType !== 'consumer') {
+    return null;
+  }
+
+  const handleClick = (e) => {
+    // Hearts sit on cards that link elsewhere
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (!isAuthenticated) {
+      navigate('/login');
+      return;
+    }
+
+    toggleFavourite(kind, id);
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      aria-pressed={saved}
+      aria-label={saved ? 'Remove from saved' : 'Save'}
+      title={saved ? 'Remove from saved' : 'Save'}
+      className={`p-2 rounded-full bg-white/90 shadow-sm hover:bg-white transition-colors ${
+        saved ? 'text-red-500' : 'text-gray-400 hover:text-red-500'
+      } ${className}`}
+    >
+      <svg className="w-5 h-5" fill={saved ? 'currentColor' : 'none'} stroke="currentColor" viewBox="0 0 24 24">
+        <path
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          strokeWidth={2}
+          d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"
+        />
+      </svg>
+    </button>
+  );
+}
+
+export default FavouriteButton;
@@ -0,0 +1,126 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import productService from '../services/productService';
+import { formatVariantOptions } from '../utils/variantUtils';
+
+const movementLabels = {
+  initial: 'Opening stock',
+  adjustment: 'Manual adjustment',
+  sale: 'Sale',
+  cancellation: 'Cancellation restock',
+  import: 'CSV import',
+  return: 'Return',
+};
+
+const movementColors = {
+  initial: 'bg-gray-400',
+  adjustment: 'bg-blue-500',
+  sale: 'bg-green-500',
+  cancellation: 'bg-yellow-500',
+  import: 'bg-purple-500',
+  return: 'bg-orange-500',
+};
+
+/**
+ * Timeline of a product's inventory movements for reconciling stock
+ */
+function InventoryHistory({ productId }) {
+  const [movements, setMovements] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchHistory = async (before) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const response = await productService.getInventoryHistory(productId, { before });
+      setMovements((prev) => (before ? [...prev, ...response.movements] : response.movements));
+      setHasMore(response.hasMore);
+    } catch (err) {
+      console.error('Error fetching inventory history:', err);
+      setError('Failed to load inventory history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchHistory();
+  }, [productId]);
+
+  if (error) {
+    return <p className="text-sm text-red-700">{error}</p>;
+  }
+
+  if (!loading && movements.length === 0) {
+    return <p className="text-sm text-gray-500">No inventory changes recorded yet.</p>;
+  }
+
+  return (
+    <div>
+      <ol className="relative border-l border-gray-200 ml-2">
+        {movements.map((movement) => (
+          <li key={movement.id} className="mb-4 ml-4">
+            <span
+              className={`absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full ${movementColors[movement.type]}`}
+            />
+            <div className="flex flex-wrap items-baseline gap-x-3">
+              <span className="text-sm font-medium text-gray-900">
+                {movementLabels[movement.type] || movement.type}
+              </span>
+              {movement.variantOptions && (
+                <span className="text-sm text-gray-700">
+                  {formatVariantOptions(movement.variantOptions)}
+                </span>
+              )}
+              <span
+                className={`text-sm font-semibold ${
+                  movement.quantityChange > 0 ? 'text-green-700' : 'text-red-700'
+                }`}
+              >
+                {movement.quantityChange > 0 ? '+' : ''}
+                {movement.quantityChange}
+              </span>
+              <span className="text-sm text-gray-500">
+                {movement.quantityBefore} → {movement.quantityAfter}
+              </span>
+              <time className="text-xs text-gray-400">
+                {new Date(movement.createdAt).toLocaleString()}
+              </time>
+            </div>
+            <p className="text-xs text-gray-500">
+              {movement.actorEmail && <span>By {movement.actorEmail}</span>}
+              {movement.reason && <span> · {movement.reason}</span>}
+              {movement.orderId && (
+                <span>
+                  {' · '}
+                  <Link
+                    to={`/dashboard/orders/${movement.orderId}`}
+                    className="text-blue-600 hover:text-blue-700"
+                  >
+                    Order #{movement.orderId.slice(0, 8)}
+                  </Link>
+                </span>
+              )}
+            </p>
+          </li>
+        ))}
+      </ol>
+
+      {loading && <p className="text-sm text-gray-500">Loading history...</p>}
+
+      {hasMore && !loading && (
+        <button
+          onClick={() => fetchHistory(movements[movements.length - 1].createdAt)}
+          className="text-sm text-blue-600 hover:text-blue-700"
+        >
+          Load older changes
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default InventoryHistory;
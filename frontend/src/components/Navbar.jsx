@@ -1,18 +1,32 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import useAuthStore from '../store/authStore';
 import useCartStore from '../store/cartStore';
+import useFavouriteStore from '../store/favouriteStore';
 import NotificationDropdown from './NotificationDropdown';
 
 function Navbar() {
   const { isAuthenticated, user, logout } = useAuthStore();
-  const { getItemCount } = useCartStore();
+  const { getItemCount, loadCart } = useCartStore();
+  const loadFavourites = useFavouriteStore((state) => state.loadFavourites);
   const navigate = useNavigate();
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
 
   const cartItemCount = getItemCount();
 
+  // A session carried over from an earlier visit picks up the saved cart and favourites; logins load them themselves
+  useEffect(() => {
+    if (isAuthenticated) {
+      loadCart();
+    }
+    if (isAuthenticated && user?.userType !== 'sme') {
+      loadFavourites().catch((error) => {
+        console.error('Error loading favourites:', error);
+      });
+    }
+  }, []);
+
   const handleLogout = () => {
     logout();
     navigate('/login');
@@ -114,6 +128,14 @@ function Navbar() {
                 >
                   Messages
                 </Link>
+                {user?.userType === 'consumer' && (
+                  <Link
+                    to="/saved"
+                    className="text-gray-700 hover:text-blue-600 font-medium transition-colors"
+                  >
+                    Saved
+                  </Link>
+                )}
                 
                 {/* Notification Dropdown */}
                 <NotificationDropdown />
@@ -309,6 +331,16 @@ function Navbar() {
                   Messages
                 </Link>
                 
+                {user?.userType === 'consumer' && (
+                  <Link
+                    to="/saved"
+                    onClick={() => setIsMobileMenuOpen(false)}
+                    className="block px-3 py-2 rounded-md text-base font-medium text-gray-700 hover:text-blue-600 hover:bg-gray-50"
+                  >
+                    Saved
+                  </Link>
+                )}
+                
                 {user?.userType === 'consumer' && (
                   <Link
                     to="/cart"
@@ -35,6 +35,11 @@ const notificationIcons = {
       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16V6a1 1 0 00-1-1H4a1 1 0 00-1 1v10a1 1 0 001 1h1m8-1a1 1 0 01-1 1H9m4-1V8a1 1 0 011-1h2.586a1 1 0 01.707.293l3.414 3.414a1 1 0 01.293.707V16a1 1 0 01-1 1h-1m-6-1a1 1 0 001 1h1M5 17a2 2 0 104 0m-4 0a2 2 0 114 0m6 0a2 2 0 104 0m-4 0a2 2 0 114 0" />
     </svg>
   ),
+  saved_item: (
+    <svg className="w-5 h-5 text-red-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" />
+    </svg>
+  ),
 };
 
 function NotificationDropdown() {
@@ -42,7 +47,15 @@ function NotificationDropdown() {
   const [isLoading, setIsLoading] = useState(false);
   const dropdownRef = useRef(null);
   
-  const { notifications, unreadCount, setNotifications, markAsRead, markAllAsRead } = useNotificationStore();
+  const {
+    notifications,
+    unreadCount,
+    realtimeStatus,
+    setNotifications,
+    markAsRead,
+    markAllAsRead,
+    connectRealtime,
+  } = useNotificationStore();
 
   // Close dropdown when clicking outside
   useEffect(() => {
@@ -68,15 +81,22 @@ function NotificationDropdown() {
     }
   }, [isOpen]);
 
-  // Fetch unread count on mount
+  // Receive notifications as they are created
+  useEffect(() => connectRealtime(), []);
+
+  // Fetch unread count on mount and whenever the realtime connection drops
   useEffect(() => {
     fetchUnreadCount();
-    
-    // Poll for new notifications every 30 seconds
+
+    if (realtimeStatus === 'connected') {
+      return undefined;
+    }
+
+    // Poll for new notifications every 30 seconds until realtime is back
     const interval = setInterval(fetchUnreadCount, 30000);
     
     return () => clearInterval(interval);
-  }, []);
+  }, [realtimeStatus === 'connected']);
 
   const fetchNotifications = async () => {
     setIsLoading(true);
@@ -156,6 +176,8 @@ function NotificationDropdown() {
         return '/orders';
       case 'delivery_update':
         return '/orders';
+      case 'saved_item':
+        return '/saved';
       default:
         return '#';
     }
@@ -0,0 +1,32 @@
+import React from 'react';
+
+/**
+ * Open / closed badge with today's hours, from a business's openingStatus
+ * Renders nothing for businesses that don't publish operating hours.
+ */
+function OpeningStatusBadge({ openingStatus, showHours = true }) {
+  if (!openingStatus || openingStatus.isOpen === null) {
+    return null;
+  }
+
+  const { isOpen, todayHours } = openingStatus;
+
+  return (
+    <span className="inline-flex items-center gap-2">
+      <span
+        className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${
+          isOpen ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+        }`}
+      >
+        {isOpen ? 'Open now' : 'Closed'}
+      </span>
+      {showHours && (
+        <span className="text-xs text-gray-500">
+          {todayHours ? `Today ${todayHours.open} – ${todayHours.close}` : 'Closed today'}
+        </span>
+      )}
+    </span>
+  );
+}
+
+export default OpeningStatusBadge;
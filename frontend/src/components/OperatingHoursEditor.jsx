@@ -0,0 +1,137 @@
+import React from 'react';
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const inputClass =
+  'block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500';
+
+/**
+ * One editable row per weekday from the stored operating hours
+ * Days without stored hours start out closed.
+ */
+export const toHoursRows = (operatingHours = []) =>
+  WEEKDAYS.map((day) => {
+    const hours = operatingHours.find((entry) => entry.day === day);
+    return hours
+      ? { day, open: hours.open, close: hours.close, closed: Boolean(hours.closed) }
+      : { day, open: '09:00', close: '17:00', closed: true };
+  });
+
+/**
+ * Operating hours to save; none at all when every day is closed, so the business
+ * doesn't publish opening hours
+ */
+export const fromHoursRows = (rows) => (rows.every((row) => row.closed) ? [] : rows);
+
+/**
+ * Weekly opening hours and one-off holiday closures of a business
+ */
+function OperatingHoursEditor({ hours, holidayClosures, onChange }) {
+  const handleHoursChange = (index, field, value) => {
+    onChange({
+      hours: hours.map((row, i) => (i === index ? { ...row, [field]: value } : row)),
+      holidayClosures,
+    });
+  };
+
+  const handleClosureChange = (index, field, value) => {
+    onChange({
+      hours,
+      holidayClosures: holidayClosures.map((closure, i) => (i === index ? { ...closure, [field]: value } : closure)),
+    });
+  };
+
+  const addClosure = () => {
+    onChange({ hours, holidayClosures: [...holidayClosures, { date: '', note: '' }] });
+  };
+
+  const removeClosure = (index) => {
+    onChange({ hours, holidayClosures: holidayClosures.filter((_, i) => i !== index) });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <p className="block text-sm font-medium text-gray-700">Operating Hours</p>
+        <p className="text-xs text-gray-500">
+          A closing time earlier than the opening time means you close after midnight. Leave every day closed if
+          you don't publish opening hours.
+        </p>
+        <div className="mt-2 space-y-2">
+          {hours.map((row, index) => (
+            <div key={row.day} className="grid grid-cols-4 gap-3 items-center">
+              <span className="text-sm text-gray-700 capitalize">{row.day}</span>
+              <input
+                type="time"
+                value={row.open}
+                onChange={(e) => handleHoursChange(index, 'open', e.target.value)}
+                disabled={row.closed}
+                aria-label={`${row.day} opening time`}
+                className={`${inputClass} disabled:bg-gray-100`}
+              />
+              <input
+                type="time"
+                value={row.close}
+                onChange={(e) => handleHoursChange(index, 'close', e.target.value)}
+                disabled={row.closed}
+                aria-label={`${row.day} closing time`}
+                className={`${inputClass} disabled:bg-gray-100`}
+              />
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={row.closed}
+                  onChange={(e) => handleHoursChange(index, 'closed', e.target.checked)}
+                  className="mr-2"
+                />
+                Closed
+              </label>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <p className="block text-sm font-medium text-gray-700">Holiday Closures</p>
+        <p className="text-xs text-gray-500">Days you are closed regardless of your weekly hours.</p>
+        <div className="mt-2 space-y-2">
+          {holidayClosures.map((closure, index) => (
+            <div key={index} className="grid grid-cols-1 gap-3 sm:grid-cols-5 items-center">
+              <input
+                type="date"
+                value={closure.date}
+                onChange={(e) => handleClosureChange(index, 'date', e.target.value)}
+                required
+                className={`sm:col-span-2 ${inputClass}`}
+              />
+              <input
+                type="text"
+                value={closure.note}
+                onChange={(e) => handleClosureChange(index, 'note', e.target.value)}
+                placeholder="e.g., Christmas Day"
+                maxLength={255}
+                className={`sm:col-span-2 ${inputClass}`}
+              />
+              <button
+                type="button"
+                onClick={() => removeClosure(index)}
+                className="text-sm text-red-600 hover:text-red-800"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+        <button
+          type="button"
+          onClick={addClosure}
+          className="mt-2 text-sm font-medium text-blue-600 hover:text-blue-800"
+        >
+          + Add closure
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default OperatingHoursEditor;
@@ -0,0 +1,132 @@
+import React, { useEffect, useState } from 'react';
+import orderService from '../services/orderService';
+
+const eventLabels = {
+  status: {
+    pending: 'Order placed',
+    confirmed: 'Order confirmed',
+    ready: 'Ready',
+    out_for_delivery: 'Out for delivery',
+    delivered: 'Delivered',
+    cancelled: 'Order cancelled',
+  },
+  payment: {
+    completed: 'Payment received',
+    failed: 'Payment failed',
+    cancelled: 'Payment cancelled',
+    refunded: 'Refunded',
+    partially_refunded: 'Partially refunded',
+    refund_requested: 'Refund requested',
+    refund_rejected: 'Refund request declined',
+    refund_failed: 'Refund failed',
+  },
+  delivery: {
+    booked: 'Delivery booked',
+    picked_up: 'Picked up by courier',
+    in_transit: 'In transit',
+    delivered: 'Delivered by courier',
+    cancelled: 'Delivery cancelled',
+    failed: 'Delivery failed',
+  },
+  return: {
+    requested: 'Return requested',
+    approved: 'Return approved',
+    rejected: 'Return declined',
+    received: 'Returned items received',
+  },
+};
+
+const eventColors = {
+  status: 'bg-blue-500',
+  payment: 'bg-green-500',
+  delivery: 'bg-purple-500',
+  return: 'bg-orange-500',
+};
+
+const getEventLabel = (event) => {
+  // Going back to ready means the delivery has to be rebooked
+  if (event.type === 'status' && event.toStatus === 'ready' && event.fromStatus === 'out_for_delivery') {
+    return 'Back to ready for dispatch';
+  }
+  if (event.type === 'return' && event.toStatus === 'resolved') {
+    return event.metadata?.resolution === 'exchange' ? 'Return closed with a replacement' : 'Return closed with a refund';
+  }
+  return eventLabels[event.type]?.[event.toStatus] || event.toStatus.replace(/_/g, ' ');
+};
+
+/**
+ * Timeline of an order's status, payment, delivery and return events
+ * viewer is 'consumer' or 'business', so the viewer's own actions read as "You".
+ * Pass a refreshKey that changes with the order (e.g. updatedAt) to reload it.
+ */
+function OrderTimeline({ orderId, viewer, refreshKey }) {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchEvents = async () => {
+      setError(null);
+
+      try {
+        const response = await orderService.getOrderEvents(orderId);
+        setEvents(response.events);
+      } catch (err) {
+        console.error('Error fetching order events:', err);
+        setError('Failed to load order history');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEvents();
+  }, [orderId, refreshKey]);
+
+  const getActorLabel = (event) => {
+    if (event.actor === viewer) return 'You';
+    if (event.actor === 'consumer') return 'Customer';
+    if (event.actor === 'business') return 'Business';
+    return event.type === 'delivery' ? 'Courier' : 'System';
+  };
+
+  if (loading) {
+    return <p className="text-sm text-gray-500">Loading history...</p>;
+  }
+
+  if (error) {
+    return <p className="text-sm text-red-700">{error}</p>;
+  }
+
+  if (events.length === 0) {
+    return <p className="text-sm text-gray-500">No history recorded for this order yet.</p>;
+  }
+
+  return (
+    <ol className="relative border-l border-gray-200 ml-2">
+      {events.map((event) => (
+        <li key={event.id} className="mb-4 ml-4 last:mb-0">
+          <span
+            className={`absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full ${
+              ['cancelled', 'failed', 'rejected'].some((status) => event.toStatus.includes(status))
+                ? 'bg-red-500'
+                : eventColors[event.type]
+            }`}
+          />
+          <div className="flex flex-wrap items-baseline gap-x-3">
+            <span className="text-sm font-medium text-gray-900">{getEventLabel(event)}</span>
+            <time className="text-xs text-gray-400">
+              {new Date(event.createdAt).toLocaleString()}
+            </time>
+          </div>
+          <p className="text-xs text-gray-500">
+            By {getActorLabel(event)}
+            {event.metadata?.amount !== undefined && <span> · ${event.metadata.amount.toFixed(2)}</span>}
+            {event.note && <span> · {event.note}</span>}
+          </p>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+export default OrderTimeline;
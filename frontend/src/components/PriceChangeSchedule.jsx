@@ -0,0 +1,127 @@
+import React, { useEffect, useState } from 'react';
+import productService from '../services/productService';
+import { fromDateTimeInputValue } from '../utils/dateUtils';
+
+/**
+ * Scheduled list price changes for a product, with a form to queue another
+ */
+function PriceChangeSchedule({ productId }) {
+  const [priceChanges, setPriceChanges] = useState([]);
+  const [price, setPrice] = useState('');
+  const [effectiveAt, setEffectiveAt] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchPriceChanges = async () => {
+    setLoading(true);
+
+    try {
+      const response = await productService.getPriceChanges(productId);
+      setPriceChanges(response.priceChanges);
+    } catch (err) {
+      console.error('Error fetching price changes:', err);
+      setError('Failed to load scheduled price changes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchPriceChanges();
+  }, [productId]);
+
+  const handleSchedule = async () => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      await productService.schedulePriceChange(productId, parseFloat(price), fromDateTimeInputValue(effectiveAt));
+      setPrice('');
+      setEffectiveAt('');
+      await fetchPriceChanges();
+    } catch (err) {
+      console.error('Error scheduling price change:', err);
+      const apiError = err.response?.data?.error;
+      setError(apiError?.details?.join(', ') || apiError?.message || 'Failed to schedule price change');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = async (changeId) => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      await productService.cancelPriceChange(productId, changeId);
+      await fetchPriceChanges();
+    } catch (err) {
+      console.error('Error cancelling price change:', err);
+      setError(err.response?.data?.error?.message || 'Failed to cancel price change');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {error && <p className="text-sm text-red-700">{error}</p>}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading...</p>
+      ) : priceChanges.length === 0 ? (
+        <p className="text-sm text-gray-500">No price changes scheduled.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+          {priceChanges.map((change) => (
+            <li key={change.id} className="flex items-center justify-between px-3 py-2 text-sm">
+              <span className={change.status === 'applied' ? 'text-gray-500' : 'text-gray-900'}>
+                ${change.price.toFixed(2)} from {new Date(change.effectiveAt).toLocaleString()}
+                {change.status === 'applied' && ' (applied)'}
+              </span>
+              {change.status === 'scheduled' && (
+                <button
+                  type="button"
+                  onClick={() => handleCancel(change.id)}
+                  disabled={saving}
+                  className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                >
+                  Cancel
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex flex-col sm:flex-row gap-3">
+        <input
+          type="number"
+          value={price}
+          onChange={(e) => setPrice(e.target.value)}
+          min="0.01"
+          step="0.01"
+          placeholder="New price"
+          className="block w-full sm:w-40 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+        />
+        <input
+          type="datetime-local"
+          value={effectiveAt}
+          onChange={(e) => setEffectiveAt(e.target.value)}
+          className="block w-full sm:w-60 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+        />
+        <button
+          type="button"
+          onClick={handleSchedule}
+          disabled={saving || !price || !effectiveAt}
+          className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+        >
+          Schedule
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default PriceChangeSchedule;
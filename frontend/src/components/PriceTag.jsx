@@ -0,0 +1,22 @@
+import React from 'react';
+
+/**
+ * A price, with the regular price struck through and a sale badge while the product is on sale
+ */
+function PriceTag({ price, listPrice, onSale = false, className = 'text-2xl font-bold text-blue-600' }) {
+  return (
+    <span className="inline-flex items-baseline flex-wrap gap-2">
+      <span className={className}>${price.toFixed(2)}</span>
+      {onSale && (
+        <>
+          <span className="text-sm text-gray-500 line-through">${listPrice.toFixed(2)}</span>
+          <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-red-100 text-red-800">
+            Sale
+          </span>
+        </>
+      )}
+    </span>
+  );
+}
+
+export default PriceTag;
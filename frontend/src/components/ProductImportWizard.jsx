@@ -0,0 +1,196 @@
+import React, { useState } from 'react';
+import productService from '../services/productService';
+
+const TEMPLATE_CSV = [
+  'sku,name,description,price,quantity,category,images',
+  'TEE-001,Cotton T-Shirt,Soft everyday tee,12.99,40,clothing,https://example.com/tee-front.jpg|https://example.com/tee-back.jpg',
+].join('\n');
+
+const statusStyles = {
+  created: 'bg-green-100 text-green-800',
+  updated: 'bg-blue-100 text-blue-800',
+  error: 'bg-red-100 text-red-800',
+};
+
+const statusLabels = {
+  created: 'New',
+  updated: 'Update',
+  error: 'Error',
+};
+
+/**
+ * Three-step CSV import: choose a file, review a dry run, then import
+ */
+function ProductImportWizard({ businessId, onClose, onImported }) {
+  const [step, setStep] = useState('upload'); // upload, review, done
+  const [file, setFile] = useState(null);
+  const [upsert, setUpsert] = useState(false);
+  const [result, setResult] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+
+  const runImport = async (dryRun) => {
+    setWorking(true);
+    setError(null);
+
+    try {
+      const response = await productService.importProducts(businessId, file, { dryRun, upsert });
+      setResult(response);
+      setStep(dryRun ? 'review' : 'done');
+
+      if (!dryRun) {
+        onImported();
+      }
+    } catch (err) {
+      console.error('Error importing products:', err);
+      const apiError = err.response?.data?.error;
+      setError(
+        apiError
+          ? [apiError.message, ...(apiError.details || [])].join(' ')
+          : 'Failed to import products'
+      );
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDownloadTemplate = () => {
+    const url = window.URL.createObjectURL(new Blob([TEMPLATE_CSV], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'product-import-template.csv';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  };
+
+  const validRows = result ? result.summary.created + result.summary.updated : 0;
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900">Import Products from CSV</h2>
+        <button onClick={onClose} className="text-sm text-gray-600 hover:text-gray-900">
+          Close
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-50 border border-red-200 rounded-lg p-3">
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {step === 'upload' && (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Required columns: name, price, quantity, category. Optional: sku, description, images
+            (separate multiple image URLs with "|").{' '}
+            <button onClick={handleDownloadTemplate} className="text-blue-600 hover:text-blue-700">
+              Download template
+            </button>
+          </p>
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={(e) => setFile(e.target.files[0] || null)}
+            className="block text-sm text-gray-700"
+          />
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={upsert}
+              onChange={(e) => setUpsert(e.target.checked)}
+              className="mr-2 h-4 w-4 text-blue-600 border-gray-300 rounded"
+            />
+            Update existing products with a matching SKU
+          </label>
+          <button
+            onClick={() => runImport(true)}
+            disabled={!file || working}
+            className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {working ? 'Checking...' : 'Check File'}
+          </button>
+        </div>
+      )}
+
+      {result && step !== 'upload' && (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-700">
+            {step === 'review' ? 'Dry run: ' : 'Imported: '}
+            <span className="font-medium">{result.summary.created}</span> new,{' '}
+            <span className="font-medium">{result.summary.updated}</span> updated,{' '}
+            <span className="font-medium text-red-700">{result.summary.failed}</span> with errors
+            {' '}out of {result.summary.totalRows} rows.
+          </p>
+
+          <div className="max-h-80 overflow-y-auto border border-gray-200 rounded-md">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Row</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">SKU</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Name</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Result</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {result.rows.map((row) => (
+                  <tr key={row.row}>
+                    <td className="px-4 py-2 text-gray-600">{row.row}</td>
+                    <td className="px-4 py-2 text-gray-900">{row.sku || '—'}</td>
+                    <td className="px-4 py-2 text-gray-900">{row.name || '—'}</td>
+                    <td className="px-4 py-2">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${statusStyles[row.status]}`}>
+                        {statusLabels[row.status]}
+                      </span>
+                      {row.errors && (
+                        <ul className="mt-1 text-xs text-red-700 list-disc list-inside">
+                          {row.errors.map((message) => (
+                            <li key={message}>{message}</li>
+                          ))}
+                        </ul>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {step === 'review' ? (
+            <div className="flex gap-3">
+              <button
+                onClick={() => runImport(false)}
+                disabled={working || validRows === 0}
+                className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {working
+                  ? 'Importing...'
+                  : `Import ${validRows} valid row${validRows === 1 ? '' : 's'}`}
+              </button>
+              <button
+                onClick={() => setStep('upload')}
+                disabled={working}
+                className="px-4 py-2 border border-gray-300 text-sm font-medium text-gray-700 rounded-md hover:bg-gray-50"
+              >
+                Choose Another File
+              </button>
+            </div>
+          ) : (
+            <button
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 text-sm font-medium text-gray-700 rounded-md hover:bg-gray-50"
+            >
+              Done
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ProductImportWizard;
@@ -0,0 +1,243 @@
+import React, { useEffect, useState } from 'react';
+import paymentService from '../services/paymentService';
+
+const refundStatusColors = {
+  requested: 'bg-yellow-100 text-yellow-800',
+  pending: 'bg-blue-100 text-blue-800',
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  rejected: 'bg-gray-100 text-gray-800',
+};
+
+/**
+ * Refund status and actions for an order
+ * Consumers can request a refund; business owners can issue partial or full
+ * refunds and approve or reject consumer requests.
+ */
+function RefundPanel({ order, isBusinessOwner = false, onRefundChange }) {
+  const [refunds, setRefunds] = useState([]);
+  const [payment, setPayment] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [reason, setReason] = useState('');
+  const [quantities, setQuantities] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (order?.id) {
+      fetchRefunds();
+    }
+  }, [order?.id, order?.paymentStatus]);
+
+  const fetchRefunds = async () => {
+    setLoading(true);
+
+    try {
+      const [refundResponse, paymentResponse] = await Promise.all([
+        paymentService.getOrderRefunds(order.id),
+        paymentService.getPaymentHistory({ orderId: order.id }),
+      ]);
+      setRefunds(refundResponse.refunds || []);
+      setPayment(
+        (paymentResponse.payments || []).find((p) =>
+          ['completed', 'partially_refunded', 'refunded'].includes(p.status)
+        ) || null
+      );
+    } catch (err) {
+      console.error('Error fetching refunds:', err);
+      setError('Unable to load refund information');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    const items = Object.entries(quantities)
+      .filter(([, quantity]) => quantity > 0)
+      .map(([orderItemId, quantity]) => ({ orderItemId, quantity }));
+
+    try {
+      await paymentService.requestRefund(payment.id, reason, items);
+      setShowForm(false);
+      setReason('');
+      setQuantities({});
+      await fetchRefunds();
+      onRefundChange?.();
+    } catch (err) {
+      console.error('Error submitting refund:', err);
+      setError(err.response?.data?.error?.message || 'Failed to submit refund');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDecision = async (refundId, approve) => {
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      if (approve) {
+        await paymentService.approveRefund(refundId);
+      } else {
+        await paymentService.rejectRefund(refundId, window.prompt('Reason for rejecting (optional)') || '');
+      }
+      await fetchRefunds();
+      onRefundChange?.();
+    } catch (err) {
+      console.error('Error updating refund:', err);
+      setError(err.response?.data?.error?.message || 'Failed to update refund');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return null;
+  }
+
+  const canRefund = payment && payment.status !== 'refunded';
+  const hasOpenRequest = refunds.some((r) => r.status === 'requested');
+
+  if (!canRefund && refunds.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-gray-900">Refunds</h2>
+        {canRefund && !showForm && (isBusinessOwner || !hasOpenRequest) && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="px-4 py-2 bg-gray-200 text-gray-700 font-medium rounded-lg hover:bg-gray-300 transition-colors"
+          >
+            {isBusinessOwner ? 'Issue Refund' : 'Request Refund'}
+          </button>
+        )}
+      </div>
+
+      {error && <p className="mb-4 text-sm text-red-700">{error}</p>}
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="mb-6 p-4 bg-gray-50 rounded-lg space-y-4">
+          <p className="text-sm text-gray-600">
+            Choose quantities to refund specific items, or leave them at 0 to refund the full remaining amount.
+          </p>
+          {order.items?.map((item) => (
+            <div key={item.id} className="flex items-center justify-between text-sm">
+              <span className="text-gray-700">
+                {item.productName} (${item.priceAtPurchase.toFixed(2)} each)
+              </span>
+              <input
+                type="number"
+                min="0"
+                max={item.quantity}
+                value={quantities[item.id] || 0}
+                onChange={(e) =>
+                  setQuantities((prev) => ({ ...prev, [item.id]: parseInt(e.target.value, 10) || 0 }))
+                }
+                className="w-20 px-2 py-1 border border-gray-300 rounded"
+              />
+            </div>
+          ))}
+          <textarea
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="Reason for refund"
+            rows={2}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={submitting}
+              className="px-4 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {submitting ? 'Submitting...' : 'Submit'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 bg-gray-200 text-gray-700 font-medium rounded-lg hover:bg-gray-300 transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {refunds.length === 0 ? (
+        <p className="text-sm text-gray-600">No refunds for this order.</p>
+      ) : (
+        <div className="space-y-4">
+          {refunds.map((refund) => (
+            <div key={refund.id} className="border-b border-gray-200 pb-4 last:border-b-0 last:pb-0">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="font-semibold text-gray-900">
+                    ${refund.amount.toFixed(2)}{' '}
+                    <span className="text-sm font-normal text-gray-600">
+                      ({refund.refundType === 'full' ? 'full refund' : 'partial refund'})
+                    </span>
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {new Date(refund.createdAt).toLocaleDateString('en-US', {
+                      year: 'numeric',
+                      month: 'short',
+                      day: 'numeric',
+                    })}
+                  </p>
+                </div>
+                <span
+                  className={`px-3 py-1 rounded-full text-xs font-medium capitalize ${
+                    refundStatusColors[refund.status] || 'bg-gray-100 text-gray-800'
+                  }`}
+                >
+                  {refund.status}
+                </span>
+              </div>
+              {refund.reason && <p className="mt-1 text-sm text-gray-600">{refund.reason}</p>}
+              {refund.refundType === 'partial' && refund.items.length > 0 && (
+                <ul className="mt-2 text-sm text-gray-600 list-disc list-inside">
+                  {refund.items.map((item) => (
+                    <li key={item.id}>
+                      {item.productName} × {item.quantity}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {refund.failureReason && (
+                <p className="mt-1 text-sm text-red-700">{refund.failureReason}</p>
+              )}
+              {isBusinessOwner && refund.status === 'requested' && (
+                <div className="mt-3 flex gap-3">
+                  <button
+                    onClick={() => handleDecision(refund.id, true)}
+                    disabled={submitting}
+                    className="px-4 py-1 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 disabled:opacity-50"
+                  >
+                    Approve
+                  </button>
+                  <button
+                    onClick={() => handleDecision(refund.id, false)}
+                    disabled={submitting}
+                    className="px-4 py-1 bg-red-600 text-white text-sm font-medium rounded-lg hover:bg-red-700 disabled:opacity-50"
+                  >
+                    Reject
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RefundPanel;
@@ -0,0 +1,383 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import returnService from '../services/returnService';
+import uploadService from '../services/uploadService';
+import { RETURN_REASONS } from '../utils/orderUtils';
+import { formatVariantOptions } from '../utils/variantUtils';
+
+const MAX_PHOTOS = 5;
+
+const returnStatusColors = {
+  requested: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-blue-100 text-blue-800',
+  rejected: 'bg-gray-100 text-gray-800',
+  received: 'bg-purple-100 text-purple-800',
+  resolved: 'bg-green-100 text-green-800',
+};
+
+/**
+ * Return and exchange requests for a delivered order
+ * Consumers request a return with photos; business owners approve or reject it,
+ * confirm the items came back and resolve it with a refund or a replacement.
+ */
+function ReturnPanel({ order, isBusinessOwner = false, onReturnChange }) {
+  const [returns, setReturns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [quantities, setQuantities] = useState({});
+  const [reason, setReason] = useState('');
+  const [details, setDetails] = useState('');
+  const [photos, setPhotos] = useState([]);
+  const [resolution, setResolution] = useState('refund');
+  const [restock, setRestock] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (order?.id) {
+      fetchReturns();
+    }
+  }, [order?.id]);
+
+  const fetchReturns = async () => {
+    setLoading(true);
+
+    try {
+      const response = await returnService.getOrderReturns(order.id);
+      setReturns(response.returns || []);
+    } catch (err) {
+      console.error('Error fetching returns:', err);
+      setError('Unable to load return information');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const resetForm = () => {
+    setShowForm(false);
+    setQuantities({});
+    setReason('');
+    setDetails('');
+    setPhotos([]);
+    setResolution('refund');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const items = Object.entries(quantities)
+      .filter(([, quantity]) => quantity > 0)
+      .map(([orderItemId, quantity]) => ({ orderItemId, quantity }));
+
+    if (items.length === 0) {
+      setError('Choose at least one item to return');
+      return;
+    }
+
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const photoUrls = photos.length > 0
+        ? (await uploadService.uploadFiles(photos)).files.map((file) => file.url)
+        : [];
+
+      await returnService.requestReturn({
+        orderId: order.id,
+        items,
+        reason,
+        details: details.trim() || undefined,
+        photos: photoUrls,
+        resolution,
+      });
+      resetForm();
+      await fetchReturns();
+      onReturnChange?.();
+    } catch (err) {
+      console.error('Error requesting return:', err);
+      setError(err.response?.data?.error?.message || 'Failed to request return');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Runs one business step on a return and reloads
+  const handleAction = async (action) => {
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      await action();
+      await fetchReturns();
+      onReturnChange?.();
+    } catch (err) {
+      console.error('Error updating return:', err);
+      setError(err.response?.data?.error?.message || 'Failed to update return');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return null;
+  }
+
+  const canRequest = !isBusinessOwner && order.status === 'delivered';
+
+  if (!canRequest && returns.length === 0) {
+    return null;
+  }
+
+  const orderPath = (orderId) => (isBusinessOwner ? `/dashboard/orders/${orderId}` : `/orders/${orderId}`);
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-gray-900">Returns</h2>
+        {canRequest && !showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="px-4 py-2 bg-gray-200 text-gray-700 font-medium rounded-lg hover:bg-gray-300 transition-colors"
+          >
+            Return or Exchange
+          </button>
+        )}
+      </div>
+
+      {error && <p className="mb-4 text-sm text-red-700">{error}</p>}
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="mb-6 p-4 bg-gray-50 rounded-lg space-y-4">
+          <p className="text-sm text-gray-600">Choose how many of each item you are sending back.</p>
+          {order.items?.map((item) => (
+            <div key={item.id} className="flex items-center justify-between text-sm">
+              <span className="text-gray-700">
+                {item.productName}
+                {item.variantOptions && ` (${formatVariantOptions(item.variantOptions)})`}
+              </span>
+              <input
+                type="number"
+                min="0"
+                max={item.quantity}
+                value={quantities[item.id] || 0}
+                onChange={(e) =>
+                  setQuantities((prev) => ({ ...prev, [item.id]: parseInt(e.target.value, 10) || 0 }))
+                }
+                className="w-20 px-2 py-1 border border-gray-300 rounded"
+              />
+            </div>
+          ))}
+          <select
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            required
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="">What went wrong?</option>
+            {Object.entries(RETURN_REASONS).map(([code, label]) => (
+              <option key={code} value={code}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <textarea
+            value={details}
+            onChange={(e) => setDetails(e.target.value)}
+            placeholder={reason === 'other' ? 'Describe the problem' : 'More details (optional)'}
+            required={reason === 'other'}
+            maxLength={2000}
+            rows={2}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <div>
+            <label htmlFor="returnPhotos" className="block text-sm font-medium text-gray-700 mb-1">
+              Photos (up to {MAX_PHOTOS})
+            </label>
+            <input
+              id="returnPhotos"
+              type="file"
+              accept="image/*"
+              multiple
+              onChange={(e) => setPhotos(Array.from(e.target.files).slice(0, MAX_PHOTOS))}
+              className="text-sm text-gray-700"
+            />
+          </div>
+          <div className="flex gap-6 text-sm text-gray-700">
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                name="resolution"
+                value="refund"
+                checked={resolution === 'refund'}
+                onChange={() => setResolution('refund')}
+              />
+              Refund me
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                name="resolution"
+                value="exchange"
+                checked={resolution === 'exchange'}
+                onChange={() => setResolution('exchange')}
+              />
+              Send a replacement
+            </label>
+          </div>
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={submitting}
+              className="px-4 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {submitting ? 'Submitting...' : 'Submit'}
+            </button>
+            <button
+              type="button"
+              onClick={resetForm}
+              className="px-4 py-2 bg-gray-200 text-gray-700 font-medium rounded-lg hover:bg-gray-300 transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {returns.length === 0 ? (
+        <p className="text-sm text-gray-600">No returns for this order.</p>
+      ) : (
+        <div className="space-y-4">
+          {returns.map((ret) => (
+            <div key={ret.id} className="border-b border-gray-200 pb-4 last:border-b-0 last:pb-0">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="font-semibold text-gray-900">{RETURN_REASONS[ret.reason] || ret.reason}</p>
+                  <p className="text-xs text-gray-500">
+                    {new Date(ret.createdAt).toLocaleDateString('en-US', {
+                      year: 'numeric',
+                      month: 'short',
+                      day: 'numeric',
+                    })}
+                    {' · '}
+                    {ret.requestedResolution === 'exchange' ? 'Wants a replacement' : 'Wants a refund'}
+                  </p>
+                </div>
+                <span
+                  className={`px-3 py-1 rounded-full text-xs font-medium capitalize ${
+                    returnStatusColors[ret.status] || 'bg-gray-100 text-gray-800'
+                  }`}
+                >
+                  {ret.status}
+                </span>
+              </div>
+              <ul className="mt-2 text-sm text-gray-600 list-disc list-inside">
+                {ret.items.map((item) => (
+                  <li key={item.id}>
+                    {item.productName}
+                    {item.variantOptions && ` (${formatVariantOptions(item.variantOptions)})`} × {item.quantity}
+                  </li>
+                ))}
+              </ul>
+              {ret.details && <p className="mt-1 text-sm text-gray-600">{ret.details}</p>}
+              {ret.photos.length > 0 && (
+                <div className="mt-2 flex flex-wrap gap-2">
+                  {ret.photos.map((url) => (
+                    <a key={url} href={url} target="_blank" rel="noopener noreferrer">
+                      <img src={url} alt="Returned item" className="h-16 w-16 object-cover rounded border border-gray-200" />
+                    </a>
+                  ))}
+                </div>
+              )}
+              {ret.businessNote && (
+                <p className="mt-1 text-sm text-gray-700">
+                  <span className="font-medium">Business note:</span> {ret.businessNote}
+                </p>
+              )}
+              {ret.status === 'received' && !isBusinessOwner && (
+                <p className="mt-1 text-sm text-gray-600">The business has your items and will refund or replace them shortly.</p>
+              )}
+              {ret.status === 'resolved' && (
+                <p className="mt-1 text-sm text-gray-700">
+                  {ret.resolution === 'exchange' ? (
+                    <>
+                      Replacement sent as{' '}
+                      <Link to={orderPath(ret.exchangeOrderId)} className="text-blue-600 hover:text-blue-700">
+                        order #{ret.exchangeOrderId?.slice(0, 8)}
+                      </Link>
+                    </>
+                  ) : ret.refundId ? (
+                    'Refunded — see Refunds for details.'
+                  ) : isBusinessOwner ? (
+                    'No refund could be issued automatically; issue one from Refunds if the order was paid.'
+                  ) : (
+                    'Resolved with a refund.'
+                  )}
+                </p>
+              )}
+
+              {isBusinessOwner && ret.status === 'requested' && (
+                <div className="mt-3 flex gap-3">
+                  <button
+                    onClick={() => handleAction(() => returnService.approveReturn(ret.id))}
+                    disabled={submitting}
+                    className="px-4 py-1 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 disabled:opacity-50"
+                  >
+                    Approve
+                  </button>
+                  <button
+                    onClick={() =>
+                      handleAction(() =>
+                        returnService.rejectReturn(ret.id, window.prompt('Reason for rejecting (optional)') || '')
+                      )
+                    }
+                    disabled={submitting}
+                    className="px-4 py-1 bg-red-600 text-white text-sm font-medium rounded-lg hover:bg-red-700 disabled:opacity-50"
+                  >
+                    Reject
+                  </button>
+                </div>
+              )}
+
+              {isBusinessOwner && ret.status === 'approved' && (
+                <div className="mt-3 flex flex-wrap items-center gap-3">
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input type="checkbox" checked={restock} onChange={(e) => setRestock(e.target.checked)} />
+                    Put items back into stock
+                  </label>
+                  <button
+                    onClick={() => handleAction(() => returnService.receiveReturn(ret.id, restock))}
+                    disabled={submitting}
+                    className="px-4 py-1 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Mark Received
+                  </button>
+                </div>
+              )}
+
+              {isBusinessOwner && ret.status === 'received' && (
+                <div className="mt-3 flex gap-3">
+                  <button
+                    onClick={() => handleAction(() => returnService.resolveReturn(ret.id, 'refund'))}
+                    disabled={submitting}
+                    className="px-4 py-1 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 disabled:opacity-50"
+                  >
+                    Refund Items
+                  </button>
+                  <button
+                    onClick={() => handleAction(() => returnService.resolveReturn(ret.id, 'exchange'))}
+                    disabled={submitting}
+                    className="px-4 py-1 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Send Replacement
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ReturnPanel;
@@ -0,0 +1,165 @@
+import React from 'react';
+import { formatVariantOptions } from '../utils/variantUtils';
+
+const MAX_OPTIONS = 3;
+
+/**
+ * Split an option's comma-separated values, dropping blanks and repeats
+ */
+export const parseOptionValues = (valuesText) => [
+  ...new Set(valuesText.split(',').map((value) => value.trim()).filter(Boolean)),
+];
+
+/**
+ * Every combination of option values, e.g. Size × Colour
+ */
+const buildCombinations = (options) =>
+  options.reduce(
+    (combinations, option) =>
+      combinations.flatMap((combination) =>
+        parseOptionValues(option.valuesText).map((value) => ({ ...combination, [option.name]: value }))
+      ),
+    [{}]
+  );
+
+const sameOptions = (a, b) =>
+  Object.keys(a).length === Object.keys(b).length &&
+  Object.entries(a).every(([name, value]) => b[name] === value);
+
+/**
+ * Option types (Size, Colour...) and one row of SKU, price and stock per combination
+ * Rows are rebuilt when options change, keeping what was entered for combinations that remain.
+ */
+function VariantEditor({ options, variants, onChange }) {
+  const updateOptions = (nextOptions) => {
+    const namedOptions = nextOptions.filter(
+      (option) => option.name.trim() && parseOptionValues(option.valuesText).length > 0
+    );
+    const nextVariants =
+      namedOptions.length === 0
+        ? []
+        : buildCombinations(namedOptions).map(
+          (combination) =>
+            variants.find((variant) => sameOptions(variant.options, combination)) || {
+              sku: '',
+              options: combination,
+              price: '',
+              quantity: 0,
+            }
+        );
+
+    onChange({ options: nextOptions, variants: nextVariants });
+  };
+
+  const handleOptionChange = (index, field, value) => {
+    updateOptions(options.map((option, i) => (i === index ? { ...option, [field]: value } : option)));
+  };
+
+  const handleVariantChange = (index, field, value) => {
+    onChange({
+      options,
+      variants: variants.map((variant, i) => (i === index ? { ...variant, [field]: value } : variant)),
+    });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <p className="block text-sm font-medium text-gray-700">Options</p>
+        <p className="text-xs text-gray-500">
+          Add options such as Size or Colour to sell this product in several variants, each with its own stock.
+        </p>
+      </div>
+
+      {options.map((option, index) => (
+        <div key={index} className="grid grid-cols-1 gap-3 sm:grid-cols-5 items-start">
+          <input
+            type="text"
+            value={option.name}
+            onChange={(e) => handleOptionChange(index, 'name', e.target.value)}
+            className="sm:col-span-2 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            placeholder="Option name, e.g. Size"
+          />
+          <input
+            type="text"
+            value={option.valuesText}
+            onChange={(e) => handleOptionChange(index, 'valuesText', e.target.value)}
+            className="sm:col-span-2 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            placeholder="Values, e.g. S, M, L"
+          />
+          <button
+            type="button"
+            onClick={() => updateOptions(options.filter((_, i) => i !== index))}
+            className="px-3 py-2 text-sm text-red-600 hover:text-red-700"
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+
+      {options.length < MAX_OPTIONS && (
+        <button
+          type="button"
+          onClick={() => updateOptions([...options, { name: '', valuesText: '' }])}
+          className="text-sm font-medium text-blue-600 hover:text-blue-700"
+        >
+          + Add option
+        </button>
+      )}
+
+      {variants.length > 0 && (
+        <div className="overflow-x-auto border border-gray-200 rounded-md">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Variant</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">SKU</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Price ($)</th>
+                <th className="px-3 py-2 text-left font-medium text-gray-500">Quantity</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {variants.map((variant, index) => (
+                <tr key={formatVariantOptions(variant.options)}>
+                  <td className="px-3 py-2 text-gray-900">{formatVariantOptions(variant.options)}</td>
+                  <td className="px-3 py-2">
+                    <input
+                      type="text"
+                      value={variant.sku || ''}
+                      onChange={(e) => handleVariantChange(index, 'sku', e.target.value)}
+                      className="w-28 px-2 py-1 border border-gray-300 rounded-md"
+                    />
+                  </td>
+                  <td className="px-3 py-2">
+                    <input
+                      type="number"
+                      value={variant.price}
+                      onChange={(e) => handleVariantChange(index, 'price', e.target.value)}
+                      min="0"
+                      step="0.01"
+                      className="w-24 px-2 py-1 border border-gray-300 rounded-md"
+                      placeholder="Product price"
+                    />
+                  </td>
+                  <td className="px-3 py-2">
+                    <input
+                      type="number"
+                      value={variant.quantity}
+                      onChange={(e) => handleVariantChange(index, 'quantity', e.target.value)}
+                      required
+                      min="0"
+                      step="1"
+                      className="w-20 px-2 py-1 border border-gray-300 rounded-md"
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default VariantEditor;
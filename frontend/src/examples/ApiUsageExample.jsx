@@ -81,6 +81,7 @@ function ApiUsageExample() {
       const orderData = {
         items: items.map(item => ({
           productId: item.product.id,
+          variantId: item.variant?.id || null,
           quantity: item.quantity,
         })),
         deliveryMethod: 'delivery',
@@ -1,5 +1,7 @@
 import React, { useEffect, useState } from 'react';
 import businessService from '../services/businessService';
+import DeliveryZonesPanel from '../components/DeliveryZonesPanel';
+import OperatingHoursEditor, { toHoursRows, fromHoursRows } from '../components/OperatingHoursEditor';
 import useAuthStore from '../store/authStore';
 
 function BusinessProfileManagementPage() {
@@ -19,8 +21,14 @@ function BusinessProfileManagementPage() {
     country: '',
     contactEmail: '',
     contactPhone: '',
-    operatingHours: '',
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    lowStockThreshold: 10,
+    cancellationWindowMinutes: 0,
+    pickupSlotMinutes: 30,
+    pickupSlotCapacity: '',
   });
+  const [hours, setHours] = useState(toHoursRows());
+  const [holidayClosures, setHolidayClosures] = useState([]);
 
   useEffect(() => {
     fetchBusinessProfile();
@@ -33,18 +41,25 @@ function BusinessProfileManagementPage() {
     try {
       if (user?.businessId) {
         const response = await businessService.getBusinessById(user.businessId);
-        setBusiness(response.business);
+        const profile = response.business;
+        setBusiness(profile);
         setFormData({
-          name: response.business.name || '',
-          description: response.business.description || '',
-          businessType: response.business.businessType || 'shop',
-          address: response.business.address || '',
-          city: response.business.city || '',
-          country: response.business.country || '',
-          contactEmail: response.business.contactEmail || '',
-          contactPhone: response.business.contactPhone || '',
-          operatingHours: response.business.operatingHours || '',
+          name: profile.name || '',
+          description: profile.description || '',
+          businessType: profile.businessType || 'shop',
+          address: profile.location?.address || '',
+          city: profile.location?.city || '',
+          country: profile.location?.country || '',
+          contactEmail: profile.contactInfo?.email || '',
+          contactPhone: profile.contactInfo?.phone || '',
+          timezone: profile.timezone || 'UTC',
+          lowStockThreshold: profile.lowStockThreshold ?? 10,
+          cancellationWindowMinutes: profile.cancellationWindowMinutes ?? 0,
+          pickupSlotMinutes: profile.pickupSlotMinutes ?? 30,
+          pickupSlotCapacity: profile.pickupSlotCapacity ?? '',
         });
+        setHours(toHoursRows(profile.operatingHours));
+        setHolidayClosures(profile.holidayClosures || []);
       }
     } catch (err) {
       console.error('Error fetching business profile:', err);
@@ -63,6 +78,12 @@ function BusinessProfileManagementPage() {
     setSuccess(false);
   };
 
+  const handleHoursChange = (next) => {
+    setHours(next.hours);
+    setHolidayClosures(next.holidayClosures);
+    setSuccess(false);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setSaving(true);
@@ -71,7 +92,12 @@ function BusinessProfileManagementPage() {
 
     try {
       if (user?.businessId) {
-        await businessService.updateBusiness(user.businessId, formData);
+        await businessService.updateBusiness(user.businessId, {
+          ...formData,
+          operatingHours: fromHoursRows(hours),
+          holidayClosures,
+          pickupSlotCapacity: formData.pickupSlotCapacity === '' ? null : Number(formData.pickupSlotCapacity),
+        });
         setSuccess(true);
         await fetchBusinessProfile();
       }
@@ -281,18 +307,106 @@ function BusinessProfileManagementPage() {
 
               {/* Operating Hours */}
               <div>
-                <label htmlFor="operatingHours" className="block text-sm font-medium text-gray-700">
-                  Operating Hours
+                <label htmlFor="timezone" className="block text-sm font-medium text-gray-700">
+                  Timezone
                 </label>
                 <input
                   type="text"
-                  id="operatingHours"
-                  name="operatingHours"
-                  value={formData.operatingHours}
+                  id="timezone"
+                  name="timezone"
+                  value={formData.timezone}
                   onChange={handleChange}
-                  placeholder="e.g., Mon-Fri: 9AM-6PM, Sat: 10AM-4PM"
-                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  required
+                  placeholder="e.g., Europe/London"
+                  className="mt-1 block w-full sm:w-64 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  Your opening hours and pickup times are in this timezone.
+                </p>
+              </div>
+
+              <OperatingHoursEditor hours={hours} holidayClosures={holidayClosures} onChange={handleHoursChange} />
+
+              {/* Pickup Slots */}
+              <div className="grid grid-cols-1 gap-6 sm:grid-cols-2">
+                <div>
+                  <label htmlFor="pickupSlotMinutes" className="block text-sm font-medium text-gray-700">
+                    Pickup Slot Length (minutes)
+                  </label>
+                  <input
+                    type="number"
+                    id="pickupSlotMinutes"
+                    name="pickupSlotMinutes"
+                    value={formData.pickupSlotMinutes}
+                    onChange={handleChange}
+                    min="5"
+                    max="240"
+                    step="5"
+                    required
+                    className="mt-1 block w-full sm:w-40 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+                <div>
+                  <label htmlFor="pickupSlotCapacity" className="block text-sm font-medium text-gray-700">
+                    Pickup Orders per Slot
+                  </label>
+                  <input
+                    type="number"
+                    id="pickupSlotCapacity"
+                    name="pickupSlotCapacity"
+                    value={formData.pickupSlotCapacity}
+                    onChange={handleChange}
+                    min="1"
+                    step="1"
+                    className="mt-1 block w-full sm:w-40 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+                <p className="sm:col-span-2 -mt-4 text-xs text-gray-500">
+                  With opening hours and a number of orders per slot set, customers choose a pickup time at
+                  checkout. Leave orders per slot blank to not schedule pickups.
+                </p>
+              </div>
+
+              {/* Low Stock Alerts */}
+              <div>
+                <label htmlFor="lowStockThreshold" className="block text-sm font-medium text-gray-700">
+                  Default Low Stock Threshold
+                </label>
+                <input
+                  type="number"
+                  id="lowStockThreshold"
+                  name="lowStockThreshold"
+                  value={formData.lowStockThreshold}
+                  onChange={handleChange}
+                  min="0"
+                  step="1"
+                  className="mt-1 block w-full sm:w-40 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
                 />
+                <p className="mt-1 text-xs text-gray-500">
+                  Products without their own threshold alert you when stock drops below this number.
+                </p>
+              </div>
+
+              {/* Customer Cancellations */}
+              <div>
+                <label htmlFor="cancellationWindowMinutes" className="block text-sm font-medium text-gray-700">
+                  Cancellation Window (minutes)
+                </label>
+                <input
+                  type="number"
+                  id="cancellationWindowMinutes"
+                  name="cancellationWindowMinutes"
+                  value={formData.cancellationWindowMinutes}
+                  onChange={handleChange}
+                  min="0"
+                  max="10080"
+                  step="1"
+                  className="mt-1 block w-full sm:w-40 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  Customers can cancel pending orders at any time, and confirmed orders for this many minutes
+                  after you confirm them. Set to 0 to only allow cancelling pending orders.
+                </p>
               </div>
 
               {/* Verification Status */}
@@ -340,6 +454,9 @@ function BusinessProfileManagementPage() {
             </div>
           </form>
         </div>
+
+        {/* Delivery Fees */}
+        {user?.businessId && <DeliveryZonesPanel businessId={user.businessId} />}
       </div>
     </div>
   );
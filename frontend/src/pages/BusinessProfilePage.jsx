@@ -2,6 +2,9 @@ import React, { useState, useEffect } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import businessService from '../services/businessService';
 import ratingService from '../services/ratingService';
+import OpeningStatusBadge from '../components/OpeningStatusBadge';
+import PriceTag from '../components/PriceTag';
+import FavouriteButton from '../components/FavouriteButton';
 
 function BusinessProfilePage() {
   const { id } = useParams();
@@ -103,6 +106,8 @@ function BusinessProfilePage() {
   }
 
   const averageRating = business.rating || 0;
+  const today = new Date().toISOString().slice(0, 10);
+  const upcomingClosures = (business.holidayClosures || []).filter((closure) => closure.date >= today);
   const totalRatings = business.totalRatings || 0;
 
   return (
@@ -153,8 +158,15 @@ function BusinessProfilePage() {
                       Verified
                     </span>
                   )}
+                  <FavouriteButton kind="business" id={business.id} className="ml-auto" />
                 </div>
 
+                {business.openingStatus?.isOpen != null && (
+                  <div className="mb-4">
+                    <OpeningStatusBadge openingStatus={business.openingStatus} />
+                  </div>
+                )}
+
                 {/* Business Type Badge */}
                 {business.businessType && (
                   <span className="inline-block bg-gray-100 text-gray-800 text-sm font-medium px-3 py-1 rounded-full mb-4 capitalize">
@@ -265,11 +277,25 @@ function BusinessProfilePage() {
                         <div key={index} className="flex justify-between text-sm text-gray-600">
                           <span className="font-medium capitalize">{hours.day}</span>
                           <span>
-                            {hours.open} - {hours.close}
+                            {hours.closed ? 'Closed' : `${hours.open} - ${hours.close}`}
                           </span>
                         </div>
                       ))}
                     </div>
+                    {business.timezone && (
+                      <p className="mt-2 text-xs text-gray-500">Times are in {business.timezone}.</p>
+                    )}
+                    {upcomingClosures.length > 0 && (
+                      <div className="mt-3 text-sm text-gray-600">
+                        <p className="font-medium text-gray-900">Upcoming closures</p>
+                        {upcomingClosures.map((closure) => (
+                          <p key={closure.date}>
+                            {closure.date}
+                            {closure.note && ` – ${closure.note}`}
+                          </p>
+                        ))}
+                      </div>
+                    )}
                   </div>
                 )}
               </div>
@@ -380,14 +406,13 @@ function BusinessProfilePage() {
                               <span className="text-white font-semibold">Out of Stock</span>
                             </div>
                           )}
+                          <FavouriteButton kind="product" id={product.id} className="absolute top-2 right-2" />
                         </div>
                         <div className="p-4">
                           <h3 className="text-lg font-semibold text-gray-900 mb-2 truncate">
                             {product.name}
                           </h3>
-                          <p className="text-2xl font-bold text-blue-600">
-                            ${product.price.toFixed(2)}
-                          </p>
+                          <PriceTag price={product.price} listPrice={product.listPrice} onSale={product.onSale} />
                           {product.category && (
                             <span className="inline-block mt-2 text-xs bg-gray-100 text-gray-600 px-2 py-1 rounded">
                               {product.category}
@@ -1,39 +1,51 @@
-import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
-import useCartStore from '../store/cartStore';
+import React, { useEffect, useState } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import useCartStore, { getItemPrice, getItemStock } from '../store/cartStore';
+import { formatVariantOptions } from '../utils/variantUtils';
 import useAuthStore from '../store/authStore';
 
 function CartPage() {
   const navigate = useNavigate();
+  const location = useLocation();
   const { user } = useAuthStore();
-  const { items, removeItem, updateQuantity, clearCart, getItemsByBusiness, getTotalPrice } = useCartStore();
+  const { items, removeItem, updateQuantity, clearCart, getItemsByBusiness, getTotalPrice, loadCart } = useCartStore();
   const [removingItemId, setRemovingItemId] = useState(null);
 
+  // Revalidate against current prices and stock whenever the cart is opened
+  useEffect(() => {
+    loadCart();
+  }, []);
+
   const itemsByBusiness = getItemsByBusiness();
   const totalPrice = getTotalPrice();
+  // Lines the saved cart reports can't be bought as they stand
+  const blockedItems = items.filter((item) => item.status === 'sold_out' || item.status === 'unavailable');
+  const changedItems = items.filter((item) => item.priceChanged || (item.status && item.status !== 'available'));
+  // What couldn't be added, or costs something different, when a past order was bought again
+  const reorder = location.state?.reorder;
 
-  const handleRemoveItem = (productId) => {
-    setRemovingItemId(productId);
+  const handleRemoveItem = (itemKey) => {
+    setRemovingItemId(itemKey);
     setTimeout(() => {
-      removeItem(productId);
+      removeItem(itemKey);
       setRemovingItemId(null);
     }, 200);
   };
 
-  const handleQuantityChange = (productId, newQuantity, maxQuantity) => {
+  const handleQuantityChange = (itemKey, newQuantity, maxQuantity) => {
     if (newQuantity < 1) {
-      handleRemoveItem(productId);
+      handleRemoveItem(itemKey);
       return;
     }
     if (newQuantity > maxQuantity) {
       alert(`Only ${maxQuantity} items available in stock`);
       return;
     }
-    updateQuantity(productId, newQuantity);
+    updateQuantity(itemKey, newQuantity);
   };
 
   const handleCheckout = () => {
-    if (items.length === 0) {
+    if (items.length === 0 || blockedItems.length > 0) {
       return;
     }
     navigate('/checkout');
@@ -86,6 +98,42 @@ function CartPage() {
           </p>
         </div>
 
+        {reorder && (reorder.unavailable.length > 0 || reorder.priceChanges.length > 0) && (
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
+            <p className="text-blue-900 font-medium mb-2">Your past order was added to the cart</p>
+            {reorder.unavailable.length > 0 && (
+              <ul className="list-disc list-inside text-sm text-blue-800 mb-2">
+                {reorder.unavailable.map((item) => (
+                  <li key={`${item.productId}:${item.variantId || ''}:${item.code}`}>{item.message}</li>
+                ))}
+              </ul>
+            )}
+            {reorder.priceChanges.length > 0 && (
+              <>
+                <p className="text-sm text-blue-800">Some prices have changed since you ordered:</p>
+                <ul className="list-disc list-inside text-sm text-blue-800">
+                  {reorder.priceChanges.map((change) => (
+                    <li key={`${change.productId}:${change.variantId || ''}`}>
+                      {change.name}
+                      {change.variantOptions && ` (${formatVariantOptions(change.variantOptions)})`}: $
+                      {change.previousPrice.toFixed(2)} then, ${change.currentPrice.toFixed(2)} now
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </div>
+        )}
+
+        {changedItems.length > 0 && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6">
+            <p className="text-yellow-800">
+              Some items have changed since you added them. Check the prices and availability below before
+              checking out.
+            </p>
+          </div>
+        )}
+
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 lg:gap-8">
           {/* Cart Items */}
           <div className="lg:col-span-2 space-y-4 sm:space-y-6">
@@ -105,9 +153,9 @@ function CartPage() {
                 <div className="divide-y divide-gray-200">
                   {businessGroup.items.map((item) => (
                     <div
-                      key={item.product.id}
+                      key={item.key}
                       className={`p-4 sm:p-6 transition-opacity ${
-                        removingItemId === item.product.id ? 'opacity-50' : 'opacity-100'
+                        removingItemId === item.key ? 'opacity-50' : 'opacity-100'
                       }`}
                     >
                       <div className="flex items-start space-x-3 sm:space-x-4">
@@ -117,9 +165,9 @@ function CartPage() {
                           className="flex-shrink-0"
                         >
                           <div className="w-20 h-20 sm:w-24 sm:h-24 bg-gray-200 rounded-lg overflow-hidden">
-                            {item.product.images && item.product.images.length > 0 ? (
+                            {item.variant?.images?.length > 0 || item.product.images?.length > 0 ? (
                               <img
-                                src={item.product.images[0]}
+                                src={item.variant?.images?.[0] || item.product.images[0]}
                                 alt={item.product.name}
                                 className="w-full h-full object-cover"
                               />
@@ -151,6 +199,12 @@ function CartPage() {
                           >
                             {item.product.name}
                           </Link>
+
+                          {item.variant && (
+                            <p className="text-sm text-gray-700 mt-1">
+                              {formatVariantOptions(item.variant.options)}
+                            </p>
+                          )}
                           
                           {item.product.category && (
                             <p className="text-xs sm:text-sm text-gray-500 mt-1">
@@ -164,9 +218,9 @@ function CartPage() {
                               <button
                                 onClick={() =>
                                   handleQuantityChange(
-                                    item.product.id,
+                                    item.key,
                                     item.quantity - 1,
-                                    item.product.quantity
+                                    getItemStock(item)
                                   )
                                 }
                                 className="w-10 h-10 flex items-center justify-center bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 active:bg-gray-400 transition-colors touch-manipulation"
@@ -179,12 +233,12 @@ function CartPage() {
                               <button
                                 onClick={() =>
                                   handleQuantityChange(
-                                    item.product.id,
+                                    item.key,
                                     item.quantity + 1,
-                                    item.product.quantity
+                                    getItemStock(item)
                                   )
                                 }
-                                disabled={item.quantity >= item.product.quantity}
+                                disabled={item.quantity >= getItemStock(item)}
                                 className="w-10 h-10 flex items-center justify-center bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 active:bg-gray-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors touch-manipulation"
                               >
                                 +
@@ -193,16 +247,34 @@ function CartPage() {
 
                             {/* Remove Button */}
                             <button
-                              onClick={() => handleRemoveItem(item.product.id)}
+                              onClick={() => handleRemoveItem(item.key)}
                               className="text-red-600 hover:text-red-700 active:text-red-800 text-sm font-medium transition-colors touch-manipulation"
                             >
                               Remove
                             </button>
                           </div>
 
-                          {item.quantity > item.product.quantity && (
+                          {item.status === 'unavailable' ? (
                             <p className="text-red-600 text-sm mt-2">
-                              Only {item.product.quantity} available in stock
+                              This product now comes in several options.{' '}
+                              <Link to={`/products/${item.product.id}`} className="underline">
+                                Choose one
+                              </Link>{' '}
+                              and remove this item.
+                            </p>
+                          ) : getItemStock(item) === 0 ? (
+                            <p className="text-red-600 text-sm mt-2">Sold out</p>
+                          ) : (
+                            item.quantity > getItemStock(item) && (
+                              <p className="text-red-600 text-sm mt-2">
+                                Only {getItemStock(item)} available in stock
+                              </p>
+                            )
+                          )}
+
+                          {item.priceChanged && (
+                            <p className="text-yellow-700 text-sm mt-2">
+                              Price changed from ${item.addedPrice.toFixed(2)} to ${item.unitPrice.toFixed(2)}
                             </p>
                           )}
                         </div>
@@ -210,10 +282,10 @@ function CartPage() {
                         {/* Price */}
                         <div className="text-right flex-shrink-0">
                           <p className="text-lg sm:text-xl font-bold text-gray-900">
-                            ${(item.product.price * item.quantity).toFixed(2)}
+                            ${(getItemPrice(item) * item.quantity).toFixed(2)}
                           </p>
                           <p className="text-xs sm:text-sm text-gray-500 mt-1">
-                            ${item.product.price.toFixed(2)} each
+                            ${getItemPrice(item).toFixed(2)} each
                           </p>
                         </div>
                       </div>
@@ -262,9 +334,16 @@ function CartPage() {
                 </div>
               </div>
 
+              {blockedItems.length > 0 && (
+                <p className="text-sm text-red-600 mb-3">
+                  Remove sold-out or unavailable items to check out.
+                </p>
+              )}
+
               <button
                 onClick={handleCheckout}
-                className="w-full px-6 py-3 text-base bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 active:bg-blue-800 transition-colors mb-4 touch-manipulation"
+                disabled={blockedItems.length > 0}
+                className="w-full px-6 py-3 text-base bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 active:bg-blue-800 disabled:opacity-50 disabled:cursor-not-allowed transition-colors mb-4 touch-manipulation"
               >
                 Proceed to Checkout
               </button>
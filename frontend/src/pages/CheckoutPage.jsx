@@ -1,8 +1,12 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import useCartStore from '../store/cartStore';
+import useCartStore, { getItemPrice } from '../store/cartStore';
 import useAuthStore from '../store/authStore';
 import orderService from '../services/orderService';
+import businessService from '../services/businessService';
+import paymentService from '../services/paymentService';
+import { formatVariantOptions } from '../utils/variantUtils';
+import { formatPickupSlot } from '../utils/orderUtils';
 
 function CheckoutPage() {
   const navigate = useNavigate();
@@ -10,24 +14,173 @@ function CheckoutPage() {
   const { items, getItemsByBusiness, getTotalPrice, clearCart } = useCartStore();
   
   const [deliveryMethod, setDeliveryMethod] = useState('delivery');
-  const [deliveryAddress, setDeliveryAddress] = useState('');
+  const [deliveryAddress, setDeliveryAddress] = useState({
+    address: '',
+    city: '',
+    postalCode: '',
+    country: '',
+  });
   const [deliveryNotes, setDeliveryNotes] = useState('');
   const [contactPhone, setContactPhone] = useState('');
+  const [paymentMethod, setPaymentMethod] = useState('card');
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState(null);
+  const [quote, setQuote] = useState(null);
+  const [quoteLoading, setQuoteLoading] = useState(false);
+  const [pickupSlots, setPickupSlots] = useState({});
+  const [selectedSlots, setSelectedSlots] = useState({});
+  const [promoInput, setPromoInput] = useState('');
+  const [appliedCode, setAppliedCode] = useState('');
+  const [promoError, setPromoError] = useState(null);
 
   const itemsByBusiness = getItemsByBusiness();
+  const businessIds = itemsByBusiness.map((businessGroup) => businessGroup.businessId).join(',');
   const subtotal = getTotalPrice();
-  const estimatedDeliveryFee = deliveryMethod === 'delivery' ? 5.00 * itemsByBusiness.length : 0;
-  const total = subtotal + estimatedDeliveryFee;
+  const hasCompleteAddress =
+    deliveryAddress.address.trim() && deliveryAddress.city.trim() && deliveryAddress.country.trim();
+  const deliveryFee = deliveryMethod === 'delivery' ? quote?.deliveryFee ?? null : 0;
+  const discount = quote?.discountAmount || 0;
+  const total = subtotal - discount + (deliveryFee || 0);
+
+  // Fetch the server-side quote, with promotions and (once the address is complete) delivery fees
+  useEffect(() => {
+    setQuote(null);
+
+    if ((deliveryMethod === 'delivery' && !hasCompleteAddress) || items.length === 0) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setQuoteLoading(true);
+
+      try {
+        const response = await orderService.quoteOrder({
+          items: items.map((item) => ({
+            productId: item.product.id,
+            variantId: item.variant?.id || null,
+            quantity: item.quantity,
+          })),
+          deliveryMethod,
+          deliveryAddress: deliveryMethod === 'delivery' ? deliveryAddress : null,
+          promoCode: appliedCode || null,
+        });
+        if (!cancelled) {
+          setQuote(response.quote);
+        }
+      } catch (err) {
+        console.error('Error fetching delivery quote:', err);
+        const apiError = err.response?.data?.error;
+        if (!cancelled && apiError?.code?.startsWith('PROMO_')) {
+          // Drop the code and quote again without it
+          setPromoError(apiError.message);
+          setAppliedCode('');
+        } else if (!cancelled) {
+          setQuote({
+            error: err.response?.data?.error?.message || 'Unable to calculate the delivery fee',
+          });
+        }
+      } finally {
+        if (!cancelled) {
+          setQuoteLoading(false);
+        }
+      }
+    }, 800);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [deliveryMethod, deliveryAddress, items, appliedCode]);
+
+  // Businesses that schedule pickups offer their upcoming slots
+  useEffect(() => {
+    if (deliveryMethod !== 'pickup' || !businessIds) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    const fetchSlots = async () => {
+      const entries = await Promise.all(
+        businessIds.split(',').map(async (businessId) => {
+          try {
+            return [businessId, await businessService.getPickupSlots(businessId)];
+          } catch (err) {
+            console.error('Error fetching pickup slots:', err);
+            return [businessId, { error: 'Unable to load pickup times' }];
+          }
+        })
+      );
+      if (!cancelled) {
+        setPickupSlots(Object.fromEntries(entries));
+      }
+    };
+
+    fetchSlots();
+    return () => {
+      cancelled = true;
+    };
+  }, [deliveryMethod, businessIds]);
+
+  const getDeliveryFeeLabel = () => {
+    if (deliveryMethod !== 'delivery') {
+      return 'Free';
+    }
+    if (quoteLoading) {
+      return 'Calculating...';
+    }
+    if (deliveryFee === null) {
+      return 'Enter address';
+    }
+    return deliveryFee === 0 ? 'Free' : `$${deliveryFee.toFixed(2)}`;
+  };
+
+  const handleApplyPromo = () => {
+    setPromoError(null);
+    setAppliedCode(promoInput.trim().toUpperCase());
+  };
+
+  const handleRemovePromo = () => {
+    setPromoInput('');
+    setAppliedCode('');
+    setPromoError(null);
+  };
+
+  const handleAddressChange = (field, fieldValue) => {
+    setDeliveryAddress((prev) => ({ ...prev, [field]: fieldValue }));
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError(null);
 
     // Validation
-    if (deliveryMethod === 'delivery' && !deliveryAddress.trim()) {
-      setError('Please enter a delivery address');
+    if (
+      deliveryMethod === 'delivery' &&
+      (!deliveryAddress.address.trim() || !deliveryAddress.city.trim() || !deliveryAddress.country.trim())
+    ) {
+      setError('Please enter a delivery address, city and country');
+      return;
+    }
+
+    if (deliveryMethod === 'delivery' && (!quote || quote.error)) {
+      setError(quote?.error || 'Please wait for the delivery fee to be calculated');
+      return;
+    }
+
+    if (deliveryMethod === 'delivery' && !quote.deliverable) {
+      setError('Some businesses in your cart do not deliver to this address');
+      return;
+    }
+
+    if (
+      deliveryMethod === 'pickup' &&
+      itemsByBusiness.some(
+        (businessGroup) =>
+          pickupSlots[businessGroup.businessId]?.enabled && !selectedSlots[businessGroup.businessId]
+      )
+    ) {
+      setError('Please choose a pickup time for each business');
       return;
     }
 
@@ -44,38 +197,38 @@ function CheckoutPage() {
     setIsSubmitting(true);
 
     try {
-      // Create separate orders for each business
-      const orderPromises = itemsByBusiness.map(async (businessGroup) => {
-        const orderData = {
-          businessId: businessGroup.businessId,
-          items: businessGroup.items.map((item) => ({
-            productId: item.product.id,
-            quantity: item.quantity,
-            priceAtPurchase: item.product.price,
-          })),
-          deliveryMethod,
-          deliveryAddress: deliveryMethod === 'delivery' ? deliveryAddress : null,
-          deliveryNotes: deliveryNotes || null,
-          contactPhone,
-        };
-
-        return orderService.createOrder(orderData);
+      // One checkout for the whole cart; the server splits it into an order per business
+      const chosenSlots = Object.fromEntries(
+        Object.entries(selectedSlots).filter(([, slotStart]) => slotStart)
+      );
+      const { checkout } = await orderService.createOrder({
+        items: items.map((item) => ({
+          productId: item.product.id,
+          variantId: item.variant?.id || null,
+          quantity: item.quantity,
+          priceAtPurchase: getItemPrice(item),
+        })),
+        deliveryMethod,
+        deliveryAddress: deliveryMethod === 'delivery' ? deliveryAddress : null,
+        ...(deliveryMethod === 'pickup' && { pickupSlots: chosenSlots }),
+        deliveryNotes: deliveryNotes || null,
+        contactPhone,
+        promoCode: appliedCode || null,
       });
-
-      const createdOrders = await Promise.all(orderPromises);
       
       // Clear cart after successful order creation
       clearCart();
 
-      // Navigate to order confirmation page with order IDs
-      const orderIds = createdOrders.map((order) => order.order.id);
-      navigate('/order-confirmation', { 
-        state: { 
-          orderIds,
-          deliveryMethod,
-          total 
-        } 
-      });
+      // Pay for every order with one combined payment; the confirmation page shows whether it went
+      // through, and failed payments can be retried from the order pages
+      try {
+        const intent = await paymentService.createCheckoutPaymentIntent(checkout.id, paymentMethod);
+        await paymentService.confirmPayment(intent.paymentIntentId);
+      } catch (paymentError) {
+        console.error('Error paying for checkout:', paymentError);
+      }
+
+      navigate(`/order-confirmation?checkout=${checkout.id}`);
     } catch (err) {
       console.error('Error creating orders:', err);
       setError(
@@ -126,7 +279,9 @@ function CheckoutPage() {
                           Home Delivery
                         </span>
                         <span className="text-sm text-gray-600">
-                          ~${estimatedDeliveryFee.toFixed(2)}
+                          {quote?.deliveryFee !== undefined
+                            ? `$${quote.deliveryFee.toFixed(2)}`
+                            : 'Based on your address'}
                         </span>
                       </div>
                       <p className="text-sm text-gray-600 mt-1">
@@ -161,6 +316,54 @@ function CheckoutPage() {
                 </div>
               </div>
 
+              {/* Pickup Times */}
+              {deliveryMethod === 'pickup' &&
+                itemsByBusiness.some((businessGroup) => pickupSlots[businessGroup.businessId]?.enabled) && (
+                <div className="bg-white rounded-lg shadow-md p-6">
+                  <h2 className="text-xl font-bold text-gray-900 mb-4">
+                    Pickup Time
+                  </h2>
+
+                  <div className="space-y-4">
+                    {itemsByBusiness
+                      .filter((businessGroup) => pickupSlots[businessGroup.businessId]?.enabled)
+                      .map((businessGroup) => {
+                        const availability = pickupSlots[businessGroup.businessId];
+                        return (
+                          <div key={businessGroup.businessId}>
+                            <label className="block text-sm font-medium text-gray-700 mb-2">
+                              {businessGroup.businessName} *
+                            </label>
+                            {availability.slots.length === 0 ? (
+                              <p className="text-sm text-red-600">
+                                No pickup times are available this week. Choose delivery or try again later.
+                              </p>
+                            ) : (
+                              <select
+                                value={selectedSlots[businessGroup.businessId] || ''}
+                                onChange={(e) =>
+                                  setSelectedSlots((prev) => ({ ...prev, [businessGroup.businessId]: e.target.value }))
+                                }
+                                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                required
+                              >
+                                <option value="">Choose a pickup time</option>
+                                {availability.slots.map((slot) => (
+                                  <option key={slot.start} value={slot.start} disabled={slot.remaining === 0}>
+                                    {formatPickupSlot(slot, availability.timezone)}
+                                    {slot.remaining === 0 ? ' (full)' : ''}
+                                  </option>
+                                ))}
+                              </select>
+                            )}
+                            <p className="text-xs text-gray-500 mt-1">Times are in {availability.timezone}.</p>
+                          </div>
+                        );
+                      })}
+                  </div>
+                </div>
+              )}
+
               {/* Contact Information */}
               <div className="bg-white rounded-lg shadow-md p-6">
                 <h2 className="text-xl font-bold text-gray-900 mb-4">
@@ -188,16 +391,54 @@ function CheckoutPage() {
                         <label className="block text-sm font-medium text-gray-700 mb-2">
                           Delivery Address *
                         </label>
-                        <textarea
-                          value={deliveryAddress}
-                          onChange={(e) => setDeliveryAddress(e.target.value)}
-                          placeholder="Enter your full delivery address"
-                          rows={3}
+                        <input
+                          type="text"
+                          value={deliveryAddress.address}
+                          onChange={(e) => handleAddressChange('address', e.target.value)}
+                          placeholder="Street address, building, apartment"
                           className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
                           required
                         />
                       </div>
 
+                      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            City *
+                          </label>
+                          <input
+                            type="text"
+                            value={deliveryAddress.city}
+                            onChange={(e) => handleAddressChange('city', e.target.value)}
+                            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            required
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Postal Code
+                          </label>
+                          <input
+                            type="text"
+                            value={deliveryAddress.postalCode}
+                            onChange={(e) => handleAddressChange('postalCode', e.target.value)}
+                            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Country *
+                          </label>
+                          <input
+                            type="text"
+                            value={deliveryAddress.country}
+                            onChange={(e) => handleAddressChange('country', e.target.value)}
+                            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            required
+                          />
+                        </div>
+                      </div>
+
                       <div>
                         <label className="block text-sm font-medium text-gray-700 mb-2">
                           Delivery Notes (Optional)
@@ -215,6 +456,35 @@ function CheckoutPage() {
                 </div>
               </div>
 
+              {/* Payment Method */}
+              <div className="bg-white rounded-lg shadow-md p-6">
+                <h2 className="text-xl font-bold text-gray-900 mb-4">
+                  Payment Method
+                </h2>
+
+                <div className="space-y-3">
+                  {[
+                    { value: 'card', label: 'Credit or Debit Card' },
+                    { value: 'mpesa', label: 'M-Pesa' },
+                  ].map((option) => (
+                    <label
+                      key={option.value}
+                      className="flex items-center p-4 border-2 border-gray-200 rounded-lg cursor-pointer hover:border-blue-500 transition-colors"
+                    >
+                      <input
+                        type="radio"
+                        name="paymentMethod"
+                        value={option.value}
+                        checked={paymentMethod === option.value}
+                        onChange={(e) => setPaymentMethod(e.target.value)}
+                        className="mr-3"
+                      />
+                      <span className="font-semibold text-gray-900">{option.label}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
               {/* Order Items Summary */}
               <div className="bg-white rounded-lg shadow-md p-6">
                 <h2 className="text-xl font-bold text-gray-900 mb-4">
@@ -229,12 +499,13 @@ function CheckoutPage() {
                       </h3>
                       <div className="space-y-2">
                         {businessGroup.items.map((item) => (
-                          <div key={item.product.id} className="flex justify-between text-sm">
+                          <div key={item.key} className="flex justify-between text-sm">
                             <span className="text-gray-700">
-                              {item.product.name} × {item.quantity}
+                              {item.product.name}
+                              {item.variant && ` (${formatVariantOptions(item.variant.options)})`} × {item.quantity}
                             </span>
                             <span className="font-medium text-gray-900">
-                              ${(item.product.price * item.quantity).toFixed(2)}
+                              ${(getItemPrice(item) * item.quantity).toFixed(2)}
                             </span>
                           </div>
                         ))}
@@ -278,19 +549,93 @@ function CheckoutPage() {
                     <span className="font-semibold">${subtotal.toFixed(2)}</span>
                   </div>
 
+                  {/* Promo Code */}
+                  <div>
+                    <label htmlFor="promoCode" className="block text-sm font-medium text-gray-700 mb-1">
+                      Promo code
+                    </label>
+                    {appliedCode && !promoError ? (
+                      <div className="flex items-center justify-between text-sm">
+                        <span className="font-medium text-green-700">{appliedCode} applied</span>
+                        <button
+                          type="button"
+                          onClick={handleRemovePromo}
+                          className="text-red-600 hover:text-red-700"
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="flex space-x-2">
+                        <input
+                          id="promoCode"
+                          type="text"
+                          value={promoInput}
+                          onChange={(e) => setPromoInput(e.target.value)}
+                          maxLength={50}
+                          placeholder="Enter code"
+                          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg uppercase focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        <button
+                          type="button"
+                          onClick={handleApplyPromo}
+                          disabled={!promoInput.trim()}
+                          className="px-4 py-2 bg-gray-200 text-gray-700 font-medium rounded-lg hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          Apply
+                        </button>
+                      </div>
+                    )}
+                    {promoError && <p className="text-xs text-red-600 mt-1">{promoError}</p>}
+                  </div>
+
+                  {discount > 0 && (
+                    <div>
+                      <div className="flex justify-between text-green-700">
+                        <span>Discount</span>
+                        <span className="font-semibold">-${discount.toFixed(2)}</span>
+                      </div>
+                      {quote.orders
+                        .filter((businessQuote) => businessQuote.promotion)
+                        .map((businessQuote) => (
+                          <div key={businessQuote.businessId} className="text-xs text-gray-500">
+                            {businessQuote.businessName}: {businessQuote.promotion.name}
+                            {businessQuote.promotion.code && ` (${businessQuote.promotion.code})`} -$
+                            {businessQuote.discountAmount.toFixed(2)}
+                          </div>
+                        ))}
+                    </div>
+                  )}
+
                   <div className="flex justify-between text-gray-700">
                     <span>Delivery Fee</span>
-                    <span className="font-semibold">
-                      {deliveryMethod === 'delivery' 
-                        ? `$${estimatedDeliveryFee.toFixed(2)}` 
-                        : 'Free'}
-                    </span>
+                    <span className="font-semibold">{getDeliveryFeeLabel()}</span>
                   </div>
 
-                  {deliveryMethod === 'delivery' && itemsByBusiness.length > 1 && (
-                    <p className="text-xs text-gray-500">
-                      Estimated delivery fee for {itemsByBusiness.length} businesses
-                    </p>
+                  {deliveryMethod === 'delivery' && quote?.orders && (
+                    <div className="space-y-1">
+                      {quote.orders.map((businessQuote) => (
+                        <div key={businessQuote.businessId} className="text-xs text-gray-500">
+                          {businessQuote.deliverable ? (
+                            <span>
+                              {businessQuote.businessName}:{' '}
+                              {businessQuote.freeDelivery
+                                ? 'free delivery'
+                                : `$${businessQuote.deliveryFee.toFixed(2)}`}
+                              {businessQuote.distanceKm !== null && ` (${businessQuote.distanceKm} km)`}
+                            </span>
+                          ) : (
+                            <span className="text-red-600">
+                              {businessQuote.businessName}: {businessQuote.message}
+                            </span>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  {deliveryMethod === 'delivery' && quote?.error && (
+                    <p className="text-xs text-red-600">{quote.error}</p>
                   )}
 
                   <div className="border-t border-gray-200 pt-4">
@@ -335,8 +680,8 @@ function CheckoutPage() {
                     <div className="text-sm text-yellow-900">
                       <p className="font-medium mb-1">Payment Note:</p>
                       <p>
-                        Payment integration is optional for MVP. Orders will be created 
-                        and businesses will be notified to arrange payment.
+                        Each business receives a separate payment. If a payment does not 
+                        go through, you can retry it from the order details page.
                       </p>
                     </div>
                   </div>
@@ -1,8 +1,7 @@
 import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
 import orderService from '../services/orderService';
-import productService from '../services/productService';
-import businessService from '../services/businessService';
+import analyticsService from '../services/analyticsService';
 import useAuthStore from '../store/authStore';
 
 function DashboardOverviewPage() {
@@ -12,6 +11,8 @@ function DashboardOverviewPage() {
     totalProducts: 0,
     lowStockProducts: 0,
   });
+  const [revenue, setRevenue] = useState(null);
+  const [topProducts, setTopProducts] = useState([]);
   const [recentOrders, setRecentOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const { user } = useAuthStore();
@@ -23,30 +24,31 @@ function DashboardOverviewPage() {
   const fetchDashboardData = async () => {
     setLoading(true);
     try {
-      // Fetch orders
-      const ordersResponse = await orderService.getOrders();
-      const orders = ordersResponse.orders || [];
-      
-      // Fetch products (assuming we have business ID from user)
-      let products = [];
-      if (user?.businessId) {
-        const productsResponse = await businessService.getBusinessProducts(user.businessId);
-        products = productsResponse.products || [];
-      }
-
-      // Calculate stats
-      const pendingOrders = orders.filter(o => ['pending', 'confirmed'].includes(o.status));
-      const lowStockProducts = products.filter(p => p.quantity > 0 && p.quantity < 10);
+      // Fetch recent orders
+      const ordersResponse = await orderService.getOrders({ limit: 5 });
+      setRecentOrders((ordersResponse.orders || []).slice(0, 5));
 
-      setStats({
-        totalOrders: orders.length,
-        pendingOrders: pendingOrders.length,
-        totalProducts: products.length,
-        lowStockProducts: lowStockProducts.length,
-      });
+      // Aggregates for the last 30 days come from the analytics API
+      if (user?.businessId) {
+        const [metrics, performance] = await Promise.all([
+          analyticsService.getBusinessMetrics(user.businessId),
+          analyticsService.getProductPerformance(user.businessId, { limit: 5 }),
+        ]);
 
-      // Set recent orders (last 5)
-      setRecentOrders(orders.slice(0, 5));
+        setStats({
+          totalOrders: metrics.orders.total,
+          pendingOrders: metrics.orders.open,
+          totalProducts: metrics.products.total,
+          lowStockProducts: metrics.products.lowStock,
+        });
+        setRevenue({
+          net: metrics.revenue.net,
+          averageOrderValue: metrics.revenue.averageOrderValue,
+          customers: metrics.customers.unique,
+          returningCustomers: metrics.customers.returning,
+        });
+        setTopProducts(performance.products.filter((p) => p.unitsSold > 0));
+      }
     } catch (error) {
       console.error('Error fetching dashboard data:', error);
     } finally {
@@ -74,7 +76,7 @@ function DashboardOverviewPage() {
         {/* Stats Grid */}
         <div className="mt-6 grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-4">
           <StatCard
-            title="Total Orders"
+            title="Orders (30 days)"
             value={stats.totalOrders}
             icon={
               <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -84,7 +86,7 @@ function DashboardOverviewPage() {
             color="blue"
           />
           <StatCard
-            title="Pending Orders"
+            title="Open Orders"
             value={stats.pendingOrders}
             icon={
               <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -118,6 +120,49 @@ function DashboardOverviewPage() {
           />
         </div>
 
+        {/* Sales Summary */}
+        {revenue && (
+          <div className="mt-8 bg-white shadow rounded-lg p-6">
+            <h2 className="text-lg font-medium text-gray-900 mb-4">Last 30 Days</h2>
+            <dl className="grid grid-cols-2 gap-6 lg:grid-cols-4">
+              <div>
+                <dt className="text-sm text-gray-500">Net Revenue</dt>
+                <dd className="text-xl font-semibold text-gray-900">${revenue.net.toFixed(2)}</dd>
+              </div>
+              <div>
+                <dt className="text-sm text-gray-500">Average Order</dt>
+                <dd className="text-xl font-semibold text-gray-900">
+                  ${revenue.averageOrderValue.toFixed(2)}
+                </dd>
+              </div>
+              <div>
+                <dt className="text-sm text-gray-500">Customers</dt>
+                <dd className="text-xl font-semibold text-gray-900">{revenue.customers}</dd>
+              </div>
+              <div>
+                <dt className="text-sm text-gray-500">Returning Customers</dt>
+                <dd className="text-xl font-semibold text-gray-900">{revenue.returningCustomers}</dd>
+              </div>
+            </dl>
+
+            {topProducts.length > 0 && (
+              <div className="mt-6">
+                <h3 className="text-sm font-medium text-gray-900 mb-2">Top Products</h3>
+                <ul className="divide-y divide-gray-200">
+                  {topProducts.map((product) => (
+                    <li key={product.productId} className="py-2 flex justify-between text-sm">
+                      <span className="text-gray-900">{product.name}</span>
+                      <span className="text-gray-600">
+                        {product.unitsSold} sold • ${product.revenue.toFixed(2)}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Recent Orders */}
         <div className="mt-8">
           <div className="flex items-center justify-between mb-4">
@@ -3,6 +3,7 @@ import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet';
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import geolocationService from '../services/geolocationService';
+import OpeningStatusBadge from '../components/OpeningStatusBadge';
 import businessService from '../services/businessService';
 
 // Fix for default marker icons in React-Leaflet
@@ -78,6 +79,8 @@ function MapPage() {
     distance: 10, // km
     minRating: 0,
     verified: false,
+    openWhen: '', // '', 'now' or 'at'
+    openAt: '', // datetime-local value, used when openWhen is 'at'
   });
 
   const mapRef = useRef(null);
@@ -135,6 +138,12 @@ function MapPage() {
       if (filters.verified) {
         filterParams.verified = true;
       }
+      if (filters.openWhen === 'now') {
+        filterParams.openNow = true;
+      }
+      if (filters.openWhen === 'at' && filters.openAt) {
+        filterParams.openAt = new Date(filters.openAt).toISOString();
+      }
 
       const data = await businessService.getNearbyBusinesses(
         userLocation.lat,
@@ -192,7 +201,7 @@ function MapPage() {
         <div className="max-w-7xl mx-auto">
           <h1 className="text-xl sm:text-2xl font-bold text-gray-900 mb-3 sm:mb-4">Discover Businesses Near You</h1>
           
-          <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-4 gap-3 sm:gap-4">
+          <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-5 gap-3 sm:gap-4">
             {/* Business Type Filter */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -242,6 +251,30 @@ function MapPage() {
               </select>
             </div>
 
+            {/* Opening Hours Filter */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Open
+              </label>
+              <select
+                value={filters.openWhen}
+                onChange={(e) => handleFilterChange('openWhen', e.target.value)}
+                className="w-full px-3 py-2 text-base border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent touch-manipulation"
+              >
+                <option value="">Any Time</option>
+                <option value="now">Open Now</option>
+                <option value="at">Open At...</option>
+              </select>
+              {filters.openWhen === 'at' && (
+                <input
+                  type="datetime-local"
+                  value={filters.openAt}
+                  onChange={(e) => handleFilterChange('openAt', e.target.value)}
+                  className="mt-2 w-full px-3 py-2 text-base border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent touch-manipulation"
+                />
+              )}
+            </div>
+
             {/* Verified Filter */}
             <div className="flex items-end">
               <label className="flex items-center space-x-2 cursor-pointer touch-manipulation">
@@ -355,6 +388,12 @@ function MapPage() {
                     </span>
                   </div>
 
+                  {business.openingStatus?.isOpen != null && (
+                    <div className="mb-2">
+                      <OpeningStatusBadge openingStatus={business.openingStatus} />
+                    </div>
+                  )}
+
                   {business.description && (
                     <p className="text-sm text-gray-600 mb-2 line-clamp-2">
                       {business.description}
@@ -0,0 +1,320 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import messageService from '../services/messageService';
+import productService from '../services/productService';
+import useAuthStore from '../store/authStore';
+import useNotificationStore from '../store/notificationStore';
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+function MessagesPage() {
+  const { user } = useAuthStore();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const partnerId = searchParams.get('userId');
+  const productId = searchParams.get('productId');
+  const orderId = searchParams.get('orderId');
+
+  const [conversations, setConversations] = useState([]);
+  const [thread, setThread] = useState(null);
+  const [referenceLabel, setReferenceLabel] = useState(null);
+  const [draft, setDraft] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [threadLoading, setThreadLoading] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+  const threadEndRef = useRef(null);
+
+  useEffect(() => {
+    fetchConversations();
+  }, []);
+
+  useEffect(() => {
+    if (partnerId) {
+      fetchThread();
+    } else {
+      setThread(null);
+    }
+  }, [partnerId]);
+
+  useEffect(() => {
+    fetchReferenceLabel();
+  }, [productId, orderId]);
+
+  // Show incoming messages as they arrive
+  const subscribe = useNotificationStore((state) => state.subscribe);
+  useEffect(() => {
+    return subscribe('message', async (message) => {
+      const otherUserId = message.senderId === user?.id ? message.receiverId : message.senderId;
+
+      if (otherUserId === partnerId) {
+        setThread((prev) =>
+          prev && !prev.messages.some((m) => m.id === message.id)
+            ? { ...prev, messages: [...prev.messages, message] }
+            : prev
+        );
+
+        if (message.receiverId === user?.id) {
+          try {
+            await messageService.markConversationAsRead(partnerId);
+          } catch (err) {
+            console.error('Error marking conversation as read:', err);
+          }
+        }
+      }
+
+      await fetchConversations();
+    });
+  }, [partnerId, user?.id]);
+
+  // Keep the newest message in view
+  const lastMessageId = thread?.messages[thread.messages.length - 1]?.id;
+  useEffect(() => {
+    threadEndRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [lastMessageId]);
+
+  const fetchConversations = async () => {
+    try {
+      const response = await messageService.getConversations();
+      setConversations(response.conversations || []);
+    } catch (err) {
+      console.error('Error fetching conversations:', err);
+      setError('Failed to load conversations');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchThread = async () => {
+    setThreadLoading(true);
+    setError(null);
+
+    try {
+      const response = await messageService.getConversation(partnerId);
+      setThread(response);
+
+      if (response.messages.some((m) => m.receiverId === user?.id && !m.read)) {
+        await messageService.markConversationAsRead(partnerId);
+        await fetchConversations();
+      }
+    } catch (err) {
+      console.error('Error fetching conversation:', err);
+      setError('Failed to load conversation');
+    } finally {
+      setThreadLoading(false);
+    }
+  };
+
+  const fetchReferenceLabel = async () => {
+    if (productId) {
+      try {
+        const response = await productService.getProductById(productId);
+        setReferenceLabel(`About: ${response.product.name}`);
+      } catch (err) {
+        setReferenceLabel('About a product');
+      }
+    } else if (orderId) {
+      setReferenceLabel(`About order #${orderId.slice(0, 8)}`);
+    } else {
+      setReferenceLabel(null);
+    }
+  };
+
+  const handleLoadOlder = async () => {
+    try {
+      const response = await messageService.getConversation(partnerId, {
+        before: thread.messages[0].createdAt,
+      });
+      setThread((prev) => ({
+        ...prev,
+        messages: [...response.messages, ...prev.messages],
+        hasMore: response.hasMore,
+      }));
+    } catch (err) {
+      console.error('Error loading older messages:', err);
+      setError('Failed to load older messages');
+    }
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!draft.trim()) {
+      return;
+    }
+
+    setSending(true);
+    setError(null);
+
+    try {
+      const response = await messageService.sendMessage(partnerId, draft, { productId, orderId });
+      setDraft('');
+
+      // The product or order reference only applies to the message that raised it
+      const receiverId = response.data.receiverId;
+      setSearchParams({ userId: receiverId });
+      if (receiverId === partnerId) {
+        setThread((prev) =>
+          prev?.messages.some((m) => m.id === response.data.id)
+            ? prev
+            : { ...prev, messages: [...(prev?.messages || []), response.data] }
+        );
+      }
+      await fetchConversations();
+    } catch (err) {
+      console.error('Error sending message:', err);
+      setError(err.response?.data?.error?.message || 'Failed to send message');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const lastOwnMessage = thread?.messages.filter((m) => m.senderId === user?.id).slice(-1)[0];
+  const isComposingNew = !partnerId && (productId || orderId);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-blue-600 mx-auto mb-4"></div>
+          <p className="text-gray-600">Loading messages...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 py-8">
+      <h1 className="text-3xl font-bold text-gray-900 mb-6">Messages</h1>
+
+      {error && (
+        <div className="mb-4 bg-red-50 border border-red-200 rounded-lg p-4">
+          <p className="text-red-800">{error}</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        {/* Conversation List */}
+        <div className="bg-white rounded-lg shadow-md overflow-hidden">
+          {conversations.length === 0 ? (
+            <p className="p-6 text-sm text-gray-600">No conversations yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {conversations.map((conversation) => (
+                <li key={conversation.partner.id}>
+                  <button
+                    onClick={() => setSearchParams({ userId: conversation.partner.id })}
+                    className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${
+                      conversation.partner.id === partnerId ? 'bg-blue-50' : ''
+                    }`}
+                  >
+                    <div className="flex items-center justify-between">
+                      <span className="font-semibold text-gray-900 truncate">
+                        {conversation.partner.displayName}
+                      </span>
+                      {conversation.unreadCount > 0 && (
+                        <span className="ml-2 px-2 py-0.5 bg-blue-600 text-white text-xs font-medium rounded-full">
+                          {conversation.unreadCount}
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-sm text-gray-600 truncate">{conversation.lastMessage.content}</p>
+                    <p className="text-xs text-gray-400">{formatTime(conversation.lastMessage.createdAt)}</p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Thread */}
+        <div className="md:col-span-2 bg-white rounded-lg shadow-md flex flex-col min-h-[32rem]">
+          {!partnerId && !isComposingNew ? (
+            <div className="flex-1 flex items-center justify-center p-6">
+              <p className="text-gray-600">Select a conversation to start messaging.</p>
+            </div>
+          ) : (
+            <>
+              <div className="px-6 py-4 border-b border-gray-200">
+                <h2 className="text-lg font-semibold text-gray-900">
+                  {thread?.partner?.displayName || 'New message'}
+                </h2>
+                {referenceLabel && <p className="text-sm text-blue-700">{referenceLabel}</p>}
+              </div>
+
+              <div className="flex-1 overflow-y-auto px-6 py-4 space-y-3 max-h-[28rem]">
+                {threadLoading && <p className="text-sm text-gray-500">Loading...</p>}
+
+                {thread?.hasMore && (
+                  <button
+                    onClick={handleLoadOlder}
+                    className="block mx-auto text-sm text-blue-600 hover:text-blue-700"
+                  >
+                    Load older messages
+                  </button>
+                )}
+
+                {thread?.messages.map((message) => {
+                  const isOwn = message.senderId === user?.id;
+
+                  return (
+                    <div key={message.id} className={`flex ${isOwn ? 'justify-end' : 'justify-start'}`}>
+                      <div
+                        className={`max-w-md px-4 py-2 rounded-lg ${
+                          isOwn ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-900'
+                        }`}
+                      >
+                        {message.productId && (
+                          <Link
+                            to={`/products/${message.productId}`}
+                            className={`block text-xs underline mb-1 ${isOwn ? 'text-blue-100' : 'text-blue-700'}`}
+                          >
+                            {message.productName || 'View product'}
+                          </Link>
+                        )}
+                        {message.orderId && (
+                          <p className={`text-xs mb-1 ${isOwn ? 'text-blue-100' : 'text-gray-500'}`}>
+                            Order #{message.orderId.slice(0, 8)}
+                          </p>
+                        )}
+                        <p className="whitespace-pre-line">{message.content}</p>
+                        <p className={`text-xs mt-1 ${isOwn ? 'text-blue-100' : 'text-gray-500'}`}>
+                          {formatTime(message.createdAt)}
+                          {message.id === lastOwnMessage?.id && (message.read ? ' · Read' : ' · Sent')}
+                        </p>
+                      </div>
+                    </div>
+                  );
+                })}
+                <div ref={threadEndRef} />
+              </div>
+
+              <form onSubmit={handleSend} className="px-6 py-4 border-t border-gray-200 flex gap-3">
+                <textarea
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  placeholder="Write a message..."
+                  rows={2}
+                  className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <button
+                  type="submit"
+                  disabled={sending || !draft.trim()}
+                  className="px-6 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {sending ? 'Sending...' : 'Send'}
+                </button>
+              </form>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default MessagesPage;
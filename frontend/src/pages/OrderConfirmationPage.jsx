@@ -1,38 +1,43 @@
 import React, { useEffect, useState } from 'react';
-import { Link, useLocation, useNavigate } from 'react-router-dom';
-import orderService from '../services/orderService';
+import { Link, useLocation, useNavigate, useSearchParams } from 'react-router-dom';
+import checkoutService from '../services/checkoutService';
+import { formatAddress } from '../utils/addressUtils';
+import { formatVariantOptions } from '../utils/variantUtils';
+import { formatPickupSlot } from '../utils/orderUtils';
 
 function OrderConfirmationPage() {
   const location = useLocation();
   const navigate = useNavigate();
-  const [orders, setOrders] = useState([]);
+  const [searchParams] = useSearchParams();
+  const [checkout, setCheckout] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
-  const { orderIds, deliveryMethod, total } = location.state || {};
+  // The query parameter lets order history link back to a checkout
+  const checkoutId = searchParams.get('checkout') || location.state?.checkoutId;
+  const orders = checkout?.orders || [];
+  const unpaidSettlements = (checkout?.settlements || []).filter(
+    (settlement) => settlement.orderStatus !== 'cancelled' && settlement.paidAmount === 0
+  );
 
   useEffect(() => {
-    if (!orderIds || orderIds.length === 0) {
+    if (!checkoutId) {
       navigate('/cart');
       return;
     }
 
-    fetchOrders();
-  }, [orderIds]);
+    fetchCheckout();
+  }, [checkoutId]);
 
-  const fetchOrders = async () => {
+  const fetchCheckout = async () => {
     setLoading(true);
     setError(null);
 
     try {
-      const orderPromises = orderIds.map((orderId) =>
-        orderService.getOrderById(orderId)
-      );
-      const orderResponses = await Promise.all(orderPromises);
-      const fetchedOrders = orderResponses.map((response) => response.order);
-      setOrders(fetchedOrders);
+      const response = await checkoutService.getCheckout(checkoutId);
+      setCheckout(response.checkout);
     } catch (err) {
-      console.error('Error fetching orders:', err);
+      console.error('Error fetching checkout:', err);
       setError('Failed to load order details');
     } finally {
       setLoading(false);
@@ -125,7 +130,7 @@ function OrderConfirmationPage() {
               />
             </svg>
             <span>
-              Order placed on {new Date().toLocaleDateString('en-US', {
+              Order placed on {new Date(checkout.createdAt).toLocaleDateString('en-US', {
                 year: 'numeric',
                 month: 'long',
                 day: 'numeric',
@@ -136,24 +141,47 @@ function OrderConfirmationPage() {
           </div>
         </div>
 
+        {/* Failed Payment Warning */}
+        {unpaidSettlements.length > 0 && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-red-800">
+              Payment for {unpaidSettlements.length} {unpaidSettlements.length === 1 ? 'order' : 'orders'} did not
+              go through. Open the order from "My Orders" to retry the payment.
+            </p>
+          </div>
+        )}
+
         {/* Order Details */}
         <div className="space-y-6">
-          {orders.map((order, index) => (
+          {orders.map((order) => (
             <div key={order.id} className="bg-white rounded-lg shadow-md overflow-hidden">
               {/* Order Header */}
               <div className="bg-gray-50 px-6 py-4 border-b border-gray-200">
                 <div className="flex justify-between items-start">
                   <div>
                     <h2 className="text-lg font-semibold text-gray-900 mb-1">
-                      Order #{index + 1}
+                      {order.businessName}
                     </h2>
                     <p className="text-sm text-gray-600">
                       Order ID: {order.id}
                     </p>
                   </div>
-                  <span className="inline-flex items-center px-3 py-1 rounded-full text-sm font-medium bg-yellow-100 text-yellow-800">
-                    {order.status}
-                  </span>
+                  <div className="flex flex-col items-end gap-2">
+                    <span className="inline-flex items-center px-3 py-1 rounded-full text-sm font-medium bg-yellow-100 text-yellow-800">
+                      {order.status}
+                    </span>
+                    <span
+                      className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-medium ${
+                        order.paymentStatus === 'completed'
+                          ? 'bg-green-100 text-green-800'
+                          : order.paymentStatus === 'failed'
+                          ? 'bg-red-100 text-red-800'
+                          : 'bg-gray-100 text-gray-800'
+                      }`}
+                    >
+                      Payment {order.paymentStatus}
+                    </span>
+                  </div>
                 </div>
               </div>
 
@@ -167,6 +195,9 @@ function OrderConfirmationPage() {
                         <p className="text-gray-900 font-medium">
                           {item.productName || `Product ${item.productId}`}
                         </p>
+                        {item.variantOptions && (
+                          <p className="text-sm text-gray-600">{formatVariantOptions(item.variantOptions)}</p>
+                        )}
                         <p className="text-sm text-gray-600">
                           Quantity: {item.quantity}
                         </p>
@@ -178,6 +209,22 @@ function OrderConfirmationPage() {
                   ))}
                 </div>
 
+                {/* Discount */}
+                {order.discountAmount > 0 && (
+                  <div className="flex justify-between text-sm text-green-700 mt-4">
+                    <span>Discount</span>
+                    <span>-${order.discountAmount.toFixed(2)}</span>
+                  </div>
+                )}
+
+                {/* Delivery Fee */}
+                {order.deliveryFee > 0 && (
+                  <div className="flex justify-between text-sm text-gray-700 mt-4">
+                    <span>Delivery Fee</span>
+                    <span>${order.deliveryFee.toFixed(2)}</span>
+                  </div>
+                )}
+
                 {/* Order Total */}
                 <div className="border-t border-gray-200 mt-4 pt-4">
                   <div className="flex justify-between text-lg font-bold text-gray-900">
@@ -196,10 +243,16 @@ function OrderConfirmationPage() {
                       <span className="font-medium">Method:</span>{' '}
                       {order.deliveryMethod === 'delivery' ? 'Home Delivery' : 'Pickup'}
                     </p>
+                    {order.pickupSlot && (
+                      <p>
+                        <span className="font-medium">Pickup time:</span>{' '}
+                        {formatPickupSlot(order.pickupSlot)}
+                      </p>
+                    )}
                     {order.deliveryMethod === 'delivery' && order.deliveryAddress && (
                       <p>
                         <span className="font-medium">Address:</span>{' '}
-                        {order.deliveryAddress}
+                        {formatAddress(order.deliveryAddress)}
                       </p>
                     )}
                     {order.contactPhone && (
@@ -216,29 +269,47 @@ function OrderConfirmationPage() {
         </div>
 
         {/* Summary */}
-        {total && (
-          <div className="bg-white rounded-lg shadow-md p-6 mt-6">
-            <h2 className="text-xl font-bold text-gray-900 mb-4">
-              Order Summary
-            </h2>
-            <div className="space-y-2">
-              <div className="flex justify-between text-gray-700">
-                <span>Total Orders</span>
-                <span className="font-semibold">{orders.length}</span>
-              </div>
-              <div className="flex justify-between text-gray-700">
-                <span>Delivery Method</span>
-                <span className="font-semibold capitalize">{deliveryMethod}</span>
-              </div>
-              <div className="border-t border-gray-200 pt-2 mt-2">
-                <div className="flex justify-between text-lg font-bold text-gray-900">
-                  <span>Grand Total</span>
-                  <span>${total.toFixed(2)}</span>
+        <div className="bg-white rounded-lg shadow-md p-6 mt-6">
+          <h2 className="text-xl font-bold text-gray-900 mb-4">
+            Order Summary
+          </h2>
+          <div className="space-y-2">
+            <div className="flex justify-between text-gray-700">
+              <span>Total Orders</span>
+              <span className="font-semibold">{orders.length}</span>
+            </div>
+            <div className="flex justify-between text-gray-700">
+              <span>Delivery Method</span>
+              <span className="font-semibold">
+                {orders[0].deliveryMethod === 'delivery' ? 'Home Delivery' : 'Pickup'}
+              </span>
+            </div>
+
+            {/* One payment, settled to each business separately */}
+            <div className="border-t border-gray-200 pt-2 mt-2">
+              <p className="text-sm font-medium text-gray-900 mb-1">Paid to each business</p>
+              {checkout.settlements.map((settlement) => (
+                <div key={settlement.orderId} className="flex justify-between text-sm text-gray-700">
+                  <span>{settlement.businessName}</span>
+                  <span>
+                    {settlement.paidAmount > 0
+                      ? `$${settlement.paidAmount.toFixed(2)}`
+                      : settlement.orderStatus === 'cancelled'
+                      ? 'Cancelled'
+                      : 'Not paid'}
+                  </span>
                 </div>
+              ))}
+            </div>
+
+            <div className="border-t border-gray-200 pt-2 mt-2">
+              <div className="flex justify-between text-lg font-bold text-gray-900">
+                <span>Grand Total</span>
+                <span>${checkout.totalAmount.toFixed(2)}</span>
               </div>
             </div>
           </div>
-        )}
+        </div>
 
         {/* Action Buttons */}
         <div className="mt-8 flex flex-col sm:flex-row gap-4 justify-center">
@@ -314,7 +385,7 @@ function OrderConfirmationPage() {
                   clipRule="evenodd"
                 />
               </svg>
-              <span>Payment arrangements will be coordinated by the businesses</span>
+              <span>The businesses are notified as soon as your payment is received</span>
             </li>
           </ul>
         </div>
@@ -1,7 +1,18 @@
 import React, { useEffect, useState } from 'react';
 import { Link, useParams, useSearchParams, useNavigate } from 'react-router-dom';
 import orderService from '../services/orderService';
+import paymentService from '../services/paymentService';
 import RatingModal from '../components/RatingModal';
+import RefundPanel from '../components/RefundPanel';
+import ReturnPanel from '../components/ReturnPanel';
+import DeliveryPanel from '../components/DeliveryPanel';
+import useNotificationStore from '../store/notificationStore';
+import { formatAddress } from '../utils/addressUtils';
+import { formatVariantOptions } from '../utils/variantUtils';
+import OrderTimeline from '../components/OrderTimeline';
+import CancelOrderPanel from '../components/CancelOrderPanel';
+import BuyAgainButton from '../components/BuyAgainButton';
+import { getCancellationReasonLabel, formatPickupSlot } from '../utils/orderUtils';
 
 function OrderDetailPage() {
   const { orderId } = useParams();
@@ -11,6 +22,8 @@ function OrderDetailPage() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showRatingModal, setShowRatingModal] = useState(false);
+  const [paying, setPaying] = useState(false);
+  const [paymentError, setPaymentError] = useState(null);
 
   useEffect(() => {
     fetchOrderDetails();
@@ -21,6 +34,23 @@ function OrderDetailPage() {
     }
   }, [orderId, searchParams]);
 
+  // Pick up status changes made elsewhere without reloading the page
+  const subscribe = useNotificationStore((state) => state.subscribe);
+  useEffect(() => {
+    return subscribe('order_status', async (event) => {
+      if (event.orderId !== orderId) {
+        return;
+      }
+
+      try {
+        const response = await orderService.getOrderById(orderId);
+        setOrder(response.order);
+      } catch (err) {
+        console.error('Error refreshing order details:', err);
+      }
+    });
+  }, [orderId]);
+
   const fetchOrderDetails = async () => {
     setLoading(true);
     setError(null);
@@ -79,6 +109,27 @@ function OrderDetailPage() {
     }));
   };
 
+  const handlePayNow = async () => {
+    setPaying(true);
+    setPaymentError(null);
+
+    try {
+      const intent = await paymentService.createPaymentIntent(order.id, 'card');
+      const { payment } = await paymentService.confirmPayment(intent.paymentIntentId);
+      if (payment.status !== 'completed') {
+        setPaymentError(payment.failureReason || 'Payment failed. Please try again.');
+      }
+      fetchOrderDetails();
+    } catch (err) {
+      console.error('Error paying for order:', err);
+      setPaymentError(
+        err.response?.data?.error?.message || 'Payment failed. Please try again.'
+      );
+    } finally {
+      setPaying(false);
+    }
+  };
+
   const handleRatingSubmitted = () => {
     setShowRatingModal(false);
     fetchOrderDetails(); // Refresh order to update rating status
@@ -191,6 +242,12 @@ function OrderDetailPage() {
               >
                 {order.businessName}
               </Link>
+              <Link
+                to={`/messages?orderId=${order.id}`}
+                className="block mt-1 text-sm text-blue-600 hover:text-blue-700"
+              >
+                Message the business about this order
+              </Link>
             </div>
           )}
         </div>
@@ -268,11 +325,24 @@ function OrderDetailPage() {
                 <p className="text-red-700">
                   This order has been cancelled. If you have any questions, please contact the business.
                 </p>
+                {order.cancellationReason && (
+                  <p className="mt-1 text-sm text-red-700">
+                    Reason: {getCancellationReasonLabel(order.cancellationReason)}
+                  </p>
+                )}
               </div>
             </div>
           </div>
         )}
 
+        <CancelOrderPanel order={order} onCancelled={fetchOrderDetails} />
+
+        {/* Order Timeline */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h2 className="text-xl font-bold text-gray-900 mb-4">Order History</h2>
+          <OrderTimeline orderId={order.id} viewer="consumer" refreshKey={order.updatedAt} />
+        </div>
+
         {/* Order Items */}
         <div className="bg-white rounded-lg shadow-md p-6 mb-6">
           <h2 className="text-xl font-bold text-gray-900 mb-4">Order Items</h2>
@@ -286,8 +356,14 @@ function OrderDetailPage() {
                   <h3 className="font-semibold text-gray-900 mb-1">
                     {item.productName || `Product ${item.productId.slice(0, 8)}`}
                   </h3>
+                  {item.variantOptions && (
+                    <p className="text-sm text-gray-700">{formatVariantOptions(item.variantOptions)}</p>
+                  )}
                   <p className="text-sm text-gray-600">
                     Quantity: {item.quantity} × ${item.priceAtPurchase.toFixed(2)}
+                    {item.salePriceAtPurchase !== null && (
+                      <span className="ml-1 line-through">${item.listPriceAtPurchase.toFixed(2)}</span>
+                    )}
                   </p>
                 </div>
                 <p className="text-lg font-bold text-gray-900">
@@ -297,6 +373,22 @@ function OrderDetailPage() {
             ))}
           </div>
 
+          {/* Discount */}
+          {order.discountAmount > 0 && (
+            <div className="mt-4 flex justify-between text-green-700">
+              <span>Discount</span>
+              <span className="font-semibold">-${order.discountAmount.toFixed(2)}</span>
+            </div>
+          )}
+
+          {/* Delivery Fee */}
+          {order.deliveryFee > 0 && (
+            <div className="mt-4 flex justify-between text-gray-700">
+              <span>Delivery Fee</span>
+              <span className="font-semibold">${order.deliveryFee.toFixed(2)}</span>
+            </div>
+          )}
+
           {/* Order Total */}
           <div className="mt-6 pt-4 border-t-2 border-gray-300">
             <div className="flex justify-between items-center">
@@ -308,6 +400,37 @@ function OrderDetailPage() {
           </div>
         </div>
 
+        {/* Payment */}
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 className="text-xl font-bold text-gray-900 mb-1">Payment</h2>
+              <p className="text-gray-600 capitalize">{order.paymentStatus?.replace('_', ' ')}</p>
+            </div>
+            {!isCancelled && ['pending', 'failed'].includes(order.paymentStatus) && (
+              <button
+                onClick={handlePayNow}
+                disabled={paying}
+                className="px-6 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {paying ? 'Processing...' : 'Pay Now'}
+              </button>
+            )}
+          </div>
+          {paymentError && (
+            <p className="mt-3 text-sm text-red-700">{paymentError}</p>
+          )}
+        </div>
+
+        {/* Refunds */}
+        <RefundPanel order={order} onRefundChange={fetchOrderDetails} />
+
+        {/* Returns */}
+        <ReturnPanel order={order} onReturnChange={fetchOrderDetails} />
+
+        {/* Delivery Tracking */}
+        <DeliveryPanel order={order} onDeliveryChange={fetchOrderDetails} />
+
         {/* Delivery Information */}
         <div className="bg-white rounded-lg shadow-md p-6 mb-6">
           <h2 className="text-xl font-bold text-gray-900 mb-4">Delivery Information</h2>
@@ -331,6 +454,9 @@ function OrderDetailPage() {
                 <p className="text-gray-600">
                   {order.deliveryMethod === 'delivery' ? 'Home Delivery' : 'Pickup'}
                 </p>
+                {order.pickupSlot && (
+                  <p className="text-gray-600">{formatPickupSlot(order.pickupSlot)}</p>
+                )}
               </div>
             </div>
 
@@ -357,7 +483,7 @@ function OrderDetailPage() {
                 </svg>
                 <div>
                   <p className="font-medium text-gray-900">Delivery Address</p>
-                  <p className="text-gray-600">{order.deliveryAddress}</p>
+                  <p className="text-gray-600">{formatAddress(order.deliveryAddress)}</p>
                 </div>
               </div>
             )}
@@ -418,7 +544,7 @@ function OrderDetailPage() {
         )}
 
         {/* Action Buttons */}
-        <div className="flex flex-col sm:flex-row gap-4">
+        <div className="flex flex-col sm:flex-row sm:flex-wrap gap-4">
           <Link
             to="/orders"
             className="flex-1 px-6 py-3 bg-gray-200 text-gray-700 font-semibold rounded-lg hover:bg-gray-300 transition-colors text-center"
@@ -433,6 +559,10 @@ function OrderDetailPage() {
               View Business
             </Link>
           )}
+          <BuyAgainButton
+            orderId={order.id}
+            className="flex-1 px-6 py-3 bg-white border border-blue-600 text-blue-600 font-semibold rounded-lg hover:bg-blue-50 transition-colors text-center"
+          />
         </div>
       </div>
 
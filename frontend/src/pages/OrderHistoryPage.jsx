@@ -1,13 +1,16 @@
 import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
 import orderService from '../services/orderService';
+import BuyAgainButton from '../components/BuyAgainButton';
 import useAuthStore from '../store/authStore';
+import { formatVariantOptions } from '../utils/variantUtils';
 
 function OrderHistoryPage() {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [filter, setFilter] = useState('all'); // all, pending, completed, cancelled
+  const [groupByCheckout, setGroupByCheckout] = useState(false);
   const { user } = useAuthStore();
 
   useEffect(() => {
@@ -61,6 +64,17 @@ function OrderHistoryPage() {
     return true;
   });
 
+  // Orders placed together in one checkout, in the order their first order appears
+  const checkoutGroups = filteredOrders.reduce((groups, order) => {
+    const group = order.checkoutId && groups.find((g) => g.checkoutId === order.checkoutId);
+    if (group) {
+      group.orders.push(order);
+    } else {
+      groups.push({ checkoutId: order.checkoutId || null, orders: [order] });
+    }
+    return groups;
+  }, []);
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
@@ -129,6 +143,17 @@ function OrderHistoryPage() {
               </button>
             </nav>
           </div>
+          <div className="px-6 py-3 flex justify-end">
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={groupByCheckout}
+                onChange={(e) => setGroupByCheckout(e.target.checked)}
+                className="mr-2"
+              />
+              Group by checkout
+            </label>
+          </div>
         </div>
 
         {/* Error Message */}
@@ -182,6 +207,26 @@ function OrderHistoryPage() {
               Browse Products
             </Link>
           </div>
+        ) : groupByCheckout ? (
+          <div className="space-y-8">
+            {checkoutGroups.map((group) =>
+              group.orders.length === 1 ? (
+                <OrderCard
+                  key={group.orders[0].id}
+                  order={group.orders[0]}
+                  getStatusColor={getStatusColor}
+                  getStatusLabel={getStatusLabel}
+                />
+              ) : (
+                <CheckoutGroup
+                  key={group.checkoutId}
+                  group={group}
+                  getStatusColor={getStatusColor}
+                  getStatusLabel={getStatusLabel}
+                />
+              )
+            )}
+          </div>
         ) : (
           <div className="space-y-4">
             {filteredOrders.map((order) => (
@@ -194,6 +239,41 @@ function OrderHistoryPage() {
   );
 }
 
+function CheckoutGroup({ group, getStatusColor, getStatusLabel }) {
+  const checkoutDate = new Date(group.orders[0].createdAt);
+  const total = group.orders.reduce((sum, order) => sum + order.totalAmount, 0);
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-4 bg-gray-100">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-4">
+        <div className="mb-2 sm:mb-0">
+          <h2 className="text-lg font-semibold text-gray-900">
+            Checkout on {checkoutDate.toLocaleDateString('en-US', {
+              year: 'numeric',
+              month: 'long',
+              day: 'numeric',
+            })}
+          </h2>
+          <p className="text-sm text-gray-600">
+            {group.orders.length} businesses · ${total.toFixed(2)}
+          </p>
+        </div>
+        <Link
+          to={`/order-confirmation?checkout=${group.checkoutId}`}
+          className="text-sm font-medium text-blue-600 hover:text-blue-700"
+        >
+          View checkout
+        </Link>
+      </div>
+      <div className="space-y-4">
+        {group.orders.map((order) => (
+          <OrderCard key={order.id} order={order} getStatusColor={getStatusColor} getStatusLabel={getStatusLabel} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
 function OrderCard({ order, getStatusColor, getStatusLabel }) {
   const orderDate = new Date(order.createdAt);
   const isDelivered = order.status === 'delivered';
@@ -246,6 +326,7 @@ function OrderCard({ order, getStatusColor, getStatusLabel }) {
               <div key={item.id} className="flex items-center text-sm">
                 <span className="text-gray-600">
                   {item.quantity}x {item.productName || `Product ${item.productId.slice(0, 8)}`}
+                  {item.variantOptions && ` (${formatVariantOptions(item.variantOptions)})`}
                 </span>
               </div>
             ))}
@@ -265,7 +346,7 @@ function OrderCard({ order, getStatusColor, getStatusLabel }) {
               ${order.totalAmount.toFixed(2)}
             </p>
           </div>
-          <div className="flex space-x-3">
+          <div className="flex flex-wrap gap-3">
             <Link
               to={`/orders/${order.id}`}
               className="px-4 py-2 bg-blue-600 text-white font-medium rounded-lg hover:bg-blue-700 transition-colors text-sm"
@@ -280,6 +361,10 @@ function OrderCard({ order, getStatusColor, getStatusLabel }) {
                 Rate Order
               </Link>
             )}
+            <BuyAgainButton
+              orderId={order.id}
+              className="px-4 py-2 bg-white border border-blue-600 text-blue-600 font-medium rounded-lg hover:bg-blue-50 transition-colors text-sm"
+            />
           </div>
         </div>
       </div>
@@ -3,6 +3,9 @@ import { useParams, Link, useNavigate } from 'react-router-dom';
 import productService from '../services/productService';
 import useCartStore from '../store/cartStore';
 import useAuthStore from '../store/authStore';
+import PriceTag from '../components/PriceTag';
+import FavouriteButton from '../components/FavouriteButton';
+import { findVariant } from '../utils/variantUtils';
 
 function ProductDetailPage() {
   const { id } = useParams();
@@ -15,6 +18,12 @@ function ProductDetailPage() {
   const [error, setError] = useState(null);
   const [quantity, setQuantity] = useState(1);
   const [selectedImage, setSelectedImage] = useState(0);
+  const [selectedOptions, setSelectedOptions] = useState({});
+
+  const hasVariants = product?.variants?.length > 0;
+  const selectedVariant = hasVariants ? findVariant(product.variants, selectedOptions) : null;
+  // Stock, price and availability come from the chosen variant when the product has them
+  const stock = hasVariants ? selectedVariant : product;
 
   useEffect(() => {
     fetchProduct();
@@ -27,6 +36,11 @@ function ProductDetailPage() {
     try {
       const response = await productService.getProductById(id);
       setProduct(response.product);
+
+      // Start on the first variant that can be bought
+      const variants = response.product.variants || [];
+      const firstVariant = variants.find((variant) => variant.inStock) || variants[0];
+      setSelectedOptions(firstVariant ? firstVariant.options : {});
     } catch (err) {
       console.error('Error fetching product:', err);
       setError('Failed to load product details. Please try again.');
@@ -41,17 +55,33 @@ function ProductDetailPage() {
       return;
     }
 
-    addItem(product, quantity);
+    addItem(product, quantity, selectedVariant);
     alert(`${quantity} x ${product.name} added to cart!`);
   };
 
   const handleQuantityChange = (delta) => {
     const newQuantity = quantity + delta;
-    if (newQuantity >= 1 && newQuantity <= product.quantity) {
+    if (newQuantity >= 1 && newQuantity <= stock.availableQuantity) {
       setQuantity(newQuantity);
     }
   };
 
+  const handleOptionSelect = (optionName, value) => {
+    setSelectedOptions((prev) => ({ ...prev, [optionName]: value }));
+    setQuantity(1);
+    setSelectedImage(0);
+  };
+
+  // Whether some variant offers this value alongside the other current selections
+  const isOptionValueAvailable = (optionName, value) =>
+    product.variants.some(
+      (variant) =>
+        variant.options[optionName] === value &&
+        Object.entries(selectedOptions).every(
+          ([name, selected]) => name === optionName || variant.options[name] === selected
+        )
+    );
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
@@ -95,7 +125,13 @@ function ProductDetailPage() {
     );
   }
 
-  const images = product.images && product.images.length > 0 ? product.images : [];
+  const inStock = stock ? stock.inStock : false;
+  const price = selectedVariant ? selectedVariant.price : product.price;
+  // Variants with their own price are not part of the product's sale
+  const onSale = product.onSale && (!selectedVariant || selectedVariant.priceOverride === null);
+  const images = selectedVariant?.images?.length > 0
+    ? selectedVariant.images
+    : product.images && product.images.length > 0 ? product.images : [];
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -148,7 +184,7 @@ function ProductDetailPage() {
                     </svg>
                   </div>
                 )}
-                {!product.inStock && (
+                {!inStock && (
                   <div className="absolute inset-0 bg-black bg-opacity-50 flex items-center justify-center">
                     <span className="text-white font-semibold text-2xl">
                       Out of Stock
@@ -190,17 +226,64 @@ function ProductDetailPage() {
               )}
 
               {/* Product Name */}
-              <h1 className="text-3xl font-bold text-gray-900 mb-4">
-                {product.name}
-              </h1>
+              <div className="flex items-start justify-between gap-4 mb-4">
+                <h1 className="text-3xl font-bold text-gray-900">
+                  {product.name}
+                </h1>
+                <FavouriteButton kind="product" id={product.id} />
+              </div>
 
               {/* Price */}
               <div className="mb-6">
-                <span className="text-4xl font-bold text-blue-600">
-                  ${product.price.toFixed(2)}
-                </span>
+                <PriceTag
+                  price={price}
+                  listPrice={product.listPrice}
+                  onSale={onSale}
+                  className="text-4xl font-bold text-blue-600"
+                />
+                {onSale && product.sale?.endsAt && (
+                  <p className="mt-1 text-sm text-red-700">
+                    Sale ends {new Date(product.sale.endsAt).toLocaleString()}
+                  </p>
+                )}
               </div>
 
+              {/* Variant Picker */}
+              {hasVariants && (
+                <div className="mb-6 space-y-4">
+                  {product.options.map((option) => (
+                    <div key={option.name}>
+                      <p className="text-sm font-medium text-gray-700 mb-2">
+                        {option.name}
+                        {selectedOptions[option.name] && (
+                          <span className="text-gray-500 font-normal">: {selectedOptions[option.name]}</span>
+                        )}
+                      </p>
+                      <div className="flex flex-wrap gap-2">
+                        {option.values.map((value) => {
+                          const selected = selectedOptions[option.name] === value;
+                          const available = isOptionValueAvailable(option.name, value);
+
+                          return (
+                            <button
+                              key={value}
+                              onClick={() => handleOptionSelect(option.name, value)}
+                              className={`px-4 py-2 text-sm font-medium rounded-md border transition-colors touch-manipulation ${
+                                selected
+                                  ? 'border-blue-600 bg-blue-50 text-blue-700'
+                                  : 'border-gray-300 text-gray-700 hover:border-gray-400'
+                              } ${available ? '' : 'opacity-50 line-through'}`}
+                            >
+                              {value}
+                            </button>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
               {/* Business Info */}
               {product.businessName && (
                 <div className="mb-6 pb-6 border-b border-gray-200">
@@ -211,12 +294,22 @@ function ProductDetailPage() {
                   >
                     {product.businessName}
                   </Link>
+                  <Link
+                    to={`/messages?productId=${product.id}`}
+                    className="block mt-2 text-sm text-blue-600 hover:text-blue-700"
+                  >
+                    Ask the seller about this product
+                  </Link>
                 </div>
               )}
 
               {/* Stock Status */}
               <div className="mb-6">
-                {product.inStock ? (
+                {hasVariants && !selectedVariant ? (
+                  <p className="text-gray-600 font-medium">
+                    This combination is not available. Choose different options.
+                  </p>
+                ) : inStock ? (
                   <div className="flex items-center text-green-600">
                     <svg
                       className="w-5 h-5 mr-2"
@@ -229,7 +322,7 @@ function ProductDetailPage() {
                         clipRule="evenodd"
                       />
                     </svg>
-                    <span className="font-medium">In Stock ({product.quantity} available)</span>
+                    <span className="font-medium">In Stock ({stock.availableQuantity} available)</span>
                   </div>
                 ) : (
                   <div className="flex items-center text-red-600">
@@ -250,7 +343,7 @@ function ProductDetailPage() {
               </div>
 
               {/* Quantity Selector */}
-              {product.inStock && (
+              {inStock && (
                 <div className="mb-6">
                   <label className="block text-sm font-medium text-gray-700 mb-2">
                     Quantity
@@ -268,7 +361,7 @@ function ProductDetailPage() {
                     </span>
                     <button
                       onClick={() => handleQuantityChange(1)}
-                      disabled={quantity >= product.quantity}
+                      disabled={quantity >= stock.availableQuantity}
                       className="w-12 h-12 flex items-center justify-center bg-gray-200 text-gray-700 text-lg rounded-md hover:bg-gray-300 active:bg-gray-400 disabled:opacity-50 disabled:cursor-not-allowed transition-colors touch-manipulation"
                     >
                       +
@@ -279,7 +372,7 @@ function ProductDetailPage() {
 
               {/* Action Buttons */}
               <div className="space-y-3 mb-8">
-                {product.inStock && (
+                {inStock && (
                   <button
                     onClick={handleAddToCart}
                     className="w-full px-6 py-3 text-base bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 active:bg-blue-800 transition-colors touch-manipulation"
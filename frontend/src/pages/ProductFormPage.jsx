@@ -1,6 +1,9 @@
 import React, { useEffect, useState } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import productService from '../services/productService';
+import VariantEditor, { parseOptionValues } from '../components/VariantEditor';
+import PriceChangeSchedule from '../components/PriceChangeSchedule';
+import { toDateTimeInputValue, fromDateTimeInputValue } from '../utils/dateUtils';
 
 function ProductFormPage() {
   const { productId } = useParams();
@@ -15,9 +18,17 @@ function ProductFormPage() {
     name: '',
     description: '',
     price: '',
+    salePrice: '',
+    saleStartsAt: '',
+    saleEndsAt: '',
     quantity: '',
+    lowStockThreshold: '',
     category: '',
   });
+  // Options are edited as { name, valuesText }; variants keep their id so edits update them in place
+  const [variantData, setVariantData] = useState({ options: [], variants: [] });
+  const [hadVariants, setHadVariants] = useState(false);
+  const hasVariants = variantData.variants.length > 0;
 
   useEffect(() => {
     if (isEditMode) {
@@ -34,10 +45,30 @@ function ProductFormPage() {
       setFormData({
         name: response.product.name || '',
         description: response.product.description || '',
-        price: response.product.price || '',
+        // The regular price; price itself is the sale price while a sale runs
+        price: response.product.listPrice ?? response.product.price ?? '',
+        salePrice: response.product.sale?.price ?? '',
+        saleStartsAt: toDateTimeInputValue(response.product.sale?.startsAt),
+        saleEndsAt: toDateTimeInputValue(response.product.sale?.endsAt),
         quantity: response.product.quantity || '',
+        lowStockThreshold: response.product.lowStockThreshold ?? '',
         category: response.product.category || '',
       });
+      setVariantData({
+        options: (response.product.options || []).map((option) => ({
+          name: option.name,
+          valuesText: option.values.join(', '),
+        })),
+        variants: (response.product.variants || []).map((variant) => ({
+          id: variant.id,
+          sku: variant.sku || '',
+          options: variant.options,
+          price: variant.priceOverride ?? '',
+          quantity: variant.quantity,
+          images: variant.images || [],
+        })),
+      });
+      setHadVariants(response.product.variants?.length > 0);
     } catch (err) {
       console.error('Error fetching product:', err);
       setError('Failed to load product');
@@ -63,9 +94,37 @@ function ProductFormPage() {
       const productData = {
         ...formData,
         price: parseFloat(formData.price),
+        // Blank means no sale
+        salePrice: formData.salePrice === '' ? null : parseFloat(formData.salePrice),
+        saleStartsAt: fromDateTimeInputValue(formData.saleStartsAt),
+        saleEndsAt: fromDateTimeInputValue(formData.saleEndsAt),
         quantity: parseInt(formData.quantity, 10),
+        // Blank means use the business default
+        lowStockThreshold:
+          formData.lowStockThreshold === '' ? null : parseInt(formData.lowStockThreshold, 10),
       };
 
+      // Stock lives on the variants once a product has them
+      if (hasVariants || hadVariants) {
+        productData.options = hasVariants
+          ? variantData.options
+            .filter((option) => option.name.trim() && parseOptionValues(option.valuesText).length > 0)
+            .map((option) => ({ name: option.name.trim(), values: parseOptionValues(option.valuesText) }))
+          : [];
+        productData.variants = variantData.variants.map((variant) => ({
+          ...(variant.id && { id: variant.id }),
+          sku: variant.sku || null,
+          options: variant.options,
+          price: variant.price === '' ? null : parseFloat(variant.price),
+          quantity: parseInt(variant.quantity, 10),
+          images: variant.images || [],
+        }));
+      }
+
+      if (hasVariants) {
+        delete productData.quantity;
+      }
+
       if (isEditMode) {
         await productService.updateProduct(productId, productData);
       } else {
@@ -182,23 +241,103 @@ function ProductFormPage() {
                     placeholder="0.00"
                   />
                 </div>
+                {!hasVariants && (
+                  <div>
+                    <label htmlFor="quantity" className="block text-sm font-medium text-gray-700">
+                      Quantity *
+                    </label>
+                    <input
+                      type="number"
+                      id="quantity"
+                      name="quantity"
+                      value={formData.quantity}
+                      onChange={handleChange}
+                      required
+                      min="0"
+                      step="1"
+                      className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                      placeholder="0"
+                    />
+                  </div>
+                )}
+              </div>
+
+              {/* Sale */}
+              <div className="grid grid-cols-1 gap-6 sm:grid-cols-3">
                 <div>
-                  <label htmlFor="quantity" className="block text-sm font-medium text-gray-700">
-                    Quantity *
+                  <label htmlFor="salePrice" className="block text-sm font-medium text-gray-700">
+                    Sale Price ($)
                   </label>
                   <input
                     type="number"
-                    id="quantity"
-                    name="quantity"
-                    value={formData.quantity}
+                    id="salePrice"
+                    name="salePrice"
+                    value={formData.salePrice}
                     onChange={handleChange}
-                    required
                     min="0"
-                    step="1"
+                    step="0.01"
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    placeholder="No sale"
+                  />
+                </div>
+                <div>
+                  <label htmlFor="saleStartsAt" className="block text-sm font-medium text-gray-700">
+                    Sale Starts
+                  </label>
+                  <input
+                    type="datetime-local"
+                    id="saleStartsAt"
+                    name="saleStartsAt"
+                    value={formData.saleStartsAt}
+                    onChange={handleChange}
                     className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
-                    placeholder="0"
                   />
                 </div>
+                <div>
+                  <label htmlFor="saleEndsAt" className="block text-sm font-medium text-gray-700">
+                    Sale Ends
+                  </label>
+                  <input
+                    type="datetime-local"
+                    id="saleEndsAt"
+                    name="saleEndsAt"
+                    value={formData.saleEndsAt}
+                    onChange={handleChange}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+                <p className="sm:col-span-3 -mt-4 text-xs text-gray-500">
+                  Leave the dates blank to start now or run until you remove it. Variants with their own price are not
+                  discounted.
+                </p>
+              </div>
+
+              {/* Variants */}
+              <VariantEditor
+                options={variantData.options}
+                variants={variantData.variants}
+                onChange={setVariantData}
+              />
+
+              {/* Low Stock Threshold */}
+              <div>
+                <label htmlFor="lowStockThreshold" className="block text-sm font-medium text-gray-700">
+                  Low Stock Alert Threshold
+                </label>
+                <input
+                  type="number"
+                  id="lowStockThreshold"
+                  name="lowStockThreshold"
+                  value={formData.lowStockThreshold}
+                  onChange={handleChange}
+                  min="0"
+                  step="1"
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  placeholder="Business default"
+                />
+                <p className="mt-1 text-xs text-gray-500">
+                  You are alerted when stock drops below this number. Leave blank to use your business default.
+                </p>
               </div>
 
               {/* Category */}
@@ -269,6 +408,17 @@ function ProductFormPage() {
             </div>
           </form>
         </div>
+
+        {/* Scheduled Price Changes */}
+        {isEditMode && (
+          <div className="bg-white shadow rounded-lg p-6 mt-6">
+            <h2 className="text-lg font-medium text-gray-900">Scheduled Price Changes</h2>
+            <p className="mt-1 mb-4 text-sm text-gray-600">
+              Change the regular price automatically at a set time.
+            </p>
+            <PriceChangeSchedule productId={productId} />
+          </div>
+        )}
       </div>
     </div>
   );
@@ -2,7 +2,10 @@ import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
 import businessService from '../services/businessService';
 import productService from '../services/productService';
+import ProductImportWizard from '../components/ProductImportWizard';
+import InventoryHistory from '../components/InventoryHistory';
 import useAuthStore from '../store/authStore';
+import { formatVariantOptions } from '../utils/variantUtils';
 
 function ProductInventoryPage() {
   const { user } = useAuthStore();
@@ -10,6 +13,7 @@ function ProductInventoryPage() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [filter, setFilter] = useState('all'); // all, in_stock, out_of_stock, low_stock
+  const [showImport, setShowImport] = useState(false);
 
   useEffect(() => {
     fetchProducts();
@@ -48,8 +52,8 @@ function ProductInventoryPage() {
 
   const filteredProducts = products.filter((product) => {
     if (filter === 'all') return true;
-    if (filter === 'in_stock') return product.quantity > 10;
-    if (filter === 'low_stock') return product.quantity > 0 && product.quantity <= 10;
+    if (filter === 'in_stock') return product.quantity > 0 && !product.lowStock;
+    if (filter === 'low_stock') return product.quantity > 0 && product.lowStock;
     if (filter === 'out_of_stock') return product.quantity === 0;
     return true;
   });
@@ -76,7 +80,13 @@ function ProductInventoryPage() {
               Manage your products and inventory levels
             </p>
           </div>
-          <div className="mt-4 sm:mt-0">
+          <div className="mt-4 sm:mt-0 flex gap-3">
+            <button
+              onClick={() => setShowImport(true)}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+            >
+              Import CSV
+            </button>
             <Link
               to="/dashboard/products/new"
               className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
@@ -99,6 +109,14 @@ function ProductInventoryPage() {
           </div>
         </div>
 
+        {showImport && user?.businessId && (
+          <ProductImportWizard
+            businessId={user.businessId}
+            onClose={() => setShowImport(false)}
+            onImported={fetchProducts}
+          />
+        )}
+
         {/* Filter Tabs */}
         <div className="bg-white rounded-lg shadow-sm mb-6">
           <div className="border-b border-gray-200">
@@ -121,7 +139,7 @@ function ProductInventoryPage() {
                     : 'border-transparent text-gray-600 hover:text-gray-900 hover:border-gray-300'
                 }`}
               >
-                In Stock ({products.filter((p) => p.quantity > 10).length})
+                In Stock ({products.filter((p) => p.quantity > 0 && !p.lowStock).length})
               </button>
               <button
                 onClick={() => setFilter('low_stock')}
@@ -131,7 +149,7 @@ function ProductInventoryPage() {
                     : 'border-transparent text-gray-600 hover:text-gray-900 hover:border-gray-300'
                 }`}
               >
-                Low Stock ({products.filter((p) => p.quantity > 0 && p.quantity <= 10).length})
+                Low Stock ({products.filter((p) => p.quantity > 0 && p.lowStock).length})
               </button>
               <button
                 onClick={() => setFilter('out_of_stock')}
@@ -217,11 +235,13 @@ function ProductInventoryPage() {
 }
 
 function ProductListItem({ product, onDelete }) {
+  const [showHistory, setShowHistory] = useState(false);
+
   const getStockStatus = () => {
     if (product.quantity === 0) {
       return { label: 'Out of Stock', color: 'bg-red-100 text-red-800' };
     }
-    if (product.quantity <= 10) {
+    if (product.lowStock) {
       return { label: 'Low Stock', color: 'bg-yellow-100 text-yellow-800' };
     }
     return { label: 'In Stock', color: 'bg-green-100 text-green-800' };
@@ -271,13 +291,28 @@ function ProductListItem({ product, onDelete }) {
                   <p className="text-sm text-gray-500 truncate">
                     {product.category || 'Uncategorized'}
                   </p>
+                  {product.variants?.length > 0 && (
+                    <p className="text-xs text-gray-500 truncate">
+                      {product.variants
+                        .map((variant) => `${formatVariantOptions(variant.options)}: ${variant.quantity}`)
+                        .join(' · ')}
+                    </p>
+                  )}
                 </div>
                 <div className="ml-4 flex-shrink-0 flex items-center space-x-4">
                   <div className="text-right">
                     <p className="text-sm font-medium text-gray-900">
                       ${product.price.toFixed(2)}
+                      {product.onSale && (
+                        <span className="ml-1 text-xs text-gray-500 line-through">${product.listPrice.toFixed(2)}</span>
+                      )}
                     </p>
                     <p className="text-sm text-gray-500">Qty: {product.quantity}</p>
+                    {product.reservedQuantity > 0 && (
+                      <p className="text-xs text-gray-500">
+                        {product.availableQuantity} available, {product.reservedQuantity} reserved
+                      </p>
+                    )}
                   </div>
                   <span
                     className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${stockStatus.color}`}
@@ -291,6 +326,12 @@ function ProductListItem({ product, onDelete }) {
 
           {/* Actions */}
           <div className="ml-4 flex-shrink-0 flex items-center space-x-2">
+            <button
+              onClick={() => setShowHistory((prev) => !prev)}
+              className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-xs font-medium rounded text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+            >
+              {showHistory ? 'Hide History' : 'History'}
+            </button>
             <Link
               to={`/dashboard/products/${product.id}/edit`}
               className="inline-flex items-center px-3 py-1.5 border border-gray-300 shadow-sm text-xs font-medium rounded text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
@@ -305,6 +346,12 @@ function ProductListItem({ product, onDelete }) {
             </button>
           </div>
         </div>
+
+        {showHistory && (
+          <div className="mt-4 pl-20">
+            <InventoryHistory productId={product.id} />
+          </div>
+        )}
       </div>
     </li>
   );
@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { useSearchParams, Link } from 'react-router-dom';
 import productService from '../services/productService';
 import useCartStore from '../store/cartStore';
+import PriceTag from '../components/PriceTag';
+import FavouriteButton from '../components/FavouriteButton';
 
 function ProductSearchPage() {
   const [searchParams, setSearchParams] = useSearchParams();
@@ -18,6 +20,7 @@ function ProductSearchPage() {
     maxPrice: searchParams.get('maxPrice') || '',
     sortBy: searchParams.get('sortBy') || 'created_at',
     sortOrder: searchParams.get('sortOrder') || 'DESC',
+    openNow: searchParams.get('openNow') === 'true',
   });
 
   // Location filter
@@ -76,6 +79,7 @@ function ProductSearchPage() {
         maxPrice: filters.maxPrice ? parseFloat(filters.maxPrice) : undefined,
         sortBy: filters.sortBy,
         sortOrder: filters.sortOrder,
+        openNow: filters.openNow || undefined,
       };
 
       // Add location params if enabled
@@ -107,6 +111,7 @@ function ProductSearchPage() {
     if (filters.maxPrice) params.maxPrice = filters.maxPrice;
     if (filters.sortBy) params.sortBy = filters.sortBy;
     if (filters.sortOrder) params.sortOrder = filters.sortOrder;
+    if (filters.openNow) params.openNow = 'true';
 
     setSearchParams(params);
   };
@@ -119,6 +124,7 @@ function ProductSearchPage() {
       maxPrice: '',
       sortBy: 'created_at',
       sortOrder: 'DESC',
+      openNow: false,
     });
     setUseLocation(false);
     setSearchParams({});
@@ -235,6 +241,19 @@ function ProductSearchPage() {
                 )}
               </div>
 
+              {/* Opening Hours Filter */}
+              <div className="mb-4">
+                <label className="flex items-center text-sm font-medium text-gray-700 cursor-pointer touch-manipulation">
+                  <input
+                    type="checkbox"
+                    checked={filters.openNow}
+                    onChange={(e) => handleFilterChange('openNow', e.target.checked)}
+                    className="mr-2 w-5 h-5 touch-manipulation"
+                  />
+                  Sold by Businesses Open Now
+                </label>
+              </div>
+
               {/* Sort Options */}
               <div className="mb-4">
                 <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -347,6 +366,7 @@ function ProductSearchPage() {
                             </span>
                           </div>
                         )}
+                        <FavouriteButton kind="product" id={product.id} className="absolute top-2 right-2" />
                       </div>
                     </Link>
 
@@ -362,9 +382,7 @@ function ProductSearchPage() {
                       </p>
 
                       <div className="flex items-center justify-between mb-3">
-                        <span className="text-2xl font-bold text-blue-600">
-                          ${product.price.toFixed(2)}
-                        </span>
+                        <PriceTag price={product.price} listPrice={product.listPrice} onSale={product.onSale} />
                         {product.category && (
                           <span className="text-xs bg-gray-100 text-gray-600 px-2 py-1 rounded">
                             {product.category}
@@ -391,14 +409,21 @@ function ProductSearchPage() {
                         >
                           View Details
                         </Link>
-                        {product.inStock && (
+                        {product.inStock && (product.hasVariants ? (
+                          <Link
+                            to={`/products/${product.id}`}
+                            className="flex-1 px-4 py-2 bg-blue-600 text-white text-center font-medium rounded-md hover:bg-blue-700 transition-colors"
+                          >
+                            Choose Options
+                          </Link>
+                        ) : (
                           <button
                             onClick={() => handleAddToCart(product)}
                             className="flex-1 px-4 py-2 bg-blue-600 text-white font-medium rounded-md hover:bg-blue-700 transition-colors"
                           >
                             Add to Cart
                           </button>
-                        )}
+                        ))}
                       </div>
                     </div>
                   </div>
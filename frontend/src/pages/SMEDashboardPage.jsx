@@ -44,6 +44,15 @@ function SMEDashboardPage() {
         </svg>
       ),
     },
+    {
+      name: 'Promotions',
+      path: '/dashboard/promotions',
+      icon: (
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
+        </svg>
+      ),
+    },
   ];
 
   const isActive = (path) => {
@@ -3,6 +3,14 @@ import { Link, useParams, useNavigate } from 'react-router-dom';
 import orderService from '../services/orderService';
 import SMERatingModal from '../components/SMERatingModal';
 import ConsumerTrustScore from '../components/ConsumerTrustScore';
+import RefundPanel from '../components/RefundPanel';
+import ReturnPanel from '../components/ReturnPanel';
+import DeliveryPanel from '../components/DeliveryPanel';
+import useNotificationStore from '../store/notificationStore';
+import { formatAddress } from '../utils/addressUtils';
+import { formatVariantOptions } from '../utils/variantUtils';
+import OrderTimeline from '../components/OrderTimeline';
+import { getCancellationReasonLabel, formatPickupSlot } from '../utils/orderUtils';
 
 function SMEOrderDetailPage() {
   const { orderId } = useParams();
@@ -17,6 +25,23 @@ function SMEOrderDetailPage() {
     fetchOrderDetails();
   }, [orderId]);
 
+  // Pick up status changes made elsewhere without reloading the page
+  const subscribe = useNotificationStore((state) => state.subscribe);
+  useEffect(() => {
+    return subscribe('order_status', async (event) => {
+      if (event.orderId !== orderId) {
+        return;
+      }
+
+      try {
+        const response = await orderService.getOrderById(orderId);
+        setOrder(response.order);
+      } catch (err) {
+        console.error('Error refreshing order details:', err);
+      }
+    });
+  }, [orderId]);
+
   const fetchOrderDetails = async () => {
     setLoading(true);
     setError(null);
@@ -32,13 +57,18 @@ function SMEOrderDetailPage() {
     }
   };
 
-  const handleUpdateStatus = async (newStatus) => {
+  const handleUpdateStatus = async (newStatus, note) => {
     setUpdatingStatus(true);
     setError(null);
 
     try {
-      await orderService.updateOrderStatus(orderId, newStatus);
-      setOrder((prev) => ({ ...prev, status: newStatus }));
+      const response = await orderService.updateOrderStatus(orderId, newStatus, note);
+      setOrder((prev) => ({
+        ...prev,
+        status: newStatus,
+        paymentStatus: response.order?.paymentStatus || prev.paymentStatus,
+        updatedAt: response.order?.updatedAt || prev.updatedAt,
+      }));
     } catch (err) {
       console.error('Error updating order status:', err);
       setError('Failed to update order status. Please try again.');
@@ -52,8 +82,10 @@ function SMEOrderDetailPage() {
   };
 
   const handleRejectOrder = () => {
-    if (window.confirm('Are you sure you want to reject this order?')) {
-      handleUpdateStatus('cancelled');
+    // The reason is shown to the customer on the order timeline
+    const reason = window.prompt('Reject this order? You can add a reason for the customer.');
+    if (reason !== null) {
+      handleUpdateStatus('cancelled', reason.trim() || null);
     }
   };
 
@@ -87,6 +119,11 @@ function SMEOrderDetailPage() {
   };
 
   const getNextStatus = () => {
+    // Delivery orders are dispatched and completed through courier booking
+    if (order?.deliveryMethod === 'delivery' && order.status !== 'confirmed') {
+      return undefined;
+    }
+
     const statusFlow = {
       confirmed: 'ready',
       ready: 'out_for_delivery',
@@ -225,6 +262,25 @@ function SMEOrderDetailPage() {
                 </span>
               </div>
 
+              {isPending && (
+                <p className="text-sm text-gray-600 mb-4">
+                  {order.reservationExpiresAt
+                    ? `Stock is reserved until ${new Date(order.reservationExpiresAt).toLocaleString('en-US', {
+                        month: 'short',
+                        day: 'numeric',
+                        hour: '2-digit',
+                        minute: '2-digit',
+                      })}. Confirm before then to keep it.`
+                    : 'The stock reservation has expired. Confirming will only succeed if the items are still available.'}
+                </p>
+              )}
+
+              {isCancelled && order.cancellationReason && (
+                <p className="text-sm text-red-700 mb-4">
+                  Cancelled by the customer: {getCancellationReasonLabel(order.cancellationReason)}
+                </p>
+              )}
+
               {/* Action Buttons */}
               <div className="flex flex-wrap gap-3 pt-4 border-t border-gray-200">
                 {isPending && (
@@ -258,6 +314,12 @@ function SMEOrderDetailPage() {
               </div>
             </div>
 
+            {/* Order Timeline */}
+            <div className="bg-white rounded-lg shadow-md p-6">
+              <h2 className="text-xl font-bold text-gray-900 mb-4">Order History</h2>
+              <OrderTimeline orderId={order.id} viewer="business" refreshKey={order.updatedAt} />
+            </div>
+
             {/* Order Items */}
             <div className="bg-white rounded-lg shadow-md p-6">
               <h2 className="text-xl font-bold text-gray-900 mb-4">Order Items</h2>
@@ -272,6 +334,9 @@ function SMEOrderDetailPage() {
                         <h3 className="font-semibold text-gray-900 mb-1">
                           {item.productName || `Product ${item.productId.slice(0, 8)}`}
                         </h3>
+                        {item.variantOptions && (
+                          <p className="text-sm text-gray-700">{formatVariantOptions(item.variantOptions)}</p>
+                        )}
                         <p className="text-sm text-gray-600">
                           Quantity: {item.quantity} × ${item.priceAtPurchase.toFixed(2)}
                         </p>
@@ -283,6 +348,22 @@ function SMEOrderDetailPage() {
                   ))}
               </div>
 
+              {/* Discount */}
+              {order.discountAmount > 0 && (
+                <div className="mt-4 flex justify-between text-green-700">
+                  <span>Discount</span>
+                  <span className="font-semibold">-${order.discountAmount.toFixed(2)}</span>
+                </div>
+              )}
+
+              {/* Delivery Fee */}
+              {order.deliveryFee > 0 && (
+                <div className="mt-4 flex justify-between text-gray-700">
+                  <span>Delivery Fee</span>
+                  <span className="font-semibold">${order.deliveryFee.toFixed(2)}</span>
+                </div>
+              )}
+
               {/* Order Total */}
               <div className="mt-6 pt-4 border-t-2 border-gray-300">
                 <div className="flex justify-between items-center">
@@ -294,6 +375,15 @@ function SMEOrderDetailPage() {
               </div>
             </div>
 
+            {/* Refunds */}
+            <RefundPanel order={order} isBusinessOwner onRefundChange={fetchOrderDetails} />
+
+            {/* Returns */}
+            <ReturnPanel order={order} isBusinessOwner onReturnChange={fetchOrderDetails} />
+
+            {/* Delivery Tracking */}
+            <DeliveryPanel order={order} isBusinessOwner onDeliveryChange={fetchOrderDetails} />
+
             {/* Delivery Information */}
             <div className="bg-white rounded-lg shadow-md p-6">
               <h2 className="text-xl font-bold text-gray-900 mb-4">Delivery Information</h2>
@@ -317,6 +407,9 @@ function SMEOrderDetailPage() {
                     <p className="text-gray-600">
                       {order.deliveryMethod === 'delivery' ? 'Home Delivery' : 'Pickup'}
                     </p>
+                    {order.pickupSlot && (
+                      <p className="text-gray-600">{formatPickupSlot(order.pickupSlot)}</p>
+                    )}
                   </div>
                 </div>
 
@@ -343,7 +436,12 @@ function SMEOrderDetailPage() {
                     </svg>
                     <div>
                       <p className="font-medium text-gray-900">Delivery Address</p>
-                      <p className="text-gray-600">{order.deliveryAddress}</p>
+                      <p className="text-gray-600">{formatAddress(order.deliveryAddress)}</p>
+                      {order.deliveryDistanceKm !== null && (
+                        <p className="text-sm text-gray-500">
+                          {order.deliveryDistanceKm.toFixed(1)} km from your business
+                        </p>
+                      )}
                     </div>
                   </div>
                 )}
@@ -369,6 +467,28 @@ function SMEOrderDetailPage() {
                     </div>
                   </div>
                 )}
+
+                {order.deliveryNotes && (
+                  <div className="flex items-start">
+                    <svg
+                      className="w-5 h-5 text-gray-400 mr-3 mt-0.5"
+                      fill="none"
+                      stroke="currentColor"
+                      viewBox="0 0 24 24"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        strokeWidth={2}
+                        d="M7 8h10M7 12h4m1 8l-4-4H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-3l-4 4z"
+                      />
+                    </svg>
+                    <div>
+                      <p className="font-medium text-gray-900">Delivery Notes</p>
+                      <p className="text-gray-600 whitespace-pre-line">{order.deliveryNotes}</p>
+                    </div>
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -382,6 +502,12 @@ function SMEOrderDetailPage() {
                 consumerId={order.consumerId}
                 consumerEmail={order.consumerEmail}
               />
+              <Link
+                to={`/messages?userId=${order.consumerId}&orderId=${order.id}`}
+                className="block mt-4 text-sm text-blue-600 hover:text-blue-700"
+              >
+                Message customer about this order
+              </Link>
             </div>
 
             {/* Rating Prompt */}
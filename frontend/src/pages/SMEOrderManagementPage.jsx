@@ -2,13 +2,18 @@ import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
 import orderService from '../services/orderService';
 import ConsumerTrustScore from '../components/ConsumerTrustScore';
+import ExportPanel from '../components/ExportPanel';
+import useAuthStore from '../store/authStore';
+import { formatVariantOptions } from '../utils/variantUtils';
+import { formatPickupSlot } from '../utils/orderUtils';
 
 function SMEOrderManagementPage() {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [filter, setFilter] = useState('all'); // all, pending, active, completed, cancelled
+  const [filter, setFilter] = useState('all'); // all, pending, active, completed, cancelled, pickups
   const [updatingOrderId, setUpdatingOrderId] = useState(null);
+  const { user } = useAuthStore();
 
   useEffect(() => {
     fetchOrders();
@@ -90,6 +95,8 @@ function SMEOrderManagementPage() {
           </p>
         </div>
 
+        {user?.businessId && <ExportPanel businessId={user.businessId} />}
+
         {/* Filter Tabs */}
         <div className="bg-white rounded-lg shadow-sm mb-6">
           <div className="border-b border-gray-200">
@@ -146,6 +153,16 @@ function SMEOrderManagementPage() {
               >
                 Cancelled ({orders.filter((o) => o.status === 'cancelled').length})
               </button>
+              <button
+                onClick={() => setFilter('pickups')}
+                className={`px-6 py-4 text-sm font-medium border-b-2 transition-colors ${
+                  filter === 'pickups'
+                    ? 'border-blue-600 text-blue-600'
+                    : 'border-transparent text-gray-600 hover:text-gray-900 hover:border-gray-300'
+                }`}
+              >
+                Pickups
+              </button>
             </nav>
           </div>
         </div>
@@ -171,7 +188,9 @@ function SMEOrderManagementPage() {
         )}
 
         {/* Orders List */}
-        {filteredOrders.length === 0 ? (
+        {filter === 'pickups' ? (
+          <PickupSchedule />
+        ) : filteredOrders.length === 0 ? (
           <div className="bg-white rounded-lg shadow-sm p-12 text-center">
             <svg
               className="mx-auto h-24 w-24 text-gray-400 mb-4"
@@ -214,6 +233,116 @@ function SMEOrderManagementPage() {
   );
 }
 
+/**
+ * A day's pickup orders for each of the owner's businesses, grouped by slot
+ */
+function PickupSchedule() {
+  const [date, setDate] = useState('');
+  const [schedule, setSchedule] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchSchedule = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const response = await orderService.getPickupSchedule(date || undefined);
+        setSchedule(response.schedule || []);
+      } catch (err) {
+        console.error('Error fetching pickup schedule:', err);
+        setError('Failed to load pickup schedule');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSchedule();
+  }, [date]);
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-lg shadow-sm p-4 flex items-center gap-3">
+        <label htmlFor="pickupDate" className="text-sm font-medium text-gray-700">
+          Pickups on
+        </label>
+        <input
+          type="date"
+          id="pickupDate"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+        />
+        {date && (
+          <button onClick={() => setDate('')} className="text-sm text-blue-600 hover:text-blue-800">
+            Today
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {loading ? (
+        <div className="bg-white rounded-lg shadow-sm p-6 text-center text-gray-600">Loading pickups...</div>
+      ) : (
+        schedule.map((business) => (
+          <div key={business.businessId} className="bg-white rounded-lg shadow-sm p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">{business.businessName}</h3>
+              <span className="text-sm text-gray-500">
+                {business.date} ({business.timezone})
+              </span>
+            </div>
+
+            {business.capacity === null ? (
+              <p className="text-sm text-gray-600">
+                Pickup times aren't scheduled. Set your opening hours and orders per slot in your business profile.
+              </p>
+            ) : business.slots.length === 0 ? (
+              <p className="text-sm text-gray-600">No pickup slots on this day.</p>
+            ) : (
+              <div className="divide-y divide-gray-200">
+                {business.slots.map((slot) => (
+                  <div key={slot.start} className="py-3 flex flex-col sm:flex-row sm:items-start">
+                    <div className="sm:w-64 mb-2 sm:mb-0">
+                      <p className="text-sm font-medium text-gray-900">
+                        {formatPickupSlot(slot, business.timezone)}
+                      </p>
+                      <p
+                        className={`text-xs ${
+                          slot.orders.length >= business.capacity ? 'text-red-600' : 'text-gray-500'
+                        }`}
+                      >
+                        {slot.orders.length} of {business.capacity} booked
+                      </p>
+                    </div>
+                    <div className="flex-1 space-y-1">
+                      {slot.orders.map((order) => (
+                        <Link
+                          key={order.id}
+                          to={`/dashboard/orders/${order.id}`}
+                          className="flex justify-between text-sm text-blue-600 hover:text-blue-800"
+                        >
+                          <span>
+                            #{order.id.slice(0, 8)} · {order.consumerEmail} · {order.itemCount} item
+                            {order.itemCount === 1 ? '' : 's'}
+                          </span>
+                          <span className="text-gray-600 capitalize">{order.status.replace(/_/g, ' ')}</span>
+                        </Link>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
+
 function OrderCard({ order, onAccept, onReject, onUpdateStatus, isUpdating }) {
   const orderDate = new Date(order.createdAt);
   const isPending = order.status === 'pending';
@@ -272,6 +401,11 @@ function OrderCard({ order, onAccept, onReject, onUpdateStatus, isUpdating }) {
               <p className="text-sm text-gray-600">
                 Customer: <span className="font-medium text-gray-900">{order.consumerEmail}</span>
               </p>
+              {order.pickupSlot && (
+                <p className="text-sm text-gray-600">
+                  Pickup: <span className="font-medium text-gray-900">{formatPickupSlot(order.pickupSlot)}</span>
+                </p>
+              )}
             </div>
             {order.consumerId && (
               <ConsumerTrustScore consumerId={order.consumerId} compact={true} />
@@ -287,6 +421,7 @@ function OrderCard({ order, onAccept, onReject, onUpdateStatus, isUpdating }) {
               <div key={item.id} className="flex justify-between text-sm">
                 <span className="text-gray-600">
                   {item.quantity}x {item.productName || `Product ${item.productId.slice(0, 8)}`}
+                  {item.variantOptions && ` (${formatVariantOptions(item.variantOptions)})`}
                 </span>
                 <span className="font-medium text-gray-900">
                   ${(item.priceAtPurchase * item.quantity).toFixed(2)}
@@ -0,0 +1,584 @@
+import React, { useEffect, useState } from 'react';
+import businessService from '../services/businessService';
+import useAuthStore from '../store/authStore';
+import { toDateTimeInputValue, fromDateTimeInputValue } from '../utils/dateUtils';
+
+const emptyForm = {
+  name: '',
+  code: '',
+  discountType: 'percent',
+  discountValue: '',
+  buyQuantity: '',
+  getQuantity: '',
+  minSpend: '',
+  startsAt: '',
+  endsAt: '',
+  usageLimit: '',
+  perConsumerLimit: '',
+  productIds: [],
+  categories: [],
+  active: true,
+};
+
+const inputClass =
+  'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500';
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800',
+  scheduled: 'bg-blue-100 text-blue-800',
+  expired: 'bg-gray-100 text-gray-800',
+  used_up: 'bg-yellow-100 text-yellow-800',
+  inactive: 'bg-red-100 text-red-800',
+};
+
+const toNumberOrNull = (value, parse = parseFloat) => (value === '' ? null : parse(value));
+
+/**
+ * Form values for an existing promotion
+ */
+const toForm = (promotion) => ({
+  name: promotion.name,
+  code: promotion.code || '',
+  discountType: promotion.discountType,
+  discountValue: promotion.discountValue !== null ? String(promotion.discountValue) : '',
+  buyQuantity: promotion.buyQuantity !== null ? String(promotion.buyQuantity) : '',
+  getQuantity: promotion.getQuantity !== null ? String(promotion.getQuantity) : '',
+  minSpend: promotion.minSpend !== null ? String(promotion.minSpend) : '',
+  startsAt: toDateTimeInputValue(promotion.startsAt),
+  endsAt: toDateTimeInputValue(promotion.endsAt),
+  usageLimit: promotion.usageLimit !== null ? String(promotion.usageLimit) : '',
+  perConsumerLimit: promotion.perConsumerLimit !== null ? String(promotion.perConsumerLimit) : '',
+  productIds: promotion.productIds,
+  categories: promotion.categories,
+  active: promotion.active,
+});
+
+/**
+ * Promotion data to save from the form; blank fields are unset
+ */
+const fromForm = (form) => {
+  const isBuyXGetY = form.discountType === 'buy_x_get_y';
+
+  return {
+    name: form.name,
+    code: form.code.trim() || null,
+    discountType: form.discountType,
+    discountValue: isBuyXGetY ? null : toNumberOrNull(form.discountValue),
+    buyQuantity: isBuyXGetY ? toNumberOrNull(form.buyQuantity, parseInt) : null,
+    getQuantity: isBuyXGetY ? toNumberOrNull(form.getQuantity, parseInt) : null,
+    minSpend: toNumberOrNull(form.minSpend),
+    startsAt: fromDateTimeInputValue(form.startsAt),
+    endsAt: fromDateTimeInputValue(form.endsAt),
+    usageLimit: toNumberOrNull(form.usageLimit, parseInt),
+    perConsumerLimit: toNumberOrNull(form.perConsumerLimit, parseInt),
+    productIds: form.productIds,
+    categories: form.categories,
+    active: form.active,
+  };
+};
+
+/**
+ * Short description of what a promotion gives
+ */
+const describeDiscount = (promotion) => {
+  if (promotion.discountType === 'percent') {
+    return `${promotion.discountValue}% off`;
+  }
+  if (promotion.discountType === 'fixed') {
+    return `$${promotion.discountValue.toFixed(2)} off`;
+  }
+  return `Buy ${promotion.buyQuantity} get ${promotion.getQuantity} free`;
+};
+
+function SMEPromotionsPage() {
+  const { user } = useAuthStore();
+  const [promotions, setPromotions] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      if (user?.businessId) {
+        const [promotionsResponse, productsResponse] = await Promise.all([
+          businessService.getPromotions(user.businessId),
+          businessService.getBusinessProducts(user.businessId),
+        ]);
+        setPromotions(promotionsResponse.promotions || []);
+        setProducts(productsResponse.products || []);
+      }
+    } catch (err) {
+      console.error('Error fetching promotions:', err);
+      setError('Failed to load promotions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const categories = [...new Set(products.map((product) => product.category).filter(Boolean))].sort();
+
+  const runAction = async (action, fallbackMessage) => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      await action();
+    } catch (err) {
+      console.error('Error updating promotions:', err);
+      const apiError = err.response?.data?.error;
+      setError(apiError?.details?.join(', ') || apiError?.message || fallbackMessage);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm((prev) => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const toggleScope = (field, value) => {
+    setForm((prev) => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter((entry) => entry !== value)
+        : [...prev[field], value],
+    }));
+  };
+
+  const openForm = (promotion = null) => {
+    setEditingId(promotion?.id || null);
+    setForm(promotion ? toForm(promotion) : emptyForm);
+    setShowForm(true);
+    setError(null);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingId(null);
+    setForm(emptyForm);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    runAction(async () => {
+      if (editingId) {
+        await businessService.updatePromotion(user.businessId, editingId, fromForm(form));
+      } else {
+        await businessService.createPromotion(user.businessId, fromForm(form));
+      }
+      closeForm();
+      await fetchData();
+    }, 'Failed to save promotion');
+  };
+
+  const handleToggleActive = (promotion) => {
+    runAction(async () => {
+      await businessService.updatePromotion(user.businessId, promotion.id, {
+        ...fromForm(toForm(promotion)),
+        active: !promotion.active,
+      });
+      await fetchData();
+    }, 'Failed to update promotion');
+  };
+
+  const handleDelete = (promotion) => {
+    if (!window.confirm(`Delete the promotion "${promotion.name}"?`)) {
+      return;
+    }
+
+    runAction(async () => {
+      await businessService.deletePromotion(user.businessId, promotion.id);
+      await fetchData();
+    }, 'Failed to delete promotion');
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-96">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-blue-600 mx-auto mb-4"></div>
+          <p className="text-gray-600">Loading promotions...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="py-6">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 md:px-8">
+        {/* Header */}
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-6">
+          <div>
+            <h1 className="text-2xl font-semibold text-gray-900">Promotions</h1>
+            <p className="mt-1 text-sm text-gray-600">
+              Discount codes customers enter at checkout, and discounts that apply automatically
+            </p>
+          </div>
+          {!showForm && (
+            <button
+              onClick={() => openForm()}
+              className="mt-4 sm:mt-0 inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+            >
+              New Promotion
+            </button>
+          )}
+        </div>
+
+        {error && (
+          <div className="mb-6 bg-red-50 border border-red-200 rounded-lg p-4">
+            <p className="text-red-800">{error}</p>
+          </div>
+        )}
+
+        {/* Promotion Form */}
+        {showForm && (
+          <form onSubmit={handleSubmit} className="bg-white shadow rounded-lg p-6 mb-6 space-y-6">
+            <h2 className="text-lg font-medium text-gray-900">
+              {editingId ? 'Edit Promotion' : 'New Promotion'}
+            </h2>
+
+            <div className="grid grid-cols-1 gap-6 sm:grid-cols-2">
+              <div>
+                <label htmlFor="name" className="block text-sm font-medium text-gray-700">
+                  Name
+                </label>
+                <input
+                  id="name"
+                  name="name"
+                  type="text"
+                  value={form.name}
+                  onChange={handleChange}
+                  required
+                  maxLength={255}
+                  placeholder="e.g., Summer sale"
+                  className={inputClass}
+                />
+              </div>
+
+              <div>
+                <label htmlFor="code" className="block text-sm font-medium text-gray-700">
+                  Code
+                </label>
+                <input
+                  id="code"
+                  name="code"
+                  type="text"
+                  value={form.code}
+                  onChange={handleChange}
+                  maxLength={50}
+                  placeholder="Leave empty to apply automatically"
+                  className={`${inputClass} uppercase`}
+                />
+              </div>
+
+              <div>
+                <label htmlFor="discountType" className="block text-sm font-medium text-gray-700">
+                  Type
+                </label>
+                <select
+                  id="discountType"
+                  name="discountType"
+                  value={form.discountType}
+                  onChange={handleChange}
+                  className={inputClass}
+                >
+                  <option value="percent">Percentage off</option>
+                  <option value="fixed">Fixed amount off</option>
+                  <option value="buy_x_get_y">Buy X get Y free</option>
+                </select>
+              </div>
+
+              {form.discountType === 'buy_x_get_y' ? (
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label htmlFor="buyQuantity" className="block text-sm font-medium text-gray-700">
+                      Buy
+                    </label>
+                    <input
+                      id="buyQuantity"
+                      name="buyQuantity"
+                      type="number"
+                      min="1"
+                      value={form.buyQuantity}
+                      onChange={handleChange}
+                      required
+                      className={inputClass}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="getQuantity" className="block text-sm font-medium text-gray-700">
+                      Get free
+                    </label>
+                    <input
+                      id="getQuantity"
+                      name="getQuantity"
+                      type="number"
+                      min="1"
+                      value={form.getQuantity}
+                      onChange={handleChange}
+                      required
+                      className={inputClass}
+                    />
+                  </div>
+                </div>
+              ) : (
+                <div>
+                  <label htmlFor="discountValue" className="block text-sm font-medium text-gray-700">
+                    {form.discountType === 'percent' ? 'Percentage off' : 'Amount off ($)'}
+                  </label>
+                  <input
+                    id="discountValue"
+                    name="discountValue"
+                    type="number"
+                    min="0.01"
+                    max={form.discountType === 'percent' ? '100' : undefined}
+                    step="0.01"
+                    value={form.discountValue}
+                    onChange={handleChange}
+                    required
+                    className={inputClass}
+                  />
+                </div>
+              )}
+
+              <div>
+                <label htmlFor="minSpend" className="block text-sm font-medium text-gray-700">
+                  Minimum spend ($)
+                </label>
+                <input
+                  id="minSpend"
+                  name="minSpend"
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={form.minSpend}
+                  onChange={handleChange}
+                  placeholder="None"
+                  className={inputClass}
+                />
+                <p className="mt-1 text-xs text-gray-500">Counted on the items the promotion covers.</p>
+              </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label htmlFor="usageLimit" className="block text-sm font-medium text-gray-700">
+                    Total uses
+                  </label>
+                  <input
+                    id="usageLimit"
+                    name="usageLimit"
+                    type="number"
+                    min="1"
+                    value={form.usageLimit}
+                    onChange={handleChange}
+                    placeholder="Unlimited"
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="perConsumerLimit" className="block text-sm font-medium text-gray-700">
+                    Uses per customer
+                  </label>
+                  <input
+                    id="perConsumerLimit"
+                    name="perConsumerLimit"
+                    type="number"
+                    min="1"
+                    value={form.perConsumerLimit}
+                    onChange={handleChange}
+                    placeholder="Unlimited"
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label htmlFor="startsAt" className="block text-sm font-medium text-gray-700">
+                  Starts
+                </label>
+                <input
+                  id="startsAt"
+                  name="startsAt"
+                  type="datetime-local"
+                  value={form.startsAt}
+                  onChange={handleChange}
+                  className={inputClass}
+                />
+              </div>
+
+              <div>
+                <label htmlFor="endsAt" className="block text-sm font-medium text-gray-700">
+                  Ends
+                </label>
+                <input
+                  id="endsAt"
+                  name="endsAt"
+                  type="datetime-local"
+                  value={form.endsAt}
+                  onChange={handleChange}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+
+            {/* Scope */}
+            <div>
+              <p className="block text-sm font-medium text-gray-700">Applies to</p>
+              <p className="text-xs text-gray-500">
+                Pick products and/or categories, or none for everything you sell.
+              </p>
+
+              {categories.length > 0 && (
+                <div className="mt-2 flex flex-wrap gap-3">
+                  {categories.map((category) => (
+                    <label key={category} className="flex items-center text-sm text-gray-700 capitalize">
+                      <input
+                        type="checkbox"
+                        checked={form.categories.includes(category)}
+                        onChange={() => toggleScope('categories', category)}
+                        className="mr-2"
+                      />
+                      {category}
+                    </label>
+                  ))}
+                </div>
+              )}
+
+              {products.length > 0 && (
+                <div className="mt-3 max-h-48 overflow-y-auto border border-gray-200 rounded-md p-3 space-y-1">
+                  {products.map((product) => (
+                    <label key={product.id} className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={form.productIds.includes(product.id)}
+                        onChange={() => toggleScope('productIds', product.id)}
+                        className="mr-2"
+                      />
+                      {product.name}
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                name="active"
+                checked={form.active}
+                onChange={handleChange}
+                className="mr-2"
+              />
+              Active
+            </label>
+
+            <div className="flex justify-end gap-3">
+              <button
+                type="button"
+                onClick={closeForm}
+                disabled={saving}
+                className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400"
+              >
+                {saving ? 'Saving...' : 'Save Promotion'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Promotions List */}
+        {promotions.length === 0 ? (
+          <div className="bg-white shadow rounded-lg p-12 text-center">
+            <p className="text-gray-600">No promotions yet.</p>
+          </div>
+        ) : (
+          <div className="bg-white shadow overflow-hidden sm:rounded-md">
+            <ul className="divide-y divide-gray-200">
+              {promotions.map((promotion) => (
+                <li key={promotion.id} className="px-4 py-4 sm:px-6">
+                  <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                    <div className="min-w-0">
+                      <div className="flex items-center gap-2">
+                        <p className="text-sm font-medium text-gray-900">{promotion.name}</p>
+                        <span
+                          className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${
+                            STATUS_STYLES[promotion.status]
+                          }`}
+                        >
+                          {promotion.status.replace(/_/g, ' ')}
+                        </span>
+                      </div>
+                      <p className="mt-1 text-sm text-gray-600">
+                        {promotion.code ? (
+                          <span className="font-mono">{promotion.code}</span>
+                        ) : (
+                          'Automatic'
+                        )}{' '}
+                        · {describeDiscount(promotion)}
+                        {promotion.minSpend !== null && ` · min. spend $${promotion.minSpend.toFixed(2)}`}
+                      </p>
+                      <p className="mt-1 text-xs text-gray-500">
+                        Used {promotion.usageCount}
+                        {promotion.usageLimit !== null && ` of ${promotion.usageLimit}`} times by{' '}
+                        {promotion.customerCount} customer{promotion.customerCount === 1 ? '' : 's'} · $
+                        {promotion.totalDiscount.toFixed(2)} discounted
+                        {promotion.startsAt && ` · from ${new Date(promotion.startsAt).toLocaleString()}`}
+                        {promotion.endsAt && ` · until ${new Date(promotion.endsAt).toLocaleString()}`}
+                      </p>
+                    </div>
+                    <div className="flex gap-3 text-sm">
+                      <button
+                        onClick={() => openForm(promotion)}
+                        disabled={saving}
+                        className="text-blue-600 hover:text-blue-800"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => handleToggleActive(promotion)}
+                        disabled={saving}
+                        className="text-gray-600 hover:text-gray-800"
+                      >
+                        {promotion.active ? 'Deactivate' : 'Activate'}
+                      </button>
+                      {promotion.usageCount === 0 && (
+                        <button
+                          onClick={() => handleDelete(promotion)}
+                          disabled={saving}
+                          className="text-red-600 hover:text-red-800"
+                        >
+                          Delete
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SMEPromotionsPage;
@@ -0,0 +1,172 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import useFavouriteStore from '../store/favouriteStore';
+import FavouriteButton from '../components/FavouriteButton';
+import PriceTag from '../components/PriceTag';
+import OpeningStatusBadge from '../components/OpeningStatusBadge';
+
+function SavedPage() {
+  const { productIds, businessIds, loadFavourites } = useFavouriteStore();
+  const [favourites, setFavourites] = useState({ products: [], businesses: [] });
+  const [activeTab, setActiveTab] = useState('products');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchFavourites = async () => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        setFavourites(await loadFavourites());
+      } catch (err) {
+        console.error('Error fetching favourites:', err);
+        setError('Failed to load your saved items');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchFavourites();
+  }, []);
+
+  // Unsaving from this page drops the card straight away
+  const products = favourites.products.filter((product) => productIds.includes(product.id));
+  const businesses = favourites.businesses.filter((business) => businessIds.includes(business.id));
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-blue-600 mx-auto mb-4"></div>
+          <p className="text-gray-600">Loading your saved items...</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-4 py-8">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Saved</h1>
+          <p className="text-gray-600">
+            Products and businesses you've saved. We'll let you know when a saved product is back in stock or on sale.
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-6 bg-red-50 border border-red-200 rounded-lg p-4">
+            <p className="text-red-800">{error}</p>
+          </div>
+        )}
+
+        {/* Tabs */}
+        <div className="bg-white rounded-lg shadow-sm mb-6">
+          <nav className="flex -mb-px border-b border-gray-200">
+            {[
+              { key: 'products', label: 'Products', count: products.length },
+              { key: 'businesses', label: 'Businesses', count: businesses.length },
+            ].map((tab) => (
+              <button
+                key={tab.key}
+                onClick={() => setActiveTab(tab.key)}
+                className={`px-6 py-3 text-sm font-medium border-b-2 transition-colors ${
+                  activeTab === tab.key
+                    ? 'border-blue-600 text-blue-600'
+                    : 'border-transparent text-gray-600 hover:text-gray-900 hover:border-gray-300'
+                }`}
+              >
+                {tab.label} ({tab.count})
+              </button>
+            ))}
+          </nav>
+        </div>
+
+        {/* Saved Products */}
+        {activeTab === 'products' &&
+          (products.length === 0 ? (
+            <div className="bg-white rounded-lg shadow-sm p-12 text-center">
+              <p className="text-gray-600 mb-4">You haven't saved any products yet.</p>
+              <Link to="/products" className="text-blue-600 hover:text-blue-700 font-medium">
+                Browse products
+              </Link>
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+              {products.map((product) => (
+                <Link
+                  key={product.id}
+                  to={`/products/${product.id}`}
+                  className="bg-white rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow"
+                >
+                  <div className="relative h-48 bg-gray-200">
+                    {product.images && product.images.length > 0 && (
+                      <img src={product.images[0]} alt={product.name} className="w-full h-full object-cover" />
+                    )}
+                    {!product.inStock && (
+                      <div className="absolute inset-0 bg-black bg-opacity-50 flex items-center justify-center">
+                        <span className="text-white font-semibold text-lg">Out of Stock</span>
+                      </div>
+                    )}
+                    <FavouriteButton kind="product" id={product.id} className="absolute top-2 right-2" />
+                  </div>
+                  <div className="p-4">
+                    <h3 className="text-lg font-semibold text-gray-900 mb-1">{product.name}</h3>
+                    <p className="text-sm text-gray-600 mb-2">{product.businessName}</p>
+                    <PriceTag price={product.price} listPrice={product.listPrice} onSale={product.onSale} />
+                  </div>
+                </Link>
+              ))}
+            </div>
+          ))}
+
+        {/* Saved Businesses */}
+        {activeTab === 'businesses' &&
+          (businesses.length === 0 ? (
+            <div className="bg-white rounded-lg shadow-sm p-12 text-center">
+              <p className="text-gray-600 mb-4">You haven't saved any businesses yet.</p>
+              <Link to="/map" className="text-blue-600 hover:text-blue-700 font-medium">
+                Find businesses near you
+              </Link>
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+              {businesses.map((business) => (
+                <Link
+                  key={business.id}
+                  to={`/businesses/${business.id}`}
+                  className="relative bg-white rounded-lg shadow-md p-5 hover:shadow-lg transition-shadow"
+                >
+                  <FavouriteButton kind="business" id={business.id} className="absolute top-3 right-3" />
+                  <h3 className="text-lg font-semibold text-gray-900 pr-10">
+                    {business.name}
+                    {business.verified && (
+                      <span className="ml-2 align-middle text-xs font-medium text-blue-600">Verified</span>
+                    )}
+                  </h3>
+                  {business.city && (
+                    <p className="text-sm text-gray-600">
+                      {[business.city, business.country].filter(Boolean).join(', ')}
+                    </p>
+                  )}
+                  {business.description && (
+                    <p className="mt-2 text-sm text-gray-600 line-clamp-2">{business.description}</p>
+                  )}
+                  <div className="mt-3 flex items-center justify-between">
+                    <span className="text-sm text-gray-700">
+                      ★ {business.rating.toFixed(1)} ({business.totalRatings})
+                    </span>
+                    <OpeningStatusBadge openingStatus={business.openingStatus} showHours={false} />
+                  </div>
+                </Link>
+              ))}
+            </div>
+          ))}
+      </div>
+    </div>
+  );
+}
+
+export default SavedPage;
@@ -17,9 +17,10 @@ const analyticsService = {
   /**
    * Get product performance metrics
    */
-  getProductPerformance: async (businessId) => {
+  getProductPerformance: async (businessId, params = {}) => {
     const response = await apiClient.get(
-      `/analytics/business/${businessId}/products`
+      `/analytics/business/${businessId}/products`,
+      { params }
     );
     return response.data;
   },
@@ -35,14 +36,17 @@ const analyticsService = {
   },
 
   /**
-   * Export analytics data
+   * Export business data as a CSV or XLSX file
+   * filters: dataset (orders, products, ratings, analytics), start_date, end_date, status
    */
-  exportData: async (businessId, format = 'csv') => {
+  exportData: async (businessId, format = 'csv', filters = {}) => {
     const response = await apiClient.get(
       `/analytics/business/${businessId}/export`,
       {
-        params: { format },
+        params: { format, ...filters },
         responseType: 'blob',
+        // Large exports stream for longer than the default request timeout
+        timeout: 120000,
       }
     );
     return response.data;
@@ -25,6 +25,97 @@ const businessService = {
     return response.data;
   },
 
+  /**
+   * Get delivery zones and free-delivery threshold
+   */
+  getDeliveryZones: async (businessId) => {
+    const response = await apiClient.get(`/businesses/${businessId}/delivery-zones`);
+    return response.data;
+  },
+
+  /**
+   * Add a delivery zone
+   */
+  createDeliveryZone: async (businessId, zoneData) => {
+    const response = await apiClient.post(`/businesses/${businessId}/delivery-zones`, zoneData);
+    return response.data;
+  },
+
+  /**
+   * Update a delivery zone
+   */
+  updateDeliveryZone: async (businessId, zoneId, zoneData) => {
+    const response = await apiClient.put(
+      `/businesses/${businessId}/delivery-zones/${zoneId}`,
+      zoneData
+    );
+    return response.data;
+  },
+
+  /**
+   * Delete a delivery zone
+   */
+  deleteDeliveryZone: async (businessId, zoneId) => {
+    const response = await apiClient.delete(`/businesses/${businessId}/delivery-zones/${zoneId}`);
+    return response.data;
+  },
+
+  /**
+   * Set the free-delivery threshold
+   */
+  updateDeliveryPolicy: async (businessId, freeDeliveryThreshold) => {
+    const response = await apiClient.put(`/businesses/${businessId}/delivery-policy`, {
+      freeDeliveryThreshold,
+    });
+    return response.data;
+  },
+
+  /**
+   * Get the business's promotions with how often each was used (owner only)
+   */
+  getPromotions: async (businessId) => {
+    const response = await apiClient.get(`/businesses/${businessId}/promotions`);
+    return response.data;
+  },
+
+  /**
+   * Create a discount code, or an automatic promotion when the code is left empty
+   */
+  createPromotion: async (businessId, promotionData) => {
+    const response = await apiClient.post(`/businesses/${businessId}/promotions`, promotionData);
+    return response.data;
+  },
+
+  /**
+   * Update a promotion
+   */
+  updatePromotion: async (businessId, promotionId, promotionData) => {
+    const response = await apiClient.put(
+      `/businesses/${businessId}/promotions/${promotionId}`,
+      promotionData
+    );
+    return response.data;
+  },
+
+  /**
+   * Delete a promotion that was never used
+   */
+  deletePromotion: async (businessId, promotionId) => {
+    const response = await apiClient.delete(`/businesses/${businessId}/promotions/${promotionId}`);
+    return response.data;
+  },
+
+  /**
+   * Get upcoming pickup slots with the places left in each
+   * from is a YYYY-MM-DD date in the business's timezone; days defaults to 7
+   */
+  getPickupSlots: async (businessId, params = {}) => {
+    const response = await apiClient.get(`/businesses/${businessId}/pickup-slots`, {
+      params,
+    });
+    return response.data;
+  },
+
   /**
    * Get nearby businesses
    */
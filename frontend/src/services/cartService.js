@@ -0,0 +1,45 @@
+import apiClient from '../utils/apiClient';
+
+const cartService = {
+  /**
+   * Get the saved cart with current prices, stock and what changed since items were added
+   */
+  getCart: async () => {
+    const response = await apiClient.get('/cart');
+    return response.data;
+  },
+
+  /**
+   * Set the quantity of a product, or one of its variants; 0 removes it
+   */
+  setItem: async (productId, variantId, quantity) => {
+    const response = await apiClient.put('/cart/items', { productId, variantId, quantity });
+    return response.data;
+  },
+
+  /**
+   * Merge a cart built while signed out into the saved cart
+   */
+  mergeCart: async (items) => {
+    const response = await apiClient.post('/cart/merge', { items });
+    return response.data;
+  },
+
+  /**
+   * Remove a line from the saved cart
+   */
+  removeItem: async (itemId) => {
+    const response = await apiClient.delete(`/cart/items/${itemId}`);
+    return response.data;
+  },
+
+  /**
+   * Empty the saved cart
+   */
+  clearCart: async () => {
+    const response = await apiClient.delete('/cart');
+    return response.data;
+  },
+};
+
+export default cartService;
@@ -0,0 +1,13 @@
+import apiClient from '../utils/apiClient';
+
+const checkoutService = {
+  /**
+   * Get a checkout with its orders, combined payment status and per-business settlements
+   */
+  getCheckout: async (checkoutId) => {
+    const response = await apiClient.get(`/checkouts/${checkoutId}`);
+    return response.data;
+  },
+};
+
+export default checkoutService;
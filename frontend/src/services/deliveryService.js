@@ -41,6 +41,17 @@ const deliveryService = {
     return response.data;
   },
 
+  /**
+   * Report progress on a self-delivery
+   */
+  updateDeliveryStatus: async (deliveryId, status, note) => {
+    const response = await apiClient.patch(`/delivery/${deliveryId}/status`, {
+      status,
+      note,
+    });
+    return response.data;
+  },
+
   /**
    * Get delivery history
    */
@@ -0,0 +1,31 @@
+import apiClient from '../utils/apiClient';
+
+const favouriteService = {
+  /**
+   * Get the saved products and businesses, most recently saved first
+   */
+  getFavourites: async () => {
+    const response = await apiClient.get('/favourites');
+    return response.data;
+  },
+
+  /**
+   * Save a product or business
+   * @param {'product'|'business'} kind
+   */
+  addFavourite: async (kind, id) => {
+    const response = await apiClient.put(`/favourites/${kind === 'product' ? 'products' : 'businesses'}/${id}`);
+    return response.data;
+  },
+
+  /**
+   * Remove a saved product or business
+   * @param {'product'|'business'} kind
+   */
+  removeFavourite: async (kind, id) => {
+    const response = await apiClient.delete(`/favourites/${kind === 'product' ? 'products' : 'businesses'}/${id}`);
+    return response.data;
+  },
+};
+
+export default favouriteService;
@@ -3,11 +3,15 @@ export { default as authService } from './authService';
 export { default as businessService } from './businessService';
 export { default as productService } from './productService';
 export { default as orderService } from './orderService';
+export { default as cartService } from './cartService';
+export { default as favouriteService } from './favouriteService';
+export { default as checkoutService } from './checkoutService';
 export { default as ratingService } from './ratingService';
 export { default as messageService } from './messageService';
 export { default as notificationService } from './notificationService';
 export { default as geolocationService } from './geolocationService';
 export { default as paymentService } from './paymentService';
+export { default as returnService } from './returnService';
 export { default as deliveryService } from './deliveryService';
 export { default as analyticsService } from './analyticsService';
 export { default as uploadService } from './uploadService';
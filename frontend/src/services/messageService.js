@@ -3,11 +3,15 @@ import apiClient from '../utils/apiClient';
 const messageService = {
   /**
    * Send a message
+   * Pass a productId or orderId to ask about a specific item; the receiver
+   * can be omitted and is then resolved from the product or order
    */
-  sendMessage: async (receiverId, content) => {
+  sendMessage: async (receiverId, content, { productId, orderId } = {}) => {
     const response = await apiClient.post('/messages', {
-      receiverId,
+      ...(receiverId && { receiverId }),
       content,
+      ...(productId && { productId }),
+      ...(orderId && { orderId }),
     });
     return response.data;
   },
@@ -23,8 +27,18 @@ const messageService = {
   /**
    * Get conversation with specific user
    */
-  getConversation: async (userId) => {
-    const response = await apiClient.get(`/messages/conversation/${userId}`);
+  getConversation: async (userId, params = {}) => {
+    const response = await apiClient.get(`/messages/conversation/${userId}`, {
+      params,
+    });
+    return response.data;
+  },
+
+  /**
+   * Mark all messages from a user as read
+   */
+  markConversationAsRead: async (userId) => {
+    const response = await apiClient.patch(`/messages/conversation/${userId}/read`);
     return response.data;
   },
 
@@ -9,6 +9,14 @@ const orderService = {
     return response.data;
   },
 
+  /**
+   * Quote a cart before ordering, including promotion discounts and delivery fees
+   */
+  quoteOrder: async (orderData) => {
+    const response = await apiClient.post('/orders/quote', orderData);
+    return response.data;
+  },
+
   /**
    * Get order by ID
    */
@@ -17,6 +25,14 @@ const orderService = {
     return response.data;
   },
 
+  /**
+   * Get an order's lifecycle events, oldest first
+   */
+  getOrderEvents: async (orderId) => {
+    const response = await apiClient.get(`/orders/${orderId}/events`);
+    return response.data;
+  },
+
   /**
    * Get orders for current user (consumer or SME)
    */
@@ -30,19 +46,42 @@ const orderService = {
   /**
    * Update order status (SME only)
    */
-  updateOrderStatus: async (orderId, status) => {
+  updateOrderStatus: async (orderId, status, note) => {
     const response = await apiClient.patch(`/orders/${orderId}/status`, {
       status,
+      note,
     });
     return response.data;
   },
 
   /**
-   * Cancel order
+   * Cancel order as the customer
+   * reason is a cancellation reason code; note is required when reason is 'other'
    */
-  cancelOrder: async (orderId, reason) => {
+  cancelOrder: async (orderId, reason, note) => {
     const response = await apiClient.patch(`/orders/${orderId}/cancel`, {
       reason,
+      note,
+    });
+    return response.data;
+  },
+
+  /**
+   * Get a past order's items as cart lines to buy again, revalidated against current prices and stock
+   * The response also lists the items that can't be bought and the ones whose price changed
+   */
+  reorder: async (orderId) => {
+    const response = await apiClient.get(`/orders/${orderId}/reorder`);
+    return response.data;
+  },
+
+  /**
+   * Get a day's pickup orders grouped by slot (SME only)
+   * date is YYYY-MM-DD; defaults to today in each business's timezone
+   */
+  getPickupSchedule: async (date) => {
+    const response = await apiClient.get('/orders/pickups', {
+      params: { date },
     });
     return response.data;
   },
@@ -12,12 +12,25 @@ const paymentService = {
     return response.data;
   },
 
+  /**
+   * Create one combined payment intent for every unpaid order of a checkout
+   */
+  createCheckoutPaymentIntent: async (checkoutId, paymentMethod) => {
+    const response = await apiClient.post('/payments/create-intent', {
+      checkoutId,
+      paymentMethod,
+    });
+    return response.data;
+  },
+
   /**
    * Confirm payment
+   * paymentMethodId is the provider's payment method collected on the page, e.g. a Stripe pm_ id
    */
-  confirmPayment: async (paymentIntentId) => {
+  confirmPayment: async (paymentIntentId, paymentMethodId) => {
     const response = await apiClient.post('/payments/confirm', {
       paymentIntentId,
+      paymentMethodId,
     });
     return response.data;
   },
@@ -41,11 +54,39 @@ const paymentService = {
   },
 
   /**
-   * Request refund
+   * Request refund (consumer) or issue refund (SME)
+   * Omit items for a full refund, or pass [{ orderItemId, quantity }] for a partial one
    */
-  requestRefund: async (paymentId, reason) => {
+  requestRefund: async (paymentId, reason, items) => {
     const response = await apiClient.post(`/payments/${paymentId}/refund`, {
       reason,
+      ...(items && items.length > 0 && { items }),
+    });
+    return response.data;
+  },
+
+  /**
+   * Get refunds for an order
+   */
+  getOrderRefunds: async (orderId) => {
+    const response = await apiClient.get(`/refunds/order/${orderId}`);
+    return response.data;
+  },
+
+  /**
+   * Approve a refund request (SME only)
+   */
+  approveRefund: async (refundId) => {
+    const response = await apiClient.patch(`/refunds/${refundId}/approve`);
+    return response.data;
+  },
+
+  /**
+   * Reject a refund request (SME only)
+   */
+  rejectRefund: async (refundId, reason) => {
+    const response = await apiClient.patch(`/refunds/${refundId}/reject`, {
+      reason,
     });
     return response.data;
   },
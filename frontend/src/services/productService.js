@@ -35,10 +35,68 @@ const productService = {
 
   /**
    * Update product inventory
+   * Products with variants need the variantId whose quantity is being set.
    */
-  updateInventory: async (productId, quantity) => {
+  updateInventory: async (productId, quantity, reason, variantId = null) => {
     const response = await apiClient.patch(`/products/${productId}/inventory`, {
       quantity,
+      reason,
+      variantId,
+    });
+    return response.data;
+  },
+
+  /**
+   * Get a product's inventory movements, newest first
+   * Pass { before } with the oldest loaded createdAt to page back.
+   */
+  getInventoryHistory: async (productId, params = {}) => {
+    const response = await apiClient.get(`/products/${productId}/inventory/history`, {
+      params,
+    });
+    return response.data;
+  },
+
+  /**
+   * Get a product's scheduled price changes, soonest first, then the ones already applied
+   */
+  getPriceChanges: async (productId) => {
+    const response = await apiClient.get(`/products/${productId}/price-changes`);
+    return response.data;
+  },
+
+  /**
+   * Schedule a product's price to change at a future time
+   */
+  schedulePriceChange: async (productId, price, effectiveAt) => {
+    const response = await apiClient.post(`/products/${productId}/price-changes`, { price, effectiveAt });
+    return response.data;
+  },
+
+  /**
+   * Cancel a scheduled price change that has not taken effect yet
+   */
+  cancelPriceChange: async (productId, changeId) => {
+    const response = await apiClient.delete(`/products/${productId}/price-changes/${changeId}`);
+    return response.data;
+  },
+
+  /**
+   * Bulk-import products from a CSV file
+   * With dryRun nothing is saved; with upsert existing SKUs are updated.
+   */
+  importProducts: async (businessId, file, { dryRun = false, upsert = false } = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    formData.append('businessId', businessId);
+    formData.append('dryRun', String(dryRun));
+    formData.append('upsert', String(upsert));
+
+    const response = await apiClient.post('/products/import', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+      timeout: 60000,
     });
     return response.data;
   },
@@ -0,0 +1,54 @@
+import apiClient from '../utils/apiClient';
+
+const returnService = {
+  /**
+   * Request a return or exchange on a delivered order (consumer)
+   * returnData: orderId, items [{ orderItemId, quantity }], reason, details, photos, resolution
+   */
+  requestReturn: async (returnData) => {
+    const response = await apiClient.post('/returns', returnData);
+    return response.data;
+  },
+
+  /**
+   * Get returns for an order
+   */
+  getOrderReturns: async (orderId) => {
+    const response = await apiClient.get(`/returns/order/${orderId}`);
+    return response.data;
+  },
+
+  /**
+   * Approve a return request (SME only)
+   */
+  approveReturn: async (returnId, note) => {
+    const response = await apiClient.patch(`/returns/${returnId}/approve`, { note });
+    return response.data;
+  },
+
+  /**
+   * Reject a return request (SME only)
+   */
+  rejectReturn: async (returnId, note) => {
+    const response = await apiClient.patch(`/returns/${returnId}/reject`, { note });
+    return response.data;
+  },
+
+  /**
+   * Confirm returned items arrived, optionally putting them back into stock (SME only)
+   */
+  receiveReturn: async (returnId, restock, note) => {
+    const response = await apiClient.patch(`/returns/${returnId}/receive`, { restock, note });
+    return response.data;
+  },
+
+  /**
+   * Resolve a received return with 'refund' or 'exchange' (SME only)
+   */
+  resolveReturn: async (returnId, resolution, note) => {
+    const response = await apiClient.patch(`/returns/${returnId}/resolve`, { resolution, note });
+    return response.data;
+  },
+};
+
+export default returnService;
@@ -1,4 +1,6 @@
 import { create } from 'zustand';
+import useCartStore from './cartStore';
+import useFavouriteStore from './favouriteStore';
 
 const useAuthStore = create((set) => ({
   user: null,
@@ -15,6 +17,14 @@ const useAuthStore = create((set) => ({
       refreshToken,
       isAuthenticated: true,
     });
+
+    // A consumer's signed-out cart joins their saved one
+    if (user?.userType === 'consumer') {
+      useCartStore.getState().mergeCart();
+      useFavouriteStore.getState().loadFavourites().catch((error) => {
+        console.error('Error loading favourites:', error);
+      });
+    }
   },
   
   updateUser: (userData) => {
@@ -32,6 +42,8 @@ const useAuthStore = create((set) => ({
       refreshToken: null,
       isAuthenticated: false,
     });
+    useCartStore.getState().resetCart();
+    useFavouriteStore.getState().resetFavourites();
   },
   
   clearAuth: () => {
@@ -43,6 +55,8 @@ const useAuthStore = create((set) => ({
       refreshToken: null,
       isAuthenticated: false,
     });
+    useCartStore.getState().resetCart();
+    useFavouriteStore.getState().resetFavourites();
   },
 }));
 
@@ -1,18 +1,94 @@
 import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import cartService from '../services/cartService';
 
-const useCartStore = create((set, get) => ({
+/**
+ * Cart lines are keyed by product and variant, so two sizes of one product are separate lines
+ */
+export const getCartItemKey = (product, variant = null) => `${product.id}:${variant?.id || ''}`;
+
+/**
+ * Unit price of a cart line; a variant's price already falls back to the product price
+ */
+export const getItemPrice = (item) => (item.variant ? item.variant.price : item.product.price);
+
+/**
+ * Units that can be bought for a cart line; the saved cart reports this net of units held by
+ * pending orders, otherwise it is the stock on hand of the variant or product
+ */
+export const getItemStock = (item) =>
+  item.availableQuantity ?? (item.variant ? item.variant.quantity : item.product.quantity);
+
+/**
+ * Save a line's new quantity to the server cart and take its revalidated lines
+ * On failure the saved cart is reloaded so the local copy doesn't drift from it.
+ */
+const saveLine = async (set, get, product, variant, quantity) => {
+  try {
+    const response = await cartService.setItem(product.id, variant?.id || null, quantity);
+    set({ items: response.cart.items });
+  } catch (error) {
+    console.error('Error saving cart:', error);
+    get().loadCart();
+  }
+};
+
+const useCartStore = create(persist((set, get) => ({
   items: [],
+  // True once the cart is the signed-in consumer's saved cart; changes are then saved to the server
+  synced: false,
+
+  /**
+   * Replace the cart with the server's copy, revalidated against current prices and stock
+   */
+  loadCart: async () => {
+    try {
+      const response = await cartService.getCart();
+      set({ items: response.cart.items, synced: true });
+    } catch (error) {
+      console.error('Error loading cart:', error);
+    }
+  },
+
+  /**
+   * Merge lines added while signed out into the consumer's saved cart, then switch to it
+   * Lines that came from the server (they have an id) are already saved and aren't merged again.
+   */
+  mergeCart: async () => {
+    const localItems = get().items.filter((item) => !item.id);
+
+    try {
+      const response = localItems.length > 0
+        ? await cartService.mergeCart(localItems.map((item) => ({
+          productId: item.product.id,
+          variantId: item.variant?.id || null,
+          quantity: item.quantity,
+          unitPrice: getItemPrice(item),
+        })))
+        : await cartService.getCart();
+      set({ items: response.cart.items, synced: true });
+    } catch (error) {
+      console.error('Error merging cart:', error);
+    }
+  },
+
+  /**
+   * Forget the local copy on logout; the saved cart stays on the server
+   */
+  resetCart: () => {
+    set({ items: [], synced: false });
+  },
   
-  addItem: (product, quantity = 1) => {
+  addItem: (product, quantity = 1, variant = null) => {
+    const key = getCartItemKey(product, variant);
+
     set((state) => {
-      const existingItem = state.items.find(
-        (item) => item.product.id === product.id
-      );
+      const existingItem = state.items.find((item) => item.key === key);
       
       if (existingItem) {
         return {
           items: state.items.map((item) =>
-            item.product.id === product.id
+            item.key === key
               ? { ...item, quantity: item.quantity + quantity }
               : item
           ),
@@ -20,32 +96,73 @@ const useCartStore = create((set, get) => ({
       }
       
       return {
-        items: [...state.items, { product, quantity }],
+        items: [...state.items, { key, product, variant, quantity }],
       };
     });
+
+    if (get().synced) {
+      const item = get().items.find((i) => i.key === key);
+      saveLine(set, get, product, variant, item.quantity);
+    }
   },
   
-  removeItem: (productId) => {
+  /**
+   * Add several lines at once, e.g. a past order bought again
+   * A saved cart takes them in one merge, so it isn't raced by a save per line.
+   */
+  addItems: async (lines) => {
+    if (!get().synced) {
+      lines.forEach((line) => get().addItem(line.product, line.quantity, line.variant));
+      return;
+    }
+
+    const response = await cartService.mergeCart(lines.map((line) => ({
+      productId: line.product.id,
+      variantId: line.variant?.id || null,
+      quantity: line.quantity,
+      unitPrice: getItemPrice(line),
+    })));
+    set({ items: response.cart.items });
+  },
+
+  removeItem: (key) => {
+    const item = get().items.find((i) => i.key === key);
+
     set((state) => ({
-      items: state.items.filter((item) => item.product.id !== productId),
+      items: state.items.filter((item) => item.key !== key),
     }));
+
+    if (item && get().synced) {
+      saveLine(set, get, item.product, item.variant, 0);
+    }
   },
   
-  updateQuantity: (productId, quantity) => {
+  updateQuantity: (key, quantity) => {
     if (quantity <= 0) {
-      get().removeItem(productId);
+      get().removeItem(key);
       return;
     }
     
     set((state) => ({
       items: state.items.map((item) =>
-        item.product.id === productId ? { ...item, quantity } : item
+        item.key === key ? { ...item, quantity } : item
       ),
     }));
+
+    const item = get().items.find((i) => i.key === key);
+    if (item && get().synced) {
+      saveLine(set, get, item.product, item.variant, quantity);
+    }
   },
   
   clearCart: () => {
     set({ items: [] });
+
+    if (get().synced) {
+      cartService.clearCart().catch((error) => {
+        console.error('Error clearing cart:', error);
+      });
+    }
   },
   
   getItemCount: () => {
@@ -54,7 +171,7 @@ const useCartStore = create((set, get) => ({
   
   getTotalPrice: () => {
     return get().items.reduce(
-      (total, item) => total + item.product.price * item.quantity,
+      (total, item) => total + getItemPrice(item) * item.quantity,
       0
     );
   },
@@ -77,6 +194,10 @@ const useCartStore = create((set, get) => ({
     
     return Object.values(grouped);
   },
+}), {
+  // Keeps a signed-out cart across reloads until it is merged on login
+  name: 'cart',
+  partialize: (state) => ({ items: state.items }),
 }));
 
 export default useCartStore;
@@ -0,0 +1,50 @@
+import { create } from 'zustand';
+import favouriteService from '../services/favouriteService';
+
+const idsKey = (kind) => (kind === 'product' ? 'productIds' : 'businessIds');
+
+const useFavouriteStore = create((set, get) => ({
+  productIds: [],
+  businessIds: [],
+
+  // Load which products and businesses the consumer has saved; resolves to the full lists
+  loadFavourites: async () => {
+    const favourites = await favouriteService.getFavourites();
+    set({
+      productIds: favourites.products.map((product) => product.id),
+      businessIds: favourites.businesses.map((business) => business.id),
+    });
+    return favourites;
+  },
+
+  isSaved: (kind, id) => get()[idsKey(kind)].includes(id),
+
+  // Shows the change straight away and undoes it if the server refuses
+  toggleFavourite: async (kind, id) => {
+    const key = idsKey(kind);
+    const saved = get()[key].includes(id);
+
+    set((state) => ({
+      [key]: saved ? state[key].filter((savedId) => savedId !== id) : [...state[key], id],
+    }));
+
+    try {
+      if (saved) {
+        await favouriteService.removeFavourite(kind, id);
+      } else {
+        await favouriteService.addFavourite(kind, id);
+      }
+    } catch (error) {
+      console.error('Error updating favourites:', error);
+      set((state) => ({
+        [key]: saved ? [...state[key], id] : state[key].filter((savedId) => savedId !== id),
+      }));
+    }
+  },
+
+  resetFavourites: () => {
+    set({ productIds: [], businessIds: [] });
+  },
+}));
+
+export default useFavouriteStore;
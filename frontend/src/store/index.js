@@ -1,4 +1,5 @@
 // Export all Zustand stores
 export { default as useAuthStore } from './authStore';
 export { default as useCartStore } from './cartStore';
+export { default as useFavouriteStore } from './favouriteStore';
 export { default as useNotificationStore } from './notificationStore';
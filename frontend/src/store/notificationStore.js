@@ -1,14 +1,36 @@
 import { create } from 'zustand';
 
+const REALTIME_URL = `${import.meta.env.VITE_WS_URL || 'ws://localhost:5000'}/api/v1/realtime`;
+const MAX_RECONNECT_DELAY = 60000;
+
+// The socket lives outside the store state so components don't re-render on it
+let socket = null;
+let reconnectTimer = null;
+let reconnectAttempts = 0;
+let connectionUsers = 0;
+const listeners = new Map();
+
+const emit = (event, data) => {
+  (listeners.get(event) || []).forEach((handler) => handler(data));
+};
+
 const useNotificationStore = create((set, get) => ({
   notifications: [],
   unreadCount: 0,
+  // 'disconnected' | 'connecting' | 'connected'; poll while not connected
+  realtimeStatus: 'disconnected',
   
   addNotification: (notification) => {
-    set((state) => ({
-      notifications: [notification, ...state.notifications],
-      unreadCount: notification.read ? state.unreadCount : state.unreadCount + 1,
-    }));
+    set((state) => {
+      if (state.notifications.some((n) => n.id === notification.id)) {
+        return state;
+      }
+
+      return {
+        notifications: [notification, ...state.notifications],
+        unreadCount: notification.read ? state.unreadCount : state.unreadCount + 1,
+      };
+    });
   },
   
   setNotifications: (notifications) => {
@@ -68,6 +90,97 @@ const useNotificationStore = create((set, get) => ({
   getNotificationsByType: (type) => {
     return get().notifications.filter((n) => n.type === type);
   },
+
+  /**
+   * Open the realtime connection (shared by every caller)
+   * Returns a function that releases this caller's use of the connection.
+   */
+  connectRealtime: () => {
+    connectionUsers += 1;
+    if (connectionUsers === 1) {
+      get().openSocket();
+    }
+
+    return () => {
+      connectionUsers = Math.max(0, connectionUsers - 1);
+      if (connectionUsers === 0) {
+        get().closeSocket();
+      }
+    };
+  },
+
+  openSocket: () => {
+    const token = localStorage.getItem('accessToken');
+    if (!token || socket || typeof WebSocket === 'undefined') {
+      return;
+    }
+
+    set({ realtimeStatus: 'connecting' });
+    socket = new WebSocket(`${REALTIME_URL}?token=${encodeURIComponent(token)}`);
+
+    socket.onopen = () => {
+      reconnectAttempts = 0;
+      set({ realtimeStatus: 'connected' });
+    };
+
+    socket.onmessage = (message) => {
+      let payload;
+      try {
+        payload = JSON.parse(message.data);
+      } catch (error) {
+        return;
+      }
+
+      if (payload.event === 'notification') {
+        get().addNotification(payload.data);
+      }
+      emit(payload.event, payload.data);
+    };
+
+    socket.onclose = () => {
+      socket = null;
+      set({ realtimeStatus: 'disconnected' });
+
+      // Reconnect with backoff; an expired token is picked up again once
+      // polling has refreshed it through the API client
+      if (connectionUsers > 0) {
+        const delay = Math.min(1000 * 2 ** reconnectAttempts, MAX_RECONNECT_DELAY);
+        reconnectAttempts += 1;
+        reconnectTimer = setTimeout(() => {
+          reconnectTimer = null;
+          get().openSocket();
+        }, delay);
+      }
+    };
+  },
+
+  closeSocket: () => {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    reconnectAttempts = 0;
+
+    if (socket) {
+      socket.onclose = null;
+      socket.close();
+      socket = null;
+    }
+    set({ realtimeStatus: 'disconnected' });
+  },
+
+  /**
+   * Listen for a realtime event ('notification', 'message', 'order_status')
+   * Returns an unsubscribe function.
+   */
+  subscribe: (event, handler) => {
+    if (!listeners.has(event)) {
+      listeners.set(event, new Set());
+    }
+    listeners.get(event).add(handler);
+
+    return () => {
+      listeners.get(event).delete(handler);
+    };
+  },
 }));
 
 export default useNotificationStore;
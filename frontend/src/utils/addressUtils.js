@@ -0,0 +1,12 @@
+/**
+ * Format a structured delivery address as a single line
+ */
+export const formatAddress = (address) => {
+  if (!address) {
+    return '';
+  }
+
+  return [address.address, address.city, address.postalCode, address.country]
+    .filter(Boolean)
+    .join(', ');
+};
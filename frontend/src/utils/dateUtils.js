@@ -0,0 +1,16 @@
+/**
+ * A timestamp as a datetime-local input value, in the browser's timezone
+ */
+export const toDateTimeInputValue = (timestamp) => {
+  if (!timestamp) {
+    return '';
+  }
+
+  const date = new Date(timestamp);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+/**
+ * A datetime-local input value as an ISO timestamp, or null when blank
+ */
+export const fromDateTimeInputValue = (value) => (value ? new Date(value).toISOString() : null);
@@ -0,0 +1,43 @@
+/**
+ * Reasons a customer can give when cancelling an order, keyed by the code the API expects
+ */
+export const CANCELLATION_REASONS = {
+  ordered_by_mistake: 'Ordered by mistake',
+  found_cheaper: 'Found it cheaper elsewhere',
+  delivery_too_slow: 'Delivery or pickup takes too long',
+  changed_mind: 'Changed my mind',
+  other: 'Other',
+};
+
+/**
+ * Label for a cancellation reason code
+ */
+export const getCancellationReasonLabel = (reason) => CANCELLATION_REASONS[reason] || reason;
+
+/**
+ * Reasons a customer can give when returning items, keyed by the code the API expects
+ */
+export const RETURN_REASONS = {
+  damaged: 'Arrived damaged',
+  wrong_item: 'Wrong item sent',
+  not_as_described: 'Not as described',
+  defective: 'Defective or not working',
+  other: 'Other',
+};
+
+/**
+ * Pickup slot as "Mon, Jan 6, 09:00 – 09:30"
+ * Pass the business's timezone where it is known; otherwise the viewer's own is used.
+ */
+export const formatPickupSlot = (slot, timeZone) => {
+  const timeOptions = { hour: '2-digit', minute: '2-digit', timeZone };
+  const day = new Date(slot.start).toLocaleDateString(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    timeZone,
+  });
+  const start = new Date(slot.start).toLocaleTimeString(undefined, timeOptions);
+  const end = new Date(slot.end).toLocaleTimeString(undefined, timeOptions);
+  return `${day}, ${start} – ${end}`;
+};
@@ -0,0 +1,18 @@
+/**
+ * Format a variant's option values for display, e.g. "M / Red"
+ */
+export const formatVariantOptions = (options) => {
+  if (!options) {
+    return '';
+  }
+
+  return Object.values(options).join(' / ');
+};
+
+/**
+ * Find the variant whose options match every selected value
+ */
+export const findVariant = (variants, selectedOptions) =>
+  variants.find((variant) =>
+    Object.entries(variant.options).every(([name, value]) => selectedOptions[name] === value)
+  ) || null;